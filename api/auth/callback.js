@@ -0,0 +1,196 @@
+/**
+ * Spotify OAuth - Callback
+ * Completes the flow started by /api/auth/login: checks the state, exchanges
+ * the code (with the PKCE verifier) and saves the refresh token in the user
+ * registry under the account's Spotify ID. The token is never shown.
+ * Accounts outside AUTH_ALLOWED_SPOTIFY_IDS and IDs taken by SPOTIFY_USERS
+ * are refused.
+ */
+
+const {
+  OAuthError,
+  STATE_COOKIE,
+  consumeAuthorizationState,
+  exchangeAuthorizationCode,
+  fetchProfile,
+  isAllowedSpotifyId,
+  readCookie,
+  stateCookie,
+  toUserId,
+} = require("../../utils/oauth");
+const {
+  compose,
+  requestId,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  rateLimit,
+} = require("../../utils/middleware");
+const { UserRegistry } = require("../../utils/userRegistry");
+
+/**
+ * Escapes text for HTML output
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ],
+  );
+}
+
+/**
+ * Sends a minimal HTML result page
+ * @param {Object} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} title - Page heading
+ * @param {string} body - HTML body (already escaped)
+ */
+function sendPage(res, status, title, body) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.status(status).send(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>body { font-family: system-ui, sans-serif; max-width: 600px; margin: 50px auto; padding: 0 20px; } code { background: #f0f0f0; padding: 2px 4px; }</style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </body>
+</html>`);
+}
+
+async function callbackHandler(req, res) {
+  const { code, state, error } = req.query || {};
+
+  try {
+    const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
+    const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
+
+    if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) {
+      console.error("Missing Spotify environment variables");
+      return sendPage(
+        res,
+        500,
+        "Server configuration error",
+        "<p>The Spotify app credentials are not configured.</p>",
+      );
+    }
+
+    // The state must match this browser's cookie and a pending login
+    const pending =
+      typeof state === "string" && state === readCookie(req, STATE_COOKIE)
+        ? await consumeAuthorizationState(state)
+        : null;
+
+    if (!pending) {
+      throw new OAuthError(
+        "This authorization link is invalid or has expired. Please start again.",
+      );
+    }
+
+    res.setHeader("Set-Cookie", stateCookie("", pending.redirectUri));
+
+    if (error) {
+      throw new OAuthError(
+        error === "access_denied"
+          ? "Authorization was cancelled."
+          : "Spotify reported an error during authorization.",
+      );
+    }
+
+    if (typeof code !== "string" || !code) {
+      throw new OAuthError("Spotify did not return an authorization code.");
+    }
+
+    const tokens = await exchangeAuthorizationCode({
+      code,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: pending.redirectUri,
+      clientId: SPOTIFY_CLIENT_ID,
+      clientSecret: SPOTIFY_CLIENT_SECRET,
+    });
+    const profile = await fetchProfile(tokens.access_token);
+
+    if (!isAllowedSpotifyId(profile.id)) {
+      console.warn(
+        `Refused Spotify account ${profile.id} (not in AUTH_ALLOWED_SPOTIFY_IDS)`,
+      );
+      throw new OAuthError(
+        "This Spotify account is not allowed to connect here.",
+        403,
+      );
+    }
+
+    // SPOTIFY_USERS entries belong to the deployment's own config; a stored
+    // user with the same ID would replace them
+    const registry = new UserRegistry();
+    const userId = toUserId(profile.id);
+    if (registry.isEnvUser(userId)) {
+      console.warn(
+        `Refused Spotify account ${profile.id} (${userId} is in SPOTIFY_USERS)`,
+      );
+      throw new OAuthError(
+        "An account with this user ID is already configured here.",
+        409,
+      );
+    }
+
+    const user = await registry.saveUser({
+      id: userId,
+      displayName: pending.displayName || profile.display_name || profile.id,
+      refreshToken: tokens.refresh_token,
+    });
+
+    console.log(`Connected Spotify account for user ${user.id}`);
+
+    return sendPage(
+      res,
+      200,
+      "Spotify connected",
+      `<p>Connected as <strong>${escapeHtml(user.displayName)}</strong>.</p>
+    <p>Your user ID is <code>${escapeHtml(user.id)}</code>. Use it as
+    <code>/api/spotify/now-playing?user=${escapeHtml(user.id)}</code>
+    or add it to a team widget. You can close this page.</p>`,
+    );
+  } catch (err) {
+    if (err instanceof OAuthError) {
+      return sendPage(
+        res,
+        err.status,
+        "Could not connect Spotify",
+        `<p>${escapeHtml(err.message)}</p>`,
+      );
+    }
+
+    console.error("OAuth callback error:", err.message);
+
+    return sendPage(
+      res,
+      500,
+      "Could not connect Spotify",
+      "<p>Something went wrong while saving your account. Please try again.</p>",
+    );
+  }
+}
+
+module.exports = compose(
+  requestId(),
+  securityHeaders({
+    "Cache-Control": "no-store",
+    "Referrer-Policy": "no-referrer",
+  }),
+  // Opened by browser navigation only, never by cross-origin scripts
+  cors({ origins: [] }),
+  allowMethods("GET"),
+  mapErrors({ fallback: "Failed to connect Spotify" }),
+  rateLimit({ name: "auth", burst: 10, refillPerSecond: 0.1 }),
+  callbackHandler,
+);
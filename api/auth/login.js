@@ -0,0 +1,66 @@
+/**
+ * Spotify OAuth - Login
+ * Starts the authorization-code flow (with state and PKCE) and redirects
+ * the browser to Spotify. Spotify sends it back to /api/auth/callback,
+ * which stores the refresh token so the account can be used via ?user=<id>.
+ * Closed until AUTH_ALLOWED_SPOTIFY_IDS lists who may connect.
+ */
+
+const {
+  beginAuthorization,
+  getRedirectUri,
+  stateCookie,
+} = require("../../utils/oauth");
+const {
+  ApiError,
+  ErrorCode,
+  compose,
+  requestId,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  rateLimit,
+  requireEnv,
+} = require("../../utils/middleware");
+
+const MAX_NAME_LENGTH = 64;
+
+async function loginHandler(req, res) {
+  // Optional display name (?name=Alice); defaults to the Spotify profile name
+  const displayName =
+    typeof req.query?.name === "string" ? req.query.name.trim() : "";
+
+  if (displayName.length > MAX_NAME_LENGTH) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: `name must be at most ${MAX_NAME_LENGTH} characters`,
+    });
+  }
+
+  const redirectUri = getRedirectUri(req);
+  const { state, url } = await beginAuthorization({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    redirectUri,
+    displayName,
+  });
+
+  res.setHeader("Set-Cookie", stateCookie(state, redirectUri));
+  res.setHeader("Location", url);
+  return res.status(302).end();
+}
+
+module.exports = compose(
+  requestId(),
+  securityHeaders({ "Cache-Control": "no-store" }),
+  // Opened by browser navigation only, never by cross-origin scripts
+  cors({ origins: [] }),
+  allowMethods("GET"),
+  mapErrors({ fallback: "Failed to start Spotify authorization" }),
+  rateLimit({ name: "auth", burst: 10, refillPerSecond: 0.1 }),
+  requireEnv(
+    "SPOTIFY_CLIENT_ID",
+    "SPOTIFY_CLIENT_SECRET",
+    "AUTH_ALLOWED_SPOTIFY_IDS",
+  ),
+  loginHandler,
+);
@@ -2,19 +2,27 @@
  * Debug API to test Spotify authentication step by step
  */
 
-module.exports = async (req, res) => {
+const { getTokenCacheInfo } = require("../../utils/tokenManager");
+const { SpotifyClient, SpotifyApiError } = require("../../utils/spotifyClient");
+const {
+  createRefreshTokenSink,
+  getDefaultRefreshToken,
+} = require("../../utils/tokenRotation");
+const { getTokenEndpoint } = require("../../utils/spotifyEndpoints");
+const {
+  compose,
+  requestId,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+} = require("../../utils/middleware");
+
+async function debugAuthHandler(req, res) {
   // Set basic headers
   res.setHeader("Content-Type", "application/json");
-  res.setHeader("Access-Control-Allow-Origin", "*");
-
-  // Handle preflight
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
-
-  if (req.method !== "GET") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
 
   try {
     const result = {
@@ -26,7 +34,8 @@ module.exports = async (req, res) => {
     // Step 1: Check environment variables
     const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
     const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
-    const SPOTIFY_REFRESH_TOKEN = process.env.SPOTIFY_REFRESH_TOKEN;
+    // The token now-playing.js would use: the rotated one in the store, if any
+    const SPOTIFY_REFRESH_TOKEN = await getDefaultRefreshToken();
 
     result.steps.environment = {
       client_id_length: SPOTIFY_CLIENT_ID ? SPOTIFY_CLIENT_ID.length : 0,
@@ -76,7 +85,7 @@ module.exports = async (req, res) => {
 
     // Step 4: Test Spotify token endpoint connectivity (without auth)
     try {
-      const testResponse = await fetch("https://accounts.spotify.com/api/token", {
+      const testResponse = await fetch(getTokenEndpoint(), {
         method: "HEAD"
       });
       result.steps.spotify_connectivity = {
@@ -91,95 +100,73 @@ module.exports = async (req, res) => {
       };
     }
 
-    // Step 5: Attempt actual token refresh
+    // Step 5: Attempt actual token refresh through the shared token cache
+    const client = new SpotifyClient({
+      clientId: SPOTIFY_CLIENT_ID,
+      clientSecret: SPOTIFY_CLIENT_SECRET,
+      refreshToken: SPOTIFY_REFRESH_TOKEN,
+      onRefreshTokenRotated: createRefreshTokenSink(),
+      maxRetries: 0,
+    });
+    result.steps.token_cache = getTokenCacheInfo(client.credentials);
+
+    let accessToken = null;
     try {
-      const authHeader = Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString("base64");
-
-      const tokenResponse = await fetch("https://accounts.spotify.com/api/token", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-          "Authorization": `Basic ${authHeader}`,
-        },
-        body: new URLSearchParams({
-          grant_type: "refresh_token",
-          refresh_token: SPOTIFY_REFRESH_TOKEN,
-        }),
-      });
+      accessToken = await client.getAccessToken({ forceRefresh: true });
 
       result.steps.token_request = {
-        success: tokenResponse.ok,
-        status: tokenResponse.status,
-        status_text: tokenResponse.statusText
+        success: true
       };
-
-      if (tokenResponse.ok) {
-        const tokenData = await tokenResponse.json();
-        result.steps.token_response = {
-          has_access_token: !!tokenData.access_token,
-          access_token_length: tokenData.access_token ? tokenData.access_token.length : 0,
-          token_type: tokenData.token_type || "not provided",
-          expires_in: tokenData.expires_in || "not provided"
+      result.steps.token_response = {
+        has_access_token: !!accessToken,
+        access_token_length: accessToken.length,
+        cache: getTokenCacheInfo(client.credentials)
+      };
+    } catch (error) {
+      result.steps.token_request = {
+        success: false,
+        error: error.message,
+        error_type: error instanceof SpotifyApiError ? error.type : "unexpected",
+        status: error.status
+      };
+      if (error instanceof SpotifyApiError) {
+        result.steps.token_error = {
+          error_details: error.details
         };
+      }
+    }
 
-        // Step 6: Test Spotify API call with token
-        if (tokenData.access_token) {
-          try {
-            const apiResponse = await fetch("https://api.spotify.com/v1/me/player/currently-playing", {
-              headers: {
-                Authorization: `Bearer ${tokenData.access_token}`,
-              },
-            });
-
-            result.steps.api_request = {
-              success: true,
-              status: apiResponse.status,
-              status_text: apiResponse.statusText,
-              content_length: apiResponse.headers.get('content-length') || 'unknown'
-            };
-
-            if (apiResponse.status === 200) {
-              const apiData = await apiResponse.json();
-              result.steps.api_response = {
-                is_playing: apiData.is_playing,
-                has_item: !!apiData.item,
-                item_type: apiData.item?.type || 'no item',
-                track_name: apiData.item?.name || 'no track name'
-              };
-            } else if (apiResponse.status === 204) {
-              result.steps.api_response = {
-                message: "No content - nothing currently playing"
-              };
-            }
-
-          } catch (error) {
-            result.steps.api_request = {
-              success: false,
-              error: error.message
-            };
-          }
-        }
+    // Step 6: Test Spotify API call with token
+    if (accessToken) {
+      try {
+        const apiData = await client.getCurrentlyPlaying();
 
-      } else {
-        // Try to get error details
-        try {
-          const errorData = await tokenResponse.text();
-          result.steps.token_error = {
-            error_text: errorData
+        result.steps.api_request = {
+          success: true,
+          status: apiData ? 200 : 204
+        };
+
+        if (apiData) {
+          result.steps.api_response = {
+            is_playing: apiData.is_playing,
+            has_item: !!apiData.item,
+            item_type: apiData.item?.type || 'no item',
+            track_name: apiData.item?.name || 'no track name'
           };
-        } catch (e) {
-          result.steps.token_error = {
-            error: "Could not read error response"
+        } else {
+          result.steps.api_response = {
+            message: "No content - nothing currently playing"
           };
         }
-      }
 
-    } catch (error) {
-      result.steps.token_request = {
-        success: false,
-        error: error.message,
-        stack: error.stack
-      };
+      } catch (error) {
+        result.steps.api_request = {
+          success: false,
+          error: error.message,
+          error_type: error instanceof SpotifyApiError ? error.type : "unexpected",
+          status: error.status
+        };
+      }
     }
 
     result.status = "completed";
@@ -195,4 +182,17 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-};
+}
+
+// Each call forces a token refresh, so keyed like the data routes and
+// limited more tightly
+module.exports = compose(
+  requestId(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({ fallback: "Auth debug failed" }),
+  apiKeyAuth(),
+  rateLimit({ name: "debug-auth", burst: 5, refillPerSecond: 0.05 }),
+  debugAuthHandler,
+);
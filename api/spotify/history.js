@@ -0,0 +1,94 @@
+/**
+ * Listening History API
+ * Returns tracks recorded by the now-playing endpoints, newest first, with
+ * since/until filters and an `until` cursor for the next page
+ */
+
+const { HistoryRecorder } = require("../../utils/history");
+const {
+  ApiError,
+  ErrorCode,
+  compose,
+  requestId,
+  timing,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+} = require("../../utils/middleware");
+
+const MAX_LIMIT = 200;
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Parses a timestamp given as Unix milliseconds or an ISO 8601 date
+ * @returns {number|undefined|null} Unix ms, undefined if absent, null if invalid
+ */
+function parseTimestampParam(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+async function historyHandler(req, res) {
+  // Validate query parameters
+  const limitParam = req.query?.limit;
+  const limit =
+    limitParam === undefined || limitParam === ""
+      ? DEFAULT_LIMIT
+      : /^\d+$/.test(limitParam)
+        ? parseInt(limitParam, 10)
+        : null;
+  const since = parseTimestampParam(req.query?.since);
+  const until = parseTimestampParam(req.query?.until);
+
+  if (limit === null || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+    });
+  }
+
+  if (since === null || until === null) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "since and until must be Unix timestamps in milliseconds or ISO 8601 dates",
+    });
+  }
+
+  if (since !== undefined && until !== undefined && since >= until) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "since must be earlier than until",
+    });
+  }
+
+  const history = HistoryRecorder.fromEnv();
+  if (!history) {
+    console.error("Missing storage for listening history");
+    throw new ApiError(ErrorCode.CONFIG_MISSING);
+  }
+
+  const result = await history.getHistory({ since, until, limit });
+
+  // The open entry changes on every poll
+  res.setHeader("Cache-Control", "s-maxage=30, stale-while-revalidate");
+
+  return res.status(200).json(result);
+}
+
+module.exports = compose(
+  requestId(),
+  timing(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({ fallback: "Failed to fetch listening history" }),
+  apiKeyAuth(),
+  rateLimit({ name: "history", burst: 20, refillPerSecond: 0.2 }),
+  historyHandler,
+);
@@ -5,44 +5,41 @@ import type {
   SpotifyTrack,
   NowPlayingResponse,
 } from "../../types/spotify";
-
-const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
-const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
-const SPOTIFY_REFRESH_TOKEN = process.env.SPOTIFY_REFRESH_TOKEN;
-
-// Validate required environment variables
-if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET || !SPOTIFY_REFRESH_TOKEN) {
-  const missing = [];
-  if (!SPOTIFY_CLIENT_ID) missing.push("SPOTIFY_CLIENT_ID");
-  if (!SPOTIFY_CLIENT_SECRET) missing.push("SPOTIFY_CLIENT_SECRET");
-  if (!SPOTIFY_REFRESH_TOKEN) missing.push("SPOTIFY_REFRESH_TOKEN");
-
-  throw new Error(
-    `Missing required environment variables: ${missing.join(", ")}`,
-  );
-}
-
-const TOKEN_ENDPOINT = "https://accounts.spotify.com/api/token";
-const NOW_PLAYING_ENDPOINT =
-  "https://api.spotify.com/v1/me/player/currently-playing";
+import {
+  createRefreshTokenSink,
+  getDefaultRefreshToken,
+} from "../../utils/tokenRotation";
+import {
+  compose,
+  requestId,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+  requireEnv,
+} from "../../utils/middleware";
+import { getApiBaseUrl, getTokenEndpoint } from "../../utils/spotifyEndpoints";
 
 async function getAccessToken(
+  refreshToken: string,
   retryCount: number = 0,
 ): Promise<SpotifyTokenResponse> {
   const maxRetries = 2;
 
   try {
-    const response = await fetch(TOKEN_ENDPOINT, {
+    const response = await fetch(getTokenEndpoint(), {
       method: "POST",
       headers: {
         "Content-Type": "application/x-www-form-urlencoded",
         Authorization: `Basic ${Buffer.from(
-          `${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`,
+          `${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`,
         ).toString("base64")}`,
       },
       body: new URLSearchParams({
         grant_type: "refresh_token",
-        refresh_token: SPOTIFY_REFRESH_TOKEN!,
+        refresh_token: refreshToken,
       }),
     });
 
@@ -64,7 +61,7 @@ async function getAccessToken(
         await new Promise((resolve) =>
           setTimeout(resolve, 1000 * Math.pow(2, retryCount)),
         );
-        return getAccessToken(retryCount + 1);
+        return getAccessToken(refreshToken, retryCount + 1);
       }
 
       throw new Error(`Token refresh failed with status ${response.status}`);
@@ -89,13 +86,23 @@ async function getNowPlaying(
   const maxRetries = 2;
 
   try {
-    const { access_token } = await getAccessToken();
+    // Prefers the rotated token in the store, and saves the next rotation
+    // there (requireEnv() below checked the variables)
+    const { access_token, refresh_token } = await getAccessToken(
+      (await getDefaultRefreshToken())!,
+    );
+    if (refresh_token) {
+      await createRefreshTokenSink()?.(refresh_token);
+    }
 
-    const response = await fetch(NOW_PLAYING_ENDPOINT, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
+    const response = await fetch(
+      `${getApiBaseUrl()}/me/player/currently-playing`,
+      {
+        headers: {
+          Authorization: `Bearer ${access_token}`,
+        },
       },
-    });
+    );
 
     // 204 = No content (nothing playing), this is normal
     if (response.status === 204) {
@@ -182,42 +189,35 @@ async function getNowPlaying(
   }
 }
 
-export default async function handler(
-  req: VercelRequest,
+async function nowPlayingHandler(
+  _req: VercelRequest,
   res: VercelResponse,
 ): Promise<VercelResponse> {
-  // Set CORS headers directly
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("X-Frame-Options", "DENY");
-  res.setHeader("X-XSS-Protection", "1; mode=block");
-
-  // Handle preflight
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
-
-  if (req.method !== "GET") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  try {
-    const nowPlaying = await getNowPlaying();
+  const nowPlaying = await getNowPlaying();
 
-    // Set cache control
-    res.setHeader("Cache-Control", "s-maxage=10, stale-while-revalidate");
+  // Set cache control
+  res.setHeader("Cache-Control", "s-maxage=10, stale-while-revalidate");
 
-    return res.status(200).json(nowPlaying);
-  } catch (error) {
-    console.error(
-      "Error fetching now playing:",
-      error instanceof Error ? error.message : "Unknown error",
-    );
-    return res.status(500).json({
-      error: "Failed to fetch now playing",
-      is_playing: false,
-    });
-  }
+  return res.status(200).json(nowPlaying);
 }
+
+// Same Spotify data as now-playing.js, so the same API key checks and
+// rate limit bucket apply
+export default compose(
+  requestId(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({
+    fallback: "Failed to fetch now playing",
+    body: { is_playing: false },
+  }),
+  apiKeyAuth(),
+  rateLimit({ name: "now-playing", burst: 60, refillPerSecond: 1 }),
+  requireEnv(
+    "SPOTIFY_CLIENT_ID",
+    "SPOTIFY_CLIENT_SECRET",
+    "SPOTIFY_REFRESH_TOKEN",
+  ),
+  nowPlayingHandler,
+);
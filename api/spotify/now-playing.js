@@ -3,185 +3,112 @@
  * Based on working debug implementation
  */
 
-module.exports = async (req, res) => {
-  // Set CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("X-Frame-Options", "DENY");
-  res.setHeader("X-XSS-Protection", "1; mode=block");
-
-  // Handle preflight
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
+const { SpotifyClient } = require("../../utils/spotifyClient");
+const { UserRegistry, isValidUserId } = require("../../utils/userRegistry");
+const { getNowPlayingCacheTtls } = require("../../utils/responseCache");
+const { getCachedNowPlaying } = require("../../utils/nowPlayingCache");
+const { getNowPlayingEtag, matchesIfNoneMatch } = require("../../utils/etag");
+const {
+  createRefreshTokenSink,
+  createUserSink,
+  getDefaultRefreshToken,
+} = require("../../utils/tokenRotation");
+const {
+  ApiError,
+  ErrorCode,
+  compose,
+  requestId,
+  timing,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+  requireEnv,
+} = require("../../utils/middleware");
+
+async function nowPlayingHandler(req, res) {
+  // Optional registered user (?user=<id>); defaults to SPOTIFY_REFRESH_TOKEN
+  const userId = req.query?.user;
+  if (userId !== undefined && !isValidUserId(userId)) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "user must contain only letters, digits, - and _",
+    });
   }
 
-  if (req.method !== "GET") {
-    return res.status(405).json({ error: "Method not allowed" });
+  if (!userId && !process.env.SPOTIFY_REFRESH_TOKEN) {
+    console.error("Missing environment variables: SPOTIFY_REFRESH_TOKEN");
+    throw new ApiError(ErrorCode.CONFIG_MISSING);
   }
 
-  try {
-    // Environment variables
-    const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
-    const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
-    const SPOTIFY_REFRESH_TOKEN = process.env.SPOTIFY_REFRESH_TOKEN;
-
-    // Validate environment variables
-    if (
-      !SPOTIFY_CLIENT_ID ||
-      !SPOTIFY_CLIENT_SECRET ||
-      !SPOTIFY_REFRESH_TOKEN
-    ) {
-      console.error("Missing Spotify environment variables");
-      return res.status(500).json({
-        error: "Server configuration error",
-        is_playing: false,
-      });
-    }
-
-    // Get access token
-    const authHeader = Buffer.from(
-      `${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`,
-    ).toString("base64");
-
-    const tokenResponse = await fetch(
-      "https://accounts.spotify.com/api/token",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-          Authorization: `Basic ${authHeader}`,
-        },
-        body: new URLSearchParams({
-          grant_type: "refresh_token",
-          refresh_token: SPOTIFY_REFRESH_TOKEN,
-        }),
-      },
-    );
-
-    if (!tokenResponse.ok) {
-      console.error(`Token refresh failed: ${tokenResponse.status}`);
-      return res.status(500).json({
-        error: "Authentication failed",
-        is_playing: false,
-      });
-    }
-
-    const tokenData = await tokenResponse.json();
-
-    if (!tokenData.access_token) {
-      console.error("No access token received");
-      return res.status(500).json({
-        error: "Authentication failed",
-        is_playing: false,
-      });
-    }
-
-    // Get currently playing track
-    const apiResponse = await fetch(
-      "https://api.spotify.com/v1/me/player/currently-playing",
-      {
-        headers: {
-          Authorization: `Bearer ${tokenData.access_token}`,
-        },
-      },
-    );
-
-    // Handle 204 - nothing playing (this is normal and expected)
-    if (apiResponse.status === 204) {
-      res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate");
-      return res.status(200).json({ is_playing: false });
-    }
-
-    // Handle client errors
-    if (apiResponse.status >= 400 && apiResponse.status < 500) {
-      console.error(`Spotify API client error: ${apiResponse.status}`);
-      return res.status(500).json({
-        error: "Spotify API error",
-        is_playing: false,
-      });
-    }
-
-    // Handle server errors
-    if (apiResponse.status >= 500) {
-      console.error(`Spotify API server error: ${apiResponse.status}`);
-      return res.status(500).json({
-        error: "Spotify API temporarily unavailable",
-        is_playing: false,
-      });
-    }
-
-    if (!apiResponse.ok) {
-      console.error(`Unexpected Spotify API error: ${apiResponse.status}`);
-      return res.status(500).json({
-        error: "Spotify API error",
-        is_playing: false,
-      });
-    }
-
-    const apiData = await apiResponse.json();
-
-    // Handle not playing
-    if (!apiData.is_playing) {
-      res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate");
-      return res.status(200).json({ is_playing: false });
-    }
-
-    // Handle missing item data
-    if (!apiData.item) {
-      console.warn("Spotify API returned playing=true but no item data");
-      res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate");
-      return res.status(200).json({ is_playing: false });
-    }
-
-    // Handle podcasts/episodes - return not playing
-    if (apiData.item.type !== "track") {
-      res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate");
-      return res.status(200).json({ is_playing: false });
-    }
-
-    // Extract track data
-    const track = apiData.item;
-    const nowPlaying = {
-      is_playing: true,
-      progress_ms: apiData.progress_ms || 0,
-      currently_playing_type: apiData.currently_playing_type || "track",
-      item: {
-        name: track.name || "Unknown Track",
-        artists: track.artists?.map((artist) => artist.name) || [
-          "Unknown Artist",
-        ],
-        duration_ms: track.duration_ms || 0,
-        album: {
-          name: track.album?.name || "Unknown Album",
-          images: track.album?.images || [],
-        },
-        external_urls: track.external_urls || {},
-        id: track.id || null,
-        type: track.type || "track",
-      },
-    };
-
-    // Set cache headers - shorter cache when playing
-    res.setHeader("Cache-Control", "s-maxage=5, stale-while-revalidate");
-
-    return res.status(200).json(nowPlaying);
-  } catch (error) {
-    console.error("Spotify API error:", error.message);
-
-    // Handle network errors
-    if (error.name === "TypeError" && error.message.includes("fetch")) {
-      return res.status(500).json({
-        error: "Network error connecting to Spotify",
-        is_playing: false,
-      });
+  // Rotated refresh tokens are saved back where the token came from
+  let refreshToken;
+  let onRefreshTokenRotated;
+  if (userId) {
+    const registry = new UserRegistry();
+    const user = await registry.getUser(userId);
+    if (!user) {
+      throw new ApiError(ErrorCode.UNKNOWN_USER);
     }
+    refreshToken = user.refreshToken;
+    onRefreshTokenRotated = createUserSink(registry, user);
+  } else {
+    refreshToken = await getDefaultRefreshToken();
+    onRefreshTokenRotated = createRefreshTokenSink();
+  }
 
-    // Generic error response
-    return res.status(500).json({
-      error: "Failed to fetch now playing",
-      is_playing: false,
-    });
+  const client = new SpotifyClient({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    refreshToken,
+    onRefreshTokenRotated,
+  });
+
+  // Optionally fall back to the last played track (?include_last_played=true)
+  const includeLastPlayed = ["true", "1"].includes(
+    req.query?.include_last_played,
+  );
+
+  // Served from the response cache when fresh (shared with the stream);
+  // concurrent misses share one Spotify call
+  const { nowPlaying, hit } = await getCachedNowPlaying(client, {
+    userId,
+    includeLastPlayed,
+  });
+
+  // Set cache headers - shorter cache when playing
+  const ttls = getNowPlayingCacheTtls();
+  const maxAge =
+    (nowPlaying.is_playing ? ttls.playingMs : ttls.pausedMs) / 1000;
+  res.setHeader("X-Cache", hit ? "HIT" : "MISS");
+  res.setHeader(
+    "Cache-Control",
+    `s-maxage=${Math.round(maxAge)}, stale-while-revalidate`,
+  );
+
+  // Conditional GET: widgets send back the ETag of the state they render
+  const etag = getNowPlayingEtag(nowPlaying);
+  res.setHeader("ETag", etag);
+  if (matchesIfNoneMatch(req.headers["if-none-match"], etag)) {
+    return res.status(304).end();
   }
-};
+
+  return res.status(200).json(nowPlaying);
+}
+
+module.exports = compose(
+  requestId(),
+  timing(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({
+    fallback: "Failed to fetch now playing",
+    body: { is_playing: false },
+  }),
+  apiKeyAuth(),
+  rateLimit({ name: "now-playing", burst: 60, refillPerSecond: 1 }),
+  requireEnv("SPOTIFY_CLIENT_ID", "SPOTIFY_CLIENT_SECRET"),
+  nowPlayingHandler,
+);
@@ -0,0 +1,176 @@
+/**
+ * Spotify Now Playing API - Server-Sent Events stream
+ *
+ * Polls on the server and pushes a `now-playing` event only when the track,
+ * play state or playback position (a seek) changes, so widgets don't each
+ * have to poll. Polls read the response cache shared with
+ * /api/spotify/now-playing (utils/nowPlayingCache.js), so open streams don't
+ * add Spotify calls. Heartbeats keep proxies from closing an idle stream.
+ * Serverless functions can't hold a connection forever, so the stream ends
+ * shortly before maxDuration and EventSource reconnects on its own.
+ */
+
+const {
+  SpotifyClient,
+  SpotifyApiError,
+} = require("../../../utils/spotifyClient");
+const { ErrorCode, toErrorBody } = require("../../../utils/errorCatalog");
+const { detectPlaybackChange } = require("../../../utils/playbackState");
+const { getCachedNowPlaying } = require("../../../utils/nowPlayingCache");
+const {
+  createRefreshTokenSink,
+  getDefaultRefreshToken,
+} = require("../../../utils/tokenRotation");
+const {
+  compose,
+  requestId,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+  requireEnv,
+} = require("../../../utils/middleware");
+
+// Keep below the maxDuration configured in vercel.json
+const STREAM_DURATION_MS = 55 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const RECONNECT_DELAY_MS = 1000;
+const POLL_INTERVAL = {
+  PLAYING: 3 * 1000,
+  PAUSED: 10 * 1000,
+};
+
+/**
+ * Writes a single SSE event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function streamHandler(req, res) {
+  // Resolved before opening the stream so clients see a plain HTTP error
+  const SPOTIFY_REFRESH_TOKEN = await getDefaultRefreshToken();
+
+  const client = new SpotifyClient({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    refreshToken: SPOTIFY_REFRESH_TOKEN,
+    onRefreshTokenRotated: createRefreshTokenSink(),
+  });
+
+  const includeLastPlayed = ["true", "1"].includes(
+    req.query?.include_last_played,
+  );
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Disable response buffering in nginx-style proxies
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  return new Promise((resolve) => {
+    let closed = false;
+    let pollTimer = null;
+    let lastState = null;
+    let lastFetchedAt = 0;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(pollTimer);
+      clearInterval(heartbeatTimer);
+      clearTimeout(lifetimeTimer);
+      res.end();
+      resolve();
+    };
+
+    const heartbeatTimer = setInterval(() => {
+      sendEvent(res, "heartbeat", { timestamp: Date.now() });
+    }, HEARTBEAT_INTERVAL_MS);
+    const lifetimeTimer = setTimeout(close, STREAM_DURATION_MS);
+
+    req.on("close", close);
+
+    const poll = async () => {
+      try {
+        const { nowPlaying } = await getCachedNowPlaying(client, {
+          includeLastPlayed,
+        });
+        const fetchedAt = Date.now();
+        if (closed) return;
+
+        const change = detectPlaybackChange(
+          lastState,
+          nowPlaying,
+          fetchedAt - lastFetchedAt,
+        );
+
+        // Always send the first state so clients can render immediately
+        if (!lastState || change) {
+          sendEvent(res, "now-playing", nowPlaying);
+        }
+
+        lastState = nowPlaying;
+        lastFetchedAt = fetchedAt;
+
+        // Check again right after the current track should end
+        let delay = nowPlaying.is_playing
+          ? POLL_INTERVAL.PLAYING
+          : POLL_INTERVAL.PAUSED;
+        if (nowPlaying.is_playing && nowPlaying.item?.duration_ms) {
+          const remainingMs =
+            nowPlaying.item.duration_ms - (nowPlaying.progress_ms || 0);
+          delay = Math.max(500, Math.min(delay, remainingMs + 500));
+        }
+
+        pollTimer = setTimeout(poll, delay);
+      } catch (error) {
+        if (closed) return;
+
+        if (error instanceof SpotifyApiError) {
+          console.error(`Spotify API error (${error.type}):`, error.message);
+          sendEvent(res, "spotify-error", toErrorBody(error.code));
+        } else {
+          console.error("Spotify API error:", error.message);
+          sendEvent(
+            res,
+            "spotify-error",
+            toErrorBody(ErrorCode.INTERNAL_ERROR, {
+              error: "Failed to fetch now playing",
+            }),
+          );
+        }
+
+        // Let the client decide whether to reconnect or fall back to polling
+        close();
+      }
+    };
+
+    poll();
+  });
+}
+
+module.exports = compose(
+  requestId(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({
+    fallback: "Failed to fetch now playing",
+    body: { is_playing: false },
+  }),
+  apiKeyAuth(),
+  rateLimit({ name: "stream", burst: 10, refillPerSecond: 0.2 }),
+  requireEnv(
+    "SPOTIFY_CLIENT_ID",
+    "SPOTIFY_CLIENT_SECRET",
+    "SPOTIFY_REFRESH_TOKEN",
+  ),
+  streamHandler,
+);
@@ -0,0 +1,158 @@
+/**
+ * Spotify Now Playing API - Team
+ * Returns now-playing state for several registered users in one request.
+ * A failure for one user is reported on that user's entry instead of
+ * failing the whole response.
+ */
+
+const {
+  SpotifyClient,
+  SpotifyApiError,
+} = require("../../../utils/spotifyClient");
+const { ERROR_CATALOG } = require("../../../utils/errorCatalog");
+const {
+  UserRegistry,
+  isValidUserId,
+} = require("../../../utils/userRegistry");
+const { createUserSink } = require("../../../utils/tokenRotation");
+const {
+  ResponseCache,
+  advanceProgress,
+  getNowPlayingTtl,
+} = require("../../../utils/responseCache");
+const {
+  ApiError,
+  ErrorCode,
+  compose,
+  requestId,
+  timing,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+  requireEnv,
+} = require("../../../utils/middleware");
+
+const MAX_USERS = 20;
+
+/**
+ * Error fields for one user's entry (see utils/errorCatalog.js)
+ */
+function errorFields(code) {
+  return { error: ERROR_CATALOG[code].message, code };
+}
+
+// Same entries as /api/spotify/now-playing?user=<id>
+const cache = new ResponseCache({
+  namespace: "now-playing",
+  ttl: getNowPlayingTtl,
+});
+
+async function teamHandler(req, res) {
+  // Optional subset of users (?users=alice,bob); defaults to everyone
+  const requestedIds = req.query?.users
+    ? [...new Set(String(req.query.users).split(",").map((id) => id.trim()))]
+    : null;
+
+  if (requestedIds && !requestedIds.every(isValidUserId)) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "users must be a comma-separated list of user IDs",
+    });
+  }
+
+  if (requestedIds && requestedIds.length > MAX_USERS) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: `At most ${MAX_USERS} users can be requested at once`,
+    });
+  }
+
+  const registry = new UserRegistry();
+  const ids =
+    requestedIds ||
+    (await registry.listUsers()).slice(0, MAX_USERS).map((user) => user.id);
+
+  const users = await Promise.all(
+    ids.map(async (id) => {
+      let user;
+      try {
+        user = await registry.getUser(id);
+      } catch (error) {
+        console.error(`Could not load user ${id}:`, error.message);
+        return {
+          id,
+          is_playing: false,
+          ...errorFields(ErrorCode.CONFIG_INVALID),
+        };
+      }
+      if (!user) {
+        return {
+          id,
+          is_playing: false,
+          ...errorFields(ErrorCode.UNKNOWN_USER),
+        };
+      }
+
+      const client = new SpotifyClient({
+        clientId: process.env.SPOTIFY_CLIENT_ID,
+        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+        refreshToken: user.refreshToken,
+        onRefreshTokenRotated: createUserSink(registry, user),
+      });
+
+      try {
+        const { value, ageMs } = await cache.get(`user:${id}:current`, () =>
+          client.getNowPlaying(),
+        );
+        return {
+          id,
+          display_name: user.displayName,
+          ...advanceProgress(value, ageMs),
+        };
+      } catch (error) {
+        if (error instanceof SpotifyApiError) {
+          console.error(
+            `Spotify API error for user ${id} (${error.type}):`,
+            error.message,
+          );
+        } else {
+          console.error(`Spotify API error for user ${id}:`, error.message);
+        }
+        return {
+          id,
+          display_name: user.displayName,
+          is_playing: false,
+          ...errorFields(
+            error instanceof SpotifyApiError
+              ? error.code
+              : ErrorCode.INTERNAL_ERROR,
+          ),
+        };
+      }
+    }),
+  );
+
+  // Set cache headers - shorter cache when anyone is playing
+  res.setHeader(
+    "Cache-Control",
+    users.some((user) => user.is_playing)
+      ? "s-maxage=5, stale-while-revalidate"
+      : "s-maxage=30, stale-while-revalidate",
+  );
+
+  return res.status(200).json({ users });
+}
+
+module.exports = compose(
+  requestId(),
+  timing(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({ fallback: "Failed to fetch team now playing" }),
+  apiKeyAuth(),
+  rateLimit({ name: "team", burst: 30, refillPerSecond: 0.5 }),
+  requireEnv("SPOTIFY_CLIENT_ID", "SPOTIFY_CLIENT_SECRET"),
+  teamHandler,
+);
@@ -0,0 +1,111 @@
+/**
+ * Spotify Recently Played API
+ * Returns the most recently played tracks with their played_at timestamps
+ */
+
+const {
+  SpotifyClient,
+  SpotifyApiError,
+  SpotifyErrorType,
+} = require("../../utils/spotifyClient");
+const {
+  createRefreshTokenSink,
+  getDefaultRefreshToken,
+} = require("../../utils/tokenRotation");
+const {
+  ApiError,
+  ErrorCode,
+  compose,
+  requestId,
+  timing,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+  requireEnv,
+} = require("../../utils/middleware");
+
+const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Parses an optional non-negative integer query parameter
+ * @returns {number|undefined|null} Parsed value, undefined if absent, null if invalid
+ */
+function parseIntegerParam(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+async function recentlyPlayedHandler(req, res) {
+  // Validate query parameters
+  const limit = parseIntegerParam(req.query?.limit);
+  const before = parseIntegerParam(req.query?.before);
+  const after = parseIntegerParam(req.query?.after);
+
+  if (limit === null || (limit !== undefined && (limit < 1 || limit > MAX_LIMIT))) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+    });
+  }
+
+  if (before === null || after === null) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "before and after must be Unix timestamps in milliseconds",
+    });
+  }
+
+  if (before !== undefined && after !== undefined) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "Only one of before or after can be specified",
+    });
+  }
+
+  const client = new SpotifyClient({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    refreshToken: await getDefaultRefreshToken(),
+    onRefreshTokenRotated: createRefreshTokenSink(),
+  });
+
+  const recentlyPlayed = await client.getRecentlyPlayed({
+    limit: limit ?? DEFAULT_LIMIT,
+    before,
+    after,
+  });
+
+  // History only changes when a track finishes
+  res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate");
+
+  return res.status(200).json(recentlyPlayed);
+}
+
+module.exports = compose(
+  requestId(),
+  timing(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({
+    fallback: "Failed to fetch recently played",
+    extend: (error) =>
+      error instanceof SpotifyApiError &&
+      error.type === SpotifyErrorType.FORBIDDEN
+        ? {
+            hint: "The refresh token is missing the user-read-recently-played scope. Run 'npm run auth' to re-authorize.",
+          }
+        : undefined,
+  }),
+  apiKeyAuth(),
+  rateLimit({ name: "recently-played", burst: 20, refillPerSecond: 0.2 }),
+  requireEnv(
+    "SPOTIFY_CLIENT_ID",
+    "SPOTIFY_CLIENT_SECRET",
+    "SPOTIFY_REFRESH_TOKEN",
+  ),
+  recentlyPlayedHandler,
+);
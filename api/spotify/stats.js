@@ -0,0 +1,108 @@
+/**
+ * Spotify Listening Stats API
+ * Returns top tracks, artists and albums, total minutes and an hour-of-week
+ * heatmap from the recorded history, seeded with Spotify's /me/top/* rankings
+ */
+
+const { SpotifyClient } = require("../../utils/spotifyClient");
+const { HistoryRecorder } = require("../../utils/history");
+const { getListeningStats, StatsWindow } = require("../../utils/stats");
+const {
+  createRefreshTokenSink,
+  getDefaultRefreshToken,
+} = require("../../utils/tokenRotation");
+const {
+  ApiError,
+  ErrorCode,
+  compose,
+  requestId,
+  timing,
+  securityHeaders,
+  cors,
+  allowMethods,
+  mapErrors,
+  apiKeyAuth,
+  rateLimit,
+  requireEnv,
+} = require("../../utils/middleware");
+
+const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 10;
+
+async function statsHandler(req, res) {
+  // Validate query parameters
+  const window = req.query?.window || StatsWindow.WEEK;
+  const limitParam = req.query?.limit;
+  const limit =
+    limitParam === undefined || limitParam === ""
+      ? DEFAULT_LIMIT
+      : /^\d+$/.test(limitParam)
+        ? parseInt(limitParam, 10)
+        : null;
+  const timeZone = req.query?.timezone || "UTC";
+
+  if (!Object.values(StatsWindow).includes(window)) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: `window must be one of: ${Object.values(StatsWindow).join(", ")}`,
+    });
+  }
+
+  if (limit === null || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+    });
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new ApiError(ErrorCode.INVALID_PARAMETER, {
+      message: "timezone must be an IANA time zone, e.g. Europe/Berlin",
+    });
+  }
+
+  const SPOTIFY_REFRESH_TOKEN = await getDefaultRefreshToken();
+  const history = HistoryRecorder.fromEnv();
+
+  if (!history) {
+    console.error("Missing storage for listening history");
+    throw new ApiError(ErrorCode.CONFIG_MISSING);
+  }
+
+  const client = new SpotifyClient({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    refreshToken: SPOTIFY_REFRESH_TOKEN,
+    onRefreshTokenRotated: createRefreshTokenSink(),
+  });
+
+  const stats = await getListeningStats({
+    history,
+    client,
+    window,
+    timeZone,
+    limit,
+  });
+
+  // Aggregates move slowly
+  res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate");
+
+  return res.status(200).json(stats);
+}
+
+module.exports = compose(
+  requestId(),
+  timing(),
+  securityHeaders(),
+  cors(),
+  allowMethods("GET"),
+  mapErrors({ fallback: "Failed to compute listening stats" }),
+  apiKeyAuth(),
+  rateLimit({ name: "stats", burst: 20, refillPerSecond: 0.2 }),
+  requireEnv(
+    "SPOTIFY_CLIENT_ID",
+    "SPOTIFY_CLIENT_SECRET",
+    "SPOTIFY_REFRESH_TOKEN",
+  ),
+  statsHandler,
+);
@@ -0,0 +1,529 @@
+/**
+ * Now Playing client
+ *
+ * Framework-agnostic loader for the now-playing endpoint. There is one
+ * client per URL, shared by everything that shows it: while anyone is
+ * subscribed it polls (or streams over SSE), revalidates with ETags, backs
+ * off on errors and pauses polling while the page is hidden. React
+ * components use it through useNowPlaying(); other UIs can subscribe
+ * directly:
+ *
+ *   const client = getNowPlayingClient("https://…/api/spotify/now-playing");
+ *   const unsubscribe = client.subscribe((state) => render(state));
+ */
+
+import type { ApiErrorCode, ApiErrorResponse } from "../types/spotify";
+
+export type { ApiErrorCode };
+
+export interface NowPlayingItem {
+  name: string;
+  type?: "track" | "episode";
+  duration_ms?: number;
+  artists?: string[];
+  album?: {
+    name: string;
+    images: Array<{ url: string }>;
+  };
+  // Podcast episodes only
+  description?: string;
+  images?: Array<{ url: string }>;
+  show?: {
+    name: string;
+    publisher: string;
+  };
+  external_urls?: {
+    spotify: string;
+  };
+}
+
+export interface NowPlayingResponse {
+  is_playing: boolean;
+  progress_ms?: number;
+  item?: NowPlayingItem;
+  currently_playing_type?: string;
+  last_played?: {
+    played_at: string;
+    item: NowPlayingItem;
+  };
+}
+
+export interface NowPlayingError {
+  message: string;
+  type: "api_error" | "network_error";
+  status?: number;
+  code?: ApiErrorCode;
+  timestamp: number;
+  canRetry: boolean;
+}
+
+export interface NowPlayingState {
+  data: NowPlayingResponse | null;
+  // When `data` was received, to interpolate playback progress from it
+  receivedAt: number | null;
+  error: NowPlayingError | null;
+  loading: boolean;
+  retrying: boolean;
+  retryCount: number;
+}
+
+export type NowPlayingListener = (state: NowPlayingState) => void;
+
+export interface NowPlayingClientOptions {
+  // "sse" streams from the endpoint's /stream route and falls back to polling
+  transport?: "poll" | "sse";
+}
+
+// A response stays fresh for one poll interval, so instances that mount in
+// between share it instead of fetching again
+const POLL_INTERVAL = {
+  PLAYING: 5 * 1000,
+  PAUSED: 60 * 1000,
+  ERROR: 30 * 1000,
+};
+const MAX_RETRIES = 3;
+
+// The stream sends a heartbeat every 15s; treat two missed ones as a stall
+const STREAM_STALL_TIMEOUT_MS = 35 * 1000;
+
+const INITIAL_STATE: NowPlayingState = {
+  data: null,
+  receivedAt: null,
+  error: null,
+  loading: true,
+  retrying: false,
+  retryCount: 0,
+};
+
+// Failed request, with what the error handling needs to know
+interface RequestError extends Error {
+  status?: number;
+  code?: ApiErrorCode;
+  retryAfter?: number;
+  shouldRetry?: boolean;
+}
+
+// Turns an error response into a message for people, by its stable code
+async function toRequestError(response: Response): Promise<RequestError> {
+  const body = (await response
+    .json()
+    .catch(() => null)) as Partial<ApiErrorResponse> | null;
+  let message: string;
+  let shouldRetry: boolean = body?.retryable ?? response.status >= 500;
+
+  switch (body?.code) {
+    case "AUTH_REFRESH_REVOKED":
+    case "AUTH_SCOPE_MISSING":
+      message =
+        "Spotify access was revoked or is incomplete - the account needs to be reconnected";
+      break;
+    case "AUTH_CLIENT_INVALID":
+    case "AUTH_FAILED":
+      message =
+        "Spotify authentication failed - please check your API credentials";
+      break;
+    case "UPSTREAM_RATE_LIMITED":
+    case "RATE_LIMITED":
+      message = "Too many requests - please wait a moment";
+      break;
+    case "QUOTA_EXCEEDED":
+      message = "Daily API quota reached - try again tomorrow";
+      // Retrying won't help until the quota resets
+      shouldRetry = false;
+      break;
+    case "UPSTREAM_UNAVAILABLE":
+    case "UPSTREAM_UNREACHABLE":
+      message = "Spotify API temporarily unavailable - please try again later";
+      break;
+    case "CONFIG_MISSING":
+    case "CONFIG_INVALID":
+      message = "The Now Playing API is not configured correctly";
+      break;
+    case "API_KEY_REQUIRED":
+    case "API_KEY_INVALID":
+      message = "The API key is missing or invalid";
+      break;
+    case "ORIGIN_NOT_ALLOWED":
+      message =
+        "This site is not allowed to use the API - add it to ALLOWED_ORIGINS";
+      break;
+    default:
+      message =
+        body?.error || `Unable to connect to Spotify (${response.status})`;
+  }
+
+  const error: RequestError = new Error(message);
+  error.status = response.status;
+  error.code = body?.code;
+  error.retryAfter = body?.retryAfter;
+  error.shouldRetry = shouldRetry;
+  return error;
+}
+
+// Exponential backoff: 1s, 2s, 4s… up to 30s, plus jitter so instances on
+// different pages don't retry in lockstep
+function getRetryDelay(attempt: number): number {
+  const delay = Math.min(1000 * Math.pow(2, attempt), 30 * 1000);
+  return delay + Math.random() * 1000;
+}
+
+// SSE endpoint that lives next to the now-playing endpoint
+function getStreamUrl(url: string): string {
+  const [path, query] = url.split("?");
+  return `${path!.replace(/\/$/, "")}/stream${query ? `?${query}` : ""}`;
+}
+
+function isPageHidden(): boolean {
+  return typeof document !== "undefined" && document.hidden;
+}
+
+export class NowPlayingClient {
+  readonly url: string;
+  readonly transport: "poll" | "sse";
+  private state: NowPlayingState = INITIAL_STATE;
+  private listeners = new Set<NowPlayingListener>();
+  // When the current data was last confirmed (a 304 confirms it again)
+  private checkedAt: number | null = null;
+  private etag: string | null = null;
+  private request: Promise<void> | null = null;
+  private pollTimer: ReturnType<typeof setTimeout> | undefined;
+  private nextPollAt: number | null = null;
+  private retryTimer: ReturnType<typeof setTimeout> | undefined;
+  private source: EventSource | null = null;
+  private stallTimer: ReturnType<typeof setTimeout> | undefined;
+  private streamFailed = false;
+
+  constructor(
+    url: string,
+    { transport = "poll" }: NowPlayingClientOptions = {},
+  ) {
+    this.url = url;
+    this.transport = transport;
+  }
+
+  // Current state; nothing is loaded until someone subscribes
+  getState(): NowPlayingState {
+    return this.listeners.size === 0 && !this.isFresh()
+      ? INITIAL_STATE
+      : this.state;
+  }
+
+  // Starts loading with the first subscriber; returns the unsubscribe function
+  subscribe(listener: NowPlayingListener): () => void {
+    this.listeners.add(listener);
+    if (this.listeners.size === 1) {
+      this.start();
+    }
+    return () => this.unsubscribe(listener);
+  }
+
+  // Stops polling and streaming once the last subscriber is gone
+  unsubscribe(listener: NowPlayingListener): void {
+    if (this.listeners.delete(listener) && this.listeners.size === 0) {
+      this.stop();
+    }
+  }
+
+  // Manual retry after an error: starts over with a fresh request
+  retry(): void {
+    clearTimeout(this.retryTimer);
+    this.streamFailed = false;
+    this.setState({
+      error: null,
+      retryCount: 0,
+      loading: true,
+      retrying: true,
+    });
+    if (this.listeners.size > 0 && this.isStreaming() && !this.source) {
+      this.openStream();
+    }
+    this.load();
+  }
+
+  get hasSubscribers(): boolean {
+    return this.listeners.size > 0;
+  }
+
+  private start(): void {
+    if (typeof document !== "undefined") {
+      document.addEventListener(
+        "visibilitychange",
+        this.handleVisibilityChange,
+      );
+    }
+
+    // Anything older than a poll interval is dropped rather than shown
+    const fresh = this.isFresh();
+    if (!fresh && this.state !== INITIAL_STATE) {
+      this.checkedAt = null;
+      this.etag = null;
+      this.setState(INITIAL_STATE);
+    }
+
+    if (this.isStreaming()) {
+      this.openStream();
+    } else if (fresh) {
+      this.schedulePoll(this.pollInterval() - (Date.now() - this.checkedAt!));
+    } else {
+      this.load();
+    }
+  }
+
+  private stop(): void {
+    if (typeof document !== "undefined") {
+      document.removeEventListener(
+        "visibilitychange",
+        this.handleVisibilityChange,
+      );
+    }
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.retryTimer);
+    this.nextPollAt = null;
+    this.closeStream();
+  }
+
+  private isFresh(): boolean {
+    return (
+      !!this.state.data &&
+      !this.state.error &&
+      this.checkedAt !== null &&
+      Date.now() - this.checkedAt < this.pollInterval()
+    );
+  }
+
+  // Adaptive polling: often while playing, rarely while paused or failing
+  private pollInterval(): number {
+    if (this.state.error) return POLL_INTERVAL.ERROR;
+    return this.state.data?.is_playing
+      ? POLL_INTERVAL.PLAYING
+      : POLL_INTERVAL.PAUSED;
+  }
+
+  private isStreaming(): boolean {
+    return (
+      this.transport === "sse" &&
+      !this.streamFailed &&
+      typeof EventSource !== "undefined"
+    );
+  }
+
+  private setState(patch: Partial<NowPlayingState>): void {
+    this.state =
+      patch === INITIAL_STATE ? INITIAL_STATE : { ...this.state, ...patch };
+    this.listeners.forEach((listener) => listener(this.state));
+  }
+
+  // One request at a time; callers during a request share it
+  private load(): Promise<void> {
+    if (!this.request) {
+      this.request = this.fetchState().finally(() => {
+        this.request = null;
+      });
+    }
+    return this.request;
+  }
+
+  private async fetchState(): Promise<void> {
+    clearTimeout(this.pollTimer);
+
+    try {
+      const headers: Record<string, string> = {
+        "Content-Type": "application/json",
+      };
+      if (this.etag) {
+        headers["If-None-Match"] = this.etag;
+      }
+
+      const response = await fetch(this.url, { method: "GET", headers });
+
+      // Not modified: the current data is still right, and keeps its
+      // receive time so progress interpolation stays right
+      if (response.status === 304 && this.etag && this.state.data) {
+        this.succeed(this.state.data, this.state.receivedAt ?? Date.now());
+        return;
+      }
+
+      if (!response.ok) {
+        throw await toRequestError(response);
+      }
+
+      const data = (await response.json()) as NowPlayingResponse;
+      this.etag = response.headers.get("ETag");
+      this.succeed(data, Date.now());
+    } catch (err) {
+      this.fail(err as RequestError);
+    }
+  }
+
+  private succeed(data: NowPlayingResponse, receivedAt: number): void {
+    this.checkedAt = Date.now();
+    this.setState({
+      data,
+      receivedAt,
+      error: null,
+      loading: false,
+      retrying: false,
+      retryCount: 0,
+    });
+    this.schedulePoll(this.pollInterval());
+  }
+
+  private fail(err: RequestError): void {
+    console.error("Fetch error:", err);
+    const { retryCount } = this.state;
+
+    // A request that fails after the last subscriber left isn't retried
+    const canRetryNow = this.listeners.size > 0 && retryCount < MAX_RETRIES;
+
+    if (err.shouldRetry && canRetryNow) {
+      // Honour the API's Retry-After when it sends one
+      const delay = err.retryAfter
+        ? err.retryAfter * 1000
+        : getRetryDelay(retryCount);
+      console.log(
+        `Retrying in ${delay}ms... (attempt ${retryCount + 1}/${MAX_RETRIES})`,
+      );
+
+      this.setState({ loading: false, retrying: false });
+      this.retryTimer = setTimeout(() => {
+        this.setState({
+          retryCount: this.state.retryCount + 1,
+          retrying: true,
+        });
+        this.load();
+      }, delay);
+      return;
+    }
+
+    this.setState({
+      error: {
+        message: err.message || "Unknown error",
+        type: err.status ? "api_error" : "network_error",
+        status: err.status,
+        code: err.code,
+        timestamp: Date.now(),
+        canRetry: retryCount < MAX_RETRIES,
+      },
+      loading: false,
+      retrying: false,
+    });
+    this.schedulePoll(POLL_INTERVAL.ERROR);
+  }
+
+  private schedulePoll(delay: number): void {
+    clearTimeout(this.pollTimer);
+    this.nextPollAt = null;
+    if (this.listeners.size === 0 || this.source) {
+      return;
+    }
+
+    this.nextPollAt = Date.now() + delay;
+    this.armPollTimer();
+  }
+
+  // Hidden pages don't poll; the poll that came due meanwhile runs when the
+  // page is shown again
+  private armPollTimer(): void {
+    clearTimeout(this.pollTimer);
+    if (this.nextPollAt === null || isPageHidden()) {
+      return;
+    }
+    this.pollTimer = setTimeout(
+      () => this.load(),
+      Math.max(0, this.nextPollAt - Date.now()),
+    );
+  }
+
+  private handleVisibilityChange = (): void => {
+    this.armPollTimer();
+  };
+
+  // Receive updates from the SSE endpoint; fall back to polling if it
+  // can't connect, reports an upstream error or stops sending heartbeats
+  private openStream(): void {
+    const source = new EventSource(getStreamUrl(this.url));
+    this.source = source;
+
+    source.addEventListener("now-playing", (event) => {
+      const data = JSON.parse(
+        (event as MessageEvent).data,
+      ) as NowPlayingResponse;
+      this.checkedAt = Date.now();
+      this.setState({
+        data,
+        receivedAt: Date.now(),
+        error: null,
+        loading: false,
+        retrying: false,
+        retryCount: 0,
+      });
+      this.resetStallTimer();
+    });
+    source.addEventListener("heartbeat", () => this.resetStallTimer());
+    source.addEventListener("spotify-error", () =>
+      this.fallBackToPolling("Spotify error"),
+    );
+    // EventSource reconnects by itself unless the connection was refused
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        this.fallBackToPolling("connection failed");
+      }
+    };
+
+    this.resetStallTimer();
+  }
+
+  private closeStream(): void {
+    clearTimeout(this.stallTimer);
+    this.source?.close();
+    this.source = null;
+  }
+
+  private resetStallTimer(): void {
+    clearTimeout(this.stallTimer);
+    this.stallTimer = setTimeout(
+      () => this.fallBackToPolling("stalled"),
+      STREAM_STALL_TIMEOUT_MS,
+    );
+  }
+
+  private fallBackToPolling(reason: string): void {
+    console.warn(
+      `Now playing stream unavailable (${reason}), falling back to polling`,
+    );
+    this.closeStream();
+    this.streamFailed = true;
+    this.load();
+  }
+}
+
+// Clients by transport and URL, shared by every instance on the page
+const clients = new Map<string, NowPlayingClient>();
+
+/**
+ * Returns the shared client for a now-playing URL
+ * @param url - Endpoint URL, including any query (e.g. include_last_played)
+ * @param options - Client options
+ */
+export function getNowPlayingClient(
+  url: string,
+  options: NowPlayingClientOptions = {},
+): NowPlayingClient {
+  const key = `${options.transport ?? "poll"} ${url}`;
+  let client = clients.get(key);
+  if (!client) {
+    client = new NowPlayingClient(url, options);
+    clients.set(key, client);
+  }
+  return client;
+}
+
+// Forgets clients nobody is subscribed to, and with them their cached
+// responses, so the next subscriber starts with a fresh request
+export function clearIdleNowPlayingClients(): void {
+  clients.forEach((client, key) => {
+    if (!client.hasSubscribers) {
+      clients.delete(key);
+    }
+  });
+}
@@ -1,7 +1,6 @@
 import React, {
   useEffect,
   useState,
-  useRef,
   useCallback,
   lazy,
   Suspense,
@@ -12,6 +11,11 @@ import React, {
 } from "react";
 import { motion } from "framer-motion";
 import { addPropertyControls, ControlType } from "framer";
+import {
+  clearIdleNowPlayingClients,
+  NowPlayingResponse,
+} from "./NowPlayingClient";
+import { useNowPlaying } from "./useNowPlaying";
 
 // Polyfill for useIsStaticRenderer if not available
 const useIsStaticRenderer = (): boolean => {
@@ -50,7 +54,16 @@ interface SpotifyNowPlayingProps {
   customSvg1?: string;
   customSvg2?: string;
   apiUrl?: string;
+  transport?: "poll" | "sse";
   enableSpotifyLink?: boolean;
+  hidePodcasts?: boolean;
+  hideEpisodeDescription?: boolean;
+  showLastPlayed?: boolean;
+  showProgressBar?: boolean;
+  progressBarColor?: string;
+  progressBarHeight?: number;
+  progressBarPosition?: "inline" | "bottom";
+  showProgressTime?: boolean;
 }
 
 interface AnimatedMusicNoteProps {
@@ -69,30 +82,6 @@ interface AnimatedMusicNoteProps {
   customSvg2?: string;
 }
 
-interface SpotifyError {
-  message: string;
-  type: "api_error" | "network_error" | "unknown";
-  status?: number;
-  timestamp: number;
-  canRetry: boolean;
-}
-
-interface TrackState {
-  is_playing: boolean;
-  item?: {
-    name: string;
-    artists: string[];
-    album?: {
-      name: string;
-      images: Array<{ url: string }>;
-    };
-    external_urls?: {
-      spotify: string;
-    };
-  };
-  currently_playing_type?: string;
-}
-
 interface SpotifyErrorBoundaryState {
   hasError: boolean;
   error: string | null;
@@ -100,27 +89,6 @@ interface SpotifyErrorBoundaryState {
   retryCount: number;
 }
 
-interface CacheEntry<T> {
-  data: T;
-  timestamp: number;
-}
-
-interface NowPlayingResponse {
-  is_playing: boolean;
-  item?: {
-    name: string;
-    artists: string[];
-    album?: {
-      name: string;
-      images: Array<{ url: string }>;
-    };
-    external_urls?: {
-      spotify: string;
-    };
-  };
-  currently_playing_type?: string;
-}
-
 // Error Boundary Component
 class SpotifyErrorBoundary extends Component<
   SpotifyNowPlayingProps & { children: ReactNode },
@@ -154,6 +122,9 @@ class SpotifyErrorBoundary extends Component<
   }
 
   handleRetry = (): void => {
+    // The widget unmounted when it crashed; drop the response it was
+    // showing so the remount fetches again instead of re-rendering it
+    clearIdleNowPlayingClients();
     this.setState({
       hasError: false,
       error: null,
@@ -264,67 +235,33 @@ class SpotifyErrorBoundary extends Component<
   }
 }
 
-// Global cache and request management for multiple component instances
-const globalCache = new Map<string, CacheEntry<NowPlayingResponse>>();
-const pendingRequests = new Map<string, Promise<Response>>();
-const CACHE_TTL = {
-  PLAYING: 5 * 1000, // 5 seconds when playing
-  PAUSED: 60 * 1000, // 60 seconds when paused
-  ERROR: 30 * 1000, // 30 seconds on error
-};
+const PROGRESS_TICK_MS = 250;
 
-// Request deduplication utility
-async function deduplicatedFetch(
-  url: string,
-  options: RequestInit = {},
-): Promise<Response> {
-  const cacheKey = `${url}-${JSON.stringify(options)}`;
+// Playback position as m:ss, or h:mm:ss for long podcast episodes
+function formatDuration(ms: number): string {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
 
-  // If there's already a pending request for this URL, wait for it
-  if (pendingRequests.has(cacheKey)) {
-    return pendingRequests.get(cacheKey)!;
-  }
-
-  // Create new request
-  const requestPromise = fetch(url, options).finally(() => {
-    pendingRequests.delete(cacheKey);
-  });
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
 }
 
-// Intelligent caching utility
-function getCachedData(
-  url: string,
-  isPlaying: boolean,
-): NowPlayingResponse | null {
-  const cacheKey = `${url}-${isPlaying}`;
-  const cached = globalCache.get(cacheKey);
-
-  if (!cached) return null;
+// Relative time for "Last played" labels, e.g. "12 min ago"
+function formatTimeAgo(timestamp: string): string {
+  const elapsed = Math.max(0, Date.now() - new Date(timestamp).getTime());
+  const minutes = Math.floor(elapsed / 60000);
 
-  const now = Date.now();
-  const ttl = isPlaying ? CACHE_TTL.PLAYING : CACHE_TTL.PAUSED;
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
 
-  if (now - cached.timestamp > ttl) {
-    globalCache.delete(cacheKey);
-    return null;
-  }
-
-  return cached.data;
-}
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hr ago`;
 
-function setCachedData(
-  url: string,
-  isPlaying: boolean,
-  data: NowPlayingResponse,
-): void {
-  const cacheKey = `${url}-${isPlaying}`;
-  globalCache.set(cacheKey, {
-    data,
-    timestamp: Date.now(),
-  });
+  const days = Math.floor(hours / 24);
+  return days === 1 ? "yesterday" : `${days} days ago`;
 }
 
 // Animated Music Note Component (defined before lazy loading)
@@ -670,202 +607,66 @@ const SpotifyNowPlaying = React.memo<SpotifyNowPlayingProps>(
       customSvg1 = "",
       customSvg2 = "",
       apiUrl = "https://corner16-now-playing-6suud6888-sauce-projects-7fcf076e.vercel.app/api/spotify/now-playing",
+      transport = "poll",
       enableSpotifyLink = true,
+      hidePodcasts = false,
+      hideEpisodeDescription = false,
+      showLastPlayed = true,
+      showProgressBar = true,
+      progressBarColor = "#1DB954",
+      progressBarHeight = 3,
+      progressBarPosition = "inline",
+      showProgressTime = true,
     } = props;
 
-    const [track, setTrack] = useState<TrackState | null>(null);
-    const [loading, setLoading] = useState<boolean>(true);
-    const [error, setError] = useState<SpotifyError | null>(null);
-    const [retryCount, setRetryCount] = useState<number>(0);
-    const [isRetrying, setIsRetrying] = useState<boolean>(false);
-    const retryCountRef = useRef<number>(0);
-    const intervalRef = useRef<number | null>(null);
-    const timeoutRef = useRef<number | null>(null);
-    const isPlayingRef = useRef<boolean>(false);
-
-    // Exponential backoff calculation (memoized)
-    const getRetryDelay = useCallback((attempt: number): number => {
-      const baseDelay = 1000; // 1 second base delay
-      const maxDelay = 30000; // 30 seconds max delay
-      const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
-      return delay + Math.random() * 1000; // Add jitter to prevent thundering herd
-    }, []);
-
-    // Adaptive polling intervals (memoized)
-    const getPollingInterval = useCallback(
-      (isPlaying: boolean, hasError: boolean): number => {
-        if (hasError) return 30000; // 30s on error
-        return isPlaying ? 5000 : 60000; // 5s when playing, 60s when paused
-      },
-      [],
-    );
-
-    // Optimized fetch function with caching and deduplication (memoized)
-    const fetchData = useCallback(
-      async (isRetry: boolean = false): Promise<void> => {
-        try {
-          if (isRetry) {
-            setIsRetrying(true);
-          }
-
-          // Check cache first
-          const cachedData = getCachedData(apiUrl, isPlayingRef.current);
-          if (cachedData && !isRetry) {
-            setTrack(cachedData);
-            setError(null);
-            retryCountRef.current = 0;
-            setRetryCount(0);
-            setIsRetrying(false);
-            return;
-          }
-
-          const response = await deduplicatedFetch(apiUrl, {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-            },
-          });
-
-          if (!response.ok) {
-            let errorMessage: string;
-            let shouldRetry: boolean = false;
-
-            switch (response.status) {
-              case 401:
-                errorMessage =
-                  "Spotify authentication failed - please check your API credentials";
-                shouldRetry = false;
-                break;
-              case 403:
-                errorMessage =
-                  "Spotify access denied - check your app permissions";
-                shouldRetry = false;
-                break;
-              case 429:
-                errorMessage =
-                  "Too many requests - Spotify rate limit exceeded";
-                shouldRetry = true;
-                break;
-              case 500:
-              case 502:
-              case 503:
-              case 504:
-                errorMessage =
-                  "Spotify API temporarily unavailable - please try again later";
-                shouldRetry = true;
-                break;
-              default:
-                errorMessage = `Unable to connect to Spotify (${response.status})`;
-                shouldRetry = response.status >= 500;
-            }
+    const [progressMs, setProgressMs] = useState<number>(0);
+    const isStatic = useIsStaticRenderer();
 
-            const error: any = new Error(errorMessage);
-            error.status = response.status;
-            error.shouldRetry = shouldRetry;
-            throw error;
-          }
-
-          const jsonData = (await response.json()) as TrackState;
-
-          // Update playing state reference
-          isPlayingRef.current = jsonData.is_playing || false;
-
-          // Cache the data
-          setCachedData(apiUrl, isPlayingRef.current, jsonData);
-
-          setTrack(jsonData);
-          setError(null);
-          retryCountRef.current = 0;
-          setRetryCount(0);
-        } catch (err) {
-          console.error("Fetch error:", err);
-
-          const errorObj = err as any;
-          const shouldRetry = errorObj.shouldRetry && retryCountRef.current < 3;
-
-          if (shouldRetry) {
-            const delay = getRetryDelay(retryCountRef.current);
-            console.log(
-              `Retrying in ${delay}ms... (attempt ${retryCountRef.current + 1}/3)`,
-            );
-
-            timeoutRef.current = setTimeout(() => {
-              retryCountRef.current += 1;
-              setRetryCount(retryCountRef.current);
-              fetchData(true);
-            }, delay) as unknown as number;
-          } else {
-            setError({
-              message: errorObj.message || "Unknown error",
-              type: errorObj.status ? "api_error" : "network_error",
-              status: errorObj.status,
-              timestamp: Date.now(),
-              canRetry: retryCountRef.current < 3,
-            });
-          }
-        } finally {
-          setLoading(false);
-          setIsRetrying(false);
-        }
-      },
-      [apiUrl, getRetryDelay],
-    );
+    // Polling, caching, backoff and the SSE stream live in the shared client
+    const {
+      data: track,
+      receivedAt,
+      error,
+      loading,
+      retrying: isRetrying,
+      retryCount,
+      retry: handleRetry,
+    } = useNowPlaying(apiUrl, {
+      includeLastPlayed: showLastPlayed,
+      transport: transport === "sse" && !isStatic ? "sse" : "poll",
+    });
 
-    // Schedule next poll based on current state (memoized)
-    const scheduleNextPoll = useCallback((): void => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
+    // Interpolate playback progress between polls; every new response re-syncs
+    useEffect(() => {
+      if (!showProgressBar || !track?.is_playing) {
+        return;
       }
 
-      const isPlaying = isPlayingRef.current;
-      const hasError = !!error;
-      const interval = getPollingInterval(isPlaying, hasError);
-
-      console.log(
-        `Scheduling next poll in ${interval}ms (playing: ${isPlaying}, error: ${hasError})`,
-      );
-
-      intervalRef.current = setTimeout(() => {
-        fetchData();
-      }, interval) as unknown as number;
-    }, [error, getPollingInterval, fetchData]);
-
-    // Manual retry function (memoized)
-    const handleRetry = useCallback((): void => {
-      setError(null);
-      retryCountRef.current = 0;
-      setRetryCount(0);
-      setLoading(true);
-      fetchData(true);
-    }, [fetchData]);
-
-    useEffect(() => {
-      fetchData();
+      const durationMs = track.item?.duration_ms || 0;
+      const baseProgressMs = track.progress_ms || 0;
+      const syncedAt = receivedAt ?? Date.now();
 
-      return () => {
-        if (intervalRef.current) {
-          clearTimeout(intervalRef.current);
-        }
-        if (timeoutRef.current) {
-          clearTimeout(timeoutRef.current);
-        }
+      const updateProgress = (): void => {
+        setProgressMs(
+          Math.min(baseProgressMs + (Date.now() - syncedAt), durationMs),
+        );
       };
-    }, [fetchData]);
 
-    // Schedule next poll when track or error state changes
-    useEffect(() => {
-      if (!loading) {
-        scheduleNextPoll();
+      updateProgress();
+      if (isStatic) {
+        return;
       }
-    }, [track, error, loading, scheduleNextPoll]);
+
+      const tick = setInterval(updateProgress, PROGRESS_TICK_MS);
+      return () => clearInterval(tick);
+    }, [track, receivedAt, showProgressBar, isStatic]);
 
     // Check if current content is a podcast (memoized)
     const isPodcast = useMemo(
       () =>
-        track &&
+        !!track &&
         (track.currently_playing_type === "episode" ||
-          (track as any).item?.type === "episode" ||
-          (track.item && !track.item.artists)),
+          track.item?.type === "episode"),
       [track],
     );
 
@@ -1065,8 +866,12 @@ const SpotifyNowPlaying = React.memo<SpotifyNowPlayingProps>(
       );
     }
 
-    // Show "not playing" state for: not playing, paused, or podcast content
-    if (!track?.is_playing || isPodcast) {
+    // Last played track, shown instead of an empty card when nothing is playing
+    const lastPlayed =
+      showLastPlayed && !track?.is_playing ? track?.last_played : undefined;
+
+    // Show "not playing" state for: not playing, paused, or hidden podcasts
+    if ((!track?.is_playing && !lastPlayed) || (isPodcast && hidePodcasts)) {
       return (
         <div
           style={{
@@ -1122,10 +927,50 @@ const SpotifyNowPlaying = React.memo<SpotifyNowPlayingProps>(
       );
     }
 
-    // Get track and artist info (only for music tracks)
-    const trackName = track.item?.name || "Unknown Track";
-    const artistName = track.item?.artists?.join(", ") || "Unknown Artist";
-    const albumName = track.item?.album?.name || "Unknown Album";
+    // Get track and artist info - episodes show the show and publisher instead
+    const item: NowPlayingResponse["item"] = lastPlayed
+      ? lastPlayed.item
+      : track?.item;
+    const trackName =
+      item?.name || (isPodcast ? "Unknown Episode" : "Unknown Track");
+    const artistName = isPodcast
+      ? item?.show?.name || "Unknown Show"
+      : item?.artists?.join(", ") || "Unknown Artist";
+    const albumName = isPodcast
+      ? item?.show?.publisher || "Unknown Publisher"
+      : item?.album?.name || "Unknown Album";
+    const coverImage = isPodcast
+      ? item?.images?.[2] || item?.images?.[0]
+      : item?.album?.images?.[2];
+    const episodeDescription =
+      isPodcast && !hideEpisodeDescription ? item?.description : "";
+    const lastPlayedLabel = lastPlayed
+      ? `Last played · ${formatTimeAgo(lastPlayed.played_at)}`
+      : "";
+
+    // Progress bar (live playback only)
+    const durationMs = item?.duration_ms || 0;
+    const showProgress = showProgressBar && !lastPlayed && durationMs > 0;
+    const isBottomProgressBar = progressBarPosition === "bottom";
+    const progressBar = (
+      <div
+        style={{
+          height: `${progressBarHeight}px`,
+          background: getTextColor(0.15),
+          borderRadius: isBottomProgressBar ? 0 : `${progressBarHeight}px`,
+          overflow: "hidden",
+        }}
+      >
+        <div
+          style={{
+            width: `${(progressMs / durationMs) * 100}%`,
+            height: "100%",
+            background: progressBarColor,
+            transition: `width ${PROGRESS_TICK_MS}ms linear`,
+          }}
+        />
+      </div>
+    );
 
     return (
       <div
@@ -1136,13 +981,16 @@ const SpotifyNowPlaying = React.memo<SpotifyNowPlayingProps>(
           color: fontColor,
           fontFamily: font,
           maxWidth: "400px",
+          ...(showProgress && isBottomProgressBar
+            ? { position: "relative", overflow: "hidden" }
+            : {}),
           ...backgroundStyle,
         }}
       >
-        {!hideAlbumCover && track.item?.album?.images?.[2] && (
+        {!hideAlbumCover && coverImage && (
           <img
-            src={track.item.album.images[2].url}
-            alt="Album cover"
+            src={coverImage.url}
+            alt={isPodcast ? "Episode cover" : "Album cover"}
             style={{
               width: `${albumCoverSize}px`,
               height: `${albumCoverSize}px`,
@@ -1162,16 +1010,31 @@ const SpotifyNowPlaying = React.memo<SpotifyNowPlayingProps>(
             minWidth: 0,
             overflow: "hidden",
             cursor:
-              enableSpotifyLink && track.item?.external_urls?.spotify
+              enableSpotifyLink && item?.external_urls?.spotify
                 ? "pointer"
                 : "default",
           }}
           onClick={() => {
-            if (enableSpotifyLink && track.item?.external_urls?.spotify) {
-              window.open(track.item.external_urls.spotify, "_blank");
+            if (enableSpotifyLink && item?.external_urls?.spotify) {
+              window.open(item.external_urls.spotify, "_blank");
             }
           }}
         >
+          {lastPlayedLabel && (
+            <div
+              style={{
+                marginBottom: "2px",
+                fontWeight: "normal",
+                fontSize: `${fontSize * 0.75}px`,
+                color: getTextColor(0.7),
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+              }}
+            >
+              {lastPlayedLabel}
+            </div>
+          )}
           {singleLine ? (
             <div
               style={{
@@ -1231,47 +1094,92 @@ const SpotifyNowPlaying = React.memo<SpotifyNowPlayingProps>(
                   </div>
                 </div>
               )}
+              {episodeDescription && (
+                <div
+                  style={{
+                    marginTop: "4px",
+                    fontWeight: fontWeight === "bold" ? "normal" : fontWeight,
+                    fontSize: `${fontSize * 0.75}px`,
+                    color: getTextColor(0.7),
+                    display: "-webkit-box",
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: "vertical",
+                    overflow: "hidden",
+                  }}
+                >
+                  {episodeDescription}
+                </div>
+              )}
             </>
           )}
-        </div>
-        <div style={{ marginLeft: "12px" }}>
-          {showAnimatedIcon ? (
-            <Suspense
-              fallback={
-                <AnimationFallback
-                  iconSize={iconSize}
-                  fallbackIcon={fallbackIcon}
-                />
-              }
-            >
-              <LazyAnimatedMusicNote
-                color={iconColor}
-                size={iconSize}
-                animationSpeed={animationSpeed}
-                symbolType={symbolType}
-                showFloatingSymbols={showFloatingSymbols}
-                centralSymbolMode={centralSymbolMode}
-                centralCustomText={centralCustomText}
-                centralCustomSvg={centralCustomSvg}
-                customSymbolMode={customSymbolMode}
-                customSymbol1={customSymbol1}
-                customSymbol2={customSymbol2}
-                customSvg1={customSvg1}
-                customSvg2={customSvg2}
-              />
-            </Suspense>
-          ) : (
-            <div
-              style={{
-                fontSize: `${iconSize}px`,
-                color: getTextColor(1),
-                flexShrink: 0,
-              }}
-            >
-              {fallbackIcon}
+          {showProgress && (!isBottomProgressBar || showProgressTime) && (
+            <div style={{ marginTop: "6px" }}>
+              {!isBottomProgressBar && progressBar}
+              {showProgressTime && (
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    marginTop: isBottomProgressBar ? "0" : "4px",
+                    fontWeight: "normal",
+                    fontSize: `${fontSize * 0.7}px`,
+                    color: getTextColor(0.7),
+                    fontVariantNumeric: "tabular-nums",
+                  }}
+                >
+                  <span>{formatDuration(progressMs)}</span>
+                  <span>-{formatDuration(durationMs - progressMs)}</span>
+                </div>
+              )}
             </div>
           )}
         </div>
+        {/* The animated icon signals live playback, so skip it for last played */}
+        {!lastPlayed && (
+          <div style={{ marginLeft: "12px" }}>
+            {showAnimatedIcon ? (
+              <Suspense
+                fallback={
+                  <AnimationFallback
+                    iconSize={iconSize}
+                    fallbackIcon={fallbackIcon}
+                  />
+                }
+              >
+                <LazyAnimatedMusicNote
+                  color={iconColor}
+                  size={iconSize}
+                  animationSpeed={animationSpeed}
+                  symbolType={symbolType}
+                  showFloatingSymbols={showFloatingSymbols}
+                  centralSymbolMode={centralSymbolMode}
+                  centralCustomText={centralCustomText}
+                  centralCustomSvg={centralCustomSvg}
+                  customSymbolMode={customSymbolMode}
+                  customSymbol1={customSymbol1}
+                  customSymbol2={customSymbol2}
+                  customSvg1={customSvg1}
+                  customSvg2={customSvg2}
+                />
+              </Suspense>
+            ) : (
+              <div
+                style={{
+                  fontSize: `${iconSize}px`,
+                  color: getTextColor(1),
+                  flexShrink: 0,
+                }}
+              >
+                {fallbackIcon}
+              </div>
+            )}
+          </div>
+        )}
+        {showProgress && isBottomProgressBar && (
+          <div style={{ position: "absolute", left: 0, right: 0, bottom: 0 }}>
+            {progressBar}
+          </div>
+        )}
       </div>
     );
   },
@@ -1298,6 +1206,13 @@ addPropertyControls(SpotifyNowPlayingWithErrorBoundary, {
       "https://corner16-now-playing-6suud6888-sauce-projects-7fcf076e.vercel.app/api/spotify/now-playing",
     placeholder: "Enter your deployed API URL",
   },
+  transport: {
+    type: ControlType.Enum,
+    title: "Updates",
+    options: ["poll", "sse"],
+    optionTitles: ["Polling", "Live Stream (SSE)"],
+    defaultValue: "poll",
+  },
   enableSpotifyLink: {
     type: ControlType.Boolean,
     title: "Click to Open in Spotify",
@@ -1397,6 +1312,71 @@ addPropertyControls(SpotifyNowPlayingWithErrorBoundary, {
     defaultValue: false,
   },
 
+  // Podcast Controls
+  hidePodcasts: {
+    type: ControlType.Boolean,
+    title: "Hide Podcasts",
+    defaultValue: false,
+    enabledTitle: "Hide",
+    disabledTitle: "Show",
+  },
+  hideEpisodeDescription: {
+    type: ControlType.Boolean,
+    title: "Hide Episode Description",
+    defaultValue: false,
+    hidden: (props) => props.hidePodcasts === true,
+  },
+
+  // Progress Bar Controls
+  showProgressBar: {
+    type: ControlType.Boolean,
+    title: "Progress Bar",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+  progressBarColor: {
+    type: ControlType.Color,
+    title: "Progress Color",
+    defaultValue: "#1DB954",
+    hidden: (props) => props.showProgressBar === false,
+  },
+  progressBarHeight: {
+    type: ControlType.Number,
+    title: "Progress Height",
+    defaultValue: 3,
+    min: 1,
+    max: 12,
+    step: 1,
+    unit: "px",
+    hidden: (props) => props.showProgressBar === false,
+  },
+  progressBarPosition: {
+    type: ControlType.Enum,
+    title: "Progress Position",
+    options: ["inline", "bottom"],
+    optionTitles: ["Below Text", "Card Bottom Edge"],
+    defaultValue: "inline",
+    hidden: (props) => props.showProgressBar === false,
+  },
+  showProgressTime: {
+    type: ControlType.Boolean,
+    title: "Elapsed / Remaining",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+    hidden: (props) => props.showProgressBar === false,
+  },
+
+  // Not Playing Controls
+  showLastPlayed: {
+    type: ControlType.Boolean,
+    title: "Show Last Played",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+
   // Album Cover Controls
   hideAlbumCover: {
     type: ControlType.Boolean,
@@ -1,6 +1,7 @@
-import React, { useEffect, useState, useRef, useCallback } from "react";
+import React, { useState } from "react";
 import { motion } from "framer-motion";
 import { addPropertyControls, ControlType } from "framer";
+import { useNowPlaying } from "./useNowPlaying";
 
 // Simple animated music note component
 const AnimatedMusicNote = ({ color, size, speed }) => {
@@ -40,10 +41,6 @@ const AnimatedMusicNote = ({ color, size, speed }) => {
   }
 };
 
-// Global cache for request optimization
-const globalCache = new Map();
-const CACHE_TTL = 5000; // 5 seconds
-
 // Main component
 const SpotifyNowPlaying = (props) => {
   // Extract props with defaults
@@ -66,71 +63,8 @@ const SpotifyNowPlaying = (props) => {
   const apiUrl = props.apiUrl || "https://corner16-now-playing-135s3pi0h-sauce-projects-7fcf076e.vercel.app/api/spotify/now-playing";
   const enableSpotifyLink = props.enableSpotifyLink !== false;
 
-  const [track, setTrack] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const intervalRef = useRef(null);
-
-  // Simple fetch function with basic caching
-  const fetchData = useCallback(async () => {
-    try {
-      // Check cache first
-      const cached = globalCache.get(apiUrl);
-      if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        setTrack(cached.data);
-        setError(null);
-        setLoading(false);
-        return;
-      }
-
-      const response = await fetch(apiUrl, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
-      }
-
-      const jsonData = await response.json();
-
-      // Cache the data
-      globalCache.set(apiUrl, {
-        data: jsonData,
-        timestamp: Date.now(),
-      });
-
-      setTrack(jsonData);
-      setError(null);
-    } catch (err) {
-      console.error("Fetch error:", err);
-      setError({
-        message: err.message || "Failed to fetch data",
-        type: "api_error",
-        canRetry: true,
-      });
-    } finally {
-      setLoading(false);
-    }
-  }, [apiUrl]);
-
-  // Setup polling
-  useEffect(() => {
-    fetchData();
-
-    // Set up polling interval
-    intervalRef.current = setInterval(() => {
-      fetchData();
-    }, track?.is_playing ? 5000 : 30000); // 5s when playing, 30s when not
-
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
-    };
-  }, [fetchData, track?.is_playing]);
+  // Shared polling and caching (see NowPlayingClient.ts)
+  const { data: track, error, loading, retry } = useNowPlaying(apiUrl);
 
   // Background styles
   const backgroundStyle = removeBackground
@@ -212,11 +146,7 @@ const SpotifyNowPlaying = (props) => {
         </div>
         {error.canRetry && (
           <button
-            onClick={() => {
-              setError(null);
-              setLoading(true);
-              fetchData();
-            }}
+            onClick={retry}
             style={{
               padding: "8px 16px",
               background: "#1976d2",
@@ -261,10 +191,21 @@ const SpotifyNowPlaying = (props) => {
     );
   }
 
-  // Playing state
-  const trackName = track.item?.name || "Unknown Track";
-  const artistName = track.item?.artists?.join(", ") || "Unknown Artist";
-  const albumName = track.item?.album?.name || "Unknown Album";
+  // Playing state - episodes show the show and publisher instead
+  const item = track.item;
+  const isPodcast =
+    track.currently_playing_type === "episode" || item?.type === "episode";
+  const trackName =
+    item?.name || (isPodcast ? "Unknown Episode" : "Unknown Track");
+  const artistName = isPodcast
+    ? item?.show?.name || "Unknown Show"
+    : item?.artists?.join(", ") || "Unknown Artist";
+  const albumName = isPodcast
+    ? item?.show?.publisher || "Unknown Publisher"
+    : item?.album?.name || "Unknown Album";
+  const coverImage = isPodcast
+    ? item?.images?.[2] || item?.images?.[0]
+    : item?.album?.images?.[2];
 
   return (
     <div
@@ -278,10 +219,10 @@ const SpotifyNowPlaying = (props) => {
         ...backgroundStyle,
       }}
     >
-      {!hideAlbumCover && track.item?.album?.images?.[2] && (
+      {!hideAlbumCover && coverImage && (
         <img
-          src={track.item.album.images[2].url}
-          alt="Album cover"
+          src={coverImage.url}
+          alt={isPodcast ? "Episode cover" : "Album cover"}
           style={{
             width: `${albumCoverSize}px`,
             height: `${albumCoverSize}px`,
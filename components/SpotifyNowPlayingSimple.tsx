@@ -1,6 +1,7 @@
-import React, { useEffect, useState, useRef, useCallback, useMemo } from "react";
+import React, { useState, useCallback, useMemo } from "react";
 import { motion } from "framer-motion";
 import { addPropertyControls, ControlType } from "framer";
+import { useNowPlaying } from "./useNowPlaying";
 
 // Simple TypeScript interfaces
 interface SpotifyNowPlayingProps {
@@ -24,28 +25,6 @@ interface SpotifyNowPlayingProps {
   enableSpotifyLink?: boolean;
 }
 
-interface SpotifyError {
-  message: string;
-  type: string;
-  canRetry: boolean;
-}
-
-interface TrackState {
-  is_playing: boolean;
-  item?: {
-    name: string;
-    artists: string[];
-    album?: {
-      name: string;
-      images: Array<{ url: string }>;
-    };
-    external_urls?: {
-      spotify: string;
-    };
-  };
-  currently_playing_type?: string;
-}
-
 // Simple animated music note component
 const AnimatedMusicNote: React.FC<{ color: string; size: number; speed: number }> = ({
   color,
@@ -92,10 +71,6 @@ const AnimatedMusicNote: React.FC<{ color: string; size: number; speed: number }
   }
 };
 
-// Global cache for request optimization
-const globalCache = new Map<string, { data: any; timestamp: number }>();
-const CACHE_TTL = 5000; // 5 seconds
-
 // Main component
 const SpotifyNowPlaying: React.FC<SpotifyNowPlayingProps> = (props) => {
   const {
@@ -119,71 +94,8 @@ const SpotifyNowPlaying: React.FC<SpotifyNowPlayingProps> = (props) => {
     enableSpotifyLink = true,
   } = props;
 
-  const [track, setTrack] = useState<TrackState | null>(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState<SpotifyError | null>(null);
-  const intervalRef = useRef<any>(null);
-
-  // Simple fetch function with basic caching
-  const fetchData = useCallback(async () => {
-    try {
-      // Check cache first
-      const cached = globalCache.get(apiUrl);
-      if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        setTrack(cached.data);
-        setError(null);
-        setLoading(false);
-        return;
-      }
-
-      const response = await fetch(apiUrl, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
-      }
-
-      const jsonData = await response.json();
-
-      // Cache the data
-      globalCache.set(apiUrl, {
-        data: jsonData,
-        timestamp: Date.now(),
-      });
-
-      setTrack(jsonData);
-      setError(null);
-    } catch (err: any) {
-      console.error("Fetch error:", err);
-      setError({
-        message: err.message || "Failed to fetch data",
-        type: "api_error",
-        canRetry: true,
-      });
-    } finally {
-      setLoading(false);
-    }
-  }, [apiUrl]);
-
-  // Setup polling
-  useEffect(() => {
-    fetchData();
-
-    // Set up polling interval
-    intervalRef.current = setInterval(() => {
-      fetchData();
-    }, track?.is_playing ? 5000 : 30000); // 5s when playing, 30s when not
-
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
-    };
-  }, [fetchData, track?.is_playing]);
+  // Shared polling and caching (see NowPlayingClient.ts)
+  const { data: track, error, loading, retry } = useNowPlaying(apiUrl);
 
   // Background styles
   const backgroundStyle = useMemo(() => {
@@ -271,11 +183,7 @@ const SpotifyNowPlaying: React.FC<SpotifyNowPlayingProps> = (props) => {
         </div>
         {error.canRetry && (
           <button
-            onClick={() => {
-              setError(null);
-              setLoading(true);
-              fetchData();
-            }}
+            onClick={retry}
             style={{
               padding: "8px 16px",
               background: "#1976d2",
@@ -320,10 +228,21 @@ const SpotifyNowPlaying: React.FC<SpotifyNowPlayingProps> = (props) => {
     );
   }
 
-  // Playing state
-  const trackName = track.item?.name || "Unknown Track";
-  const artistName = track.item?.artists?.join(", ") || "Unknown Artist";
-  const albumName = track.item?.album?.name || "Unknown Album";
+  // Playing state - episodes show the show and publisher instead
+  const item = track.item;
+  const isPodcast =
+    track.currently_playing_type === "episode" || item?.type === "episode";
+  const trackName =
+    item?.name || (isPodcast ? "Unknown Episode" : "Unknown Track");
+  const artistName = isPodcast
+    ? item?.show?.name || "Unknown Show"
+    : item?.artists?.join(", ") || "Unknown Artist";
+  const albumName = isPodcast
+    ? item?.show?.publisher || "Unknown Publisher"
+    : item?.album?.name || "Unknown Album";
+  const coverImage = isPodcast
+    ? item?.images?.[2] || item?.images?.[0]
+    : item?.album?.images?.[2];
 
   return (
     <div
@@ -337,10 +256,10 @@ const SpotifyNowPlaying: React.FC<SpotifyNowPlayingProps> = (props) => {
         ...backgroundStyle,
       }}
     >
-      {!hideAlbumCover && track.item?.album?.images?.[2] && (
+      {!hideAlbumCover && coverImage && (
         <img
-          src={track.item.album.images[2].url}
-          alt="Album cover"
+          src={coverImage.url}
+          alt={isPodcast ? "Episode cover" : "Album cover"}
           style={{
             width: `${albumCoverSize}px`,
             height: `${albumCoverSize}px`,
@@ -0,0 +1,682 @@
+import React, { useEffect, useState, useCallback, useMemo } from "react";
+import { addPropertyControls, ControlType } from "framer";
+
+// TypeScript interfaces defined inline
+interface SpotifyStatsProps {
+  font?: string;
+  fontSize?: number;
+  fontWeight?: string;
+  fontColor?: string;
+  hideAlbumCover?: boolean;
+  albumCoverSize?: number;
+  albumCoverRadius?: number;
+  removeBackground?: boolean;
+  backgroundColor?: string;
+  backgroundRadius?: number;
+  hideAlbumName?: boolean;
+  apiUrl?: string;
+  enableSpotifyLink?: boolean;
+  window?: "7d" | "30d" | "all";
+  itemCount?: number;
+  timeZone?: string;
+  showTotalMinutes?: boolean;
+  showTopTracks?: boolean;
+  showTopArtists?: boolean;
+  showTopAlbums?: boolean;
+  showHeatmap?: boolean;
+  heatmapColor?: string;
+}
+
+interface StatsRanking {
+  plays: number | null;
+  minutes: number | null;
+  source: "history" | "spotify";
+}
+
+interface StatsResponse {
+  window: "7d" | "30d" | "all";
+  total_minutes: number;
+  plays: number;
+  top_tracks: Array<
+    StatsRanking & {
+      name: string;
+      artists: string[];
+      album: { name: string; images: Array<{ url: string }> };
+      external_urls?: { spotify?: string };
+    }
+  >;
+  top_artists: Array<
+    StatsRanking & {
+      name: string;
+      external_urls?: { spotify?: string };
+    }
+  >;
+  top_albums: Array<
+    StatsRanking & {
+      name: string;
+      artists: string[];
+      images: Array<{ url: string }>;
+    }
+  >;
+  heatmap: {
+    time_zone: string;
+    days: string[];
+    minutes: number[][];
+  };
+}
+
+// Stats change slowly; share responses between instances and refresh rarely
+const globalCache = new Map<string, { data: StatsResponse; timestamp: number }>();
+const CACHE_TTL = 5 * 60 * 1000;
+
+const WINDOW_LABELS: Record<string, string> = {
+  "7d": "Last 7 days",
+  "30d": "Last 30 days",
+  all: "All time",
+};
+
+// Smallest image that is still at least the requested size
+function pickImage(
+  images: Array<{ url: string; width?: number | null }> | undefined,
+  size: number,
+): string | undefined {
+  if (!images?.length) return undefined;
+  const sorted = [...images].sort((a, b) => (a.width || 0) - (b.width || 0));
+  return (sorted.find((image) => (image.width || 0) >= size) || sorted[sorted.length - 1])
+    ?.url;
+}
+
+function formatMinutes(minutes: number | null): string {
+  if (minutes === null) return "";
+  if (minutes >= 60) {
+    return `${Math.round(minutes / 6) / 10} hr`;
+  }
+  return `${Math.round(minutes)} min`;
+}
+
+const SpotifyStats: React.FC<SpotifyStatsProps> = (props) => {
+  const {
+    font = "system-ui, -apple-system, sans-serif",
+    fontSize = 16,
+    fontWeight = "bold",
+    fontColor = "#000000",
+    hideAlbumCover = false,
+    albumCoverSize = 40,
+    albumCoverRadius = 6,
+    removeBackground = false,
+    backgroundColor = "#ffffff",
+    backgroundRadius = 12,
+    hideAlbumName = false,
+    apiUrl = "https://corner16-now-playing-6suud6888-sauce-projects-7fcf076e.vercel.app/api/spotify/stats",
+    enableSpotifyLink = true,
+    window: statsWindow = "7d",
+    itemCount = 5,
+    timeZone = "",
+    showTotalMinutes = true,
+    showTopTracks = true,
+    showTopArtists = true,
+    showTopAlbums = false,
+    showHeatmap = true,
+    heatmapColor = "#1DB954",
+  } = props;
+
+  const [stats, setStats] = useState<StatsResponse | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Heatmap hours follow the visitor's time zone unless one is set
+  const requestUrl = useMemo(() => {
+    const zone =
+      timeZone ||
+      (typeof Intl !== "undefined"
+        ? Intl.DateTimeFormat().resolvedOptions().timeZone
+        : "UTC");
+    const params = new URLSearchParams({
+      window: statsWindow,
+      limit: String(itemCount),
+      timezone: zone || "UTC",
+    });
+    return `${apiUrl}${apiUrl.includes("?") ? "&" : "?"}${params}`;
+  }, [apiUrl, statsWindow, itemCount, timeZone]);
+
+  const fetchStats = useCallback(async (): Promise<void> => {
+    const cached = globalCache.get(requestUrl);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      setStats(cached.data);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(requestUrl, {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error(`Unable to load listening stats (${response.status})`);
+      }
+
+      const data = (await response.json()) as StatsResponse;
+      globalCache.set(requestUrl, { data, timestamp: Date.now() });
+
+      setStats(data);
+      setError(null);
+    } catch (err) {
+      console.error("Stats fetch error:", err);
+      setError((err as Error).message || "Failed to load listening stats");
+    } finally {
+      setLoading(false);
+    }
+  }, [requestUrl]);
+
+  useEffect(() => {
+    fetchStats();
+    const interval = setInterval(fetchStats, CACHE_TTL);
+    return () => clearInterval(interval);
+  }, [fetchStats]);
+
+  // Background styles - plain color with custom radius (memoized)
+  const backgroundStyle = useMemo(() => {
+    if (removeBackground) {
+      return {
+        borderRadius: `${backgroundRadius}px`,
+      };
+    }
+    return {
+      background: backgroundColor,
+      borderRadius: `${backgroundRadius}px`,
+    };
+  }, [removeBackground, backgroundRadius, backgroundColor]);
+
+  // Text color helper (memoized)
+  const getTextColor = useCallback(
+    (opacity: number = 1): string => {
+      if (removeBackground && fontColor === "white") {
+        return `rgba(0, 0, 0, ${opacity})`;
+      }
+      if (fontColor === "white") {
+        return `rgba(255, 255, 255, ${opacity})`;
+      }
+      const hex = fontColor.replace("#", "");
+      const r = parseInt(hex.substr(0, 2), 16);
+      const g = parseInt(hex.substr(2, 2), 16);
+      const b = parseInt(hex.substr(4, 2), 16);
+      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+    },
+    [removeBackground, fontColor],
+  );
+
+  const secondaryWeight = fontWeight === "bold" ? "normal" : fontWeight;
+
+  const containerStyle: React.CSSProperties = {
+    padding: "16px",
+    color: fontColor,
+    fontFamily: font,
+    fontSize: `${fontSize}px`,
+    maxWidth: "400px",
+    ...backgroundStyle,
+  };
+
+  if (loading) {
+    return (
+      <div style={{ ...containerStyle, textAlign: "center", color: getTextColor(0.7) }}>
+        Loading listening stats...
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return (
+      <div style={{ ...containerStyle, textAlign: "center" }}>
+        <div style={{ color: getTextColor(0.8), marginBottom: "12px" }}>
+          {error || "No listening stats yet"}
+        </div>
+        <button
+          onClick={() => {
+            setLoading(true);
+            fetchStats();
+          }}
+          style={{
+            padding: "8px 16px",
+            background: "#1976d2",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontFamily: font,
+          }}
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  const openLink = (url?: string): void => {
+    if (enableSpotifyLink && url) {
+      window.open(url, "_blank");
+    }
+  };
+
+  const sectionTitle = (title: string) => (
+    <div
+      style={{
+        fontWeight,
+        fontSize: `${fontSize * 0.875}px`,
+        color: getTextColor(1),
+        margin: "16px 0 8px",
+      }}
+    >
+      {title}
+    </div>
+  );
+
+  const renderRow = (
+    key: string,
+    rank: number,
+    title: string,
+    subtitle: string | null,
+    minutes: number | null,
+    cover?: string,
+    link?: string,
+  ) => (
+    <div
+      key={key}
+      onClick={() => openLink(link)}
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "10px",
+        marginBottom: "8px",
+        cursor: enableSpotifyLink && link ? "pointer" : "default",
+      }}
+    >
+      <div
+        style={{
+          width: "1.5em",
+          flexShrink: 0,
+          fontSize: `${fontSize * 0.75}px`,
+          color: getTextColor(0.6),
+          textAlign: "right",
+        }}
+      >
+        {rank}
+      </div>
+      {!hideAlbumCover && cover && (
+        <img
+          src={cover}
+          alt=""
+          style={{
+            width: `${albumCoverSize}px`,
+            height: `${albumCoverSize}px`,
+            borderRadius: `${albumCoverRadius}px`,
+            objectFit: "cover",
+            flexShrink: 0,
+          }}
+        />
+      )}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div
+          style={{
+            fontWeight: secondaryWeight,
+            fontSize: `${fontSize * 0.875}px`,
+            color: getTextColor(1),
+            whiteSpace: "nowrap",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+          }}
+        >
+          {title}
+        </div>
+        {subtitle && (
+          <div
+            style={{
+              fontWeight: secondaryWeight,
+              fontSize: `${fontSize * 0.75}px`,
+              color: getTextColor(0.7),
+              whiteSpace: "nowrap",
+              overflow: "hidden",
+              textOverflow: "ellipsis",
+            }}
+          >
+            {subtitle}
+          </div>
+        )}
+      </div>
+      <div
+        style={{
+          flexShrink: 0,
+          fontSize: `${fontSize * 0.75}px`,
+          color: getTextColor(0.6),
+          fontVariantNumeric: "tabular-nums",
+        }}
+      >
+        {formatMinutes(minutes)}
+      </div>
+    </div>
+  );
+
+  const heatmapMax = Math.max(1, ...stats.heatmap.minutes.flat());
+
+  return (
+    <div style={containerStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "baseline",
+          gap: "12px",
+        }}
+      >
+        <div style={{ fontWeight, color: getTextColor(1) }}>
+          {WINDOW_LABELS[stats.window] || stats.window}
+        </div>
+        {showTotalMinutes && (
+          <div
+            style={{
+              fontWeight: secondaryWeight,
+              fontSize: `${fontSize * 0.875}px`,
+              color: getTextColor(0.8),
+            }}
+          >
+            {Math.round(stats.total_minutes).toLocaleString()} min listened
+          </div>
+        )}
+      </div>
+
+      {showTopTracks && stats.top_tracks.length > 0 && (
+        <>
+          {sectionTitle("Top Tracks")}
+          {stats.top_tracks.map((track, index) =>
+            renderRow(
+              `track-${index}`,
+              index + 1,
+              track.name,
+              hideAlbumName
+                ? track.artists.join(", ")
+                : `${track.artists.join(", ")} · ${track.album.name}`,
+              track.minutes,
+              pickImage(track.album.images, albumCoverSize),
+              track.external_urls?.spotify,
+            ),
+          )}
+        </>
+      )}
+
+      {showTopArtists && stats.top_artists.length > 0 && (
+        <>
+          {sectionTitle("Top Artists")}
+          {stats.top_artists.map((artist, index) =>
+            renderRow(
+              `artist-${index}`,
+              index + 1,
+              artist.name,
+              artist.plays !== null ? `${artist.plays} plays` : null,
+              artist.minutes,
+              undefined,
+              artist.external_urls?.spotify,
+            ),
+          )}
+        </>
+      )}
+
+      {showTopAlbums && stats.top_albums.length > 0 && (
+        <>
+          {sectionTitle("Top Albums")}
+          {stats.top_albums.map((album, index) =>
+            renderRow(
+              `album-${index}`,
+              index + 1,
+              album.name,
+              album.artists.join(", "),
+              album.minutes,
+              pickImage(album.images, albumCoverSize),
+            ),
+          )}
+        </>
+      )}
+
+      {showHeatmap && (
+        <>
+          {sectionTitle("When I Listen")}
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "auto repeat(24, 1fr)",
+              gap: "2px",
+              alignItems: "center",
+            }}
+          >
+            {stats.heatmap.minutes.map((hours, day) => (
+              <React.Fragment key={day}>
+                <div
+                  style={{
+                    fontSize: `${fontSize * 0.625}px`,
+                    color: getTextColor(0.6),
+                    paddingRight: "4px",
+                  }}
+                >
+                  {stats.heatmap.days[day]}
+                </div>
+                {hours.map((minutes, hour) => (
+                  <div
+                    key={hour}
+                    title={`${stats.heatmap.days[day]} ${hour}:00 · ${formatMinutes(minutes)}`}
+                    style={{
+                      aspectRatio: "1",
+                      borderRadius: "2px",
+                      background: minutes > 0 ? heatmapColor : getTextColor(0.08),
+                      opacity: minutes > 0 ? 0.25 + 0.75 * (minutes / heatmapMax) : 1,
+                    }}
+                  />
+                ))}
+              </React.Fragment>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+addPropertyControls(SpotifyStats, {
+  // API Configuration
+  apiUrl: {
+    type: ControlType.String,
+    title: "API URL",
+    defaultValue:
+      "https://corner16-now-playing-6suud6888-sauce-projects-7fcf076e.vercel.app/api/spotify/stats",
+    placeholder: "Enter your deployed stats API URL",
+  },
+  enableSpotifyLink: {
+    type: ControlType.Boolean,
+    title: "Click to Open in Spotify",
+    defaultValue: true,
+    enabledTitle: "Enabled",
+    disabledTitle: "Disabled",
+  },
+
+  // Stats Controls
+  window: {
+    type: ControlType.Enum,
+    title: "Time Window",
+    options: ["7d", "30d", "all"],
+    optionTitles: ["Last 7 Days", "Last 30 Days", "All Time"],
+    defaultValue: "7d",
+  },
+  itemCount: {
+    type: ControlType.Number,
+    title: "Items per List",
+    defaultValue: 5,
+    min: 1,
+    max: 20,
+    step: 1,
+  },
+  timeZone: {
+    type: ControlType.String,
+    title: "Time Zone",
+    defaultValue: "",
+    placeholder: "Visitor's (e.g. Europe/Berlin)",
+  },
+  showTotalMinutes: {
+    type: ControlType.Boolean,
+    title: "Total Minutes",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+  showTopTracks: {
+    type: ControlType.Boolean,
+    title: "Top Tracks",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+  showTopArtists: {
+    type: ControlType.Boolean,
+    title: "Top Artists",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+  showTopAlbums: {
+    type: ControlType.Boolean,
+    title: "Top Albums",
+    defaultValue: false,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+  showHeatmap: {
+    type: ControlType.Boolean,
+    title: "Listening Heatmap",
+    defaultValue: true,
+    enabledTitle: "Show",
+    disabledTitle: "Hide",
+  },
+  heatmapColor: {
+    type: ControlType.Color,
+    title: "Heatmap Color",
+    defaultValue: "#1DB954",
+    hidden: (props) => props.showHeatmap === false,
+  },
+
+  // Typography Controls
+  font: {
+    type: ControlType.String,
+    title: "Font Family",
+    defaultValue: "system-ui, -apple-system, sans-serif",
+    placeholder: "Arial, Helvetica, sans-serif",
+  },
+  fontSize: {
+    type: ControlType.Number,
+    title: "Font Size",
+    defaultValue: 16,
+    min: 10,
+    max: 32,
+    step: 1,
+    unit: "px",
+  },
+  fontWeight: {
+    type: ControlType.Enum,
+    title: "Font Weight",
+    options: [
+      "100",
+      "200",
+      "300",
+      "400",
+      "500",
+      "600",
+      "700",
+      "800",
+      "900",
+      "normal",
+      "bold",
+      "lighter",
+      "bolder",
+    ],
+    optionTitles: [
+      "100 (Thin)",
+      "200 (Extra Light)",
+      "300 (Light)",
+      "400 (Normal)",
+      "500 (Medium)",
+      "600 (Semi Bold)",
+      "700 (Bold)",
+      "800 (Extra Bold)",
+      "900 (Black)",
+      "Normal",
+      "Bold",
+      "Lighter",
+      "Bolder",
+    ],
+    defaultValue: "bold",
+  },
+  fontColor: {
+    type: ControlType.Color,
+    title: "Font Color",
+    defaultValue: "#000000",
+  },
+
+  // Background Controls
+  removeBackground: {
+    type: ControlType.Boolean,
+    title: "Remove Background",
+    defaultValue: false,
+  },
+  backgroundColor: {
+    type: ControlType.Color,
+    title: "Background Color",
+    defaultValue: "#ffffff",
+    hidden: (props) => props.removeBackground === true,
+  },
+  backgroundRadius: {
+    type: ControlType.Number,
+    title: "Background Radius",
+    defaultValue: 12,
+    min: 0,
+    max: 50,
+    step: 1,
+    unit: "px",
+  },
+
+  // Layout Controls
+  hideAlbumName: {
+    type: ControlType.Boolean,
+    title: "Hide Album Name",
+    defaultValue: false,
+  },
+
+  // Album Cover Controls
+  hideAlbumCover: {
+    type: ControlType.Boolean,
+    title: "Hide Album Cover",
+    defaultValue: false,
+  },
+  albumCoverSize: {
+    type: ControlType.Number,
+    title: "Album Cover Size",
+    defaultValue: 40,
+    min: 20,
+    max: 120,
+    step: 5,
+    unit: "px",
+    hidden: (props) => props.hideAlbumCover === true,
+  },
+  albumCoverRadius: {
+    type: ControlType.Number,
+    title: "Album Cover Radius",
+    defaultValue: 6,
+    min: 0,
+    max: 60,
+    step: 1,
+    unit: "px",
+    hidden: (props) => props.hideAlbumCover === true,
+  },
+});
+
+export default SpotifyStats;
@@ -0,0 +1,488 @@
+import React, { useEffect, useState, useRef, useCallback, useMemo } from "react";
+import { addPropertyControls, ControlType } from "framer";
+
+// TypeScript interfaces defined inline
+interface TeamUser {
+  id: string;
+  name?: string;
+}
+
+interface SpotifyTeamNowPlayingProps {
+  font?: string;
+  fontSize?: number;
+  fontWeight?: string;
+  fontColor?: string;
+  hideAlbumCover?: boolean;
+  albumCoverSize?: number;
+  albumCoverRadius?: number;
+  removeBackground?: boolean;
+  backgroundColor?: string;
+  backgroundRadius?: number;
+  hideAlbumName?: boolean;
+  apiUrl?: string;
+  enableSpotifyLink?: boolean;
+  users?: TeamUser[];
+  columns?: number;
+  gap?: number;
+  notPlayingText?: string;
+}
+
+interface TeamMemberState {
+  id: string;
+  display_name?: string;
+  is_playing: boolean;
+  error?: string;
+  item?: {
+    name: string;
+    type?: "track" | "episode";
+    artists?: string[];
+    album?: {
+      name: string;
+      images: Array<{ url: string }>;
+    };
+    images?: Array<{ url: string }>;
+    show?: {
+      name: string;
+      publisher: string;
+    };
+    external_urls?: {
+      spotify: string;
+    };
+  };
+}
+
+interface TeamResponse {
+  users: TeamMemberState[];
+}
+
+// Shared between instances showing the same team
+const globalCache = new Map<string, { data: TeamResponse; timestamp: number }>();
+const CACHE_TTL = 5 * 1000;
+
+const SpotifyTeamNowPlaying: React.FC<SpotifyTeamNowPlayingProps> = (props) => {
+  const {
+    font = "system-ui, -apple-system, sans-serif",
+    fontSize = 16,
+    fontWeight = "bold",
+    fontColor = "#000000",
+    hideAlbumCover = false,
+    albumCoverSize = 60,
+    albumCoverRadius = 8,
+    removeBackground = false,
+    backgroundColor = "#ffffff",
+    backgroundRadius = 12,
+    hideAlbumName = false,
+    apiUrl = "https://corner16-now-playing-6suud6888-sauce-projects-7fcf076e.vercel.app/api/spotify/now-playing/team",
+    enableSpotifyLink = true,
+    users = [],
+    columns = 2,
+    gap = 12,
+    notPlayingText = "Not playing",
+  } = props;
+
+  const [members, setMembers] = useState<TeamMemberState[] | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+  const timeoutRef = useRef<number | null>(null);
+
+  // Only ask for the users configured on the component (all users if none)
+  const userIds = users.map((user) => user.id?.trim()).filter(Boolean);
+  const usersParam = userIds.join(",");
+  const requestUrl = useMemo(
+    () =>
+      usersParam
+        ? `${apiUrl}${apiUrl.includes("?") ? "&" : "?"}users=${encodeURIComponent(usersParam)}`
+        : apiUrl,
+    [apiUrl, usersParam],
+  );
+
+  const fetchTeam = useCallback(async (): Promise<TeamResponse | null> => {
+    const cached = globalCache.get(requestUrl);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      setMembers(cached.data.users);
+      setError(null);
+      setLoading(false);
+      return cached.data;
+    }
+
+    try {
+      const response = await fetch(requestUrl, {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error(`Unable to connect to Spotify (${response.status})`);
+      }
+
+      const data = (await response.json()) as TeamResponse;
+      globalCache.set(requestUrl, { data, timestamp: Date.now() });
+
+      setMembers(data.users);
+      setError(null);
+      return data;
+    } catch (err) {
+      console.error("Team fetch error:", err);
+      setError((err as Error).message || "Failed to load team");
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [requestUrl]);
+
+  // Poll faster while anyone is listening
+  useEffect(() => {
+    let cancelled = false;
+
+    const poll = async (): Promise<void> => {
+      const data = await fetchTeam();
+      if (cancelled) return;
+
+      const anyonePlaying = !!data?.users.some((member) => member.is_playing);
+      const interval = data ? (anyonePlaying ? 5000 : 30000) : 30000;
+      timeoutRef.current = setTimeout(poll, interval) as unknown as number;
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      if (timeoutRef.current) {
+        clearTimeout(timeoutRef.current);
+      }
+    };
+  }, [fetchTeam]);
+
+  // Background styles - plain color with custom radius (memoized)
+  const backgroundStyle = useMemo(() => {
+    if (removeBackground) {
+      return {
+        borderRadius: `${backgroundRadius}px`,
+      };
+    }
+    return {
+      background: backgroundColor,
+      borderRadius: `${backgroundRadius}px`,
+    };
+  }, [removeBackground, backgroundRadius, backgroundColor]);
+
+  // Text color helper (memoized)
+  const getTextColor = useCallback(
+    (opacity: number = 1): string => {
+      if (removeBackground && fontColor === "white") {
+        return `rgba(0, 0, 0, ${opacity})`;
+      }
+      if (fontColor === "white") {
+        return `rgba(255, 255, 255, ${opacity})`;
+      }
+      const hex = fontColor.replace("#", "");
+      const r = parseInt(hex.substr(0, 2), 16);
+      const g = parseInt(hex.substr(2, 2), 16);
+      const b = parseInt(hex.substr(4, 2), 16);
+      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+    },
+    [removeBackground, fontColor],
+  );
+
+  const secondaryWeight = fontWeight === "bold" ? "normal" : fontWeight;
+
+  const textStyle = (size: number, opacity: number, weight: string) => ({
+    fontWeight: weight,
+    fontSize: `${fontSize * size}px`,
+    color: getTextColor(opacity),
+    whiteSpace: "nowrap" as const,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  });
+
+  if (loading || error || !members) {
+    return (
+      <div
+        style={{
+          padding: "20px",
+          textAlign: "center",
+          color: getTextColor(0.7),
+          fontFamily: font,
+          fontSize: `${fontSize}px`,
+          ...backgroundStyle,
+        }}
+      >
+        {loading ? "Loading team..." : error || "No team members configured"}
+      </div>
+    );
+  }
+
+  // Display names set on the component win over the registry's
+  const nameOverrides = new Map(
+    users.filter((user) => user.name).map((user) => [user.id, user.name!]),
+  );
+
+  return (
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: `repeat(${Math.max(1, columns)}, minmax(0, 1fr))`,
+        gap: `${gap}px`,
+        fontFamily: font,
+      }}
+    >
+      {members.map((member) => {
+        const item = member.is_playing ? member.item : undefined;
+        const isEpisode = item?.type === "episode";
+        const coverImage = isEpisode
+          ? item?.images?.[2]?.url || item?.images?.[0]?.url
+          : item?.album?.images?.[2]?.url || item?.album?.images?.[0]?.url;
+        const subtitle = isEpisode
+          ? item?.show?.name
+          : item?.artists?.join(", ");
+        const link = item?.external_urls?.spotify;
+
+        return (
+          <div
+            key={member.id}
+            onClick={() => {
+              if (enableSpotifyLink && link) {
+                window.open(link, "_blank");
+              }
+            }}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              padding: "16px",
+              color: fontColor,
+              minWidth: 0,
+              cursor: enableSpotifyLink && link ? "pointer" : "default",
+              ...backgroundStyle,
+            }}
+          >
+            {!hideAlbumCover && coverImage && (
+              <img
+                src={coverImage}
+                alt={isEpisode ? "Episode cover" : "Album cover"}
+                style={{
+                  width: `${albumCoverSize}px`,
+                  height: `${albumCoverSize}px`,
+                  borderRadius: `${albumCoverRadius}px`,
+                  marginRight: "12px",
+                  objectFit: "cover",
+                  flexShrink: 0,
+                }}
+              />
+            )}
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div
+                style={{
+                  ...textStyle(0.75, 0.6, secondaryWeight),
+                  marginBottom: "4px",
+                }}
+              >
+                {nameOverrides.get(member.id) ||
+                  member.display_name ||
+                  member.id}
+              </div>
+              {item ? (
+                <>
+                  <div style={textStyle(1, 1, fontWeight)}>{item.name}</div>
+                  {subtitle && (
+                    <div style={textStyle(0.875, 0.9, secondaryWeight)}>
+                      {subtitle}
+                    </div>
+                  )}
+                  {!hideAlbumName && !isEpisode && item.album?.name && (
+                    <div style={textStyle(0.75, 0.8, secondaryWeight)}>
+                      {item.album.name}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div style={textStyle(0.875, 0.7, secondaryWeight)}>
+                  {member.error || notPlayingText}
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+addPropertyControls(SpotifyTeamNowPlaying, {
+  // API Configuration
+  apiUrl: {
+    type: ControlType.String,
+    title: "API URL",
+    defaultValue:
+      "https://corner16-now-playing-6suud6888-sauce-projects-7fcf076e.vercel.app/api/spotify/now-playing/team",
+    placeholder: "Enter your deployed team API URL",
+  },
+  enableSpotifyLink: {
+    type: ControlType.Boolean,
+    title: "Click to Open in Spotify",
+    defaultValue: true,
+    enabledTitle: "Enabled",
+    disabledTitle: "Disabled",
+  },
+
+  // Team Controls
+  users: {
+    type: ControlType.Array,
+    title: "Users",
+    control: {
+      type: ControlType.Object,
+      controls: {
+        id: {
+          type: ControlType.String,
+          title: "User ID",
+          placeholder: "alice",
+        },
+        name: {
+          type: ControlType.String,
+          title: "Display Name",
+          placeholder: "From the API",
+        },
+      },
+    },
+    defaultValue: [],
+  },
+  columns: {
+    type: ControlType.Number,
+    title: "Columns",
+    defaultValue: 2,
+    min: 1,
+    max: 6,
+    step: 1,
+    displayStepper: true,
+  },
+  gap: {
+    type: ControlType.Number,
+    title: "Gap",
+    defaultValue: 12,
+    min: 0,
+    max: 48,
+    step: 2,
+    unit: "px",
+  },
+  notPlayingText: {
+    type: ControlType.String,
+    title: "Not Playing Text",
+    defaultValue: "Not playing",
+  },
+
+  // Typography Controls
+  font: {
+    type: ControlType.String,
+    title: "Font Family",
+    defaultValue: "system-ui, -apple-system, sans-serif",
+    placeholder: "Arial, Helvetica, sans-serif",
+  },
+  fontSize: {
+    type: ControlType.Number,
+    title: "Font Size",
+    defaultValue: 16,
+    min: 10,
+    max: 32,
+    step: 1,
+    unit: "px",
+  },
+  fontWeight: {
+    type: ControlType.Enum,
+    title: "Font Weight",
+    options: [
+      "100",
+      "200",
+      "300",
+      "400",
+      "500",
+      "600",
+      "700",
+      "800",
+      "900",
+      "normal",
+      "bold",
+      "lighter",
+      "bolder",
+    ],
+    optionTitles: [
+      "100 (Thin)",
+      "200 (Extra Light)",
+      "300 (Light)",
+      "400 (Normal)",
+      "500 (Medium)",
+      "600 (Semi Bold)",
+      "700 (Bold)",
+      "800 (Extra Bold)",
+      "900 (Black)",
+      "Normal",
+      "Bold",
+      "Lighter",
+      "Bolder",
+    ],
+    defaultValue: "bold",
+  },
+  fontColor: {
+    type: ControlType.Color,
+    title: "Font Color",
+    defaultValue: "#000000",
+  },
+
+  // Background Controls
+  removeBackground: {
+    type: ControlType.Boolean,
+    title: "Remove Background",
+    defaultValue: false,
+  },
+  backgroundColor: {
+    type: ControlType.Color,
+    title: "Background Color",
+    defaultValue: "#ffffff",
+    hidden: (props) => props.removeBackground === true,
+  },
+  backgroundRadius: {
+    type: ControlType.Number,
+    title: "Background Radius",
+    defaultValue: 12,
+    min: 0,
+    max: 50,
+    step: 1,
+    unit: "px",
+  },
+
+  // Layout Controls
+  hideAlbumName: {
+    type: ControlType.Boolean,
+    title: "Hide Album Name",
+    defaultValue: false,
+  },
+
+  // Album Cover Controls
+  hideAlbumCover: {
+    type: ControlType.Boolean,
+    title: "Hide Album Cover",
+    defaultValue: false,
+  },
+  albumCoverSize: {
+    type: ControlType.Number,
+    title: "Album Cover Size",
+    defaultValue: 60,
+    min: 30,
+    max: 120,
+    step: 5,
+    unit: "px",
+    hidden: (props) => props.hideAlbumCover === true,
+  },
+  albumCoverRadius: {
+    type: ControlType.Number,
+    title: "Album Cover Radius",
+    defaultValue: 8,
+    min: 0,
+    max: 60,
+    step: 1,
+    unit: "px",
+    hidden: (props) => props.hideAlbumCover === true,
+  },
+});
+
+export default SpotifyTeamNowPlaying;
@@ -0,0 +1,47 @@
+import { useCallback, useMemo, useSyncExternalStore } from "react";
+import { getNowPlayingClient, NowPlayingState } from "./NowPlayingClient";
+
+/**
+ * useNowPlaying
+ *
+ * Headless hook over the shared NowPlayingClient: every component showing
+ * the same URL shares one request loop, and renders whatever it likes
+ * from the returned state.
+ *
+ *   const { data, error, loading, retry } = useNowPlaying(apiUrl);
+ */
+
+export interface UseNowPlayingOptions {
+  // Ask the API for the last played track when nothing is playing
+  includeLastPlayed?: boolean;
+  // "sse" streams updates and falls back to polling; static renders use "poll"
+  transport?: "poll" | "sse";
+}
+
+export interface UseNowPlayingResult extends NowPlayingState {
+  // Starts over after an error
+  retry: () => void;
+}
+
+export function useNowPlaying(
+  apiUrl: string,
+  { includeLastPlayed = false, transport = "poll" }: UseNowPlayingOptions = {},
+): UseNowPlayingResult {
+  const client = useMemo(() => {
+    const url = includeLastPlayed
+      ? `${apiUrl}${apiUrl.includes("?") ? "&" : "?"}include_last_played=true`
+      : apiUrl;
+    return getNowPlayingClient(url, { transport });
+  }, [apiUrl, includeLastPlayed, transport]);
+
+  const subscribe = useCallback(
+    (onChange: () => void) => client.subscribe(onChange),
+    [client],
+  );
+  const getState = useCallback(() => client.getState(), [client]);
+  const state = useSyncExternalStore(subscribe, getState, getState);
+
+  const retry = useCallback(() => client.retry(), [client]);
+
+  return useMemo(() => ({ ...state, retry }), [state, retry]);
+}
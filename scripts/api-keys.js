@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management
+ *
+ * Issues and manages the API keys clients send to the now-playing API
+ * (see utils/apiKeys.js). Keys live in the configured store
+ * (STORAGE_BACKEND), so use the same backend as your deployment.
+ *
+ * Usage:
+ *   npm run api-keys -- create <name> [--quota 5000]  Issue a key (shown once)
+ *   npm run api-keys -- list                          List keys and today's usage
+ *   npm run api-keys -- quota <id> <requests>         Change a key's daily quota
+ *   npm run api-keys -- revoke <id>                   Revoke a key
+ */
+
+// Load local env files (existing variables win)
+try {
+  require('dotenv').config({ path: '.env.local' });
+  require('dotenv').config();
+} catch (error) {
+  console.warn('⚠️  Could not load env files:', error.message);
+}
+
+const { ApiKeyRegistry, getDefaultDailyQuota } = require('../utils/apiKeys');
+const { getStore } = require('../utils/storage');
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Reads a positive integer argument
+ * @param {string} value - Raw argument
+ * @param {string} label - Name for the error message
+ * @returns {number} Parsed value
+ */
+function parseCount(value, label) {
+  if (!/^\d+$/.test(value || '') || parseInt(value, 10) < 1) {
+    throw new Error(`${label} must be a positive integer`);
+  }
+  return parseInt(value, 10);
+}
+
+async function create(registry) {
+  const quotaIndex = args.indexOf('--quota');
+  const dailyQuota = quotaIndex >= 0
+    ? parseCount(args[quotaIndex + 1], '--quota')
+    : getDefaultDailyQuota();
+  const name = args.filter((arg, index) => index !== quotaIndex && index !== quotaIndex + 1).join(' ');
+  if (!name) {
+    throw new Error('Usage: npm run api-keys -- create <name> [--quota 5000]');
+  }
+
+  const { key, id } = await registry.createKey({ name, dailyQuota });
+
+  console.log(`🔑 Created key ${id} for "${name}" (${dailyQuota} requests/day):\n`);
+  console.log(`  ${key}\n`);
+  console.log('⚠️  Store it now; it can\'t be shown again.');
+  console.log('Clients send it as an X-API-Key header or ?api_key= query parameter.');
+}
+
+async function list(registry) {
+  const keys = await registry.listKeys();
+  if (keys.length === 0) {
+    console.log('No API keys yet. Create one with: npm run api-keys -- create <name>');
+    return;
+  }
+
+  for (const key of keys) {
+    const status = key.revoked_at ? 'revoked' : `${key.usedToday}/${key.dailyQuota} today`;
+    console.log(`  ${key.id}  ${key.name}  (${status})`);
+  }
+}
+
+async function quota(registry) {
+  const [id, value] = args;
+  if (!(await registry.setQuota(id, parseCount(value, 'The quota')))) {
+    throw new Error(`No key with ID "${id}"`);
+  }
+  console.log(`✅ Key ${id} now allows ${value} requests/day`);
+}
+
+async function revoke(registry) {
+  const [id] = args;
+  if (!(await registry.revokeKey(id))) {
+    throw new Error(`No key with ID "${id}"`);
+  }
+  console.log(`✅ Key ${id} revoked`);
+}
+
+const commands = { create, list, quota, revoke };
+
+async function main() {
+  if (!commands[command]) {
+    console.log('Usage: npm run api-keys -- <create|list|quota|revoke> ...');
+    process.exit(command ? 1 : 0);
+  }
+
+  if ((process.env.STORAGE_BACKEND || 'memory') === 'memory') {
+    console.warn('⚠️  STORAGE_BACKEND is memory; keys are lost when this script exits. Use file or redis.\n');
+  }
+
+  const store = getStore();
+  try {
+    await commands[command](new ApiKeyRegistry({ store }));
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { encryptToken, isEncrypted } = require('../utils/tokenCrypto');
+const { writeEnvFileValue } = require('../utils/envFile');
+const { getAuthorizeEndpoint, getTokenEndpoint } = require('../utils/spotifyEndpoints');
 
 // Add fetch polyfill for older Node.js versions
 if (typeof fetch === 'undefined') {
@@ -29,8 +32,8 @@ function validateEnv() {
  * @param {string} scopes - Space-separated list of scopes
  * @returns {string} Authorization URL
  */
-function generateAuthUrl(clientId, redirectUri, scopes = 'user-read-currently-playing user-read-playback-state') {
-  return `https://accounts.spotify.com/authorize?${new URLSearchParams({
+function generateAuthUrl(clientId, redirectUri, scopes = 'user-read-currently-playing user-read-playback-state user-read-recently-played user-top-read') {
+  return `${getAuthorizeEndpoint()}?${new URLSearchParams({
     response_type: 'code',
     client_id: clientId,
     scope: scopes,
@@ -50,7 +53,7 @@ async function exchangeCodeForToken(code, redirectUri, credentials) {
   const { SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET } = credentials;
   
   try {
-    const response = await fetch('https://accounts.spotify.com/api/token', {
+    const response = await fetch(getTokenEndpoint(), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -87,7 +90,7 @@ async function validateRefreshToken(refreshToken, credentials) {
   const { SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET } = credentials;
   
   try {
-    const response = await fetch('https://accounts.spotify.com/api/token', {
+    const response = await fetch(getTokenEndpoint(), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -108,36 +111,19 @@ async function validateRefreshToken(refreshToken, credentials) {
 }
 
 /**
- * Updates or creates .env.local file with refresh token
+ * Updates or creates .env.local file with refresh token, encrypted when
+ * TOKEN_ENCRYPTION_KEY is set (see utils/tokenCrypto.js)
  * @param {string} refreshToken - Refresh token to save
  * @param {string} envFile - Path to env file (default: .env.local)
+ * @returns {string} Value written to the file
  */
 function saveRefreshToken(refreshToken, envFile = '.env.local') {
-  const envPath = path.resolve(process.cwd(), envFile);
-  let envContent = '';
+  const storedValue = encryptToken(refreshToken);
+  writeEnvFileValue('SPOTIFY_REFRESH_TOKEN', storedValue, envFile);
   
-  // Read existing env file if it exists
-  if (fs.existsSync(envPath)) {
-    envContent = fs.readFileSync(envPath, 'utf8');
-  }
-  
-  // Update or add SPOTIFY_REFRESH_TOKEN
-  const lines = envContent.split('\n');
-  const tokenLineIndex = lines.findIndex(line => line.startsWith('SPOTIFY_REFRESH_TOKEN='));
-  
-  if (tokenLineIndex >= 0) {
-    lines[tokenLineIndex] = `SPOTIFY_REFRESH_TOKEN=${refreshToken}`;
-  } else {
-    // Add token at the end, ensuring proper spacing
-    if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
-      lines.push('');
-    }
-    lines.push(`SPOTIFY_REFRESH_TOKEN=${refreshToken}`);
-  }
-  
-  // Write updated content
-  fs.writeFileSync(envPath, lines.join('\n'));
-  console.log(`\n✅ Refresh token saved to ${envFile}`);
+  const note = isEncrypted(storedValue) ? ' (encrypted)' : '';
+  console.log(`\n✅ Refresh token saved to ${envFile}${note}`);
+  return storedValue;
 }
 
 /**
@@ -146,9 +132,11 @@ function saveRefreshToken(refreshToken, envFile = '.env.local') {
  * @param {boolean} saveToFile - Whether to save to file
  */
 function displaySuccessMessage(refreshToken, saveToFile = true) {
+  const storedValue = encryptToken(refreshToken);
+  
   console.log('\n✅ SUCCESS! Here\'s your refresh token:\n');
   console.log('='.repeat(80));
-  console.log(`SPOTIFY_REFRESH_TOKEN=${refreshToken}`);
+  console.log(`SPOTIFY_REFRESH_TOKEN=${storedValue}`);
   console.log('='.repeat(80));
   
   if (!saveToFile) {
@@ -160,7 +148,7 @@ function displaySuccessMessage(refreshToken, saveToFile = true) {
   console.log('---');
   console.log('SPOTIFY_CLIENT_ID=your_client_id_here');
   console.log('SPOTIFY_CLIENT_SECRET=your_client_secret_here');
-  console.log(`SPOTIFY_REFRESH_TOKEN=${refreshToken}`);
+  console.log(`SPOTIFY_REFRESH_TOKEN=${storedValue}`);
   console.log('---');
 }
 
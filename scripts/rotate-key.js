@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Refresh Token Key Rotation
+ *
+ * Re-encrypts every refresh token with the current TOKEN_ENCRYPTION_KEY:
+ * SPOTIFY_REFRESH_TOKEN and SPOTIFY_USERS in the env file, and the users and
+ * rotated default-account token saved in the configured store
+ * (STORAGE_BACKEND). Plaintext tokens are encrypted
+ * too, so this also turns encryption on for an existing setup.
+ *
+ * Usage:
+ *   npm run rotate-key -- --generate       Print a new key (next version)
+ *   npm run rotate-key                     Re-encrypt tokens in .env.local and the store
+ *   npm run rotate-key -- --env-file .env  Use another env file
+ *
+ * Rotating:
+ *   1. Generate a new key with --generate
+ *   2. Move the old key to TOKEN_ENCRYPTION_PREVIOUS_KEYS and set the new one
+ *      as TOKEN_ENCRYPTION_KEY
+ *   3. Run this script, then remove the old key once every deployment uses
+ *      the rewritten tokens
+ */
+
+const args = process.argv.slice(2);
+const envFileIndex = args.indexOf('--env-file');
+const envFile = envFileIndex >= 0 ? args[envFileIndex + 1] : '.env.local';
+
+// Load local env files (existing variables win)
+try {
+  require('dotenv').config({ path: envFile });
+  require('dotenv').config();
+} catch (error) {
+  console.warn('⚠️  Could not load env files:', error.message);
+}
+
+const {
+  TokenCipher,
+  generateKey,
+  reencryptToken
+} = require('../utils/tokenCrypto');
+const { getStore } = require('../utils/storage');
+const { UserRegistry } = require('../utils/userRegistry');
+const { reencryptDefaultToken } = require('../utils/tokenRotation');
+const { readEnvFileValue, writeEnvFileValue } = require('../utils/envFile');
+
+/**
+ * Prints a new key, one version above the current one
+ */
+function generate() {
+  const current = process.env.TOKEN_ENCRYPTION_KEY ? TokenCipher.fromEnv() : null;
+  const key = generateKey(current ? current.version + 1 : 1);
+
+  console.log('🔑 New encryption key:\n');
+  console.log(`TOKEN_ENCRYPTION_KEY=${key}`);
+  if (current) {
+    console.log('\nMove your current key to TOKEN_ENCRYPTION_PREVIOUS_KEYS, set the key above,');
+    console.log('then run `npm run rotate-key` to re-encrypt your tokens.');
+  } else {
+    console.log('\nAdd it to your environment, then run `npm run rotate-key` to encrypt existing tokens.');
+  }
+}
+
+/**
+ * Re-encrypts the refresh tokens in the env file
+ * @returns {number} Number of values rewritten
+ */
+function rotateEnvFile() {
+  let updated = 0;
+
+  const refreshToken = readEnvFileValue('SPOTIFY_REFRESH_TOKEN', envFile);
+  if (refreshToken) {
+    const rotated = reencryptToken(refreshToken);
+    if (rotated !== refreshToken) {
+      writeEnvFileValue('SPOTIFY_REFRESH_TOKEN', rotated, envFile);
+      updated++;
+    }
+  }
+
+  const users = readEnvFileValue('SPOTIFY_USERS', envFile);
+  if (users) {
+    const parsed = JSON.parse(users);
+    let changed = false;
+    for (const config of Object.values(parsed)) {
+      if (config?.refreshToken) {
+        const rotated = reencryptToken(config.refreshToken);
+        changed = changed || rotated !== config.refreshToken;
+        config.refreshToken = rotated;
+      }
+    }
+    if (changed) {
+      writeEnvFileValue('SPOTIFY_USERS', JSON.stringify(parsed), envFile);
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+async function rotate() {
+  const cipher = TokenCipher.fromEnv();
+  if (!cipher) {
+    console.error('❌ TOKEN_ENCRYPTION_KEY is not set. Generate one with: npm run rotate-key -- --generate');
+    process.exit(1);
+  }
+
+  console.log(`🔄 Re-encrypting refresh tokens with key v${cipher.version}...\n`);
+
+  const envUpdated = rotateEnvFile();
+  console.log(`  ✓ ${envFile}: ${envUpdated} value(s) updated`);
+
+  const store = getStore();
+  try {
+    const usersUpdated = await new UserRegistry({ store }).reencryptTokens();
+    const defaultUpdated = await reencryptDefaultToken({ store });
+    console.log(
+      `  ✓ ${process.env.STORAGE_BACKEND || 'memory'} store: ${usersUpdated} user(s)` +
+      `${defaultUpdated ? ' and the rotated default token' : ''} updated`
+    );
+  } finally {
+    await store.close();
+  }
+
+  console.log('\n✅ Done. Copy the updated values to your deployment environment.');
+}
+
+if (args.includes('--generate')) {
+  generate();
+} else {
+  rotate().catch((error) => {
+    console.error('\n❌ Key rotation failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -27,7 +27,7 @@ const DEFAULT_REDIRECT_URIS = {
   manual: 'https://developer.spotify.com/callback'
 };
 
-const SCOPES = 'user-read-currently-playing user-read-playback-state';
+const SCOPES = 'user-read-currently-playing user-read-playback-state user-read-recently-played user-top-read';
 const PORT = 8888;
 
 /**
@@ -136,7 +136,7 @@ async function serverMode() {
       }
       
       // Save to .env.local
-      saveRefreshToken(tokenData.refresh_token);
+      const storedToken = saveRefreshToken(tokenData.refresh_token);
       
       res.send(`
         <html>
@@ -155,7 +155,7 @@ async function serverMode() {
             <hr>
             <details>
               <summary>View token details</summary>
-              <pre>SPOTIFY_REFRESH_TOKEN=${tokenData.refresh_token}</pre>
+              <pre>SPOTIFY_REFRESH_TOKEN=${storedToken}</pre>
             </details>
           </body>
         </html>
@@ -274,7 +274,7 @@ async function simpleMode() {
       }
       
       // Save to .env.local
-      saveRefreshToken(tokenData.refresh_token);
+      const storedToken = saveRefreshToken(tokenData.refresh_token);
       
       res.send(`
         <html>
@@ -294,7 +294,7 @@ async function simpleMode() {
             <h3>Complete Environment Variables for Vercel:</h3>
             <pre>SPOTIFY_CLIENT_ID=${credentials.SPOTIFY_CLIENT_ID}
 SPOTIFY_CLIENT_SECRET=${credentials.SPOTIFY_CLIENT_SECRET}
-SPOTIFY_REFRESH_TOKEN=${tokenData.refresh_token}</pre>
+SPOTIFY_REFRESH_TOKEN=${storedToken}</pre>
           </body>
         </html>
       `);
@@ -420,10 +420,10 @@ async function exchangeMode() {
     });
     
     rl.question('\nSave token to .env.local? (y/n): ', (answer) => {
-      if (answer.toLowerCase() === 'y') {
-        saveRefreshToken(tokenData.refresh_token);
-      }
-      displaySuccessMessage(tokenData.refresh_token, answer.toLowerCase() === 'y');
+      const storedToken = answer.toLowerCase() === 'y'
+        ? saveRefreshToken(tokenData.refresh_token)
+        : tokenData.refresh_token;
+      displaySuccessMessage(storedToken, answer.toLowerCase() === 'y');
       rl.close();
     });
     
@@ -5,8 +5,10 @@ const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const SPOTIFY_REFRESH_TOKEN = process.env.SPOTIFY_REFRESH_TOKEN;
 
-const TOKEN_ENDPOINT = 'https://accounts.spotify.com/api/token';
-const NOW_PLAYING_ENDPOINT = 'https://api.spotify.com/v1/me/player/currently-playing';
+const { getApiBaseUrl, getTokenEndpoint } = require('../utils/spotifyEndpoints');
+
+const TOKEN_ENDPOINT = getTokenEndpoint();
+const NOW_PLAYING_ENDPOINT = `${getApiBaseUrl()}/me/player/currently-playing`;
 
 // Add fetch polyfill for older Node.js versions
 if (typeof fetch === 'undefined') {
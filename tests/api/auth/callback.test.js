@@ -0,0 +1,188 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { stubSpotify, useHandlerTestEnv } from '../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../api/auth/callback');
+const login = require('../../../api/auth/login');
+const { UserRegistry } = require('../../../utils/userRegistry');
+const { invoke } = require('../../helpers/http');
+const { json, tokenResponse } = require('../../helpers/spotify');
+
+useHandlerTestEnv();
+
+const HOST = { host: 'localhost:3000' };
+
+/**
+ * Starts a login and returns what the browser brings back to the callback
+ * @param {Object} [query] - Login query
+ * @returns {Promise<{state: string, cookies: Object}>} State and cookies
+ */
+async function startLogin(query) {
+  const res = await invoke(login, { headers: HOST, query });
+  const state = new URL(res.headers.location).searchParams.get('state');
+  return { state, cookies: { spotify_oauth_state: state } };
+}
+
+function spotifyAccount() {
+  return stubSpotify({
+    token: tokenResponse({ refresh_token: 'new-refresh-token' }),
+    profile: json({ id: 'alice.smith', display_name: 'Alice Smith' }),
+  });
+}
+
+describe('GET /api/auth/callback', () => {
+  beforeEach(() => {
+    vi.stubEnv('AUTH_ALLOWED_SPOTIFY_IDS', 'bob, alice.smith');
+  });
+
+  it('exchanges the code and saves the account', async () => {
+    const { state, cookies } = await startLogin();
+    const fetch = spotifyAccount();
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(res.text).toContain('Connected as <strong>Alice Smith</strong>');
+    expect(res.text).toContain('/api/spotify/now-playing?user=alice-smith');
+    expect(res.text).not.toContain('new-refresh-token');
+    expect(res.headers['set-cookie']).toMatch(/^spotify_oauth_state=; .*Max-Age=0/);
+
+    const exchange = new URLSearchParams(String(fetch.calls.find((call) => call.route === 'token').init.body));
+    expect(Object.fromEntries(exchange)).toMatchObject({
+      grant_type: 'authorization_code',
+      code: 'auth-code',
+      redirect_uri: 'http://localhost:3000/api/auth/callback',
+    });
+    expect(exchange.get('code_verifier')).toBeTruthy();
+
+    expect(await new UserRegistry().getUser('alice-smith')).toEqual({
+      id: 'alice-smith',
+      displayName: 'Alice Smith',
+      refreshToken: 'new-refresh-token',
+    });
+  });
+
+  it('prefers the name given at login and escapes it', async () => {
+    const { state, cookies } = await startLogin({ name: '<b>Al</b>' });
+    spotifyAccount();
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.text).toContain('Connected as <strong>&lt;b&gt;Al&lt;/b&gt;</strong>');
+  });
+
+  it('accepts each state only once', async () => {
+    const { state, cookies } = await startLogin();
+    spotifyAccount();
+
+    await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.text).toContain('This authorization link is invalid or has expired');
+  });
+
+  it('rejects a state that does not match the cookie', async () => {
+    const { state } = await startLogin();
+    const fetch = spotifyAccount();
+
+    const res = await invoke(handler, {
+      headers: HOST,
+      cookies: { spotify_oauth_state: 'other' },
+      query: { code: 'auth-code', state },
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(fetch.calls).toHaveLength(0);
+  });
+
+  it.each([
+    [{ error: 'access_denied' }, 'Authorization was cancelled.'],
+    [{ error: 'server_error' }, 'Spotify reported an error during authorization.'],
+    [{}, 'Spotify did not return an authorization code.'],
+  ])('explains %o', async (query, message) => {
+    const { state, cookies } = await startLogin();
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { ...query, state } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.text).toContain(`<p>${message}</p>`);
+  });
+
+  it('reports a rejected code exchange', async () => {
+    const { state, cookies } = await startLogin();
+    stubSpotify({ token: json({ error: 'invalid_grant' }, 400) });
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(502);
+    expect(res.text).toContain('Spotify did not accept the authorization');
+  });
+
+  it('reports a failed profile lookup', async () => {
+    const { state, cookies } = await startLogin();
+    stubSpotify({ token: tokenResponse({ refresh_token: 'new-refresh-token' }), profile: json({}, 500) });
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(502);
+    expect(res.text).toContain('Could not read your Spotify profile');
+  });
+
+  it('refuses accounts missing from AUTH_ALLOWED_SPOTIFY_IDS', async () => {
+    const { state, cookies } = await startLogin();
+    vi.stubEnv('AUTH_ALLOWED_SPOTIFY_IDS', 'bob');
+    spotifyAccount();
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.text).toContain('This Spotify account is not allowed to connect here.');
+    expect(await new UserRegistry().getUser('alice-smith')).toBeNull();
+  });
+
+  it('accepts any account with AUTH_ALLOWED_SPOTIFY_IDS=*', async () => {
+    vi.stubEnv('AUTH_ALLOWED_SPOTIFY_IDS', '*');
+    const { state, cookies } = await startLogin();
+    spotifyAccount();
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('never replaces a SPOTIFY_USERS entry', async () => {
+    vi.stubEnv('SPOTIFY_USERS', JSON.stringify({ 'alice-smith': { name: 'Alice', refreshToken: 'configured-token' } }));
+    const { state, cookies } = await startLogin();
+    spotifyAccount();
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.text).toContain('An account with this user ID is already configured here.');
+    expect(await new UserRegistry().getUser('alice-smith')).toMatchObject({ refreshToken: 'configured-token' });
+  });
+
+  it('hides unexpected errors behind a generic page', async () => {
+    const { state, cookies } = await startLogin();
+    spotifyAccount();
+    vi.spyOn(UserRegistry.prototype, 'saveUser').mockRejectedValue(new Error('store offline'));
+
+    const res = await invoke(handler, { headers: HOST, cookies, query: { code: 'auth-code', state } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.text).toContain('Something went wrong while saving your account');
+    expect(res.text).not.toContain('store offline');
+  });
+
+  it('shows a configuration error without app credentials', async () => {
+    vi.stubEnv('SPOTIFY_CLIENT_SECRET', '');
+
+    const res = await invoke(handler, { headers: HOST, query: { code: 'auth-code', state: 'state' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.text).toContain('Server configuration error');
+  });
+});
@@ -0,0 +1,90 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { useHandlerTestEnv } from '../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../api/auth/login');
+const { getStore } = require('../../../utils/storage');
+const { getAuthorizeEndpoint } = require('../../../utils/spotifyEndpoints');
+const { invoke } = require('../../helpers/http');
+
+useHandlerTestEnv();
+
+const HOST = { host: 'localhost:3000' };
+
+describe('GET /api/auth/login', () => {
+  beforeEach(() => {
+    vi.stubEnv('AUTH_ALLOWED_SPOTIFY_IDS', '*');
+  });
+
+  it('redirects to Spotify with state and PKCE', async () => {
+    const res = await invoke(handler, { headers: HOST });
+
+    expect(res.statusCode).toBe(302);
+    const location = new URL(res.headers.location);
+    expect(`${location.origin}${location.pathname}`).toBe(getAuthorizeEndpoint());
+    expect(Object.fromEntries(location.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: process.env.SPOTIFY_CLIENT_ID,
+      redirect_uri: 'http://localhost:3000/api/auth/callback',
+      code_challenge_method: 'S256',
+    });
+    expect(location.searchParams.get('scope')).toContain('user-read-currently-playing');
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  it('binds the state to the browser and remembers the login', async () => {
+    const res = await invoke(handler, { headers: HOST, query: { name: ' Alice ' } });
+
+    const state = new URL(res.headers.location).searchParams.get('state');
+    expect(res.headers['set-cookie']).toBe(
+      `spotify_oauth_state=${state}; Path=/api/auth; Max-Age=600; HttpOnly; SameSite=Lax`
+    );
+    expect(await getStore().get(`oauth:state:${state}`)).toEqual({
+      codeVerifier: expect.any(String),
+      redirectUri: 'http://localhost:3000/api/auth/callback',
+      displayName: 'Alice',
+    });
+  });
+
+  it('uses SPOTIFY_REDIRECT_URI and marks the cookie Secure for https', async () => {
+    vi.stubEnv('SPOTIFY_REDIRECT_URI', 'https://example.com/api/auth/callback');
+
+    const res = await invoke(handler, { headers: HOST });
+
+    expect(new URL(res.headers.location).searchParams.get('redirect_uri')).toBe('https://example.com/api/auth/callback');
+    expect(res.headers['set-cookie']).toMatch(/; Secure$/);
+  });
+
+  it('rejects display names over 64 characters', async () => {
+    const res = await invoke(handler, { headers: HOST, query: { name: 'x'.repeat(65) } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_PARAMETER', message: 'name must be at most 64 characters' });
+  });
+
+  it('fails with CONFIG_MISSING without app credentials', async () => {
+    vi.stubEnv('SPOTIFY_CLIENT_SECRET', '');
+
+    const res = await invoke(handler, { headers: HOST });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+  });
+
+  it('stays closed without AUTH_ALLOWED_SPOTIFY_IDS', async () => {
+    vi.stubEnv('AUTH_ALLOWED_SPOTIFY_IDS', '');
+
+    const res = await invoke(handler, { headers: HOST });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+    expect(res.headers.location).toBeUndefined();
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await invoke(handler, { method: 'POST', headers: HOST });
+
+    expect(res.statusCode).toBe(405);
+  });
+});
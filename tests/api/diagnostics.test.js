@@ -0,0 +1,44 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { useHandlerTestEnv } from '../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const { invoke } = require('../helpers/http');
+
+useHandlerTestEnv();
+
+// Connectivity checks only; they return no Spotify data
+const ROUTES = [
+  ['spotify/debug-minimal', require('../../api/spotify/debug-minimal')],
+  ['test', require('../../api/test')],
+];
+
+describe.each(ROUTES)('GET /api/%s', (_, handler) => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{}', { status: 200 })));
+  });
+
+  it('reports the environment checks', async () => {
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ status: 'ok' });
+    expect(res.headers['x-request-id']).toBeTruthy();
+  });
+
+  it('rejects other methods with a catalogued error', async () => {
+    const res = await invoke(handler, { method: 'POST' });
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe('GET, OPTIONS');
+    expect(res.body).toMatchObject({ code: 'METHOD_NOT_ALLOWED' });
+  });
+
+  it('rejects origins outside ALLOWED_ORIGINS', async () => {
+    vi.stubEnv('ALLOWED_ORIGINS', 'https://allowed.test');
+
+    const res = await invoke(handler, { headers: { origin: 'https://evil.test' } });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,110 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { useHandlerTestEnv } from '../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../api/spotify/history');
+const { HistoryRecorder } = require('../../../utils/history');
+const { invoke } = require('../../helpers/http');
+
+useHandlerTestEnv();
+
+const START = Date.UTC(2024, 0, 1, 12, 0);
+const MINUTE = 60 * 1000;
+
+/**
+ * Records a track as the now-playing endpoint would
+ * @param {HistoryRecorder} recorder - Recorder
+ * @param {string} id - Track ID
+ * @param {number} at - Observation time
+ */
+function play(recorder, id, at) {
+  return recorder.recordNowPlaying(
+    {
+      is_playing: true,
+      progress_ms: 1000,
+      item: { id, type: 'track', name: `Track ${id}`, artists: ['Artist'], duration_ms: 180000 },
+    },
+    at
+  );
+}
+
+describe('GET /api/spotify/history', () => {
+  beforeEach(async () => {
+    // Three finished tracks and one still playing, a few minutes apart
+    const recorder = new HistoryRecorder();
+    for (const [index, id] of ['a', 'b', 'c', 'd'].entries()) {
+      await play(recorder, id, START + index * 4 * MINUTE);
+    }
+  });
+
+  it('returns entries newest first, with the open one marked in progress', async () => {
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.map((item) => item.id)).toEqual(['d', 'c', 'b', 'a']);
+    expect(res.body.items[0].in_progress).toBe(true);
+    expect(res.body.items[1].in_progress).toBeUndefined();
+    expect(res.body.items[0]).not.toHaveProperty('last_progress_ms');
+    expect(res.body.cursors).toBeNull();
+    expect(res.headers['cache-control']).toBe('s-maxage=30, stale-while-revalidate');
+  });
+
+  it('pages with limit and the until cursor', async () => {
+    const first = await invoke(handler, { query: { limit: '2' } });
+
+    expect(first.body.items.map((item) => item.id)).toEqual(['d', 'c']);
+    expect(first.body.cursors).toEqual({ until: START + 8 * MINUTE });
+
+    const second = await invoke(handler, { query: { limit: '2', until: String(first.body.cursors.until) } });
+
+    expect(second.body.items.map((item) => item.id)).toEqual(['b', 'a']);
+    expect(second.body.cursors).toBeNull();
+  });
+
+  it('filters by since, given as an ISO date', async () => {
+    const res = await invoke(handler, { query: { since: new Date(START + 4 * MINUTE).toISOString() } });
+
+    expect(res.body.items.map((item) => item.id)).toEqual(['d', 'c', 'b']);
+  });
+
+  it('returns nothing when no history was recorded', async () => {
+    const { resetStore } = require('../../../utils/storage');
+    await resetStore();
+
+    const res = await invoke(handler);
+
+    expect(res.body).toEqual({ items: [], cursors: null });
+  });
+
+  it.each([
+    [{ limit: '0' }, 'limit must be an integer between 1 and 200'],
+    [{ limit: '201' }, 'limit must be an integer between 1 and 200'],
+    [{ limit: 'all' }, 'limit must be an integer between 1 and 200'],
+    [{ since: 'last week' }, 'since and until must be Unix timestamps in milliseconds or ISO 8601 dates'],
+    [{ since: '2000', until: '1000' }, 'since must be earlier than until'],
+  ])('rejects %o', async (query, message) => {
+    const res = await invoke(handler, { query });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_PARAMETER', message });
+  });
+
+  it('fails with CONFIG_MISSING when the store is misconfigured', async () => {
+    const { resetStore } = require('../../../utils/storage');
+    await resetStore();
+    vi.stubEnv('STORAGE_BACKEND', 'redis');
+    vi.stubEnv('REDIS_URL', '');
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await invoke(handler, { method: 'POST' });
+
+    expect(res.statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,54 @@
+import { createRequire } from 'module';
+import { describe, expect, it, vi } from 'vitest';
+import { stubSpotify, useHandlerTestEnv } from '../../helpers/handlers.mjs';
+import simple from '../../../api/spotify/now-playing-simple.ts';
+import tsBackup from '../../../api/spotify/now-playing-ts-backup.ts';
+
+const require = createRequire(import.meta.url);
+const { invoke } = require('../../helpers/http');
+const { json, noContent, currentlyPlaying } = require('../../helpers/spotify');
+
+useHandlerTestEnv();
+
+// Older routes that return the same Spotify data as now-playing.js, with
+// their rate limit bucket
+const ROUTES = [
+  ['now-playing-validated', require('../../../api/spotify/now-playing-validated'), 'now-playing'],
+  ['now-playing-debug', require('../../../api/spotify/now-playing-debug'), 'now-playing'],
+  ['now-playing-simple', simple, 'now-playing'],
+  ['now-playing-ts-backup', tsBackup, 'now-playing'],
+  ['debug-auth', require('../../../api/spotify/debug-auth'), 'debug-auth'],
+];
+
+describe.each(ROUTES)('GET /api/spotify/%s', (_, handler, bucket) => {
+  it('answers with Spotify data', async () => {
+    stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('requires an API key when REQUIRE_API_KEY is set', async () => {
+    vi.stubEnv('REQUIRE_API_KEY', 'true');
+    const fetch = stubSpotify({});
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ code: 'API_KEY_REQUIRED' });
+    expect(fetch.calls).toHaveLength(0);
+  });
+
+  it('rate-limits clients', async () => {
+    vi.stubEnv('RATE_LIMITS', JSON.stringify({ [bucket]: { burst: 1, refillPerSecond: 0.01 } }));
+    stubSpotify({ currentlyPlaying: noContent() });
+
+    const first = await invoke(handler);
+    const second = await invoke(handler);
+
+    expect(first.statusCode).toBe(200);
+    expect(second.statusCode).toBe(429);
+    expect(second.body).toMatchObject({ code: 'RATE_LIMITED' });
+  });
+});
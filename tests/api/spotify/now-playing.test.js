@@ -0,0 +1,589 @@
+import { createRequire } from 'module';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { invokeWithTimers, stubSpotify, useHandlerTestEnv } from '../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../api/spotify/now-playing');
+const { invoke } = require('../../helpers/http');
+const { encryptToken, generateKey, reencryptToken } = require('../../../utils/tokenCrypto');
+const { resetTokenCache } = require('../../../utils/tokenManager');
+const { reencryptDefaultToken } = require('../../../utils/tokenRotation');
+const { createMockSpotifyServer } = require('../../mocks/spotify-server');
+const {
+  TEST_ENV,
+  json,
+  noContent,
+  networkError,
+  tokenResponse,
+  track,
+  episode,
+  currentlyPlaying,
+  recentlyPlayed,
+} = require('../../helpers/spotify');
+
+useHandlerTestEnv();
+
+describe('GET /api/spotify/now-playing', () => {
+  describe('playback states', () => {
+    it('returns the playing track', async () => {
+      stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({
+        is_playing: true,
+        progress_ms: 60000,
+        currently_playing_type: 'track',
+        item: {
+          name: 'Test Track',
+          artists: ['Test Artist'],
+          duration_ms: 200000,
+          album: { name: 'Test Album', images: [{ url: 'https://i.scdn.co/image/test', height: 640, width: 640 }] },
+          external_urls: { spotify: 'https://open.spotify.com/track/track1' },
+          id: 'track1',
+          type: 'track',
+        },
+      });
+      expect(res.headers['cache-control']).toBe('s-maxage=5, stale-while-revalidate');
+      expect(res.headers['x-cache']).toBe('MISS');
+      expect(res.headers.etag).toMatch(/^W\/".+"$/);
+    });
+
+    it('sends the refreshed access token to Spotify', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      await invoke(handler);
+
+      const tokenCall = fetch.calls.find((call) => call.route === 'token');
+      expect(tokenCall.init.headers.Authorization).toBe(
+        `Basic ${Buffer.from(`${TEST_ENV.SPOTIFY_CLIENT_ID}:${TEST_ENV.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`
+      );
+      expect(String(tokenCall.init.body)).toContain('grant_type=refresh_token');
+      const playerCall = fetch.calls.find((call) => call.route === 'currentlyPlaying');
+      expect(playerCall.init.headers.Authorization).toBe('Bearer test-access-token');
+      expect(playerCall.url).toContain('additional_types=episode');
+    });
+
+    it('returns is_playing false when nothing is playing (204)', async () => {
+      stubSpotify({ currentlyPlaying: noContent() });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ is_playing: false });
+      expect(res.headers['cache-control']).toBe('s-maxage=60, stale-while-revalidate');
+    });
+
+    it('returns is_playing false when playback is paused', async () => {
+      stubSpotify({ currentlyPlaying: json(currentlyPlaying({ is_playing: false })) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ is_playing: false });
+    });
+
+    it('returns podcast episodes with show details', async () => {
+      stubSpotify({
+        currentlyPlaying: json(currentlyPlaying({ currently_playing_type: 'episode', item: episode() })),
+      });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.currently_playing_type).toBe('episode');
+      expect(res.body.item).toMatchObject({
+        name: 'Test Episode',
+        type: 'episode',
+        description: 'An episode about tests.',
+        // Episodes without artwork use the show's
+        images: [{ url: 'https://i.scdn.co/image/show', height: 640, width: 640 }],
+        show: { name: 'Test Show', publisher: 'Test Publisher' },
+      });
+    });
+
+    it('returns is_playing false for ads, which carry no item', async () => {
+      stubSpotify({
+        currentlyPlaying: json(currentlyPlaying({ currently_playing_type: 'ad', item: null })),
+      });
+
+      const res = await invoke(handler);
+
+      expect(res.body).toEqual({ is_playing: false });
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('returns is_playing false for unknown item types', async () => {
+      stubSpotify({
+        currentlyPlaying: json(currentlyPlaying({ item: { type: 'audiobook', name: 'Book' } })),
+      });
+
+      const res = await invoke(handler);
+
+      expect(res.body).toEqual({ is_playing: false });
+    });
+  });
+
+  describe('include_last_played', () => {
+    it('adds the last played track when nothing is playing', async () => {
+      stubSpotify({
+        currentlyPlaying: noContent(),
+        recentlyPlayed: json(recentlyPlayed([track({ name: 'Earlier Track' })])),
+      });
+
+      const res = await invoke(handler, { query: { include_last_played: 'true' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.is_playing).toBe(false);
+      expect(res.body.last_played).toMatchObject({
+        played_at: '2024-01-01T12:00:00.000Z',
+        item: { name: 'Earlier Track', type: 'track' },
+      });
+    });
+
+    it('skips the lookup while something is playing', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const res = await invoke(handler, { query: { include_last_played: '1' } });
+
+      expect(res.body.last_played).toBeUndefined();
+      expect(fetch.calls.some((call) => call.route === 'recentlyPlayed')).toBe(false);
+    });
+
+    it('still answers when the recently-played scope is missing', async () => {
+      stubSpotify({
+        currentlyPlaying: noContent(),
+        recentlyPlayed: json({ error: { status: 403, message: 'Insufficient client scope' } }, 403),
+      });
+
+      const res = await invoke(handler, { query: { include_last_played: 'true' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ is_playing: false });
+      expect(console.warn).toHaveBeenCalledWith('Could not fetch last played track:', expect.any(String));
+    });
+
+    it('omits last_played when there is no history', async () => {
+      stubSpotify({ currentlyPlaying: noContent(), recentlyPlayed: json(recentlyPlayed([])) });
+
+      const res = await invoke(handler, { query: { include_last_played: 'true' } });
+
+      expect(res.body).toEqual({ is_playing: false });
+    });
+  });
+
+  describe('caching', () => {
+    it('answers repeat requests from the response cache', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const first = await invoke(handler);
+      const second = await invoke(handler);
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body.item.name).toBe('Test Track');
+      expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(1);
+    });
+
+    it('shares one Spotify call between concurrent misses', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const responses = await Promise.all([invoke(handler), invoke(handler), invoke(handler)]);
+
+      expect(responses.map((res) => res.statusCode)).toEqual([200, 200, 200]);
+      expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(1);
+    });
+
+    it('calls Spotify every time when the cache is turned off', async () => {
+      vi.stubEnv('API_CACHE_PLAYING_DURATION', '0');
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      await invoke(handler);
+      const second = await invoke(handler);
+
+      expect(second.headers['x-cache']).toBe('MISS');
+      expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(2);
+    });
+
+    it('answers 304 when If-None-Match has the current ETag', async () => {
+      stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const first = await invoke(handler);
+      const second = await invoke(handler, { headers: { 'if-none-match': first.headers.etag } });
+
+      expect(second.statusCode).toBe(304);
+      expect(second.body).toBeUndefined();
+      expect(second.ended).toBe(true);
+      expect(second.headers.etag).toBe(first.headers.etag);
+    });
+
+    it('answers 200 when the ETag is stale', async () => {
+      stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const res = await invoke(handler, { headers: { 'if-none-match': 'W/"stale"' } });
+
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe('Spotify errors', () => {
+    it('refreshes the access token once when Spotify rejects it', async () => {
+      const fetch = stubSpotify({
+        currentlyPlaying: [json({ error: { status: 401 } }, 401), json(currentlyPlaying())],
+      });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(fetch.calls.map((call) => call.route)).toEqual([
+        'token',
+        'currentlyPlaying',
+        'token',
+        'currentlyPlaying',
+      ]);
+    });
+
+    it('maps a token Spotify keeps rejecting to AUTH_FAILED', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json({ error: { status: 401 } }, 401) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body).toMatchObject({ code: 'AUTH_FAILED', retryable: false, is_playing: false });
+
+      // The next request starts with a refresh instead of the rejected token
+      const callsBefore = fetch.calls.length;
+      await invoke(handler);
+      expect(fetch.calls[callsBefore].route).toBe('token');
+    });
+
+    it('maps 403 to AUTH_SCOPE_MISSING', async () => {
+      stubSpotify({ currentlyPlaying: json({ error: { status: 403 } }, 403) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toMatchObject({ code: 'AUTH_SCOPE_MISSING', is_playing: false });
+    });
+
+    it('passes Spotify rate limits on with Retry-After', async () => {
+      stubSpotify({ currentlyPlaying: json({ error: { status: 429 } }, 429, { 'Retry-After': '7' }) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBe('7');
+      expect(res.body).toMatchObject({
+        error: 'Spotify rate limit exceeded',
+        code: 'UPSTREAM_RATE_LIMITED',
+        retryable: true,
+        retryAfter: 7,
+        is_playing: false,
+      });
+    });
+
+    it('defaults Retry-After to 60 seconds when Spotify omits it', async () => {
+      stubSpotify({ currentlyPlaying: json({ error: { status: 429 } }, 429) });
+
+      const res = await invoke(handler);
+
+      expect(res.headers['retry-after']).toBe('60');
+    });
+
+    it('maps other 4xx responses to UPSTREAM_REQUEST_FAILED', async () => {
+      stubSpotify({ currentlyPlaying: json({ error: { status: 400 } }, 400) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body).toMatchObject({ code: 'UPSTREAM_REQUEST_FAILED', retryable: false });
+    });
+
+    it('retries 5xx responses with backoff before giving up', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json({ error: { status: 503 } }, 503) });
+
+      const res = await invokeWithTimers(handler);
+
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', retryable: true, is_playing: false });
+      // The first attempt plus two retries
+      expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(3);
+    });
+
+    it('recovers when a retry succeeds', async () => {
+      stubSpotify({
+        currentlyPlaying: [json({ error: { status: 502 } }, 502), json(currentlyPlaying())],
+      });
+
+      const res = await invokeWithTimers(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.is_playing).toBe(true);
+    });
+
+    it('maps network failures to UPSTREAM_UNREACHABLE after retrying', async () => {
+      const fetch = stubSpotify({ currentlyPlaying: networkError() });
+
+      const res = await invokeWithTimers(handler);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body).toMatchObject({ code: 'UPSTREAM_UNREACHABLE', retryable: true, is_playing: false });
+      expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(3);
+    });
+
+    it('maps a revoked refresh token to AUTH_REFRESH_REVOKED', async () => {
+      stubSpotify({ token: json({ error: 'invalid_grant', error_description: 'Refresh token revoked' }, 400) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toMatchObject({ code: 'AUTH_REFRESH_REVOKED', retryable: false, is_playing: false });
+      expect(res.body.hint).toContain('Re-authorize');
+    });
+
+    it('maps rejected app credentials to AUTH_CLIENT_INVALID', async () => {
+      stubSpotify({ token: json({ error: 'invalid_client' }, 401) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toMatchObject({ code: 'AUTH_CLIENT_INVALID' });
+    });
+
+    it('maps a token response without an access token to AUTH_FAILED', async () => {
+      stubSpotify({ token: json({ token_type: 'Bearer' }) });
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body).toMatchObject({ code: 'AUTH_FAILED' });
+    });
+
+    it('maps network failures during the token refresh to UPSTREAM_UNREACHABLE', async () => {
+      stubSpotify({ token: networkError() });
+
+      const res = await invokeWithTimers(handler);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body).toMatchObject({ code: 'UPSTREAM_UNREACHABLE' });
+    });
+
+    it('uses a refresh token Spotify rotated for the next refresh', async () => {
+      const fetch = stubSpotify({
+        token: [tokenResponse({ refresh_token: 'rotated-refresh-token' }), tokenResponse()],
+        currentlyPlaying: [json({ error: { status: 401 } }, 401), json(currentlyPlaying())],
+      });
+
+      await invoke(handler);
+
+      const refreshes = fetch.calls.filter((call) => call.route === 'token');
+      expect(String(refreshes[1].init.body)).toContain('refresh_token=rotated-refresh-token');
+    });
+  });
+
+  describe('configuration', () => {
+    it('fails with CONFIG_MISSING without app credentials', async () => {
+      vi.stubEnv('SPOTIFY_CLIENT_SECRET', '');
+      const fetch = stubSpotify({});
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toMatchObject({ code: 'CONFIG_MISSING', is_playing: false });
+      expect(fetch.calls).toHaveLength(0);
+    });
+
+    it('fails with CONFIG_MISSING without a refresh token', async () => {
+      vi.stubEnv('SPOTIFY_REFRESH_TOKEN', '');
+      stubSpotify({});
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toMatchObject({ code: 'CONFIG_MISSING' });
+    });
+  });
+
+  describe('refresh token rotation', () => {
+    it('keeps the stored rotated token across an encryption key rotation', async () => {
+      const oldKey = generateKey(1);
+      vi.stubEnv('API_CACHE_DURATION', '0');
+      vi.stubEnv('API_CACHE_PLAYING_DURATION', '0');
+      vi.stubEnv('TOKEN_ENCRYPTION_KEY', oldKey);
+      vi.stubEnv('SPOTIFY_REFRESH_TOKEN', encryptToken('original-token'));
+      stubSpotify({
+        token: tokenResponse({ refresh_token: 'rotated-token' }),
+        currentlyPlaying: json(currentlyPlaying()),
+      });
+      await invoke(handler);
+
+      // npm run rotate-key with a new key, then the old key is removed
+      vi.stubEnv('TOKEN_ENCRYPTION_KEY', generateKey(2));
+      vi.stubEnv('TOKEN_ENCRYPTION_PREVIOUS_KEYS', oldKey);
+      vi.stubEnv('SPOTIFY_REFRESH_TOKEN', reencryptToken(process.env.SPOTIFY_REFRESH_TOKEN));
+      expect(await reencryptDefaultToken()).toBe(true);
+      vi.stubEnv('TOKEN_ENCRYPTION_PREVIOUS_KEYS', '');
+
+      // A cold instance reads the token from the store again
+      resetTokenCache();
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(String(fetch.calls[0].init.body)).toContain('refresh_token=rotated-token');
+    });
+  });
+
+  describe('users', () => {
+    beforeEach(() => {
+      vi.stubEnv('SPOTIFY_USERS', JSON.stringify({ alice: { name: 'Alice', refreshToken: 'alice-refresh-token' } }));
+    });
+
+    it("uses a registered user's refresh token", async () => {
+      const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const res = await invoke(handler, { query: { user: 'alice' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(String(fetch.calls[0].init.body)).toContain('refresh_token=alice-refresh-token');
+    });
+
+    it('works for users without SPOTIFY_REFRESH_TOKEN', async () => {
+      vi.stubEnv('SPOTIFY_REFRESH_TOKEN', '');
+      stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+      const res = await invoke(handler, { query: { user: 'alice' } });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('rejects malformed user IDs', async () => {
+      stubSpotify({});
+
+      const res = await invoke(handler, { query: { user: '../etc' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_PARAMETER', is_playing: false });
+    });
+
+    it('answers 404 for unknown users', async () => {
+      stubSpotify({});
+
+      const res = await invoke(handler, { query: { user: 'bob' } });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toMatchObject({ code: 'UNKNOWN_USER' });
+    });
+  });
+
+  describe('HTTP', () => {
+    it('rejects other methods with 405', async () => {
+      const res = await invoke(handler, { method: 'POST' });
+
+      expect(res.statusCode).toBe(405);
+      expect(res.headers.allow).toBe('GET, OPTIONS');
+      expect(res.body).toMatchObject({ code: 'METHOD_NOT_ALLOWED' });
+    });
+
+    it('answers CORS preflights', async () => {
+      vi.stubEnv('ALLOWED_ORIGINS', 'https://*.framer.app');
+
+      const res = await invoke(handler, {
+        method: 'OPTIONS',
+        headers: { origin: 'https://example.framer.app', 'access-control-request-method': 'GET' },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.ended).toBe(true);
+      expect(res.headers['access-control-allow-origin']).toBe('https://example.framer.app');
+    });
+
+    it('sets request ID and security headers', async () => {
+      stubSpotify({ currentlyPlaying: noContent() });
+
+      const res = await invoke(handler, { headers: { 'x-request-id': 'req-123' } });
+
+      expect(res.headers['x-request-id']).toBe('req-123');
+      expect(res.headers['x-content-type-options']).toBe('nosniff');
+      expect(res.headers['x-frame-options']).toBe('DENY');
+    });
+
+    it('rate limits clients once their bucket is empty', async () => {
+      vi.stubEnv('RATE_LIMITS', JSON.stringify({ 'now-playing': { burst: 1, refillPerSecond: 0.01 } }));
+      stubSpotify({ currentlyPlaying: noContent() });
+
+      const first = await invoke(handler);
+      const second = await invoke(handler);
+
+      expect(first.statusCode).toBe(200);
+      expect(first.headers['ratelimit-remaining']).toBe('0');
+      expect(second.statusCode).toBe(429);
+      expect(second.body).toMatchObject({ code: 'RATE_LIMITED', is_playing: false });
+      expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('requires an API key when REQUIRE_API_KEY is set', async () => {
+      vi.stubEnv('REQUIRE_API_KEY', 'true');
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toMatchObject({ code: 'API_KEY_REQUIRED' });
+    });
+  });
+
+  describe('against the mock Spotify server', () => {
+    let mock;
+
+    beforeAll(async () => {
+      mock = await createMockSpotifyServer().listen(0);
+    });
+
+    afterAll(() => mock.close());
+
+    beforeEach(() => {
+      vi.stubEnv('SPOTIFY_ACCOUNTS_URL', mock.url);
+      vi.stubEnv('SPOTIFY_API_BASE_URL', `${mock.url}/v1`);
+      mock.requests.length = 0;
+    });
+
+    it('returns an episode with show details', async () => {
+      mock.setScenario('episode');
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        is_playing: true,
+        currently_playing_type: 'episode',
+        item: { name: 'Testing Without a Network', show: { name: 'The Mock Show', publisher: 'Mock Media' } },
+      });
+      expect(mock.requests.map((request) => request.path)).toEqual([
+        '/api/token',
+        expect.stringMatching(/^\/v1\/me\/player\/currently-playing\?/),
+      ]);
+    });
+
+    it('answers 304 to a revalidation with the current ETag', async () => {
+      mock.setScenario('playing');
+
+      const first = await invoke(handler);
+      const second = await invoke(handler, { headers: { 'if-none-match': first.headers.etag } });
+
+      expect(first.statusCode).toBe(200);
+      expect(first.body).toMatchObject({ is_playing: true, currently_playing_type: 'track' });
+      expect(second.statusCode).toBe(304);
+      expect(second.headers.etag).toBe(first.headers.etag);
+    });
+
+    it("passes Spotify's Retry-After on when rate limited", async () => {
+      mock.setScenario('rate-limited');
+
+      const res = await invoke(handler);
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toMatchObject({ code: 'UPSTREAM_RATE_LIMITED', retryAfter: 2 });
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { stubSpotify, useHandlerTestEnv } from '../../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../../api/spotify/now-playing/stream');
+const nowPlaying = require('../../../../api/spotify/now-playing');
+const { createRequest, createResponse, invoke } = require('../../../helpers/http');
+const { json, noContent, track, currentlyPlaying, recentlyPlayed } = require('../../../helpers/spotify');
+
+useHandlerTestEnv();
+
+/**
+ * Opens a stream; advance the fake timers to let it poll
+ * @param {Object} [request] - createRequest() options
+ * @returns {{req: Object, res: Object, done: Promise<void>, events: function(): Array<{event: string, data: Object}>}} Stream
+ */
+function openStream(request) {
+  const req = createRequest(request);
+  const res = createResponse();
+  const done = handler(req, res);
+
+  const events = () =>
+    res.chunks
+      .filter((chunk) => chunk.startsWith('event: '))
+      .map((chunk) => {
+        const [, event, data] = chunk.match(/^event: (.+)\ndata: (.+)\n\n$/);
+        return { event, data: JSON.parse(data) };
+      });
+
+  return { req, res, done, events };
+}
+
+describe('GET /api/spotify/now-playing/stream', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+    // Every poll reaches Spotify; the shared cache is covered below
+    vi.stubEnv('API_CACHE_DURATION', '0');
+    vi.stubEnv('API_CACHE_PLAYING_DURATION', '0');
+  });
+
+  it('opens an event stream and sends the current state right away', async () => {
+    stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(stream.res.headers['cache-control']).toBe('no-cache, no-transform');
+    expect(stream.res.chunks[0]).toBe('retry: 1000\n\n');
+    expect(stream.events()).toEqual([
+      { event: 'now-playing', data: expect.objectContaining({ is_playing: true, item: expect.objectContaining({ name: 'Test Track' }) }) },
+    ]);
+
+    stream.req.emit('close');
+    await stream.done;
+    expect(stream.res.ended).toBe(true);
+  });
+
+  it('sends an event only when the track changes', async () => {
+    const fetch = stubSpotify({
+      currentlyPlaying: [
+        json(currentlyPlaying()),
+        json(currentlyPlaying()),
+        json(currentlyPlaying({ item: track({ id: 'track2', name: 'Next Track' }) })),
+      ],
+    });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(3000);
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(3);
+    expect(stream.events().map(({ data }) => data.item.name)).toEqual(['Test Track', 'Next Track']);
+
+    stream.req.emit('close');
+    await stream.done;
+  });
+
+  it('polls again right after the current track ends', async () => {
+    const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying({ progress_ms: 199000 })) });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(1500);
+
+    expect(fetch.calls.filter((call) => call.route === 'currentlyPlaying')).toHaveLength(2);
+
+    stream.req.emit('close');
+    await stream.done;
+  });
+
+  it('sends heartbeats while nothing changes', async () => {
+    stubSpotify({ currentlyPlaying: noContent() });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(stream.events().map(({ event }) => event)).toEqual(['now-playing', 'heartbeat']);
+
+    stream.req.emit('close');
+    await stream.done;
+  });
+
+  it('adds the last played track when asked to', async () => {
+    stubSpotify({
+      currentlyPlaying: noContent(),
+      recentlyPlayed: json(recentlyPlayed([track({ name: 'Earlier Track' })])),
+    });
+
+    const stream = openStream({ query: { include_last_played: 'true' } });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(stream.events()[0].data).toMatchObject({
+      is_playing: false,
+      last_played: { item: { name: 'Earlier Track' } },
+    });
+
+    stream.req.emit('close');
+    await stream.done;
+  });
+
+  it('ends before the function times out so the client reconnects', async () => {
+    stubSpotify({ currentlyPlaying: noContent() });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(55000);
+    await stream.done;
+
+    expect(stream.res.ended).toBe(true);
+  });
+
+  it('reports Spotify errors as an event and closes', async () => {
+    stubSpotify({ currentlyPlaying: json({}, 429, { 'Retry-After': '5' }) });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(0);
+    await stream.done;
+
+    expect(stream.events()).toEqual([
+      {
+        event: 'spotify-error',
+        data: expect.objectContaining({ code: 'UPSTREAM_RATE_LIMITED', retryable: true }),
+      },
+    ]);
+    expect(stream.res.ended).toBe(true);
+  });
+
+  it('reports unexpected errors as INTERNAL_ERROR', async () => {
+    stubSpotify({ currentlyPlaying: () => new Response('<html>Bad gateway</html>') });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(0);
+    await stream.done;
+
+    expect(stream.events()[0]).toEqual({
+      event: 'spotify-error',
+      data: expect.objectContaining({ code: 'INTERNAL_ERROR', error: 'Failed to fetch now playing' }),
+    });
+  });
+
+  it('answers with JSON instead of a stream without a refresh token', async () => {
+    vi.stubEnv('SPOTIFY_REFRESH_TOKEN', '');
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toMatchObject({ code: 'CONFIG_MISSING', is_playing: false });
+    expect(res.chunks).toEqual([]);
+  });
+});
+
+describe('GET /api/spotify/now-playing/stream with the response cache', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+  });
+
+  const currentlyPlayingCalls = (fetch) => fetch.calls.filter((call) => call.route === 'currentlyPlaying');
+
+  it('shares one Spotify call between streams', async () => {
+    const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+    const streams = [openStream(), openStream(), openStream()];
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(currentlyPlayingCalls(fetch)).toHaveLength(1);
+    streams.forEach((stream) => expect(stream.events()).toHaveLength(1));
+
+    streams.forEach((stream) => stream.req.emit('close'));
+    await Promise.all(streams.map((stream) => stream.done));
+  });
+
+  it('shares cached responses with /api/spotify/now-playing', async () => {
+    const fetch = stubSpotify({
+      currentlyPlaying: noContent(),
+      recentlyPlayed: json(recentlyPlayed([track({ name: 'Earlier Track' })])),
+    });
+
+    const res = await invoke(nowPlaying, { query: { include_last_played: 'true' } });
+    const stream = openStream({ query: { include_last_played: 'true' } });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(stream.events()[0].data).toEqual(res.body);
+    expect(currentlyPlayingCalls(fetch)).toHaveLength(1);
+    expect(fetch.calls.filter((call) => call.route === 'recentlyPlayed')).toHaveLength(1);
+
+    stream.req.emit('close');
+    await stream.done;
+  });
+
+  it('polls Spotify no more often than the cache TTL', async () => {
+    const fetch = stubSpotify({ currentlyPlaying: json(currentlyPlaying()) });
+
+    const stream = openStream();
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(currentlyPlayingCalls(fetch)).toHaveLength(1);
+    // Cached progress moves on with the clock, so it isn't taken for a seek
+    expect(stream.events()).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(currentlyPlayingCalls(fetch)).toHaveLength(2);
+
+    stream.req.emit('close');
+    await stream.done;
+  });
+});
@@ -0,0 +1,147 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { stubSpotify, useHandlerTestEnv } from '../../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../../api/spotify/now-playing/team');
+const { invoke } = require('../../../helpers/http');
+const { json, noContent, tokenResponse, track, currentlyPlaying } = require('../../../helpers/spotify');
+
+useHandlerTestEnv();
+
+/**
+ * Spotify routes where each user's refresh token yields an access token
+ * named after them, and `players` says what each user is playing
+ * @param {Object<string, Response>} players - Currently-playing responses by user ID
+ * @returns {Object} createSpotifyFetch() routes
+ */
+function teamRoutes(players) {
+  return {
+    token: (url, init) => {
+      const refreshToken = new URLSearchParams(String(init.body)).get('refresh_token');
+      return tokenResponse({ access_token: `access-${refreshToken.replace('-refresh', '')}` });
+    },
+    currentlyPlaying: (url, init) => players[init.headers.Authorization.replace('Bearer access-', '')].clone(),
+  };
+}
+
+describe('GET /api/spotify/now-playing/team', () => {
+  beforeEach(() => {
+    vi.stubEnv(
+      'SPOTIFY_USERS',
+      JSON.stringify({
+        alice: { name: 'Alice', refreshToken: 'alice-refresh' },
+        bob: { name: 'Bob', refreshToken: 'bob-refresh' },
+      })
+    );
+  });
+
+  it("returns every registered user's playback", async () => {
+    stubSpotify(
+      teamRoutes({
+        alice: json(currentlyPlaying({ item: track({ name: 'Alice Song' }) })),
+        bob: noContent(),
+      })
+    );
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.users).toEqual([
+      expect.objectContaining({ id: 'alice', display_name: 'Alice', is_playing: true, item: expect.objectContaining({ name: 'Alice Song' }) }),
+      { id: 'bob', display_name: 'Bob', is_playing: false },
+    ]);
+    expect(res.headers['cache-control']).toBe('s-maxage=5, stale-while-revalidate');
+  });
+
+  it('caches longer when nobody is playing', async () => {
+    stubSpotify(teamRoutes({ alice: noContent(), bob: noContent() }));
+
+    const res = await invoke(handler);
+
+    expect(res.headers['cache-control']).toBe('s-maxage=30, stale-while-revalidate');
+  });
+
+  it('returns only the requested users, in order', async () => {
+    stubSpotify(teamRoutes({ alice: noContent(), bob: noContent() }));
+
+    const res = await invoke(handler, { query: { users: 'bob, alice,bob' } });
+
+    expect(res.body.users.map((user) => user.id)).toEqual(['bob', 'alice']);
+  });
+
+  it("reports one user's failure on their entry only", async () => {
+    stubSpotify(
+      teamRoutes({
+        alice: json(currentlyPlaying()),
+        bob: json({ error: { status: 403 } }, 403),
+      })
+    );
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.users[0].is_playing).toBe(true);
+    expect(res.body.users[1]).toEqual({
+      id: 'bob',
+      display_name: 'Bob',
+      is_playing: false,
+      error: 'The Spotify authorization is missing a required permission',
+      code: 'AUTH_SCOPE_MISSING',
+    });
+  });
+
+  it('marks unknown users', async () => {
+    stubSpotify(teamRoutes({ alice: noContent() }));
+
+    const res = await invoke(handler, { query: { users: 'alice,carol' } });
+
+    expect(res.body.users[1]).toEqual({
+      id: 'carol',
+      is_playing: false,
+      error: 'Unknown user',
+      code: 'UNKNOWN_USER',
+    });
+  });
+
+  it('marks unexpected failures as INTERNAL_ERROR', async () => {
+    stubSpotify({ ...teamRoutes({}), currentlyPlaying: () => new Response('<html>Bad gateway</html>') });
+
+    const res = await invoke(handler, { query: { users: 'alice' } });
+
+    expect(res.body.users[0]).toMatchObject({ id: 'alice', is_playing: false, code: 'INTERNAL_ERROR' });
+  });
+
+  it('returns an empty list when nobody is registered', async () => {
+    vi.stubEnv('SPOTIFY_USERS', '');
+
+    const res = await invoke(handler);
+
+    expect(res.body).toEqual({ users: [] });
+  });
+
+  it('rejects malformed user lists', async () => {
+    const res = await invoke(handler, { query: { users: 'alice,../bob' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_PARAMETER' });
+  });
+
+  it('rejects more than 20 users', async () => {
+    const users = Array.from({ length: 21 }, (_, index) => `user${index}`).join(',');
+
+    const res = await invoke(handler, { query: { users } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('At most 20 users can be requested at once');
+  });
+
+  it('fails with CONFIG_MISSING without app credentials', async () => {
+    vi.stubEnv('SPOTIFY_CLIENT_ID', '');
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+  });
+});
@@ -0,0 +1,127 @@
+import { createRequire } from 'module';
+import { describe, expect, it, vi } from 'vitest';
+import { invokeWithTimers, stubSpotify, useHandlerTestEnv } from '../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../api/spotify/recently-played');
+const { invoke } = require('../../helpers/http');
+const { json, networkError, track, recentlyPlayed } = require('../../helpers/spotify');
+
+useHandlerTestEnv();
+
+describe('GET /api/spotify/recently-played', () => {
+  it('returns normalized tracks with their play times and cursors', async () => {
+    stubSpotify({
+      recentlyPlayed: json(recentlyPlayed([track(), track({ id: 'track2', name: 'Second Track' })])),
+    });
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items).toHaveLength(2);
+    expect(res.body.items[1]).toEqual({
+      played_at: '2024-01-01T11:59:00.000Z',
+      item: expect.objectContaining({ id: 'track2', name: 'Second Track', artists: ['Test Artist'], type: 'track' }),
+    });
+    expect(res.body.cursors).toEqual({ after: '1704110400000', before: '1704110000000' });
+    expect(res.headers['cache-control']).toBe('s-maxage=60, stale-while-revalidate');
+  });
+
+  it('asks Spotify for 20 items by default', async () => {
+    const fetch = stubSpotify({ recentlyPlayed: json(recentlyPlayed()) });
+
+    await invoke(handler);
+
+    const url = new URL(fetch.calls.find((call) => call.route === 'recentlyPlayed').url);
+    expect(url.searchParams.get('limit')).toBe('20');
+    expect(url.searchParams.has('before')).toBe(false);
+  });
+
+  it('passes limit and a cursor through', async () => {
+    const fetch = stubSpotify({ recentlyPlayed: json(recentlyPlayed()) });
+
+    await invoke(handler, { query: { limit: '5', before: '1704110000000' } });
+
+    const url = new URL(fetch.calls.find((call) => call.route === 'recentlyPlayed').url);
+    expect(url.searchParams.get('limit')).toBe('5');
+    expect(url.searchParams.get('before')).toBe('1704110000000');
+  });
+
+  it('returns an empty list when Spotify has no history', async () => {
+    stubSpotify({ recentlyPlayed: json({ items: [] }) });
+
+    const res = await invoke(handler);
+
+    expect(res.body).toEqual({ items: [], cursors: null });
+  });
+
+  it.each([
+    [{ limit: '0' }, 'limit must be an integer between 1 and 50'],
+    [{ limit: '51' }, 'limit must be an integer between 1 and 50'],
+    [{ limit: 'ten' }, 'limit must be an integer between 1 and 50'],
+    [{ before: 'yesterday' }, 'before and after must be Unix timestamps in milliseconds'],
+    [{ after: '-1' }, 'before and after must be Unix timestamps in milliseconds'],
+    [{ before: '2', after: '1' }, 'Only one of before or after can be specified'],
+  ])('rejects %o', async (query, message) => {
+    const fetch = stubSpotify({});
+
+    const res = await invoke(handler, { query });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_PARAMETER', message });
+    expect(fetch.calls).toHaveLength(0);
+  });
+
+  it('explains the missing scope on 403', async () => {
+    stubSpotify({ recentlyPlayed: json({ error: { status: 403 } }, 403) });
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('AUTH_SCOPE_MISSING');
+    expect(res.body.hint).toContain('user-read-recently-played');
+  });
+
+  it('passes Spotify rate limits on', async () => {
+    stubSpotify({ recentlyPlayed: json({}, 429, { 'Retry-After': '3' }) });
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe('3');
+    expect(res.body.code).toBe('UPSTREAM_RATE_LIMITED');
+  });
+
+  it('maps persistent 5xx responses to UPSTREAM_UNAVAILABLE', async () => {
+    stubSpotify({ recentlyPlayed: json({}, 500) });
+
+    const res = await invokeWithTimers(handler);
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('UPSTREAM_UNAVAILABLE');
+  });
+
+  it('maps network failures to UPSTREAM_UNREACHABLE', async () => {
+    stubSpotify({ recentlyPlayed: networkError() });
+
+    const res = await invokeWithTimers(handler);
+
+    expect(res.statusCode).toBe(502);
+    expect(res.body.code).toBe('UPSTREAM_UNREACHABLE');
+  });
+
+  it('fails with CONFIG_MISSING without a refresh token', async () => {
+    vi.stubEnv('SPOTIFY_REFRESH_TOKEN', '');
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await invoke(handler, { method: 'DELETE' });
+
+    expect(res.statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,132 @@
+import { createRequire } from 'module';
+import { describe, expect, it, vi } from 'vitest';
+import { stubSpotify, useHandlerTestEnv } from '../../helpers/handlers.mjs';
+
+const require = createRequire(import.meta.url);
+const handler = require('../../../api/spotify/stats');
+const { HistoryRecorder } = require('../../../utils/history');
+const { invoke } = require('../../helpers/http');
+const { json, track } = require('../../helpers/spotify');
+
+useHandlerTestEnv();
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Records two full listens of a track, finishing a minute ago
+ */
+async function recordListens() {
+  const recorder = new HistoryRecorder();
+  const item = { id: 'track1', type: 'track', name: 'Test Track', artists: ['Test Artist'], album: { name: 'Test Album', images: [] }, duration_ms: 120000 };
+  const start = Date.now() - 10 * MINUTE;
+  await recorder.recordNowPlaying({ is_playing: true, progress_ms: 0, item }, start);
+  await recorder.recordNowPlaying({ is_playing: true, progress_ms: 120000, item }, start + 2 * MINUTE);
+  // Played again after a break
+  await recorder.recordNowPlaying({ is_playing: true, progress_ms: 0, item }, start + 5 * MINUTE);
+  await recorder.recordNowPlaying({ is_playing: true, progress_ms: 120000, item }, start + 7 * MINUTE);
+}
+
+function topItems() {
+  return {
+    topTracks: json({ items: [track({ id: 'top1', name: 'Top Track', album: { name: 'Top Album', images: [] } })] }),
+    topArtists: json({ items: [{ id: 'artist9', name: 'Top Artist', genres: [], images: [], external_urls: {} }] }),
+  };
+}
+
+describe('GET /api/spotify/stats', () => {
+  it('aggregates the recorded history', async () => {
+    await recordListens();
+    stubSpotify(topItems());
+
+    const res = await invoke(handler, { query: { limit: '1' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      window: '7d',
+      plays: 2,
+      total_minutes: 4,
+      seeded_from_spotify: false,
+    });
+    expect(res.body.top_tracks).toEqual([
+      expect.objectContaining({ id: 'track1', plays: 2, minutes: 4, source: 'history' }),
+    ]);
+    expect(res.body.top_artists[0]).toMatchObject({ name: 'Test Artist', plays: 2 });
+    expect(res.body.heatmap.days).toHaveLength(7);
+    expect(res.headers['cache-control']).toBe('s-maxage=300, stale-while-revalidate');
+  });
+
+  it("tops up short lists with Spotify's rankings", async () => {
+    await recordListens();
+    const fetch = stubSpotify(topItems());
+
+    const res = await invoke(handler);
+
+    expect(res.body.seeded_from_spotify).toBe(true);
+    expect(res.body.top_tracks.map((item) => [item.name, item.source])).toEqual([
+      ['Test Track', 'history'],
+      ['Top Track', 'spotify'],
+    ]);
+    expect(res.body.top_artists[1]).toMatchObject({ name: 'Top Artist', plays: null, minutes: null });
+    const url = new URL(fetch.calls.find((call) => call.route === 'topTracks').url);
+    expect(url.searchParams.get('time_range')).toBe('short_term');
+  });
+
+  it('uses the long-term ranking for the all window', async () => {
+    const fetch = stubSpotify(topItems());
+
+    const res = await invoke(handler, { query: { window: 'all' } });
+
+    expect(res.body.since).toBeNull();
+    const url = new URL(fetch.calls.find((call) => call.route === 'topArtists').url);
+    expect(url.searchParams.get('time_range')).toBe('long_term');
+  });
+
+  it('still answers when the top-read scope is missing', async () => {
+    stubSpotify({ topTracks: json({}, 403), topArtists: json({}, 403) });
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ plays: 0, top_tracks: [], seeded_from_spotify: false });
+    expect(console.warn).toHaveBeenCalledWith('Could not seed stats from Spotify top items:', expect.any(String));
+  });
+
+  it('buckets the heatmap in the requested time zone', async () => {
+    stubSpotify(topItems());
+
+    const res = await invoke(handler, { query: { timezone: 'Asia/Tokyo' } });
+
+    expect(res.body.heatmap.time_zone).toBe('Asia/Tokyo');
+  });
+
+  it.each([
+    [{ window: '1y' }, 'window must be one of: 7d, 30d, all'],
+    [{ limit: '0' }, 'limit must be an integer between 1 and 50'],
+    [{ limit: 'x' }, 'limit must be an integer between 1 and 50'],
+    [{ timezone: 'Mars/Olympus' }, 'timezone must be an IANA time zone, e.g. Europe/Berlin'],
+  ])('rejects %o', async (query, message) => {
+    const res = await invoke(handler, { query });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_PARAMETER', message });
+  });
+
+  it('fails with CONFIG_MISSING without a refresh token', async () => {
+    vi.stubEnv('SPOTIFY_REFRESH_TOKEN', '');
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+  });
+
+  it('fails with CONFIG_MISSING when the store is misconfigured', async () => {
+    vi.stubEnv('STORAGE_BACKEND', 'redis');
+    vi.stubEnv('REDIS_URL', '');
+
+    const res = await invoke(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('CONFIG_MISSING');
+  });
+});
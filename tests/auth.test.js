@@ -1,4 +1,5 @@
 require('dotenv').config();
+const { getApiBaseUrl, getTokenEndpoint } = require('../utils/spotifyEndpoints');
 
 const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
@@ -9,7 +10,7 @@ async function testAuth() {
     console.log('🔄 Testing Spotify API authentication...\n');
     
     // Test token refresh
-    const response = await fetch('https://accounts.spotify.com/api/token', {
+    const response = await fetch(getTokenEndpoint(), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -34,7 +35,7 @@ async function testAuth() {
     
     // Test now playing API
     console.log('🎵 Testing Now Playing API...');
-    const nowPlayingResponse = await fetch('https://api.spotify.com/v1/me/player/currently-playing', {
+    const nowPlayingResponse = await fetch(`${getApiBaseUrl()}/me/player/currently-playing`, {
       headers: {
         'Authorization': `Bearer ${tokenData.access_token}`,
       },
@@ -0,0 +1,302 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  NowPlayingClient,
+  clearIdleNowPlayingClients,
+  getNowPlayingClient,
+} from '../../components/NowPlayingClient';
+
+let apiCount = 0;
+let apiUrl = '';
+let hidden = false;
+const unsubscribers: Array<() => void> = [];
+
+function json(body: unknown, status = 200) {
+  return () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Replaces fetch with a queue of responses; the last one repeats
+ * @param {...function(): Response} responses - Response factories
+ * @returns {Object} fetch mock
+ */
+function stubApi(...responses: Array<() => Response>) {
+  const fetch = vi.fn(async () => (responses.length > 1 ? responses.shift()! : responses[0]!)());
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+function subscribe(client: NowPlayingClient, listener = vi.fn()) {
+  unsubscribers.push(client.subscribe(listener));
+  return listener;
+}
+
+function setHidden(value: boolean) {
+  hidden = value;
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+// Minimal EventSource that tests drive by hand
+class FakeEventSource {
+  static CLOSED = 2;
+  static instances: FakeEventSource[] = [];
+  readyState = 1;
+  onerror: (() => void) | null = null;
+  private listeners: Record<string, Array<(event: { data: string }) => void>> = {};
+
+  constructor(readonly url: string) {
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type: string, listener: (event: { data: string }) => void) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  emit(type: string, data: unknown = {}) {
+    (this.listeners[type] || []).forEach((listener) => listener({ data: JSON.stringify(data) }));
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+
+const PLAYING = { is_playing: true, progress_ms: 1000, item: { name: 'Test Track', duration_ms: 180000 } };
+const PAUSED = { is_playing: false };
+
+beforeEach(() => {
+  apiUrl = `https://api.test/${++apiCount}/api/spotify/now-playing`;
+  hidden = false;
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  vi.useFakeTimers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  FakeEventSource.instances = [];
+});
+
+afterEach(() => {
+  unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+  clearIdleNowPlayingClients();
+  vi.useRealTimers();
+});
+
+describe('NowPlayingClient', () => {
+  it('loads when the first listener subscribes', async () => {
+    const fetch = stubApi(json(PLAYING));
+    const client = getNowPlayingClient(apiUrl);
+
+    expect(client.getState()).toMatchObject({ data: null, loading: true });
+    expect(fetch).not.toHaveBeenCalled();
+
+    const listener = subscribe(client);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(fetch).toHaveBeenCalledWith(apiUrl, expect.objectContaining({ method: 'GET' }));
+    expect(client.getState()).toMatchObject({ data: PLAYING, loading: false, error: null, receivedAt: Date.now() });
+    expect(listener).toHaveBeenLastCalledWith(client.getState());
+  });
+
+  it('shares one client, request and poll loop per URL', async () => {
+    const fetch = stubApi(json(PLAYING));
+
+    const client = getNowPlayingClient(apiUrl);
+    const first = subscribe(client);
+    const second = subscribe(getNowPlayingClient(apiUrl));
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(getNowPlayingClient(apiUrl)).toBe(client);
+    expect(getNowPlayingClient(apiUrl, { transport: 'sse' })).not.toBe(client);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(first.mock.calls).toEqual(second.mock.calls);
+  });
+
+  it('stops polling when the last listener unsubscribes', async () => {
+    const fetch = stubApi(json(PLAYING));
+    const client = getNowPlayingClient(apiUrl);
+
+    const unsubscribeFirst = client.subscribe(vi.fn());
+    const second = vi.fn();
+    const unsubscribeSecond = client.subscribe(second);
+    await vi.advanceTimersByTimeAsync(0);
+
+    unsubscribeFirst();
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    unsubscribeSecond();
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops data that went stale while nobody was subscribed', async () => {
+    const fetch = stubApi(json(PLAYING));
+    const client = getNowPlayingClient(apiUrl);
+
+    client.subscribe(vi.fn())();
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(client.getState()).toMatchObject({ data: null, loading: true });
+    subscribe(client);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry a request that fails after everyone left', async () => {
+    const fetch = stubApi(json({ code: 'UPSTREAM_UNAVAILABLE', retryable: true }, 503));
+
+    getNowPlayingClient(apiUrl).subscribe(vi.fn())();
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts over on retry()', async () => {
+    const fetch = stubApi(json({ code: 'AUTH_FAILED', retryable: false }, 401), json(PLAYING));
+    const client = getNowPlayingClient(apiUrl);
+    subscribe(client);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(client.getState().error).toMatchObject({ code: 'AUTH_FAILED', status: 401, type: 'api_error', canRetry: true });
+
+    client.retry();
+    expect(client.getState()).toMatchObject({ error: null, loading: true, retrying: true });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(client.getState()).toMatchObject({ data: PLAYING, loading: false, retrying: false });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  describe('page visibility', () => {
+    it('does not poll while the page is hidden', async () => {
+      const fetch = stubApi(json(PAUSED));
+      subscribe(getNowPlayingClient(apiUrl));
+      await vi.advanceTimersByTimeAsync(0);
+
+      setHidden(true);
+      await vi.advanceTimersByTimeAsync(5 * 60000);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs an overdue poll as soon as the page is shown', async () => {
+      const fetch = stubApi(json(PAUSED));
+      subscribe(getNowPlayingClient(apiUrl));
+      await vi.advanceTimersByTimeAsync(0);
+
+      setHidden(true);
+      await vi.advanceTimersByTimeAsync(90000);
+      setHidden(false);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps the schedule when shown before the next poll', async () => {
+      const fetch = stubApi(json(PAUSED));
+      subscribe(getNowPlayingClient(apiUrl));
+      await vi.advanceTimersByTimeAsync(0);
+
+      setHidden(true);
+      await vi.advanceTimersByTimeAsync(20000);
+      setHidden(false);
+      await vi.advanceTimersByTimeAsync(39999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('SSE transport', () => {
+    beforeEach(() => {
+      vi.stubGlobal('EventSource', FakeEventSource);
+    });
+
+    it('streams from the /stream route instead of polling', async () => {
+      const fetch = stubApi(json(PLAYING));
+      const client = getNowPlayingClient(`${apiUrl}?include_last_played=true`, { transport: 'sse' });
+      subscribe(client);
+
+      const [source] = FakeEventSource.instances;
+      expect(source!.url).toBe(`${apiUrl}/stream?include_last_played=true`);
+
+      source!.emit('now-playing', PLAYING);
+      expect(client.getState()).toMatchObject({ data: PLAYING, loading: false });
+
+      await vi.advanceTimersByTimeAsync(30000);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['reports a Spotify error', (source: FakeEventSource) => source.emit('spotify-error')],
+      [
+        'is refused',
+        (source: FakeEventSource) => {
+          source.close();
+          source.onerror!();
+        },
+      ],
+    ])('falls back to polling when the stream %s', async (_, breakStream) => {
+      const fetch = stubApi(json(PLAYING));
+      const client = getNowPlayingClient(apiUrl, { transport: 'sse' });
+      subscribe(client);
+
+      breakStream(FakeEventSource.instances[0]!);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(client.getState().data).toEqual(PLAYING);
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('falls back to polling when heartbeats stop', async () => {
+      const fetch = stubApi(json(PLAYING));
+      subscribe(getNowPlayingClient(apiUrl, { transport: 'sse' }));
+      const [source] = FakeEventSource.instances;
+
+      await vi.advanceTimersByTimeAsync(30000);
+      source!.emit('heartbeat');
+      await vi.advanceTimersByTimeAsync(34999);
+      expect(fetch).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(source!.readyState).toBe(FakeEventSource.CLOSED);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('closes the stream when the last listener leaves', () => {
+      stubApi(json(PLAYING));
+      const unsubscribe = getNowPlayingClient(apiUrl, { transport: 'sse' }).subscribe(vi.fn());
+
+      unsubscribe();
+
+      expect(FakeEventSource.instances[0]!.readyState).toBe(FakeEventSource.CLOSED);
+    });
+
+    it('tries the stream again on retry()', async () => {
+      stubApi(json(PLAYING));
+      const client = getNowPlayingClient(apiUrl, { transport: 'sse' });
+      subscribe(client);
+      FakeEventSource.instances[0]!.emit('spotify-error');
+      await vi.advanceTimersByTimeAsync(0);
+
+      client.retry();
+
+      expect(FakeEventSource.instances).toHaveLength(2);
+    });
+  });
+
+  it('forgets idle clients only', () => {
+    stubApi(json(PLAYING));
+    const idle = getNowPlayingClient(apiUrl);
+    const active = getNowPlayingClient(`${apiUrl}?user=alice`);
+    subscribe(active);
+
+    clearIdleNowPlayingClients();
+
+    expect(getNowPlayingClient(apiUrl)).not.toBe(idle);
+    expect(getNowPlayingClient(`${apiUrl}?user=alice`)).toBe(active);
+  });
+});
@@ -0,0 +1,464 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { act, cleanup, fireEvent, render, screen } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import SpotifyNowPlaying from '../../components/SpotifyNowPlaying';
+
+vi.mock('framer', () => import('../mocks/framer.mjs'));
+vi.mock('framer-motion', () => import('../mocks/framer-motion.mjs'));
+
+const NOW = new Date('2024-01-01T12:00:00Z');
+
+// Responses and ETags are cached per URL at module level, so every test
+// gets its own API URL
+let apiCount = 0;
+let apiUrl = '';
+
+function track(overrides = {}) {
+  return {
+    id: 'track1',
+    type: 'track',
+    name: 'Test Track',
+    artists: ['Test Artist'],
+    album: {
+      name: 'Test Album',
+      images: [{ url: 'https://i.scdn.co/large' }, { url: 'https://i.scdn.co/medium' }, { url: 'https://i.scdn.co/small' }],
+    },
+    duration_ms: 180000,
+    external_urls: { spotify: 'https://open.spotify.com/track/track1' },
+    ...overrides,
+  };
+}
+
+function playing(overrides = {}) {
+  return { is_playing: true, progress_ms: 30000, currently_playing_type: 'track', item: track(), ...overrides };
+}
+
+function json(body: unknown, status = 200, headers: Record<string, string> = {}) {
+  return () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * Replaces fetch with a queue of responses; the last one repeats
+ * @param {...(function(): Response|Error)} responses - Response factories, or errors to reject with
+ * @returns {Object} fetch mock
+ */
+function stubApi(...responses: Array<(() => Response) | Error>) {
+  const fetch = vi.fn(async () => {
+    const next = responses.length > 1 ? responses.shift()! : responses[0]!;
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next();
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+function renderWidget(props = {}) {
+  return render(<SpotifyNowPlaying apiUrl={apiUrl} showLastPlayed={false} {...props} />);
+}
+
+/**
+ * Moves the fake clock on and lets React render what happened meanwhile
+ * @param {number} ms - Milliseconds
+ */
+async function advance(ms: number) {
+  await act(() => vi.advanceTimersByTimeAsync(ms));
+}
+
+beforeEach(() => {
+  apiUrl = `https://api.test/${++apiCount}/api/spotify/now-playing`;
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+describe('SpotifyNowPlaying', () => {
+  describe('rendering', () => {
+    it('shows a loading state until the API answers', async () => {
+      stubApi(json(playing()));
+
+      renderWidget();
+
+      expect(screen.getByText('Loading your music...')).toBeTruthy();
+      await advance(0);
+      expect(screen.queryByText('Loading your music...')).toBeNull();
+    });
+
+    it('shows the playing track with its cover and progress', async () => {
+      stubApi(json(playing()));
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText('Test Track')).toBeTruthy();
+      expect(screen.getByText('Test Artist')).toBeTruthy();
+      expect(screen.getByText('Test Album')).toBeTruthy();
+      expect(screen.getByAltText('Album cover').getAttribute('src')).toBe('https://i.scdn.co/small');
+      expect(screen.getByText('0:30')).toBeTruthy();
+      expect(screen.getByText('-2:30')).toBeTruthy();
+
+      // Progress moves on between polls
+      await advance(2000);
+      expect(screen.getByText('0:32')).toBeTruthy();
+    });
+
+    it('opens the track on Spotify when clicked', async () => {
+      stubApi(json(playing()));
+      const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+
+      renderWidget();
+      await advance(0);
+      fireEvent.click(screen.getByText('Test Track'));
+
+      expect(open).toHaveBeenCalledWith('https://open.spotify.com/track/track1', '_blank');
+    });
+
+    it('shows track and artist on one line in single-line mode', async () => {
+      stubApi(json(playing()));
+
+      renderWidget({ singleLine: true });
+      await advance(0);
+
+      expect(screen.getByText('Test Track - Test Artist')).toBeTruthy();
+    });
+
+    it('shows podcast episodes with their show and description', async () => {
+      stubApi(
+        json(
+          playing({
+            currently_playing_type: 'episode',
+            item: {
+              type: 'episode',
+              name: 'Test Episode',
+              description: 'What this episode is about',
+              images: [{ url: 'https://i.scdn.co/episode' }],
+              show: { name: 'Test Show', publisher: 'Test Publisher' },
+              duration_ms: 3600000,
+            },
+          })
+        )
+      );
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText('Test Episode')).toBeTruthy();
+      expect(screen.getByText('Test Show')).toBeTruthy();
+      expect(screen.getByText('Test Publisher')).toBeTruthy();
+      expect(screen.getByText('What this episode is about')).toBeTruthy();
+      expect(screen.getByAltText('Episode cover').getAttribute('src')).toBe('https://i.scdn.co/episode');
+      expect(screen.getByText('-59:30')).toBeTruthy();
+    });
+
+    it('hides the episode description when asked to', async () => {
+      stubApi(
+        json(playing({ currently_playing_type: 'episode', item: { type: 'episode', name: 'Test Episode', description: 'Hidden' } }))
+      );
+
+      renderWidget({ hideEpisodeDescription: true });
+      await advance(0);
+
+      expect(screen.getByText('Test Episode')).toBeTruthy();
+      expect(screen.queryByText('Hidden')).toBeNull();
+    });
+
+    it('treats hidden podcasts as nothing playing', async () => {
+      stubApi(json(playing({ currently_playing_type: 'episode', item: { type: 'episode', name: 'Test Episode' } })));
+
+      renderWidget({ hidePodcasts: true });
+      await advance(0);
+
+      expect(screen.getByText('No music playing')).toBeTruthy();
+      expect(screen.queryByText('Test Episode')).toBeNull();
+    });
+
+    it('shows the not-playing state', async () => {
+      stubApi(json({ is_playing: false }));
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText('No music playing')).toBeTruthy();
+    });
+
+    it('shows the last played track when nothing is playing', async () => {
+      const fetch = stubApi(
+        json({
+          is_playing: false,
+          last_played: { played_at: '2024-01-01T11:48:00Z', item: track({ name: 'Earlier Track' }) },
+        })
+      );
+
+      renderWidget({ showLastPlayed: true });
+      await advance(0);
+
+      expect(fetch.mock.calls[0]![0]).toBe(`${apiUrl}?include_last_played=true`);
+      expect(screen.getByText('Last played · 12 min ago')).toBeTruthy();
+      expect(screen.getByText('Earlier Track')).toBeTruthy();
+      expect(screen.queryByText('0:00')).toBeNull();
+    });
+  });
+
+  describe('errors', () => {
+    it.each([
+      ['AUTH_FAILED', 401, 'Spotify authentication failed - please check your API credentials'],
+      ['AUTH_REFRESH_REVOKED', 503, 'Spotify access was revoked or is incomplete - the account needs to be reconnected'],
+      ['QUOTA_EXCEEDED', 429, 'Daily API quota reached - try again tomorrow'],
+      ['ORIGIN_NOT_ALLOWED', 403, 'This site is not allowed to use the API - add it to ALLOWED_ORIGINS'],
+      ['CONFIG_MISSING', 500, 'The Now Playing API is not configured correctly'],
+    ])('explains %s', async (code, status, message) => {
+      stubApi(json({ error: 'Failed', code, retryable: false }, status));
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText(/API Error/)).toBeTruthy();
+      expect(screen.getByText(message)).toBeTruthy();
+      expect(screen.getByText('Try Again')).toBeTruthy();
+    });
+
+    it("falls back to the API's message for unknown codes", async () => {
+      stubApi(json({ error: 'Something odd happened', code: 'NEW_CODE', retryable: false }, 400));
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText('Something odd happened')).toBeTruthy();
+    });
+
+    it('shows network failures as connection errors', async () => {
+      stubApi(new TypeError('Failed to fetch'));
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText(/Connection Error/)).toBeTruthy();
+      expect(screen.getByText('Failed to fetch')).toBeTruthy();
+    });
+
+    it('retries from the error state with Try Again', async () => {
+      const fetch = stubApi(json({ error: 'Failed', code: 'AUTH_FAILED', retryable: false }, 401), json(playing()));
+
+      renderWidget();
+      await advance(0);
+      fireEvent.click(screen.getByText('Try Again'));
+
+      expect(screen.getByText('Retrying... (1/3)')).toBeTruthy();
+      await advance(0);
+      expect(screen.getByText('Test Track')).toBeTruthy();
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('adaptive polling', () => {
+    it('polls every 5 seconds while playing', async () => {
+      const fetch = stubApi(json(playing()));
+
+      renderWidget();
+      await advance(0);
+      await advance(4999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await advance(5000);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('polls every 60 seconds while paused', async () => {
+      const fetch = stubApi(json({ is_playing: false }));
+
+      renderWidget();
+      await advance(0);
+      await advance(59999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('switches interval when playback starts', async () => {
+      const fetch = stubApi(json({ is_playing: false }), json(playing()));
+
+      renderWidget();
+      await advance(0);
+      await advance(60000);
+      expect(screen.getByText('Test Track')).toBeTruthy();
+
+      await advance(5000);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('polls every 30 seconds after an error and recovers', async () => {
+      const fetch = stubApi(json({ error: 'Failed', code: 'AUTH_FAILED', retryable: false }, 401), json(playing()));
+
+      renderWidget();
+      await advance(0);
+      await advance(29999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(screen.getByText('Test Track')).toBeTruthy();
+    });
+
+    it('stops polling when unmounted', async () => {
+      const fetch = stubApi(json(playing()));
+
+      const { unmount } = renderWidget();
+      await advance(0);
+      unmount();
+      await advance(60000);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('retry backoff', () => {
+    it('retries retryable errors with exponential backoff, then gives up', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+      const fetch = stubApi(json({ error: 'Down', code: 'UPSTREAM_UNAVAILABLE', retryable: true }, 503));
+
+      renderWidget();
+      await advance(0);
+
+      // 1s, 2s and 4s, plus 500ms of jitter each
+      for (const [delay, calls] of [[1500, 2], [2500, 3], [4500, 4]]) {
+        await advance(delay! - 1);
+        expect(fetch).toHaveBeenCalledTimes(calls! - 1);
+        await advance(1);
+        expect(fetch).toHaveBeenCalledTimes(calls!);
+      }
+
+      expect(screen.getByText('Spotify API temporarily unavailable - please try again later')).toBeTruthy();
+      expect(screen.getByText('Attempted 3 retries')).toBeTruthy();
+      expect(screen.queryByText('Try Again')).toBeNull();
+    });
+
+    it("waits for the API's Retry-After instead", async () => {
+      const fetch = stubApi(json({ error: 'Slow down', code: 'UPSTREAM_RATE_LIMITED', retryable: true, retryAfter: 7 }, 429), json(playing()));
+
+      renderWidget();
+      await advance(0);
+      await advance(6999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(screen.getByText('Test Track')).toBeTruthy();
+    });
+
+    it('does not retry network failures', async () => {
+      const fetch = stubApi(new TypeError('Failed to fetch'));
+
+      renderWidget();
+      await advance(10000);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('shared cache', () => {
+    it('serves other instances from the cache until the TTL passes', async () => {
+      const fetch = stubApi(json({ is_playing: false, last_played: { played_at: '2024-01-01T11:58:00Z', item: track() } }));
+
+      renderWidget({ showLastPlayed: true }).unmount();
+      await advance(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      // The paused TTL is 60 seconds
+      await advance(59999);
+      renderWidget({ showLastPlayed: true }).unmount();
+      await advance(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await advance(1);
+      renderWidget({ showLastPlayed: true });
+      await advance(0);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('renders cached data without a loading state', async () => {
+      stubApi(json({ is_playing: false, last_played: { played_at: '2024-01-01T11:58:00Z', item: track() } }));
+
+      renderWidget({ showLastPlayed: true }).unmount();
+      await advance(0);
+      renderWidget({ showLastPlayed: true });
+      await advance(0);
+
+      expect(screen.getByText('Last played · 2 min ago')).toBeTruthy();
+    });
+
+    it('revalidates with If-None-Match and keeps the state on 304', async () => {
+      const fetch = stubApi(json(playing(), 200, { ETag: '"abc"' }), () => new Response(null, { status: 304 }));
+
+      renderWidget();
+      await advance(0);
+      await advance(5000);
+
+      expect(new Headers(fetch.mock.calls[1]![1]!.headers).get('If-None-Match')).toBe('"abc"');
+      expect(screen.getByText('Test Track')).toBeTruthy();
+      expect(screen.getByText('0:35')).toBeTruthy();
+
+      // Still polling afterwards
+      await advance(5000);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('error boundary (handleRetry)', () => {
+    // artists must be a list; a string makes rendering throw
+    const broken = json(playing({ item: track({ artists: 'Test Artist' }) }));
+
+    it('catches render errors', async () => {
+      stubApi(broken);
+
+      renderWidget();
+      await advance(0);
+
+      expect(screen.getByText(/Component Error/)).toBeTruthy();
+      expect(screen.getByText('Retry')).toBeTruthy();
+      expect(screen.getByText('Refresh Page')).toBeTruthy();
+    });
+
+    it('remounts the widget on retry', async () => {
+      const fetch = stubApi(broken, broken, json(playing()));
+
+      renderWidget();
+      await advance(0);
+      fireEvent.click(screen.getByText('Retry'));
+      await advance(0);
+
+      // Failed again: the button now says so
+      expect(screen.getByText('Try Again')).toBeTruthy();
+
+      fireEvent.click(screen.getByText('Try Again'));
+      await advance(0);
+
+      expect(screen.getByText('Test Track')).toBeTruthy();
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('suggests checking the configuration after repeated failures', async () => {
+      stubApi(broken);
+
+      renderWidget();
+      await advance(0);
+      for (let attempt = 0; attempt < 3; attempt++) {
+        fireEvent.click(screen.getByRole('button', { name: /Retry|Try Again/ }));
+        await advance(0);
+      }
+
+      expect(screen.getByText('If the problem persists, check your API configuration.')).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { act, cleanup, fireEvent, render, screen } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import SpotifyStats from '../../components/SpotifyStats';
+
+vi.mock('framer', () => import('../mocks/framer.mjs'));
+vi.mock('framer-motion', () => import('../mocks/framer-motion.mjs'));
+
+// Responses are cached per URL at module level, so every test gets its own
+// API URL
+let apiCount = 0;
+let apiUrl = '';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function stats(overrides = {}) {
+  const minutes = DAYS.map(() => Array(24).fill(0));
+  minutes[0][9] = 42;
+  return {
+    window: '7d',
+    total_minutes: 1234.4,
+    plays: 321,
+    top_tracks: [
+      {
+        name: 'Top Track',
+        artists: ['Track Artist'],
+        album: { name: 'Track Album', images: [{ url: 'https://i.scdn.co/track', width: 64 }] },
+        external_urls: { spotify: 'https://open.spotify.com/track/1' },
+        plays: 12,
+        minutes: 90,
+        source: 'history',
+      },
+    ],
+    top_artists: [{ name: 'Top Artist', plays: 30, minutes: 45, source: 'history' }],
+    top_albums: [],
+    heatmap: { time_zone: 'Europe/Berlin', days: DAYS, minutes },
+    ...overrides,
+  };
+}
+
+function json(body: unknown, status = 200) {
+  return () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Replaces fetch with a queue of responses; the last one repeats
+ * @param {...function(): Response} responses - Response factories
+ * @returns {Object} fetch mock
+ */
+function stubApi(...responses: Array<() => Response>) {
+  const fetch = vi.fn(async () => (responses.length > 1 ? responses.shift()! : responses[0]!)());
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+/**
+ * Moves the fake clock on and lets React render what happened meanwhile
+ * @param {number} ms - Milliseconds
+ */
+async function advance(ms: number) {
+  await act(() => vi.advanceTimersByTimeAsync(ms));
+}
+
+beforeEach(() => {
+  apiUrl = `https://api.test/${++apiCount}/api/spotify/stats`;
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+describe('SpotifyStats', () => {
+  it('shows a loading state until the stats arrive', async () => {
+    stubApi(json(stats()));
+    render(<SpotifyStats apiUrl={apiUrl} />);
+
+    expect(screen.getByText('Loading listening stats...')).toBeTruthy();
+
+    await advance(0);
+    expect(screen.queryByText('Loading listening stats...')).toBeNull();
+  });
+
+  it('asks for the configured window, item count and time zone', async () => {
+    const fetch = stubApi(json(stats()));
+    render(<SpotifyStats apiUrl={apiUrl} window="30d" itemCount={3} timeZone="Europe/Berlin" />);
+    await advance(0);
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${apiUrl}?window=30d&limit=3&timezone=Europe%2FBerlin`,
+      expect.anything(),
+    );
+  });
+
+  it('renders the totals, rankings and heatmap', async () => {
+    stubApi(json(stats()));
+    render(<SpotifyStats apiUrl={apiUrl} timeZone="Europe/Berlin" />);
+    await advance(0);
+
+    expect(screen.getByText('Last 7 days')).toBeTruthy();
+    expect(screen.getByText('1,234 min listened')).toBeTruthy();
+    expect(screen.getByText('Top Track')).toBeTruthy();
+    expect(screen.getByText('Track Artist · Track Album')).toBeTruthy();
+    expect(screen.getByText('1.5 hr')).toBeTruthy();
+    expect(screen.getByText('Top Artist')).toBeTruthy();
+    expect(screen.getByText('30 plays')).toBeTruthy();
+    expect(screen.getByTitle('Mon 9:00 · 42 min')).toBeTruthy();
+    expect(screen.queryByText('Top Albums')).toBeNull();
+  });
+
+  it('hides the sections that are switched off', async () => {
+    stubApi(json(stats()));
+    render(
+      <SpotifyStats
+        apiUrl={apiUrl}
+        timeZone="UTC"
+        showTotalMinutes={false}
+        showTopArtists={false}
+        showHeatmap={false}
+        hideAlbumName
+      />,
+    );
+    await advance(0);
+
+    expect(screen.getByText('Track Artist')).toBeTruthy();
+    expect(screen.queryByText(/min listened/)).toBeNull();
+    expect(screen.queryByText('Top Artists')).toBeNull();
+    expect(screen.queryByText('When I Listen')).toBeNull();
+  });
+
+  it('shows the error and tries again on request', async () => {
+    const fetch = stubApi(json({ code: 'SPOTIFY_UNAVAILABLE' }, 503), json(stats()));
+    render(<SpotifyStats apiUrl={apiUrl} timeZone="UTC" />);
+    await advance(0);
+
+    expect(screen.getByText('Unable to load listening stats (503)')).toBeTruthy();
+
+    fireEvent.click(screen.getByText('Try Again'));
+    await advance(0);
+
+    expect(screen.getByText('Top Track')).toBeTruthy();
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
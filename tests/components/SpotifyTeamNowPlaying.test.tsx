@@ -0,0 +1,137 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { act, cleanup, render, screen } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import SpotifyTeamNowPlaying from '../../components/SpotifyTeamNowPlaying';
+
+vi.mock('framer', () => import('../mocks/framer.mjs'));
+vi.mock('framer-motion', () => import('../mocks/framer-motion.mjs'));
+
+// Responses are cached per URL at module level, so every test gets its own
+// API URL
+let apiCount = 0;
+let apiUrl = '';
+
+const ALICE = {
+  id: 'alice',
+  display_name: 'Alice',
+  is_playing: true,
+  item: {
+    name: 'Alice Track',
+    type: 'track',
+    artists: ['Alice Artist'],
+    album: { name: 'Alice Album', images: [{ url: 'https://i.scdn.co/alice' }] },
+  },
+};
+
+const BOB = {
+  id: 'bob',
+  display_name: 'Bob',
+  is_playing: true,
+  item: {
+    name: 'Bob Episode',
+    type: 'episode',
+    images: [{ url: 'https://i.scdn.co/bob' }],
+    show: { name: 'Bob Show', publisher: 'Bob Publisher' },
+  },
+};
+
+const CAROL = { id: 'carol', display_name: 'Carol', is_playing: false };
+
+function json(body: unknown, status = 200) {
+  return () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Replaces fetch with a queue of responses; the last one repeats
+ * @param {...function(): Response} responses - Response factories
+ * @returns {Object} fetch mock
+ */
+function stubApi(...responses: Array<() => Response>) {
+  const fetch = vi.fn(async () => (responses.length > 1 ? responses.shift()! : responses[0]!)());
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+/**
+ * Moves the fake clock on and lets React render what happened meanwhile
+ * @param {number} ms - Milliseconds
+ */
+async function advance(ms: number) {
+  await act(() => vi.advanceTimersByTimeAsync(ms));
+}
+
+beforeEach(() => {
+  apiUrl = `https://api.test/${++apiCount}/api/spotify/now-playing/team`;
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+describe('SpotifyTeamNowPlaying', () => {
+  it('shows a loading state until the team arrives', async () => {
+    stubApi(json({ users: [ALICE] }));
+    render(<SpotifyTeamNowPlaying apiUrl={apiUrl} />);
+
+    expect(screen.getByText('Loading team...')).toBeTruthy();
+
+    await advance(0);
+    expect(screen.queryByText('Loading team...')).toBeNull();
+  });
+
+  it('asks only for the configured users', async () => {
+    const fetch = stubApi(json({ users: [ALICE, BOB] }));
+    render(<SpotifyTeamNowPlaying apiUrl={apiUrl} users={[{ id: 'alice' }, { id: ' bob ' }]} />);
+    await advance(0);
+
+    expect(fetch).toHaveBeenCalledWith(`${apiUrl}?users=alice%2Cbob`, expect.anything());
+  });
+
+  it('renders a card per member', async () => {
+    stubApi(json({ users: [ALICE, BOB, CAROL, { id: 'dave', is_playing: false, error: 'Token expired' }] }));
+    render(<SpotifyTeamNowPlaying apiUrl={apiUrl} users={[{ id: 'alice', name: 'Ally' }]} />);
+    await advance(0);
+
+    expect(screen.getByText('Ally')).toBeTruthy();
+    expect(screen.getByText('Alice Track')).toBeTruthy();
+    expect(screen.getByText('Alice Artist')).toBeTruthy();
+    expect(screen.getByText('Alice Album')).toBeTruthy();
+    expect(screen.getByText('Bob Episode')).toBeTruthy();
+    expect(screen.getByText('Bob Show')).toBeTruthy();
+    expect(screen.getByAltText('Episode cover').getAttribute('src')).toBe('https://i.scdn.co/bob');
+    expect(screen.getByText('Carol')).toBeTruthy();
+    expect(screen.getByText('Not playing')).toBeTruthy();
+    expect(screen.getByText('dave')).toBeTruthy();
+    expect(screen.getByText('Token expired')).toBeTruthy();
+  });
+
+  it('polls faster while anyone is listening', async () => {
+    const fetch = stubApi(json({ users: [ALICE] }), json({ users: [CAROL] }));
+    render(<SpotifyTeamNowPlaying apiUrl={apiUrl} />);
+    await advance(0);
+
+    await advance(5000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(screen.getByText('Not playing')).toBeTruthy();
+
+    await advance(5000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await advance(25000);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('shows the error and recovers on the next poll', async () => {
+    stubApi(json({ code: 'SPOTIFY_UNAVAILABLE' }, 503), json({ users: [ALICE] }));
+    render(<SpotifyTeamNowPlaying apiUrl={apiUrl} />);
+    await advance(0);
+
+    expect(screen.getByText('Unable to connect to Spotify (503)')).toBeTruthy();
+
+    await advance(30000);
+    expect(screen.getByText('Alice Track')).toBeTruthy();
+  });
+});
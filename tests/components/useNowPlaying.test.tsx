@@ -0,0 +1,141 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { act, cleanup, fireEvent, render, renderHook, screen } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { clearIdleNowPlayingClients } from '../../components/NowPlayingClient';
+import { useNowPlaying } from '../../components/useNowPlaying';
+import SpotifyNowPlayingSimple from '../../components/SpotifyNowPlayingSimple';
+import SpotifyNowPlayingFramer from '../../components/SpotifyNowPlayingFramer.jsx';
+
+vi.mock('framer', () => import('../mocks/framer.mjs'));
+vi.mock('framer-motion', () => import('../mocks/framer-motion.mjs'));
+
+let apiCount = 0;
+let apiUrl = '';
+
+const PLAYING = {
+  is_playing: true,
+  progress_ms: 30000,
+  item: { name: 'Test Track', artists: ['Test Artist'], album: { name: 'Test Album' }, duration_ms: 180000 },
+};
+
+const EPISODE = {
+  is_playing: true,
+  progress_ms: 30000,
+  currently_playing_type: 'episode',
+  item: {
+    name: 'Test Episode',
+    type: 'episode',
+    duration_ms: 1800000,
+    images: [{ url: 'https://i.test/episode.jpg' }],
+    show: { name: 'Test Show', publisher: 'Test Publisher' },
+  },
+};
+
+function json(body: unknown, status = 200) {
+  return () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Replaces fetch with a queue of responses; the last one repeats
+ * @param {...function(): Response} responses - Response factories
+ * @returns {Object} fetch mock
+ */
+function stubApi(...responses: Array<() => Response>) {
+  const fetch = vi.fn(async () => (responses.length > 1 ? responses.shift()! : responses[0]!)());
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+/**
+ * Moves the fake clock on and lets React render what happened meanwhile
+ * @param {number} ms - Milliseconds
+ */
+async function advance(ms: number) {
+  await act(() => vi.advanceTimersByTimeAsync(ms));
+}
+
+beforeEach(() => {
+  apiUrl = `https://api.test/${++apiCount}/api/spotify/now-playing`;
+  vi.useFakeTimers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  clearIdleNowPlayingClients();
+  vi.useRealTimers();
+});
+
+describe('useNowPlaying', () => {
+  it('returns the client state and a retry function', async () => {
+    stubApi(json({ code: 'AUTH_FAILED', retryable: false }, 401), json(PLAYING));
+    const { result } = renderHook(() => useNowPlaying(apiUrl));
+
+    expect(result.current).toMatchObject({ data: null, loading: true, error: null });
+    await advance(0);
+    expect(result.current.error).toMatchObject({ code: 'AUTH_FAILED' });
+
+    act(() => result.current.retry());
+    await advance(0);
+
+    expect(result.current).toMatchObject({ data: PLAYING, loading: false, error: null });
+  });
+
+  it('asks for the last played track when includeLastPlayed is set', async () => {
+    const fetch = stubApi(json(PLAYING));
+    renderHook(() => useNowPlaying(`${apiUrl}?user=alice`, { includeLastPlayed: true }));
+    await advance(0);
+
+    expect(fetch).toHaveBeenCalledWith(`${apiUrl}?user=alice&include_last_played=true`, expect.anything());
+  });
+
+  it('feeds every widget on the page from one request', async () => {
+    const fetch = stubApi(json(PLAYING));
+    render(
+      <>
+        <SpotifyNowPlayingSimple apiUrl={apiUrl} />
+        <SpotifyNowPlayingFramer apiUrl={apiUrl} />
+      </>,
+    );
+    await advance(0);
+
+    expect(screen.getAllByText('Test Track')).toHaveLength(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await advance(5000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([
+    ['SpotifyNowPlayingSimple', SpotifyNowPlayingSimple],
+    ['SpotifyNowPlayingFramer', SpotifyNowPlayingFramer],
+  ])('shows the show and publisher of an episode in %s', async (_, Widget) => {
+    stubApi(json(EPISODE));
+    render(<Widget apiUrl={apiUrl} />);
+    await advance(0);
+
+    expect(screen.getByText('Test Episode')).toBeTruthy();
+    expect(screen.getByText('Test Show')).toBeTruthy();
+    expect(screen.getByText('Test Publisher')).toBeTruthy();
+    expect(screen.getByAltText('Episode cover').getAttribute('src')).toBe('https://i.test/episode.jpg');
+    expect(screen.queryByText('Unknown Artist')).toBeNull();
+  });
+
+  it.each([
+    ['SpotifyNowPlayingSimple', SpotifyNowPlayingSimple],
+    ['SpotifyNowPlayingFramer', SpotifyNowPlayingFramer],
+  ])('lets %s try again after an error', async (_, Widget) => {
+    const fetch = stubApi(json({ code: 'AUTH_FAILED', retryable: false }, 401), json(PLAYING));
+    render(<Widget apiUrl={apiUrl} />);
+    await advance(0);
+
+    fireEvent.click(screen.getByText('Try Again'));
+    await advance(0);
+
+    expect(screen.getByText('Test Track')).toBeTruthy();
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
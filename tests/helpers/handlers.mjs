@@ -0,0 +1,59 @@
+/**
+ * Vitest glue for handler tests: a clean environment per test, stubbed
+ * Spotify and a way through retry backoff without waiting for it.
+ */
+
+import { createRequire } from 'module';
+import { afterEach, beforeEach, vi } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { invoke } = require('./http');
+const { TEST_ENV, createSpotifyFetch, resetServerState } = require('./spotify');
+
+/**
+ * Registers hooks that give every test in the file fresh server state,
+ * Spotify credentials in the environment and a quiet console
+ */
+export function useHandlerTestEnv() {
+  beforeEach(async () => {
+    await resetServerState();
+    Object.entries(TEST_ENV).forEach(([name, value]) => vi.stubEnv(name, value));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+}
+
+/**
+ * Stubs fetch with the given Spotify routes
+ * @param {Object} [routes] - createSpotifyFetch() routes
+ * @returns {Function} The stub, with `calls`
+ */
+export function stubSpotify(routes) {
+  const fetch = createSpotifyFetch(routes);
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+/**
+ * Calls a handler that may wait on retry backoff, fast-forwarding timers
+ * until it has answered
+ * @param {Function} handler - Vercel handler
+ * @param {Object} [request] - createRequest() options
+ * @returns {Promise<Object>} Response
+ */
+export async function invokeWithTimers(handler, request) {
+  vi.useFakeTimers({ toFake: ['setTimeout'] });
+  let settled = false;
+  const pending = invoke(handler, request).finally(() => {
+    settled = true;
+  });
+  while (!settled) {
+    await vi.advanceTimersByTimeAsync(1000);
+  }
+  return pending;
+}
@@ -0,0 +1,110 @@
+/**
+ * Fake Vercel requests and responses
+ *
+ * Handlers are called directly with these instead of going through a
+ * server: the response records what the handler did (status, headers, body,
+ * streamed chunks) so tests can assert on it.
+ */
+
+/**
+ * Creates a request
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.query] - Parsed query string
+ * @param {Object} [options.headers] - Headers (lower-case names)
+ * @param {Object} [options.cookies] - Parsed cookies
+ * @param {string} [options.url] - Request URL
+ * @returns {Object} Request
+ */
+function createRequest({ method = 'GET', query = {}, headers = {}, cookies = {}, url = '/' } = {}) {
+  const listeners = {};
+  return {
+    method,
+    query,
+    headers,
+    cookies,
+    url,
+    socket: { remoteAddress: '127.0.0.1' },
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return this;
+    },
+    // Fires request events, e.g. emit('close') when the client disconnects
+    emit(event, ...args) {
+      (listeners[event] || []).forEach((listener) => listener(...args));
+    },
+  };
+}
+
+/**
+ * Creates a response
+ * @returns {Object} Response; read `statusCode`, `headers`, `body`, `text`, `chunks` and `ended`
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    text: undefined,
+    chunks: [],
+    ended: false,
+    headersSent: false,
+
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    writeHead(status, headers = {}) {
+      this.statusCode = status;
+      Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+      this.headersSent = true;
+      return this;
+    },
+    flushHeaders() {
+      this.headersSent = true;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this.end();
+    },
+    send(text) {
+      this.text = text;
+      return this.end();
+    },
+    write(chunk) {
+      this.headersSent = true;
+      this.chunks.push(String(chunk));
+      return true;
+    },
+    end() {
+      this.headersSent = true;
+      this.ended = true;
+      return this;
+    },
+  };
+}
+
+/**
+ * Calls a handler with a fake request and returns the response
+ * @param {function(Object, Object): Promise<void>} handler - Vercel handler
+ * @param {Object} [request] - createRequest() options
+ * @returns {Promise<Object>} Response
+ */
+async function invoke(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
+
+module.exports = {
+  createRequest,
+  createResponse,
+  invoke
+};
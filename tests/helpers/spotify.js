@@ -0,0 +1,214 @@
+/**
+ * Stubbed Spotify for handler tests
+ *
+ * createSpotifyFetch() returns a fetch replacement that answers Spotify URLs
+ * from a table of routes, so handlers run their real code paths (token
+ * refresh, retries, error classification) without the network. Each route
+ * is a Response, a function returning one (or throwing, e.g. a TypeError
+ * for a network error), or an array of those used one call at a time.
+ */
+
+const { resetStore } = require('../../utils/storage');
+const { resetTokenCache } = require('../../utils/tokenManager');
+
+// Credentials that pass utils/validateEnvironment.js
+const TEST_ENV = {
+  SPOTIFY_CLIENT_ID: 'testclientid00000000000000000000',
+  SPOTIFY_CLIENT_SECRET: 'testclientsecret0000000000000000',
+  SPOTIFY_REFRESH_TOKEN: `test-refresh-${'0'.repeat(100)}`,
+};
+
+/**
+ * JSON response
+ * @param {*} body - Body
+ * @param {number} [status=200] - Status
+ * @param {Object} [headers] - Extra headers
+ * @returns {Response} Response
+ */
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * 204 response
+ * @returns {Response} Response
+ */
+function noContent() {
+  return new Response(null, { status: 204 });
+}
+
+/**
+ * Network failure as thrown by fetch
+ * @returns {function(): never} Route that throws
+ */
+function networkError() {
+  return () => {
+    throw new TypeError('fetch failed');
+  };
+}
+
+/**
+ * Successful refresh_token grant
+ * @param {Object} [overrides] - Extra token fields, e.g. refresh_token
+ * @returns {Response} Response
+ */
+function tokenResponse(overrides = {}) {
+  return json({ access_token: 'test-access-token', token_type: 'Bearer', expires_in: 3600, ...overrides });
+}
+
+/**
+ * Spotify track object
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Track
+ */
+function track(overrides = {}) {
+  return {
+    id: 'track1',
+    type: 'track',
+    name: 'Test Track',
+    duration_ms: 200000,
+    artists: [{ id: 'artist1', name: 'Test Artist' }],
+    album: { name: 'Test Album', images: [{ url: 'https://i.scdn.co/image/test', height: 640, width: 640 }] },
+    external_urls: { spotify: 'https://open.spotify.com/track/track1' },
+    ...overrides,
+  };
+}
+
+/**
+ * Spotify podcast episode object
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Episode
+ */
+function episode(overrides = {}) {
+  return {
+    id: 'episode1',
+    type: 'episode',
+    name: 'Test Episode',
+    description: 'An episode about tests.',
+    duration_ms: 1800000,
+    images: [],
+    show: {
+      name: 'Test Show',
+      publisher: 'Test Publisher',
+      images: [{ url: 'https://i.scdn.co/image/show', height: 640, width: 640 }],
+      external_urls: { spotify: 'https://open.spotify.com/show/show1' },
+    },
+    external_urls: { spotify: 'https://open.spotify.com/episode/episode1' },
+    ...overrides,
+  };
+}
+
+/**
+ * Currently-playing response
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Currently-playing body
+ */
+function currentlyPlaying(overrides = {}) {
+  return {
+    is_playing: true,
+    progress_ms: 60000,
+    currently_playing_type: 'track',
+    item: track(),
+    ...overrides,
+  };
+}
+
+/**
+ * Recently-played response
+ * @param {Array<Object>} [tracks] - Tracks, most recent first
+ * @returns {Object} Recently-played body
+ */
+function recentlyPlayed(tracks = [track()]) {
+  return {
+    items: tracks.map((item, index) => ({
+      track: item,
+      played_at: new Date(Date.UTC(2024, 0, 1, 12, 0) - index * 60000).toISOString(),
+    })),
+    cursors: { after: '1704110400000', before: '1704110000000' },
+  };
+}
+
+/**
+ * Turns a Response into a route that answers with a fresh copy every time
+ * (a body can only be read once)
+ * @param {Response|Function} answer - Route
+ * @returns {Function} Route
+ */
+function replayable(answer) {
+  if (!(answer instanceof Response)) {
+    return answer;
+  }
+  const body = answer.text();
+  return async () => new Response(answer.status === 204 ? null : await body, {
+    status: answer.status,
+    headers: answer.headers,
+  });
+}
+
+// Route names by URL path
+const ROUTES = [
+  [/\/api\/token$/, 'token'],
+  [/\/v1\/me\/player\/currently-playing$/, 'currentlyPlaying'],
+  [/\/v1\/me\/player\/recently-played$/, 'recentlyPlayed'],
+  [/\/v1\/me\/top\/tracks$/, 'topTracks'],
+  [/\/v1\/me\/top\/artists$/, 'topArtists'],
+  [/\/v1\/me$/, 'profile'],
+];
+
+/**
+ * Creates a stubbed fetch
+ * @param {Object} [routes] - Responses by route: token, currentlyPlaying,
+ *   recentlyPlayed, topTracks, topArtists, profile and other (anything else)
+ * @returns {function(string, Object): Promise<Response> & {calls: Array<{route: string, url: string, init: Object}>}} fetch
+ */
+function createSpotifyFetch(routes = {}) {
+  const table = { token: () => tokenResponse() };
+  for (const [route, answer] of Object.entries(routes)) {
+    table[route] = Array.isArray(answer) ? answer.map(replayable) : replayable(answer);
+  }
+  const calls = [];
+
+  const fetch = async (input, init = {}) => {
+    const url = String(input);
+    const pathname = new URL(url).pathname;
+    const route = ROUTES.find(([pattern]) => pattern.test(pathname))?.[1] || 'other';
+    calls.push({ route, url, init });
+
+    let answer = table[route];
+    if (Array.isArray(answer)) {
+      // The last entry keeps answering once the others are used up
+      answer = answer.length > 1 ? answer.shift() : answer[0];
+    }
+    if (typeof answer === 'function') {
+      answer = await answer(url, init);
+    }
+    return answer || json({ error: { status: 404, message: `No stub for ${route}` } }, 404);
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+/**
+ * Forgets the shared store (cache, rate limits, history) and cached tokens
+ */
+async function resetServerState() {
+  await resetStore();
+  resetTokenCache();
+}
+
+module.exports = {
+  TEST_ENV,
+  json,
+  noContent,
+  networkError,
+  tokenResponse,
+  track,
+  episode,
+  currentlyPlaying,
+  recentlyPlayed,
+  createSpotifyFetch,
+  resetServerState
+};
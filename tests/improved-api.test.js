@@ -2,6 +2,8 @@
 require('dotenv').config({ path: '.env.local' });
 
 // Import our improved functions (simulate the serverless environment)
+const { SpotifyClient } = require('../utils/spotifyClient');
+
 const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const SPOTIFY_REFRESH_TOKEN = process.env.SPOTIFY_REFRESH_TOKEN;
@@ -23,60 +25,12 @@ if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET || !SPOTIFY_REFRESH_TOKEN) {
   );
 }
 
-const TOKEN_ENDPOINT = "https://accounts.spotify.com/api/token";
-const NOW_PLAYING_ENDPOINT = "https://api.spotify.com/v1/me/player/currently-playing";
-
-// Our improved getAccessToken function
-async function getAccessToken(retryCount = 0) {
-  const maxRetries = 2;
-
-  try {
-    const response = await fetch(TOKEN_ENDPOINT, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        Authorization: `Basic ${Buffer.from(
-          `${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`,
-        ).toString("base64")}`,
-      },
-      body: new URLSearchParams({
-        grant_type: "refresh_token",
-        refresh_token: SPOTIFY_REFRESH_TOKEN,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-
-      if (response.status === 400) {
-        throw new Error(
-          "Invalid refresh token - please re-authorize your Spotify account",
-        );
-      } else if (response.status === 401) {
-        throw new Error(
-          "Invalid client credentials - check your Spotify app configuration",
-        );
-      } else if (response.status >= 500 && retryCount < maxRetries) {
-        console.log(
-          `Spotify token service temporarily unavailable, retrying... (${retryCount + 1}/${maxRetries})`,
-        );
-        await new Promise((resolve) =>
-          setTimeout(resolve, 1000 * Math.pow(2, retryCount)),
-        );
-        return getAccessToken(retryCount + 1);
-      }
-
-      throw new Error(`Token refresh failed with status ${response.status}`);
-    }
-
-    return response.json();
-  } catch (error) {
-    if (error.name === "TypeError" && error.message.includes("fetch")) {
-      throw new Error("Unable to connect to Spotify - network error");
-    }
-    throw error;
-  }
-}
+// Shared client used by every API route
+const client = new SpotifyClient({
+  clientId: SPOTIFY_CLIENT_ID,
+  clientSecret: SPOTIFY_CLIENT_SECRET,
+  refreshToken: SPOTIFY_REFRESH_TOKEN,
+});
 
 async function testImprovedErrorHandling() {
   console.log('🧪 Testing improved API error handling...\n');
@@ -86,13 +40,14 @@ async function testImprovedErrorHandling() {
 
   try {
     console.log('🔄 Testing token refresh with improved error messages...');
-    const tokenData = await getAccessToken();
+    await client.getAccessToken();
     console.log('✅ Token refresh succeeded!');
     console.log('🎉 All improvements are working correctly!');
 
   } catch (error) {
     console.log('📋 Improved Error Handling Results:');
     console.log(`❌ Error: ${error.message}`);
+    console.log(`   Type: ${error.type || 'unclassified'}`);
 
     // Check if we're getting our improved error messages
     if (error.message.includes('Invalid refresh token - please re-authorize')) {
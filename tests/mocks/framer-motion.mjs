@@ -0,0 +1,30 @@
+/**
+ * Stand-in for `framer-motion`: motion.div, motion.svg, ... render the plain
+ * element and drop the animation props, so components render in jsdom
+ * without running animations.
+ */
+
+import { createElement, forwardRef } from 'react';
+
+const MOTION_PROPS = new Set(['animate', 'initial', 'exit', 'transition', 'variants', 'whileHover', 'whileTap', 'whileInView', 'layout']);
+
+// One component per tag, so re-renders don't remount the element
+const components = new Map();
+
+function motionComponent(tag) {
+  if (!components.has(tag)) {
+    const component = forwardRef((props, ref) =>
+      createElement(tag, {
+        ...Object.fromEntries(Object.entries(props).filter(([name]) => !MOTION_PROPS.has(name))),
+        ref,
+      })
+    );
+    component.displayName = `motion.${tag}`;
+    components.set(tag, component);
+  }
+  return components.get(tag);
+}
+
+export const motion = new Proxy({}, { get: (_, tag) => motionComponent(String(tag)) });
+
+export const AnimatePresence = ({ children }) => children;
@@ -0,0 +1,15 @@
+/**
+ * Stand-in for the `framer` module, which only exists inside Framer.
+ * Property controls are recorded so tests can inspect them.
+ */
+
+export const propertyControls = new Map();
+
+export function addPropertyControls(component, controls) {
+  propertyControls.set(component, controls);
+}
+
+// ControlType.String === 'string', ControlType.Color === 'color', ...
+export const ControlType = new Proxy({}, { get: (_, name) => String(name).toLowerCase() });
+
+export const useIsStaticRenderer = () => false;
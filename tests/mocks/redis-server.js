@@ -0,0 +1,105 @@
+/**
+ * Redis Stand-In
+ *
+ * A small in-process server speaking the Redis protocol (RESP), supporting
+ * only the commands RedisStore (utils/storage.js) uses, so the Redis backend
+ * can be tested without a Redis server.
+ */
+
+const net = require('net');
+
+/**
+ * Starts a Redis-protocol stand-in supporting the commands RedisStore uses
+ * @returns {Promise<net.Server>} Listening server
+ */
+function startRedisStandIn() {
+  const values = new Map();
+  const expiries = new Map();
+
+  const isExpired = (key) => {
+    if (expiries.has(key) && Date.now() >= expiries.get(key)) {
+      values.delete(key);
+      expiries.delete(key);
+    }
+    return !values.has(key);
+  };
+
+  const bulk = (value) =>
+    value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+
+  const execute = ([name, key, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return '+PONG\r\n';
+      case 'QUIT':
+        return '+OK\r\n';
+      case 'GET':
+        return bulk(isExpired(key) ? null : values.get(key));
+      case 'SET':
+        values.set(key, args[0]);
+        expiries.delete(key);
+        if (String(args[1]).toUpperCase() === 'PX') {
+          expiries.set(key, Date.now() + Number(args[2]));
+        }
+        return '+OK\r\n';
+      case 'DEL':
+        return `:${values.delete(key) ? 1 : 0}\r\n`;
+      case 'INCRBY': {
+        const value = (isExpired(key) ? 0 : Number(values.get(key))) + Number(args[0]);
+        values.set(key, String(value));
+        return `:${value}\r\n`;
+      }
+      case 'PEXPIRE':
+        expiries.set(key, Date.now() + Number(args[0]));
+        return ':1\r\n';
+      case 'LPUSH': {
+        const list = isExpired(key) ? [] : values.get(key);
+        list.unshift(...args.reverse());
+        values.set(key, list);
+        return `:${list.length}\r\n`;
+      }
+      case 'LTRIM':
+      case 'LRANGE': {
+        const list = isExpired(key) ? [] : values.get(key);
+        const start = Number(args[0]);
+        const stop = Number(args[1]);
+        const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+        const range = list.slice(start < 0 ? Math.max(list.length + start, 0) : start, end);
+        if (name.toUpperCase() === 'LTRIM') {
+          values.set(key, range);
+          return '+OK\r\n';
+        }
+        return `*${range.length}\r\n${range.map(bulk).join('')}`;
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      // Commands arrive as arrays of bulk strings: *N\r\n($len\r\nvalue\r\n)*N
+      for (;;) {
+        const lines = buffer.split('\r\n');
+        const count = Number(lines[0]?.slice(1));
+        if (!lines[0]?.startsWith('*') || lines.length < count * 2 + 2) {
+          return;
+        }
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          args.push(lines[2 + i * 2]);
+        }
+        buffer = lines.slice(count * 2 + 1).join('\r\n');
+        socket.write(execute(args));
+      }
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+module.exports = {
+  startRedisStandIn
+};
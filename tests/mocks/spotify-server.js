@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Spotify Server
+ *
+ * A local stand-in for Spotify's accounts service and Web API, so the API
+ * can be developed and tested without a network connection or a real
+ * account. Point the app at it with SPOTIFY_ACCOUNTS_URL and
+ * SPOTIFY_API_BASE_URL (see utils/spotifyEndpoints.js).
+ *
+ * Implements:
+ *   GET  /authorize                       Redirects straight back with a code
+ *   POST /api/token                       refresh_token and authorization_code grants
+ *   GET  /v1/me                           Profile
+ *   GET  /v1/me/player/currently-playing
+ *   GET  /v1/me/player/recently-played
+ *   GET  /v1/me/top/tracks, /v1/me/top/artists
+ *
+ * What the Web API answers is set by a scenario (see SCENARIOS). Switch it
+ * while the server runs:
+ *   curl -X POST localhost:4010/__mock/scenario -d '{"scenario":"ad"}'
+ * A list of scenarios is played in order, one per Web API request, and the
+ * last one sticks: {"scenario":["rate-limited","playing"]}.
+ *
+ * Usage:
+ *   npm run mock:spotify -- [--port 4010] [--scenario playing] [--retry-after 2]
+ *
+ * Tests can start it in-process:
+ *   const { createMockSpotifyServer } = require('./mocks/spotify-server');
+ *   const mock = await createMockSpotifyServer({ scenario: 'nothing' }).listen(0);
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4010;
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+// Credentials that pass `npm run validate:env`; the mock accepts any
+const MOCK_CREDENTIALS = {
+  SPOTIFY_CLIENT_ID: 'mockclientid00000000000000000000',
+  SPOTIFY_CLIENT_SECRET: 'mockclientsecret0000000000000000',
+  SPOTIFY_REFRESH_TOKEN: `mock-refresh-${'0'.repeat(100)}`,
+};
+
+const SCENARIOS = {
+  playing: 'A track is playing',
+  paused: 'A track is paused',
+  nothing: 'Nothing is playing (204)',
+  episode: 'A podcast episode is playing',
+  ad: 'An ad is playing',
+  'rate-limited': 'Every Web API request gets 429 with Retry-After',
+  'server-error': 'Every Web API request gets 503',
+  forbidden: 'Every Web API request gets 403 (missing scope)',
+  revoked: 'Access tokens are rejected and refreshes fail with invalid_grant',
+};
+
+const TRACKS = [
+  {
+    id: 'mocktrack0000000000001',
+    name: 'Offline Anthem',
+    duration_ms: 215000,
+    artists: [{ id: 'mockartist000000000001', name: 'The Mockingbirds' }],
+    album: 'Local Development',
+  },
+  {
+    id: 'mocktrack0000000000002',
+    name: 'Localhost Lullaby',
+    duration_ms: 184000,
+    artists: [
+      { id: 'mockartist000000000002', name: 'Loopback' },
+      { id: 'mockartist000000000001', name: 'The Mockingbirds' },
+    ],
+    album: 'Port 4010',
+  },
+  {
+    id: 'mocktrack0000000000003',
+    name: 'No Network Needed',
+    duration_ms: 242000,
+    artists: [{ id: 'mockartist000000000003', name: 'Stub Signal' }],
+    album: 'Fixtures',
+  },
+];
+
+/**
+ * Placeholder artwork in the sizes Spotify returns
+ * @param {string} seed - Distinguishes images
+ * @returns {Array<{url: string, height: number, width: number}>} Images
+ */
+function images(seed) {
+  return [640, 300, 64].map((size) => ({
+    url: `https://picsum.photos/seed/${seed}/${size}`,
+    height: size,
+    width: size,
+  }));
+}
+
+/**
+ * Builds a Spotify track object
+ * @param {Object} track - Entry from TRACKS
+ * @returns {Object} Track as the Web API returns it
+ */
+function toSpotifyTrack(track) {
+  return {
+    id: track.id,
+    type: 'track',
+    name: track.name,
+    duration_ms: track.duration_ms,
+    artists: track.artists.map((artist) => ({
+      ...artist,
+      type: 'artist',
+      external_urls: { spotify: `https://open.spotify.com/artist/${artist.id}` },
+    })),
+    album: { name: track.album, images: images(track.id) },
+    external_urls: { spotify: `https://open.spotify.com/track/${track.id}` },
+  };
+}
+
+/**
+ * Builds a Spotify episode object
+ * @returns {Object} Episode as the Web API returns it
+ */
+function toSpotifyEpisode() {
+  return {
+    id: 'mockepisode00000000001',
+    type: 'episode',
+    name: 'Testing Without a Network',
+    description: 'How a mock server keeps local development fast and tests deterministic. Also: fixtures.',
+    duration_ms: 1800000,
+    images: [],
+    show: {
+      name: 'The Mock Show',
+      publisher: 'Mock Media',
+      images: images('mockshow'),
+      external_urls: { spotify: 'https://open.spotify.com/show/mockshow0000000000001' },
+    },
+    external_urls: { spotify: 'https://open.spotify.com/episode/mockepisode00000000001' },
+  };
+}
+
+/**
+ * Creates a mock Spotify server
+ * @param {Object} [options] - Server options
+ * @param {string|string[]} [options.scenario='playing'] - Scenario, or a list played in order
+ * @param {number} [options.retryAfter=2] - Retry-After seconds for the rate-limited scenario
+ * @param {boolean} [options.rotateRefreshTokens=false] - Return a new refresh token on every refresh
+ * @returns {Object} Mock server (call listen() to start it)
+ */
+function createMockSpotifyServer({ scenario = 'playing', retryAfter = 2, rotateRefreshTokens = false } = {}) {
+  const startedAt = Date.now();
+  const accessTokens = new Set();
+  let queue = [];
+  let current = 'playing';
+  let tokenCount = 0;
+  // A scripted revoked step also fails the refresh that follows it
+  let refreshRevoked = false;
+
+  const mock = {
+    /** Requests received, oldest first: { method, path, scenario } */
+    requests: [],
+    server: null,
+    url: null,
+
+    /**
+     * Sets the scenario, or a list of scenarios played one per Web API request
+     * @param {string|string[]} next - Scenario name(s)
+     */
+    setScenario(next) {
+      const names = Array.isArray(next) ? next : [next];
+      const unknown = names.filter((name) => !SCENARIOS[name]);
+      if (names.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown scenario: ${unknown.join(', ') || '(none)'}`);
+      }
+      current = names[0];
+      queue = names.slice(1);
+    },
+
+    /** @returns {string} Scenario the next Web API request gets */
+    get scenario() {
+      return current;
+    },
+
+    /**
+     * Starts listening
+     * @param {number} [port] - Port (0 picks a free one)
+     * @returns {Promise<Object>} This mock, with `url` set
+     */
+    listen(port = DEFAULT_PORT) {
+      return new Promise((resolve, reject) => {
+        mock.server.once('error', reject);
+        mock.server.listen(port, '127.0.0.1', () => {
+          mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+          resolve(mock);
+        });
+      });
+    },
+
+    /** @returns {Promise<void>} Resolves once the server has stopped */
+    close() {
+      return new Promise((resolve) => mock.server.close(() => resolve()));
+    },
+
+    /**
+     * Environment variables that point the app at this server
+     * @returns {Object} SPOTIFY_ACCOUNTS_URL, SPOTIFY_API_BASE_URL and mock credentials
+     */
+    env() {
+      return { ...MOCK_CREDENTIALS, SPOTIFY_ACCOUNTS_URL: mock.url, SPOTIFY_API_BASE_URL: `${mock.url}/v1` };
+    },
+  };
+
+  mock.setScenario(scenario);
+
+  /**
+   * Takes the scenario for a Web API request, advancing a scripted list
+   * @returns {string} Scenario name
+   */
+  function nextScenario() {
+    const name = current;
+    if (queue.length > 0) {
+      current = queue.shift();
+    }
+    return name;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, body === undefined ? headers : { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      let data = '';
+      req.on('data', (chunk) => {
+        data += chunk;
+      });
+      req.on('end', () => resolve(data));
+    });
+  }
+
+  function issueTokens() {
+    tokenCount += 1;
+    const accessToken = `mock-access-${tokenCount}-${crypto.randomBytes(8).toString('hex')}`;
+    accessTokens.add(accessToken);
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_LIFETIME_SECONDS,
+      scope: 'user-read-currently-playing user-read-playback-state user-read-recently-played user-top-read',
+    };
+  }
+
+  async function handleToken(req, res) {
+    const params = new URLSearchParams(await readBody(req));
+    const [clientId, clientSecret] = Buffer.from(
+      (req.headers.authorization || '').replace(/^Basic /, ''),
+      'base64'
+    ).toString().split(':');
+
+    if (!clientId || !clientSecret) {
+      return send(res, 401, { error: 'invalid_client', error_description: 'Invalid client' });
+    }
+
+    const grantType = params.get('grant_type');
+    if (grantType === 'refresh_token') {
+      if (current === 'revoked' || refreshRevoked || !params.get('refresh_token')) {
+        refreshRevoked = false;
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+      }
+      const tokens = issueTokens();
+      if (rotateRefreshTokens) {
+        tokens.refresh_token = `mock-refresh-${crypto.randomBytes(60).toString('hex')}`;
+      }
+      return send(res, 200, tokens);
+    }
+
+    if (grantType === 'authorization_code' && params.get('code')) {
+      return send(res, 200, {
+        ...issueTokens(),
+        refresh_token: `mock-refresh-${crypto.randomBytes(60).toString('hex')}`,
+      });
+    }
+
+    return send(res, 400, { error: 'unsupported_grant_type', error_description: `grant_type ${grantType}` });
+  }
+
+  function handleAuthorize(res, url) {
+    const redirectUri = url.searchParams.get('redirect_uri');
+    if (!redirectUri) {
+      return send(res, 400, { error: 'invalid_request', error_description: 'Missing redirect_uri' });
+    }
+    const callback = new URL(redirectUri);
+    callback.searchParams.set('code', `mock-code-${crypto.randomBytes(8).toString('hex')}`);
+    if (url.searchParams.get('state')) {
+      callback.searchParams.set('state', url.searchParams.get('state'));
+    }
+    return send(res, 302, undefined, { Location: callback.toString() });
+  }
+
+  function currentlyPlaying(name) {
+    if (name === 'nothing') {
+      return undefined;
+    }
+    if (name === 'ad') {
+      return { is_playing: true, progress_ms: 5000, currently_playing_type: 'ad', item: null, timestamp: Date.now() };
+    }
+    if (name === 'episode') {
+      return {
+        is_playing: true,
+        progress_ms: (Date.now() - startedAt) % 1800000,
+        currently_playing_type: 'episode',
+        item: toSpotifyEpisode(),
+        timestamp: Date.now(),
+      };
+    }
+
+    // Walk through TRACKS as time passes, like a real playlist
+    const totalMs = TRACKS.reduce((sum, track) => sum + track.duration_ms, 0);
+    let position = (Date.now() - startedAt) % totalMs;
+    const track = TRACKS.find((entry) => {
+      if (position < entry.duration_ms) return true;
+      position -= entry.duration_ms;
+      return false;
+    });
+    return {
+      is_playing: name === 'playing',
+      progress_ms: position,
+      currently_playing_type: 'track',
+      item: toSpotifyTrack(track),
+      timestamp: Date.now(),
+    };
+  }
+
+  function recentlyPlayed(url) {
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 50);
+    const items = Array.from({ length: limit }, (_, index) => ({
+      track: toSpotifyTrack(TRACKS[index % TRACKS.length]),
+      played_at: new Date(startedAt - (index + 1) * 4 * 60 * 1000).toISOString(),
+    }));
+    return { items, cursors: { after: String(startedAt), before: String(startedAt - limit * 4 * 60 * 1000) } };
+  }
+
+  function topItems(type, url) {
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 50);
+    if (type === 'artists') {
+      const artists = new Map();
+      TRACKS.forEach((track) => track.artists.forEach((artist) => artists.set(artist.id, artist)));
+      return {
+        items: [...artists.values()].slice(0, limit).map((artist) => ({
+          ...artist,
+          type: 'artist',
+          genres: ['mock pop'],
+          images: images(artist.id),
+          external_urls: { spotify: `https://open.spotify.com/artist/${artist.id}` },
+        })),
+      };
+    }
+    return { items: TRACKS.slice(0, limit).map(toSpotifyTrack) };
+  }
+
+  function handleWebApi(req, res, url) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(token)) {
+      return send(res, 401, { error: { status: 401, message: 'Invalid access token' } });
+    }
+
+    const name = nextScenario();
+    mock.requests[mock.requests.length - 1].scenario = name;
+
+    if (name === 'revoked') {
+      // Spotify revokes the access tokens along with the refresh token
+      accessTokens.clear();
+      refreshRevoked = true;
+      return send(res, 401, { error: { status: 401, message: 'The access token expired' } });
+    }
+    if (name === 'rate-limited') {
+      return send(res, 429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': String(retryAfter) });
+    }
+    if (name === 'server-error') {
+      return send(res, 503, { error: { status: 503, message: 'Service unavailable' } });
+    }
+    if (name === 'forbidden') {
+      return send(res, 403, { error: { status: 403, message: 'Insufficient client scope' } });
+    }
+
+    const path = url.pathname.slice('/v1'.length);
+    if (path === '/me') {
+      return send(res, 200, { id: 'mockuser', display_name: 'Mock User', type: 'user' });
+    }
+    if (path === '/me/player/currently-playing') {
+      const body = currentlyPlaying(name);
+      return body ? send(res, 200, body) : send(res, 204);
+    }
+    if (path === '/me/player/recently-played') {
+      return send(res, 200, recentlyPlayed(url));
+    }
+    const top = path.match(/^\/me\/top\/(tracks|artists)$/);
+    if (top) {
+      return send(res, 200, topItems(top[1], url));
+    }
+    return send(res, 404, { error: { status: 404, message: 'Service not found' } });
+  }
+
+  async function handleControl(req, res, url) {
+    if (url.pathname !== '/__mock/scenario') {
+      return send(res, 404, { error: 'Unknown control endpoint' });
+    }
+    if (req.method === 'POST') {
+      try {
+        mock.setScenario(JSON.parse((await readBody(req)) || '{}').scenario);
+      } catch (error) {
+        return send(res, 400, { error: error.message, scenarios: Object.keys(SCENARIOS) });
+      }
+    }
+    return send(res, 200, { scenario: current, queued: queue, scenarios: SCENARIOS });
+  }
+
+  mock.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith('/__mock/')) {
+      handleControl(req, res, url);
+      return;
+    }
+
+    mock.requests.push({ method: req.method, path: url.pathname + url.search, scenario: null });
+
+    if (url.pathname === '/api/token' && req.method === 'POST') {
+      handleToken(req, res);
+    } else if (url.pathname === '/authorize' && req.method === 'GET') {
+      handleAuthorize(res, url);
+    } else if (url.pathname.startsWith('/v1/') && req.method === 'GET') {
+      handleWebApi(req, res, url);
+    } else {
+      send(res, 404, { error: { status: 404, message: 'Service not found' } });
+    }
+  });
+
+  return mock;
+}
+
+/**
+ * Reads a `--name value` argument
+ * @param {string[]} args - CLI arguments
+ * @param {string} name - Flag name
+ * @returns {string|undefined} Value
+ */
+function readArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const mock = createMockSpotifyServer({
+    scenario: (readArg(args, 'scenario') || 'playing').split(','),
+    retryAfter: Number(readArg(args, 'retry-after')) || 2,
+    rotateRefreshTokens: args.includes('--rotate-refresh-tokens'),
+  });
+  await mock.listen(Number(readArg(args, 'port')) || DEFAULT_PORT);
+
+  console.log(`🎭 Mock Spotify listening on ${mock.url} (scenario: ${mock.scenario})\n`);
+  console.log('Point the API at it (e.g. in .env.local):\n');
+  Object.entries(mock.env()).forEach(([key, value]) => console.log(`  ${key}=${value}`));
+  console.log('\nSwitch scenarios while it runs:\n');
+  console.log(`  curl -X POST ${mock.url}/__mock/scenario -d '{"scenario":"nothing"}'\n`);
+  Object.entries(SCENARIOS).forEach(([name, description]) => console.log(`  ${name.padEnd(13)} ${description}`));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockSpotifyServer,
+  MOCK_CREDENTIALS,
+  SCENARIOS
+};
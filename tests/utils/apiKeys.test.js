@@ -0,0 +1,123 @@
+import { createRequire } from 'module';
+import { beforeEach, describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const {
+  ApiKeyRegistry,
+  getDefaultDailyQuota,
+  isApiKeyRequired,
+  readApiKey,
+} = require('../../utils/apiKeys');
+const { MemoryStore } = require('../../utils/storage');
+
+const NOON = Date.parse('2024-01-01T12:00:00Z');
+
+let registry;
+
+beforeEach(() => {
+  registry = new ApiKeyRegistry({ store: new MemoryStore(), env: {} });
+});
+
+describe('ApiKeyRegistry', () => {
+  it('issues keys that verify and stores only a hash of the secret', async () => {
+    const { key, id, dailyQuota } = await registry.createKey({ name: 'blog' });
+
+    expect(key).toMatch(new RegExp(`^snp_${id}\\.`));
+    expect(dailyQuota).toBe(1000);
+    expect(await registry.verifyKey(key)).toMatchObject({ id, name: 'blog' });
+    expect(JSON.stringify(await registry.store.get(`apikeys:${id}`))).not.toContain(key.split('.')[1]);
+  });
+
+  it.each([
+    ['a malformed key', 'not-a-key'],
+    ['an unknown ID', 'snp_000000000000.aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'],
+  ])('rejects %s', async (_, key) => {
+    expect(await registry.verifyKey(key)).toBeNull();
+  });
+
+  it('rejects a known ID with the wrong secret', async () => {
+    const { id } = await registry.createKey({ name: 'blog' });
+
+    expect(await registry.verifyKey(`snp_${id}.${'x'.repeat(32)}`)).toBeNull();
+  });
+
+  it('rejects revoked keys', async () => {
+    const { key, id } = await registry.createKey({ name: 'blog' });
+
+    expect(await registry.revokeKey(id)).toBe(true);
+    expect(await registry.verifyKey(key)).toBeNull();
+    expect(await registry.consume(key)).toBeNull();
+  });
+
+  it('counts requests against the daily quota', async () => {
+    const { key, id } = await registry.createKey({ name: 'blog', dailyQuota: 2 });
+
+    expect(await registry.consume(key, NOON)).toEqual({
+      id,
+      name: 'blog',
+      limit: 2,
+      used: 1,
+      remaining: 1,
+      resetSeconds: 12 * 60 * 60,
+      allowed: true,
+    });
+    expect(await registry.consume(key, NOON)).toMatchObject({ used: 2, remaining: 0, allowed: true });
+    expect(await registry.consume(key, NOON)).toMatchObject({ used: 3, remaining: 0, allowed: false });
+  });
+
+  it('starts a new count on each UTC day', async () => {
+    const { key } = await registry.createKey({ name: 'blog', dailyQuota: 1 });
+    await registry.consume(key, NOON);
+    expect(await registry.consume(key, NOON)).toMatchObject({ allowed: false });
+
+    const nextDay = Date.parse('2024-01-02T00:00:01Z');
+    expect(await registry.consume(key, nextDay)).toMatchObject({
+      used: 1,
+      allowed: true,
+      resetSeconds: 24 * 60 * 60 - 1,
+    });
+  });
+
+  it('lists keys with today\'s usage and without secrets', async () => {
+    const { key, id } = await registry.createKey({ name: 'blog' });
+    await registry.consume(key, NOON);
+
+    const [listed] = await registry.listKeys(NOON);
+
+    expect(listed).toMatchObject({ id, name: 'blog', usedToday: 1, revoked_at: null });
+    expect(listed).not.toHaveProperty('secretHash');
+  });
+
+  it('changes the quota of a key', async () => {
+    const { key, id } = await registry.createKey({ name: 'blog', dailyQuota: 1 });
+
+    expect(await registry.setQuota(id, 5)).toBe(true);
+    expect(await registry.consume(key, NOON)).toMatchObject({ limit: 5, remaining: 4 });
+    expect(await registry.setQuota('000000000000', 5)).toBe(false);
+  });
+
+  it('refuses invalid quotas and names', async () => {
+    await expect(registry.createKey({ name: '' })).rejects.toThrow('A key name is required');
+    await expect(registry.createKey({ name: 'blog', dailyQuota: 0 })).rejects.toThrow('positive integer');
+  });
+});
+
+describe('API key settings', () => {
+  it('reads the default daily quota from API_KEY_DAILY_QUOTA', () => {
+    expect(getDefaultDailyQuota({ API_KEY_DAILY_QUOTA: '50' })).toBe(50);
+    expect(getDefaultDailyQuota({ API_KEY_DAILY_QUOTA: 'lots' })).toBe(1000);
+  });
+
+  it('requires keys only when REQUIRE_API_KEY is true or 1', () => {
+    expect(isApiKeyRequired({ REQUIRE_API_KEY: 'true' })).toBe(true);
+    expect(isApiKeyRequired({ REQUIRE_API_KEY: '1' })).toBe(true);
+    expect(isApiKeyRequired({ REQUIRE_API_KEY: 'false' })).toBe(false);
+    expect(isApiKeyRequired({})).toBe(false);
+  });
+
+  it('reads the key from the X-API-Key header or the api_key parameter', () => {
+    expect(readApiKey({ headers: { 'x-api-key': ' snp_a.b ' }, query: { api_key: 'other' } })).toBe('snp_a.b');
+    expect(readApiKey({ headers: {}, query: { api_key: 'snp_a.b' } })).toBe('snp_a.b');
+    expect(readApiKey({ headers: {}, query: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { compose, mapErrors, apiKeyAuth } = require('../../utils/middleware');
+const { ApiKeyRegistry } = require('../../utils/apiKeys');
+const { MemoryStore } = require('../../utils/storage');
+const { invoke } = require('../helpers/http');
+
+const NOON = new Date('2024-01-01T12:00:00Z');
+
+let registry;
+let handler;
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'], now: NOON });
+  registry = new ApiKeyRegistry({ store: new MemoryStore(), env: {} });
+  handler = vi.fn((req, res) => {
+    res.setHeader('Cache-Control', 's-maxage=10, stale-while-revalidate');
+    res.status(200).json({ apiKey: req.apiKey || null });
+  });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function route() {
+  return compose(mapErrors(), apiKeyAuth({ registry }), handler);
+}
+
+describe('apiKeyAuth', () => {
+  it('lets requests without a key through unless REQUIRE_API_KEY is set', async () => {
+    const res = await invoke(route());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('s-maxage=10, stale-while-revalidate');
+    expect(res.headers).not.toHaveProperty('x-quota-limit');
+  });
+
+  it('rejects requests without a key when REQUIRE_API_KEY is set', async () => {
+    vi.stubEnv('REQUIRE_API_KEY', 'true');
+
+    const res = await invoke(route());
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ code: 'API_KEY_REQUIRED' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('passes a valid key with quota headers', async () => {
+    const { key, id } = await registry.createKey({ name: 'blog', dailyQuota: 10 });
+
+    const res = await invoke(route(), { headers: { 'x-api-key': key } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ apiKey: { id, name: 'blog' } });
+    expect(res.headers).toMatchObject({
+      'x-quota-limit': '10',
+      'x-quota-remaining': '9',
+      'x-quota-reset': String(12 * 60 * 60),
+    });
+  });
+
+  it('keeps keyed responses out of shared caches', async () => {
+    const { key } = await registry.createKey({ name: 'blog' });
+
+    const res = await invoke(route(), { query: { api_key: key } });
+
+    expect(res.headers['cache-control']).toBe('private, no-store');
+  });
+
+  it('rejects unknown keys', async () => {
+    const res = await invoke(route(), {
+      headers: { 'x-api-key': 'snp_000000000000.aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa' },
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ code: 'API_KEY_INVALID' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('rejects revoked keys', async () => {
+    const { key, id } = await registry.createKey({ name: 'blog' });
+    await registry.revokeKey(id);
+
+    const res = await invoke(route(), { headers: { 'x-api-key': key } });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ code: 'API_KEY_INVALID' });
+  });
+
+  it('rejects keys over their daily quota until the next UTC day', async () => {
+    const { key } = await registry.createKey({ name: 'blog', dailyQuota: 1 });
+    await invoke(route(), { headers: { 'x-api-key': key } });
+
+    const res = await invoke(route(), { headers: { 'x-api-key': key } });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ code: 'QUOTA_EXCEEDED', retryAfter: 12 * 60 * 60 });
+    expect(res.headers).toMatchObject({ 'retry-after': String(12 * 60 * 60), 'x-quota-remaining': '0' });
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(new Date('2024-01-02T00:00:00Z'));
+    const nextDay = await invoke(route(), { headers: { 'x-api-key': key } });
+
+    expect(nextDay.statusCode).toBe(200);
+    expect(nextDay.headers['x-quota-remaining']).toBe('0');
+  });
+});
@@ -0,0 +1,78 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const {
+  detectPlaybackChange,
+  getItemKey,
+  PlaybackChange,
+  SEEK_TOLERANCE_MS,
+} = require('../../utils/playbackState');
+
+const SONG = { id: 'song', type: 'track', name: 'Song' };
+const OTHER = { id: 'other', type: 'track', name: 'Other' };
+
+function playing(item = SONG, progress_ms = 10000) {
+  return { is_playing: true, progress_ms, item };
+}
+
+// Paused responses carry no item; callers keep the last one on `previous`
+const PAUSED = { is_playing: false };
+
+describe('detectPlaybackChange', () => {
+  it('reports a start on the first playing response', () => {
+    expect(detectPlaybackChange(null, playing(), 0)).toBe(PlaybackChange.STARTED);
+  });
+
+  it('reports nothing for a first response that is not playing', () => {
+    expect(detectPlaybackChange(null, PAUSED, 0)).toBeNull();
+  });
+
+  it('reports a pause', () => {
+    expect(detectPlaybackChange(playing(), PAUSED, 5000)).toBe(PlaybackChange.PAUSED);
+  });
+
+  it('reports a resume of the same item', () => {
+    const previous = { ...PAUSED, item: SONG, progress_ms: 10000 };
+
+    expect(detectPlaybackChange(previous, playing(SONG), 60000)).toBe(PlaybackChange.RESUMED);
+  });
+
+  it('reports a start when a different item plays after a pause', () => {
+    const previous = { ...PAUSED, item: SONG };
+
+    expect(detectPlaybackChange(previous, playing(OTHER), 60000)).toBe(PlaybackChange.STARTED);
+  });
+
+  it('reports a track change', () => {
+    expect(detectPlaybackChange(playing(SONG), playing(OTHER, 0), 5000)).toBe(PlaybackChange.TRACK_CHANGED);
+  });
+
+  it('reports a seek when progress jumps', () => {
+    const jumped = playing(SONG, 10000 + 5000 + SEEK_TOLERANCE_MS + 1);
+
+    expect(detectPlaybackChange(playing(SONG, 10000), jumped, 5000)).toBe(PlaybackChange.SEEKED);
+  });
+
+  it('reports nothing while the same item keeps playing', () => {
+    expect(detectPlaybackChange(playing(SONG, 10000), playing(SONG, 15500), 5000)).toBeNull();
+  });
+
+  it('reports nothing while paused', () => {
+    expect(detectPlaybackChange({ ...PAUSED, item: SONG }, PAUSED, 5000)).toBeNull();
+  });
+});
+
+describe('getItemKey', () => {
+  it('uses the Spotify ID', () => {
+    expect(getItemKey(playing(SONG))).toBe('song');
+  });
+
+  it('falls back to the type and name for local files', () => {
+    expect(getItemKey(playing({ type: 'track', name: 'Demo' }))).toBe('track:Demo');
+  });
+
+  it('returns null without an item', () => {
+    expect(getItemKey(PAUSED)).toBeNull();
+  });
+});
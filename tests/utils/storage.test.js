@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { createStore, StorageBackend } = require('../../utils/storage');
+const { startRedisStandIn } = require('../mocks/redis-server');
+
+// The Redis backend talks to the in-process stand-in unless REDIS_URL points
+// at a real server
+let standIn;
+let redisUrl;
+let tempDir;
+
+beforeAll(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'now-playing-store-'));
+  standIn = process.env.REDIS_URL ? null : await startRedisStandIn();
+  redisUrl = process.env.REDIS_URL || `redis://127.0.0.1:${standIn.address().port}`;
+});
+
+afterAll(() => {
+  standIn?.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const BACKENDS = [
+  [StorageBackend.MEMORY, () => ({})],
+  [StorageBackend.FILE, () => ({ filePath: path.join(tempDir, 'store.json') })],
+  [StorageBackend.REDIS, () => ({ redisUrl })],
+];
+
+describe.each(BACKENDS)('%s backend', (backend, getOptions) => {
+  let store;
+
+  /**
+   * Opens a store on the backend; every test starts from an empty one
+   * @returns {Object} Store
+   */
+  function open() {
+    store = createStore({ backend, ...getOptions() });
+    return store;
+  }
+
+  afterEach(async () => {
+    for (const key of ['state', 'short-lived', 'counter', 'history']) {
+      await store.delete(key);
+    }
+    await store.close();
+  });
+
+  it('returns null for missing keys', async () => {
+    expect(await open().get('missing')).toBeNull();
+  });
+
+  it('stores and deletes values', async () => {
+    open();
+    await store.set('state', { is_playing: true, item: { name: 'Song' } });
+
+    expect(await store.get('state')).toEqual({ is_playing: true, item: { name: 'Song' } });
+
+    await store.delete('state');
+    expect(await store.get('state')).toBeNull();
+  });
+
+  it('returns copies', async () => {
+    open();
+    await store.set('state', { item: { name: 'Song' } });
+
+    const state = await store.get('state');
+    state.item.name = 'Changed';
+
+    expect((await store.get('state')).item.name).toBe('Song');
+  });
+
+  it('expires keys after their TTL', async () => {
+    open();
+    await store.set('short-lived', 1, { ttlMs: 50 });
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    expect(await store.get('short-lived')).toBeNull();
+  });
+
+  it('increments counters', async () => {
+    open();
+
+    expect(await store.increment('counter', 1, { ttlMs: 60000 })).toBe(1);
+    expect(await store.increment('counter', 2)).toBe(3);
+  });
+
+  it('keeps lists newest first and trimmed', async () => {
+    open();
+    for (const id of [1, 2, 3, 4]) {
+      await store.listPush('history', { id }, { maxLength: 3 });
+    }
+
+    expect(await store.listRange('history')).toEqual([{ id: 4 }, { id: 3 }, { id: 2 }]);
+    expect(await store.listRange('history', 1, 1)).toEqual([{ id: 3 }]);
+    expect(await store.listRange('no-list')).toEqual([]);
+  });
+});
+
+describe('file backend', () => {
+  it('persists across instances', async () => {
+    const filePath = path.join(tempDir, 'persisted.json');
+    const store = createStore({ backend: StorageBackend.FILE, filePath });
+    await store.listPush('history', { id: 1 });
+    await store.close();
+
+    const reopened = createStore({ backend: StorageBackend.FILE, filePath });
+
+    expect(await reopened.listRange('history')).toEqual([{ id: 1 }]);
+    await reopened.close();
+  });
+});
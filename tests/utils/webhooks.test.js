@@ -0,0 +1,244 @@
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const {
+  WebhookDispatcher,
+  WebhookEvent,
+  signPayload,
+  verifySignature,
+} = require('../../utils/webhooks');
+
+const SECRET = 'test-webhook-secret';
+const URLS = ['https://hooks.test/a', 'https://hooks.test/b'];
+
+const SONG = { id: 'song', type: 'track', name: 'Song', artists: ['Artist'] };
+const OTHER = { id: 'other', type: 'track', name: 'Other', artists: ['Artist'] };
+
+function playing(item = SONG, progress_ms = 10000) {
+  return { is_playing: true, progress_ms, item };
+}
+
+const PAUSED = { is_playing: false };
+
+/**
+ * Replaces fetch with one that answers every webhook with the given status,
+ * or rejects for URLs listed in `failing`
+ * @param {Object} [options] - Stub options
+ * @param {number} [options.status=200] - Response status
+ * @param {string[]} [options.failing] - URLs whose delivery throws
+ * @returns {Function} fetch mock
+ */
+function stubWebhooks({ status = 200, failing = [] } = {}) {
+  const fetch = vi.fn(async (url) => {
+    if (failing.includes(url)) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    return new Response(null, { status });
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+/**
+ * @param {Function} fetch - fetch mock
+ * @param {number} [call=0] - Call index
+ * @returns {{url: string, headers: Object, body: string, payload: Object}} The delivery
+ */
+function delivery(fetch, call = 0) {
+  const [url, init] = fetch.mock.calls[call];
+  return { url, headers: init.headers, body: init.body, payload: JSON.parse(init.body) };
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'], now: new Date('2026-01-01T12:00:00Z') });
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('signPayload / verifySignature', () => {
+  it('signs `${timestamp}.${body}` with HMAC-SHA256', async () => {
+    const { createHmac } = await import('crypto');
+    const digest = createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+
+    expect(signPayload(SECRET, 1700000000, '{"a":1}')).toBe(`sha256=${digest}`);
+  });
+
+  it('accepts a matching signature', () => {
+    const signature = signPayload(SECRET, 1700000000, '{"a":1}');
+
+    expect(verifySignature(SECRET, '1700000000', '{"a":1}', signature)).toBe(true);
+  });
+
+  it.each([
+    ['a different body', SECRET, 1700000000, '{"a":2}'],
+    ['a different timestamp', SECRET, 1700000001, '{"a":1}'],
+    ['a different secret', 'other-secret', 1700000000, '{"a":1}'],
+  ])('rejects %s', (_, secret, timestamp, body) => {
+    const signature = signPayload(SECRET, 1700000000, '{"a":1}');
+
+    expect(verifySignature(secret, timestamp, body, signature)).toBe(false);
+  });
+
+  it('rejects a missing or malformed signature', () => {
+    expect(verifySignature(SECRET, 1700000000, '{}', undefined)).toBe(false);
+    expect(verifySignature(SECRET, 1700000000, '{}', 'sha256=abc')).toBe(false);
+  });
+});
+
+describe('WebhookDispatcher#dispatch', () => {
+  it('posts a signed event to every URL', async () => {
+    const fetch = stubWebhooks();
+    const dispatcher = new WebhookDispatcher({ urls: URLS, secret: SECRET });
+
+    await dispatcher.dispatch(WebhookEvent.TRACK_STARTED, playing());
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(URLS);
+    const { headers, body, payload } = delivery(fetch);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    expect(headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': 'track.started',
+      'X-Webhook-Timestamp': timestamp,
+    });
+    expect(headers['X-Webhook-Signature']).toBe(signPayload(SECRET, timestamp, body));
+    expect(verifySignature(SECRET, timestamp, body, headers['X-Webhook-Signature'])).toBe(true);
+    expect(payload).toEqual({
+      id: expect.any(String),
+      event: 'track.started',
+      created_at: '2026-01-01T12:00:00.000Z',
+      data: playing(),
+    });
+  });
+
+  it('does not let a failing endpoint block the others', async () => {
+    const fetch = stubWebhooks({ failing: [URLS[0]] });
+    const dispatcher = new WebhookDispatcher({ urls: URLS, secret: SECRET });
+
+    const results = await dispatcher.dispatch(WebhookEvent.PLAYBACK_PAUSED, PAUSED);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(results).toEqual([
+      { url: URLS[0], ok: false, error: 'connect ECONNREFUSED' },
+      { url: URLS[1], ok: true, status: 200 },
+    ]);
+  });
+
+  it('reports endpoints that answer with an error status', async () => {
+    stubWebhooks({ status: 500 });
+    const dispatcher = new WebhookDispatcher({ urls: URLS, secret: SECRET });
+
+    const results = await dispatcher.dispatch(WebhookEvent.PLAYBACK_PAUSED, PAUSED);
+
+    expect(results).toEqual(URLS.map((url) => ({ url, ok: false, status: 500 })));
+  });
+});
+
+describe('WebhookDispatcher#processNowPlaying', () => {
+  let fetch;
+  let dispatcher;
+
+  beforeEach(() => {
+    fetch = stubWebhooks();
+    dispatcher = new WebhookDispatcher({ urls: [URLS[0]], secret: SECRET });
+  });
+
+  /**
+   * Moves the clock on and processes a response
+   * @param {Object} nowPlaying - Normalized now-playing response
+   * @param {number} [elapsedMs=5000] - Time since the last poll
+   * @returns {Promise<string|null>} Dispatched event
+   */
+  async function poll(nowPlaying, elapsedMs = 5000) {
+    vi.advanceTimersByTime(elapsedMs);
+    return dispatcher.processNowPlaying(nowPlaying);
+  }
+
+  it('sends track.started when playback starts', async () => {
+    expect(await poll(playing())).toBe('track.started');
+
+    expect(delivery(fetch).payload).toMatchObject({ event: 'track.started', data: playing() });
+  });
+
+  it('sends track.started when the track changes', async () => {
+    await poll(playing(SONG));
+
+    expect(await poll(playing(OTHER, 0))).toBe('track.started');
+    expect(delivery(fetch, 1).payload).toMatchObject({
+      event: 'track.started',
+      data: { is_playing: true, item: OTHER },
+    });
+  });
+
+  it('sends playback.paused with the last item', async () => {
+    await poll(playing(SONG));
+
+    expect(await poll(PAUSED)).toBe('playback.paused');
+    expect(delivery(fetch, 1).payload).toMatchObject({
+      event: 'playback.paused',
+      data: { is_playing: false, item: SONG },
+    });
+  });
+
+  it('sends playback.resumed when the same item plays again', async () => {
+    await poll(playing(SONG));
+    await poll(PAUSED);
+
+    expect(await poll(playing(SONG), 60000)).toBe('playback.resumed');
+    expect(delivery(fetch, 2).payload).toMatchObject({
+      event: 'playback.resumed',
+      data: { is_playing: true, item: SONG },
+    });
+  });
+
+  it('sends nothing while the state is unchanged', async () => {
+    await poll(playing(SONG, 10000));
+
+    expect(await poll(playing(SONG, 15000))).toBeNull();
+    await poll(PAUSED);
+    expect(await poll(PAUSED)).toBeNull();
+
+    expect(fetch.mock.calls.map((call) => JSON.parse(call[1].body).event)).toEqual([
+      'track.started',
+      'playback.paused',
+    ]);
+  });
+
+  it('does not send seeks', async () => {
+    await poll(playing(SONG, 10000));
+
+    expect(await poll(playing(SONG, 120000))).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('never throws when the store fails', async () => {
+    dispatcher.store = { get: vi.fn().mockRejectedValue(new Error('store down')) };
+
+    await expect(poll(playing())).resolves.toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('WebhookDispatcher.fromEnv', () => {
+  it('returns null without WEBHOOK_URLS', () => {
+    expect(WebhookDispatcher.fromEnv({})).toBeNull();
+  });
+
+  it('returns null without WEBHOOK_SECRET', () => {
+    expect(WebhookDispatcher.fromEnv({ WEBHOOK_URLS: URLS.join(',') })).toBeNull();
+  });
+
+  it('reads a comma-separated URL list', () => {
+    const dispatcher = WebhookDispatcher.fromEnv({
+      WEBHOOK_URLS: ` ${URLS[0]} , ${URLS[1]},`,
+      WEBHOOK_SECRET: SECRET,
+    });
+
+    expect(dispatcher.urls).toEqual(URLS);
+    expect(dispatcher.secret).toBe(SECRET);
+  });
+});
@@ -8,6 +8,7 @@ import { NowPlayingResponse } from './spotify';
 export interface SpotifyNowPlayingProps {
   // API Configuration
   apiUrl?: string;
+  transport?: 'poll' | 'sse';
   enableSpotifyLink?: boolean;
 
   // Typography
@@ -25,6 +26,20 @@ export interface SpotifyNowPlayingProps {
   singleLine?: boolean;
   hideAlbumName?: boolean;
 
+  // Podcasts
+  hidePodcasts?: boolean;
+  hideEpisodeDescription?: boolean;
+
+  // Not Playing
+  showLastPlayed?: boolean;
+
+  // Progress Bar
+  showProgressBar?: boolean;
+  progressBarColor?: string;
+  progressBarHeight?: number;
+  progressBarPosition?: 'inline' | 'bottom';
+  showProgressTime?: boolean;
+
   // Album Cover
   hideAlbumCover?: boolean;
   albumCoverSize?: number;
@@ -53,6 +68,75 @@ export interface SpotifyNowPlayingProps {
   fallbackIcon?: string;
 }
 
+// Props for the SpotifyStats component
+export interface SpotifyStatsProps {
+  // API Configuration
+  apiUrl?: string;
+  enableSpotifyLink?: boolean;
+
+  // Stats
+  window?: '7d' | '30d' | 'all';
+  itemCount?: number;
+  timeZone?: string;
+  showTotalMinutes?: boolean;
+  showTopTracks?: boolean;
+  showTopArtists?: boolean;
+  showTopAlbums?: boolean;
+  showHeatmap?: boolean;
+  heatmapColor?: string;
+
+  // Typography
+  font?: string;
+  fontSize?: number;
+  fontWeight?: string;
+  fontColor?: string;
+
+  // Background
+  removeBackground?: boolean;
+  backgroundColor?: string;
+  backgroundRadius?: number;
+
+  // Layout
+  hideAlbumName?: boolean;
+
+  // Album Cover
+  hideAlbumCover?: boolean;
+  albumCoverSize?: number;
+  albumCoverRadius?: number;
+}
+
+// Props for the SpotifyTeamNowPlaying component
+export interface SpotifyTeamNowPlayingProps {
+  // API Configuration
+  apiUrl?: string;
+  enableSpotifyLink?: boolean;
+
+  // Team
+  users?: Array<{ id: string; name?: string }>;
+  columns?: number;
+  gap?: number;
+  notPlayingText?: string;
+
+  // Typography
+  font?: string;
+  fontSize?: number;
+  fontWeight?: string;
+  fontColor?: string;
+
+  // Background
+  removeBackground?: boolean;
+  backgroundColor?: string;
+  backgroundRadius?: number;
+
+  // Layout
+  hideAlbumName?: boolean;
+
+  // Album Cover
+  hideAlbumCover?: boolean;
+  albumCoverSize?: number;
+  albumCoverRadius?: number;
+}
+
 // Props for AnimatedMusicNote component
 export interface AnimatedMusicNoteProps {
   color: string;
@@ -65,6 +65,23 @@ export interface SpotifyTrack {
   uri: string;
 }
 
+// Show Information (for podcasts)
+export interface SpotifyShow {
+  id: string;
+  name: string;
+  publisher: string;
+  description: string;
+  images: SpotifyImage[];
+  media_type: string;
+  total_episodes: number;
+  type: "show";
+  uri: string;
+  href: string;
+  external_urls: {
+    spotify: string;
+  };
+}
+
 // Episode Item (for podcasts)
 export interface SpotifyEpisode {
   id: string;
@@ -83,6 +100,7 @@ export interface SpotifyEpisode {
   languages: string[];
   release_date: string;
   release_date_precision: string;
+  show: SpotifyShow;
   type: "episode";
   uri: string;
 }
@@ -104,22 +122,227 @@ export interface SpotifyCurrentlyPlayingResponse {
   } | null;
 }
 
+// Play History Item
+export interface SpotifyPlayHistoryItem {
+  track: SpotifyTrack;
+  played_at: string;
+  context: SpotifyCurrentlyPlayingResponse["context"];
+}
+
+// Recently Played Response
+export interface SpotifyRecentlyPlayedResponse {
+  items: SpotifyPlayHistoryItem[];
+  next: string | null;
+  cursors: {
+    after: string;
+    before: string;
+  } | null;
+  limit: number;
+  href: string;
+}
+
+// Normalised track item (our API response)
+export interface NowPlayingTrackItem {
+  name: string;
+  artists?: string[];
+  duration_ms: number;
+  album: {
+    name: string;
+    images: SpotifyImage[];
+  };
+  external_urls: {
+    spotify?: string;
+  };
+  id?: string | null;
+  type?: "track";
+}
+
+// Normalised podcast episode item (our API response)
+export interface NowPlayingEpisodeItem {
+  name: string;
+  description: string;
+  duration_ms: number;
+  images: SpotifyImage[];
+  show: {
+    name: string;
+    publisher: string;
+    images: SpotifyImage[];
+    external_urls: {
+      spotify?: string;
+    };
+  };
+  external_urls: {
+    spotify?: string;
+  };
+  id: string | null;
+  type: "episode";
+}
+
+// Previously played track (our API response)
+export interface LastPlayedTrack {
+  played_at: string;
+  item: NowPlayingTrackItem;
+}
+
 // Simplified Now Playing Response (our API response)
 export interface NowPlayingResponse {
   is_playing: boolean;
   progress_ms?: number;
-  item?: {
+  currently_playing_type?: SpotifyCurrentlyPlayingResponse["currently_playing_type"];
+  item?: NowPlayingTrackItem | NowPlayingEpisodeItem;
+  // Only when requested with include_last_played and nothing is playing
+  last_played?: LastPlayedTrack;
+}
+
+// One member of the team endpoint's response
+export interface TeamMemberNowPlaying extends NowPlayingResponse {
+  id: string;
+  display_name?: string;
+  // Set when this user's state could not be fetched
+  error?: string;
+  code?: ApiErrorCode;
+}
+
+// Team Now Playing Response (our API response)
+export interface TeamNowPlayingResponse {
+  users: TeamMemberNowPlaying[];
+}
+
+// Recently Played Response (our API response)
+export interface RecentlyPlayedResponse {
+  items: LastPlayedTrack[];
+  cursors: {
+    after: string;
+    before: string;
+  } | null;
+}
+
+// Listening history entry (our API response)
+export interface HistoryEntry {
+  id: string | null;
+  name: string;
+  artists: string[];
+  album: {
     name: string;
-    artists?: string[];
-    duration_ms: number;
-    album: {
-      name: string;
-      images: SpotifyImage[];
-    };
-    external_urls: {
-      spotify?: string;
-    };
+    images: SpotifyImage[];
   };
+  duration_ms: number;
+  external_urls: {
+    spotify?: string;
+  };
+  first_seen_at: string;
+  last_seen_at: string;
+  // Estimated from progress_ms between observations
+  listened_ms: number;
+  // The track still being listened to
+  in_progress?: boolean;
+}
+
+// Listening History Response (our API response)
+export interface HistoryResponse {
+  items: HistoryEntry[];
+  // Pass as ?until= to fetch the next (older) page
+  cursors: {
+    until: number;
+  } | null;
+}
+
+// Normalised artist from the top artists endpoint
+export interface TopArtistItem {
+  name: string;
+  genres: string[];
+  images: SpotifyImage[];
+  external_urls: {
+    spotify?: string;
+  };
+  id: string | null;
+  type: "artist";
+}
+
+// Ranked stats entry; play counts and minutes are null for Spotify-seeded items
+interface StatsRanking {
+  plays: number | null;
+  minutes: number | null;
+  source: "history" | "spotify";
+}
+
+export interface StatsTrack extends StatsRanking {
+  id: string | null;
+  name: string;
+  artists: string[];
+  album: {
+    name: string;
+    images: SpotifyImage[];
+  };
+  external_urls: {
+    spotify?: string;
+  };
+}
+
+export interface StatsArtist extends StatsRanking {
+  name: string;
+  images?: SpotifyImage[];
+  external_urls?: {
+    spotify?: string;
+  };
+}
+
+export interface StatsAlbum extends StatsRanking {
+  name: string;
+  artists: string[];
+  images: SpotifyImage[];
+}
+
+// Listening Stats Response (our API response)
+export interface StatsResponse {
+  window: "7d" | "30d" | "all";
+  since: string | null;
+  total_minutes: number;
+  plays: number;
+  top_tracks: StatsTrack[];
+  top_artists: StatsArtist[];
+  top_albums: StatsAlbum[];
+  heatmap: {
+    time_zone: string;
+    // Row labels, Sunday first
+    days: string[];
+    // minutes[day][hour]
+    minutes: number[][];
+  };
+  seeded_from_spotify: boolean;
+}
+
+// Stable error codes in our API's error responses (utils/errorCatalog.js)
+export type ApiErrorCode =
+  | "AUTH_REFRESH_REVOKED"
+  | "AUTH_CLIENT_INVALID"
+  | "AUTH_SCOPE_MISSING"
+  | "AUTH_FAILED"
+  | "UPSTREAM_RATE_LIMITED"
+  | "UPSTREAM_UNAVAILABLE"
+  | "UPSTREAM_UNREACHABLE"
+  | "UPSTREAM_REQUEST_FAILED"
+  | "CONFIG_MISSING"
+  | "CONFIG_INVALID"
+  | "INVALID_PARAMETER"
+  | "UNKNOWN_USER"
+  | "METHOD_NOT_ALLOWED"
+  | "ORIGIN_NOT_ALLOWED"
+  | "API_KEY_REQUIRED"
+  | "API_KEY_INVALID"
+  | "QUOTA_EXCEEDED"
+  | "RATE_LIMITED"
+  | "INTERNAL_ERROR";
+
+// Error Response (our API)
+export interface ApiErrorResponse {
+  error: string;
+  code: ApiErrorCode;
+  retryable: boolean;
+  hint: string;
+  message?: string;
+  retryAfter?: number;
+  is_playing?: false;
 }
 
 // Error Response
@@ -0,0 +1,236 @@
+/**
+ * API Keys
+ *
+ * Optional per-client keys for the API, issued with `npm run api-keys`.
+ * Keys look like `snp_<id>.<secret>`: the ID finds the record in the store
+ * (utils/storage.js) and only a SHA-256 hash of the secret is kept, so a
+ * leaked store doesn't leak usable keys.
+ *
+ * Each key has a daily quota (UTC days). Usage is counted in the store with
+ * one counter per key and day, so it works across serverless instances when
+ * a shared backend (file or redis) is used.
+ *
+ * Set REQUIRE_API_KEY=true to reject requests without a key. Otherwise keys
+ * are optional, but a key that is sent must be valid and is counted.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+const KEY_PREFIX = 'snp_';
+const RECORD_KEY_PREFIX = 'apikeys:';
+const USAGE_KEY_PREFIX = 'apikeys:usage:';
+const INDEX_KEY = 'apikeys:index';
+const DEFAULT_DAILY_QUOTA = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const API_KEY_PATTERN = /^snp_([a-f0-9]{12})\.([A-Za-z0-9_-]{32,})$/;
+
+/**
+ * Hashes a key secret for storage
+ * @param {string} secret - Key secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Reads the daily quota new keys get (API_KEY_DAILY_QUOTA)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {number} Requests per day
+ */
+function getDefaultDailyQuota(env = process.env) {
+  const quota = parseInt(env.API_KEY_DAILY_QUOTA, 10);
+  return quota > 0 ? quota : DEFAULT_DAILY_QUOTA;
+}
+
+/**
+ * Whether requests without an API key are rejected (REQUIRE_API_KEY)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {boolean} Whether a key is required
+ */
+function isApiKeyRequired(env = process.env) {
+  return ['true', '1'].includes(env.REQUIRE_API_KEY);
+}
+
+/**
+ * Reads the API key from the X-API-Key header or the api_key query parameter
+ * @param {Object} req - Request
+ * @returns {string|null} Key, or null if none was sent
+ */
+function readApiKey(req) {
+  const header = req.headers?.['x-api-key'];
+  if (typeof header === 'string' && header) {
+    return header.trim();
+  }
+  const query = req.query?.api_key;
+  return typeof query === 'string' && query ? query.trim() : null;
+}
+
+/**
+ * Returns the current UTC day and the seconds left in it
+ * @param {number} now - Timestamp
+ * @returns {{day: string, secondsLeft: number}} Day (YYYY-MM-DD) and seconds until midnight UTC
+ */
+function getQuotaDay(now) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  const nextDay = Date.parse(`${day}T00:00:00.000Z`) + DAY_MS;
+  return { day, secondsLeft: Math.max(1, Math.ceil((nextDay - now) / 1000)) };
+}
+
+class ApiKeyRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {Object} [options.store] - Store (see utils/storage.js); defaults to the shared store
+   * @param {Object} [options.env] - Environment (defaults to process.env)
+   */
+  constructor({ store = getStore(), env = process.env } = {}) {
+    this.store = store;
+    this.env = env;
+  }
+
+  /**
+   * Issues a new key. The full key is only returned here.
+   * @param {Object} options - Key options
+   * @param {string} options.name - Who the key is for
+   * @param {number} [options.dailyQuota] - Requests per UTC day (defaults to API_KEY_DAILY_QUOTA)
+   * @returns {Promise<{key: string, id: string, name: string, dailyQuota: number}>} Created key
+   */
+  async createKey({ name, dailyQuota = getDefaultDailyQuota(this.env) }) {
+    if (!name) {
+      throw new Error('A key name is required');
+    }
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 1) {
+      throw new Error('The daily quota must be a positive integer');
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id,
+      name,
+      dailyQuota,
+      secretHash: hashSecret(secret),
+      created_at: Date.now(),
+      revoked_at: null,
+    };
+    await this.store.set(RECORD_KEY_PREFIX + id, record);
+
+    const ids = (await this.store.get(INDEX_KEY)) || [];
+    await this.store.set(INDEX_KEY, [...ids, id]);
+
+    return { key: `${KEY_PREFIX}${id}.${secret}`, id, name, dailyQuota };
+  }
+
+  /**
+   * Looks up the active key record for a full key
+   * @param {string} key - Key as sent by the client
+   * @returns {Promise<Object|null>} Key record, or null if unknown, revoked or wrong
+   */
+  async verifyKey(key) {
+    const match = API_KEY_PATTERN.exec(key || '');
+    if (!match) {
+      return null;
+    }
+
+    const record = await this.store.get(RECORD_KEY_PREFIX + match[1]);
+    if (!record || record.revoked_at) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? record : null;
+  }
+
+  /**
+   * Counts one request against a key's daily quota
+   * @param {string} key - Key as sent by the client
+   * @param {number} [now] - Current timestamp
+   * @returns {Promise<{id: string, name: string, limit: number, used: number, remaining: number, resetSeconds: number, allowed: boolean}|null>} Usage, or null if the key is invalid
+   */
+  async consume(key, now = Date.now()) {
+    const record = await this.verifyKey(key);
+    if (!record) {
+      return null;
+    }
+
+    const { day, secondsLeft } = getQuotaDay(now);
+    // Counters outlive their day slightly so `usage` can still read them
+    const used = await this.store.increment(`${USAGE_KEY_PREFIX}${record.id}:${day}`, 1, {
+      ttlMs: 2 * DAY_MS,
+    });
+
+    return {
+      id: record.id,
+      name: record.name,
+      limit: record.dailyQuota,
+      used,
+      remaining: Math.max(0, record.dailyQuota - used),
+      resetSeconds: secondsLeft,
+      allowed: used <= record.dailyQuota,
+    };
+  }
+
+  /**
+   * Lists keys (without secrets) and today's usage
+   * @param {number} [now] - Current timestamp
+   * @returns {Promise<Array<{id: string, name: string, dailyQuota: number, usedToday: number, created_at: number, revoked_at: number|null}>>} Keys
+   */
+  async listKeys(now = Date.now()) {
+    const { day } = getQuotaDay(now);
+    const ids = (await this.store.get(INDEX_KEY)) || [];
+
+    const keys = await Promise.all(
+      ids.map(async (id) => {
+        const record = await this.store.get(RECORD_KEY_PREFIX + id);
+        if (!record) {
+          return null;
+        }
+        const { secretHash, ...rest } = record;
+        const usedToday = (await this.store.get(`${USAGE_KEY_PREFIX}${id}:${day}`)) || 0;
+        return { ...rest, usedToday };
+      })
+    );
+    return keys.filter(Boolean);
+  }
+
+  /**
+   * Changes a key's daily quota
+   * @param {string} id - Key ID
+   * @param {number} dailyQuota - Requests per UTC day
+   * @returns {Promise<boolean>} Whether the key exists
+   */
+  async setQuota(id, dailyQuota) {
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 1) {
+      throw new Error('The daily quota must be a positive integer');
+    }
+    const record = await this.store.get(RECORD_KEY_PREFIX + id);
+    if (!record) {
+      return false;
+    }
+    await this.store.set(RECORD_KEY_PREFIX + id, { ...record, dailyQuota });
+    return true;
+  }
+
+  /**
+   * Revokes a key; it stops working immediately
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} Whether the key exists
+   */
+  async revokeKey(id) {
+    const record = await this.store.get(RECORD_KEY_PREFIX + id);
+    if (!record) {
+      return false;
+    }
+    await this.store.set(RECORD_KEY_PREFIX + id, { ...record, revoked_at: Date.now() });
+    return true;
+  }
+}
+
+module.exports = {
+  ApiKeyRegistry,
+  getDefaultDailyQuota,
+  isApiKeyRequired,
+  readApiKey
+};
@@ -1,11 +1,22 @@
 /**
  * Secure CORS configuration utility
- * Replaces wildcard CORS with configurable allowed origins
+ *
+ * Shared by every api/ route. Origins are allowed through ALLOWED_ORIGINS,
+ * a comma-separated list of:
+ *
+ * - exact origins: https://myframer.site
+ * - wildcard subdomains: https://*.framer.app (or *.framer.app, https only)
+ * - "*" to allow any origin (the default when ALLOWED_ORIGINS is unset)
+ *
+ * Routes pass a policy to handleCors() to choose their methods, headers and,
+ * if needed, their own origin list. In development, localhost and 127.0.0.1
+ * on any port are always allowed.
  */
 
-// Parse allowed origins from environment variable
-const ALLOWED_ORIGINS =
-  process.env.ALLOWED_ORIGINS?.split(",").map((origin) => origin.trim()) || [];
+const { ErrorCode, toErrorBody } = require("./errorCatalog");
+
+const ORIGIN_PATTERN =
+  /^(?:(https?):\/\/)?(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?\/?$/i;
 
 // Default origins for development
 const DEFAULT_DEV_ORIGINS = [
@@ -15,114 +26,235 @@ const DEFAULT_DEV_ORIGINS = [
   "http://127.0.0.1:3001",
 ];
 
+const DEFAULT_POLICY = {
+  // "env" reads ALLOWED_ORIGINS; otherwise "*" or a list of patterns
+  origins: "env",
+  methods: ["GET"],
+  allowHeaders: ["Content-Type", "Authorization", "X-API-Key", "If-None-Match"],
+  // ETag for conditional GETs, plus quota and rate limit headers (see
+  // utils/apiKeys.js, utils/rateLimit.js)
+  exposeHeaders: [
+    "ETag",
+    "Retry-After",
+    "X-Quota-Limit",
+    "X-Quota-Remaining",
+    "X-Quota-Reset",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+  ],
+  credentials: false,
+  maxAge: 86400, // 24 hours
+};
+
 /**
- * Get allowed origins based on environment
+ * Splits an ALLOWED_ORIGINS value into its entries
+ * @param {string} [value] - Raw variable
+ * @returns {string[]} Trimmed, non-empty entries
  */
-function getAllowedOrigins() {
-  if (process.env.NODE_ENV === "development") {
-    return [...ALLOWED_ORIGINS, ...DEFAULT_DEV_ORIGINS];
-  }
-  return ALLOWED_ORIGINS;
+function parseAllowedOrigins(value) {
+  return (value || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
 }
 
 /**
- * Check if an origin is allowed
+ * Checks whether an ALLOWED_ORIGINS entry is well formed
+ * @param {string} pattern - Entry, e.g. https://*.framer.app
+ * @returns {boolean} Whether the entry is valid
  */
-function isOriginAllowed(origin) {
-  if (!origin) return false;
-
-  const allowedOrigins = getAllowedOrigins();
+function isValidOriginPattern(pattern) {
+  return pattern === "*" || ORIGIN_PATTERN.test(pattern);
+}
 
-  // Allow if origin is in the allowed list
-  if (allowedOrigins.includes(origin)) {
+/**
+ * Checks an origin against one allowed pattern
+ * @param {string} origin - Request Origin header
+ * @param {string} pattern - Allowed origin or wildcard pattern
+ * @returns {boolean} Whether the origin matches
+ */
+function matchesOrigin(origin, pattern) {
+  if (pattern === "*") {
     return true;
   }
 
-  // In development, allow localhost with any port
-  if (
-    process.env.NODE_ENV === "development" &&
-    origin.match(/^https?:\/\/localhost:\d+$/)
-  ) {
-    return true;
+  const match = ORIGIN_PATTERN.exec(pattern);
+  if (!match) {
+    return false;
   }
 
-  // In development, allow 127.0.0.1 with any port
-  if (
-    process.env.NODE_ENV === "development" &&
-    origin.match(/^https?:\/\/127\.0\.0\.1:\d+$/)
-  ) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return false;
+  }
+
+  const [, scheme = "https", wildcard, host = "", port = ""] = match;
+  const hostname = url.hostname.toLowerCase();
+  const suffix = host.toLowerCase();
+
+  return (
+    url.protocol === `${scheme.toLowerCase()}:` &&
+    url.port === port &&
+    (wildcard ? hostname.endsWith(`.${suffix}`) : hostname === suffix)
+  );
+}
+
+/**
+ * Get allowed origin patterns based on environment
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string[]} Allowed patterns ("*" when ALLOWED_ORIGINS is unset)
+ */
+function getAllowedOrigins(env = process.env) {
+  const configured = parseAllowedOrigins(env.ALLOWED_ORIGINS);
+  const origins = configured.length > 0 ? configured : ["*"];
+
+  if (env.NODE_ENV === "development") {
+    return [...origins, ...DEFAULT_DEV_ORIGINS];
+  }
+  return origins;
+}
+
+/**
+ * Check if an origin is allowed
+ * @param {string} [origin] - Request Origin header
+ * @param {string[]} [allowedOrigins] - Patterns (defaults to getAllowedOrigins())
+ * @returns {boolean} Whether the origin is allowed
+ */
+function isOriginAllowed(origin, allowedOrigins = getAllowedOrigins()) {
+  if (!origin) return false;
+
+  if (allowedOrigins.some((pattern) => matchesOrigin(origin, pattern))) {
     return true;
   }
 
-  return false;
+  // In development, allow localhost and 127.0.0.1 with any port
+  return (
+    process.env.NODE_ENV === "development" &&
+    /^https?:\/\/(localhost|127\.0\.0\.1):\d+$/.test(origin)
+  );
+}
+
+/**
+ * Fills in a route's CORS policy
+ * @param {Object} [policy] - Route policy
+ * @param {"env"|"*"|string[]} [policy.origins="env"] - Allowed origins
+ * @param {string[]} [policy.methods=["GET"]] - Allowed methods (OPTIONS is implied)
+ * @param {string[]} [policy.allowHeaders] - Allowed request headers
+ * @param {string[]} [policy.exposeHeaders] - Response headers readable by the browser
+ * @param {boolean} [policy.credentials=false] - Allow cookies/credentials
+ * @param {number} [policy.maxAge=86400] - Preflight cache lifetime in seconds
+ * @returns {Object} Complete policy
+ */
+function createCorsPolicy(policy = {}) {
+  return { ...DEFAULT_POLICY, ...policy };
 }
 
 /**
  * Set CORS headers based on request origin
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} [policy] - Route policy (see createCorsPolicy)
+ * @returns {boolean} Whether the origin is allowed
  */
-function setCorsHeaders(req, res) {
+function setCorsHeaders(req, res, policy) {
+  const { origins, methods, allowHeaders, exposeHeaders, credentials, maxAge } =
+    createCorsPolicy(policy);
   const origin = req.headers.origin;
-  // const allowedOrigins = getAllowedOrigins();
+  const allowedOrigins =
+    origins === "env" ? getAllowedOrigins() : origins === "*" ? ["*"] : origins;
+  const allowAny = allowedOrigins.includes("*") && !credentials;
+
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    [...new Set([...methods, "OPTIONS"])].join(", "),
+  );
+  res.setHeader("Access-Control-Allow-Headers", allowHeaders.join(", "));
+  res.setHeader("Access-Control-Max-Age", String(maxAge));
+  if (exposeHeaders.length > 0) {
+    res.setHeader("Access-Control-Expose-Headers", exposeHeaders.join(", "));
+  }
+
+  if (allowAny) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    return true;
+  }
 
-  // Set default CORS headers
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.setHeader("Access-Control-Max-Age", "86400"); // 24 hours
+  // The response depends on the Origin header, so caches must key on it
+  res.setHeader("Vary", "Origin");
 
-  // Handle origin validation
-  if (isOriginAllowed(origin)) {
+  if (!origin) {
+    // Not a cross-origin browser request (curl, server-to-server)
+    return true;
+  }
+
+  if (isOriginAllowed(origin, allowedOrigins)) {
     res.setHeader("Access-Control-Allow-Origin", origin);
-    res.setHeader("Access-Control-Allow-Credentials", "true");
+    if (credentials) {
+      res.setHeader("Access-Control-Allow-Credentials", "true");
+    }
     return true;
-  } else if (process.env.NODE_ENV === "development" && origin) {
+  } else if (process.env.NODE_ENV === "development") {
     // In development, allow the origin but log a warning
     console.warn(`CORS: Unallowed origin in development: ${origin}`);
     res.setHeader("Access-Control-Allow-Origin", origin);
     return true;
   } else {
-    // In production, reject unallowed origins
     console.warn(`CORS: Blocked origin: ${origin}`);
     return false;
   }
 }
 
 /**
- * Handle CORS preflight requests
+ * Applies a route's CORS policy: sets the headers, answers preflight
+ * requests and rejects requests from origins that aren't allowed
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} [policy] - Route policy (see createCorsPolicy)
+ * @returns {boolean} True if a response was sent and the route should stop
  */
-function handleCorsPreflight(req, res) {
-  if (req.method === "OPTIONS") {
-    const isAllowed = setCorsHeaders(req, res);
-    if (isAllowed) {
-      res.status(200).end();
-    } else {
-      res.status(403).json({
-        error: "CORS policy violation",
+function handleCors(req, res, policy) {
+  const isAllowed = setCorsHeaders(req, res, policy);
+
+  if (!isAllowed) {
+    res.status(403).json(
+      toErrorBody(ErrorCode.ORIGIN_NOT_ALLOWED, {
         message: "Origin not allowed",
-      });
-    }
-    return true; // Request handled
+      }),
+    );
+    return true;
+  }
+
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return true;
   }
-  return false; // Continue processing
+
+  return false;
+}
+
+/**
+ * Handle CORS preflight requests
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} [policy] - Route policy (see createCorsPolicy)
+ * @returns {boolean} True if the request was a preflight and has been answered
+ */
+function handleCorsPreflight(req, res, policy) {
+  return req.method === "OPTIONS" && handleCors(req, res, policy);
 }
 
 /**
  * CORS middleware for Express/Vercel functions
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Function} [next] - Next middleware
  */
 function corsMiddleware(req, res, next) {
-  // Handle preflight requests
-  if (handleCorsPreflight(req, res)) {
-    return;
-  }
-
-  // Set CORS headers for actual requests
-  const isAllowed = setCorsHeaders(req, res);
-
-  // In production, reject requests from unallowed origins
-  if (process.env.NODE_ENV === "production" && !isAllowed) {
-    res.status(403).json({
-      error: "CORS policy violation",
-      message: "Origin not allowed",
-    });
+  if (handleCors(req, res)) {
     return;
   }
 
@@ -134,8 +266,13 @@ function corsMiddleware(req, res, next) {
 
 module.exports = {
   corsMiddleware,
+  createCorsPolicy,
+  handleCors,
   setCorsHeaders,
   isOriginAllowed,
+  isValidOriginPattern,
+  matchesOrigin,
   getAllowedOrigins,
+  parseAllowedOrigins,
   handleCorsPreflight,
 };
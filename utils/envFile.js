@@ -0,0 +1,65 @@
+/**
+ * Env File Helpers
+ *
+ * Reads and updates single variables in dotenv-style files such as
+ * .env.local, leaving every other line untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads a variable from an env file
+ * @param {string} key - Variable name
+ * @param {string} envFile - Path to env file
+ * @returns {string|undefined} Value, or undefined if the file or line is missing
+ */
+function readEnvFileValue(key, envFile = '.env.local') {
+  const envPath = path.resolve(process.cwd(), envFile);
+  if (!fs.existsSync(envPath)) {
+    return undefined;
+  }
+
+  const line = fs.readFileSync(envPath, 'utf8')
+    .split('\n')
+    .find(line => line.startsWith(`${key}=`));
+  return line === undefined ? undefined : line.slice(key.length + 1);
+}
+
+/**
+ * Updates or adds a variable in an env file, creating the file if needed
+ * @param {string} key - Variable name
+ * @param {string} value - New value
+ * @param {string} envFile - Path to env file
+ */
+function writeEnvFileValue(key, value, envFile = '.env.local') {
+  const envPath = path.resolve(process.cwd(), envFile);
+  let envContent = '';
+  
+  // Read existing env file if it exists
+  if (fs.existsSync(envPath)) {
+    envContent = fs.readFileSync(envPath, 'utf8');
+  }
+  
+  // Update or add the variable
+  const lines = envContent.split('\n');
+  const lineIndex = lines.findIndex(line => line.startsWith(`${key}=`));
+  
+  if (lineIndex >= 0) {
+    lines[lineIndex] = `${key}=${value}`;
+  } else {
+    // Add it at the end, ensuring proper spacing
+    if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
+      lines.push('');
+    }
+    lines.push(`${key}=${value}`);
+  }
+  
+  // Write updated content
+  fs.writeFileSync(envPath, lines.join('\n'));
+}
+
+module.exports = {
+  readEnvFileValue,
+  writeEnvFileValue
+};
@@ -6,11 +6,22 @@
  */
 
 const { validateEnvironment, ConfigurationError, logValidationResults } = require('./validateEnvironment');
+const { ErrorCode, toErrorBody } = require('./errorCatalog');
 
 // Cache for validated environment variables
 let validatedEnv = null;
 let validationError = null;
 
+/**
+ * Catalogue code for the cached validation error (see utils/errorCatalog.js)
+ * @returns {string} CONFIG_MISSING or CONFIG_INVALID
+ */
+function getConfigErrorCode() {
+  return validationError?.message?.startsWith('Missing')
+    ? ErrorCode.CONFIG_MISSING
+    : ErrorCode.CONFIG_INVALID;
+}
+
 /**
  * Performs environment validation once and caches the result
  * @returns {Object|null} Validated environment object or null if validation failed
@@ -76,26 +87,27 @@ function envValidationMiddleware(req, res, next) {
 
     if (isDevelopment && validationError instanceof ConfigurationError) {
       // In development, return detailed error information
-      return res.status(500).json({
+      return res.status(500).json(toErrorBody(getConfigErrorCode(), {
         error: 'Configuration Error',
         message: validationError.message,
         details: validationError.details,
         timestamp: new Date().toISOString()
-      });
+      }));
     } else {
       // In production, return generic error
-      return res.status(500).json({
+      return res.status(500).json(toErrorBody(getConfigErrorCode(), {
         error: 'Server configuration error',
         message: 'The server is not properly configured. Please contact the administrator.',
         timestamp: new Date().toISOString()
-      });
+      }));
     }
   }
 
   // Attach validated environment to request for easy access
   req.validatedEnv = env;
   
-  next();
+  // Returned so compose() (utils/middleware.js) waits for the rest of the chain
+  return next();
 }
 
 /**
@@ -119,7 +131,7 @@ function withEnvValidation(handler) {
         // In development, log full error and return detailed response
         console.error(validationError.details?.errorMessage || validationError.message);
         
-        return res.status(500).json({
+        return res.status(500).json(toErrorBody(getConfigErrorCode(), {
           error: 'Configuration Error',
           message: validationError.message,
           details: {
@@ -127,14 +139,14 @@ function withEnvValidation(handler) {
             hint: 'Check the console for detailed setup instructions'
           },
           timestamp: new Date().toISOString()
-        });
+        }));
       } else {
         // In production, return generic error
-        return res.status(500).json({
+        return res.status(500).json(toErrorBody(getConfigErrorCode(), {
           error: 'Server configuration error',
           message: 'The server is not properly configured.',
           timestamp: new Date().toISOString()
-        });
+        }));
       }
     }
 
@@ -0,0 +1,229 @@
+/**
+ * Error Catalogue
+ *
+ * Every error response from the API carries a stable `code` from this
+ * catalogue, alongside the human-readable `error`:
+ *
+ *   { "error": "Spotify rate limit exceeded", "code": "UPSTREAM_RATE_LIMITED",
+ *     "retryable": true, "hint": "...", "retryAfter": 30 }
+ *
+ * Clients (including the Framer widgets) should switch on `code` and
+ * `retryable` rather than on the message or HTTP status. Codes are never
+ * renamed; new ones may be added.
+ */
+
+const ErrorCode = {
+  // Spotify rejected our credentials
+  AUTH_REFRESH_REVOKED: 'AUTH_REFRESH_REVOKED',
+  AUTH_CLIENT_INVALID: 'AUTH_CLIENT_INVALID',
+  AUTH_SCOPE_MISSING: 'AUTH_SCOPE_MISSING',
+  AUTH_FAILED: 'AUTH_FAILED',
+  // Spotify itself is failing or throttling us
+  UPSTREAM_RATE_LIMITED: 'UPSTREAM_RATE_LIMITED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  UPSTREAM_UNREACHABLE: 'UPSTREAM_UNREACHABLE',
+  UPSTREAM_REQUEST_FAILED: 'UPSTREAM_REQUEST_FAILED',
+  // This deployment is misconfigured
+  CONFIG_MISSING: 'CONFIG_MISSING',
+  CONFIG_INVALID: 'CONFIG_INVALID',
+  // The client's request was rejected
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  UNKNOWN_USER: 'UNKNOWN_USER',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  API_KEY_REQUIRED: 'API_KEY_REQUIRED',
+  API_KEY_INVALID: 'API_KEY_INVALID',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  // Anything unexpected
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+/**
+ * Status, default message, retryable flag and hint for each code
+ * @type {Object<string, {status: number, message: string, retryable: boolean, hint: string}>}
+ */
+const ERROR_CATALOG = {
+  [ErrorCode.AUTH_REFRESH_REVOKED]: {
+    status: 503,
+    message: 'Spotify authorization was revoked or has expired',
+    retryable: false,
+    hint: "Re-authorize the account (npm run auth or /api/auth/login) and update its refresh token.",
+  },
+  [ErrorCode.AUTH_CLIENT_INVALID]: {
+    status: 500,
+    message: 'Spotify rejected the app credentials',
+    retryable: false,
+    hint: 'Check SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET against the Spotify Developer Dashboard.',
+  },
+  [ErrorCode.AUTH_SCOPE_MISSING]: {
+    status: 503,
+    message: 'The Spotify authorization is missing a required permission',
+    retryable: false,
+    hint: 'Re-authorize the account so it grants all scopes listed in the README.',
+  },
+  [ErrorCode.AUTH_FAILED]: {
+    status: 502,
+    message: 'Authentication with Spotify failed',
+    retryable: false,
+    hint: 'Check the server logs; re-authorizing the account usually fixes this.',
+  },
+  [ErrorCode.UPSTREAM_RATE_LIMITED]: {
+    status: 429,
+    message: 'Spotify rate limit exceeded',
+    retryable: true,
+    hint: 'Wait for Retry-After seconds before trying again, and poll less often.',
+  },
+  [ErrorCode.UPSTREAM_UNAVAILABLE]: {
+    status: 503,
+    message: 'Spotify API temporarily unavailable',
+    retryable: true,
+    hint: 'Spotify is having problems; try again shortly.',
+  },
+  [ErrorCode.UPSTREAM_UNREACHABLE]: {
+    status: 502,
+    message: 'Network error connecting to Spotify',
+    retryable: true,
+    hint: 'The server could not reach Spotify; try again shortly.',
+  },
+  [ErrorCode.UPSTREAM_REQUEST_FAILED]: {
+    status: 502,
+    message: 'Spotify API error',
+    retryable: false,
+    hint: 'Spotify rejected the request; check the server logs.',
+  },
+  [ErrorCode.CONFIG_MISSING]: {
+    status: 500,
+    message: 'Server configuration error',
+    retryable: false,
+    hint: 'A required environment variable is not set; run npm run validate:env.',
+  },
+  [ErrorCode.CONFIG_INVALID]: {
+    status: 500,
+    message: 'Server configuration error',
+    retryable: false,
+    hint: 'An environment variable has an invalid value; run npm run validate:env.',
+  },
+  [ErrorCode.INVALID_PARAMETER]: {
+    status: 400,
+    message: 'Invalid parameter',
+    retryable: false,
+    hint: 'Fix the query parameter named in `message`.',
+  },
+  [ErrorCode.UNKNOWN_USER]: {
+    status: 404,
+    message: 'Unknown user',
+    retryable: false,
+    hint: 'Connect the account via /api/auth/login or add it to SPOTIFY_USERS.',
+  },
+  [ErrorCode.METHOD_NOT_ALLOWED]: {
+    status: 405,
+    message: 'Method not allowed',
+    retryable: false,
+    hint: 'See the Allow header for supported methods.',
+  },
+  [ErrorCode.ORIGIN_NOT_ALLOWED]: {
+    status: 403,
+    message: 'CORS policy violation',
+    retryable: false,
+    hint: 'Add this origin to ALLOWED_ORIGINS.',
+  },
+  [ErrorCode.API_KEY_REQUIRED]: {
+    status: 401,
+    message: 'API key required',
+    retryable: false,
+    hint: 'Send your key in the X-API-Key header or the api_key query parameter.',
+  },
+  [ErrorCode.API_KEY_INVALID]: {
+    status: 401,
+    message: 'Invalid API key',
+    retryable: false,
+    hint: 'The key is unknown or revoked; ask for a new one.',
+  },
+  [ErrorCode.QUOTA_EXCEEDED]: {
+    status: 429,
+    message: 'Quota exceeded',
+    retryable: true,
+    hint: 'The daily quota resets at midnight UTC; see Retry-After.',
+  },
+  [ErrorCode.RATE_LIMITED]: {
+    status: 429,
+    message: 'Too many requests',
+    retryable: true,
+    hint: 'Slow down and retry after Retry-After seconds.',
+  },
+  [ErrorCode.INTERNAL_ERROR]: {
+    status: 500,
+    message: 'Internal server error',
+    retryable: false,
+    hint: 'Check the server logs for the request ID.',
+  },
+};
+
+// SpotifyApiError types (utils/spotifyClient.js) to catalogue codes
+const SPOTIFY_ERROR_CODES = {
+  invalid_refresh_token: ErrorCode.AUTH_REFRESH_REVOKED,
+  invalid_client: ErrorCode.AUTH_CLIENT_INVALID,
+  token_refresh_failed: ErrorCode.AUTH_FAILED,
+  unauthorized: ErrorCode.AUTH_FAILED,
+  forbidden: ErrorCode.AUTH_SCOPE_MISSING,
+  rate_limited: ErrorCode.UPSTREAM_RATE_LIMITED,
+  client_error: ErrorCode.UPSTREAM_REQUEST_FAILED,
+  server_error: ErrorCode.UPSTREAM_UNAVAILABLE,
+  network_error: ErrorCode.UPSTREAM_UNREACHABLE,
+};
+
+/**
+ * Error with a catalogue code; its status and defaults come from the catalogue
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - ErrorCode value
+   * @param {Object} [fields] - Extra response fields, e.g. { message: "..." };
+   *   `error` overrides the catalogue message
+   */
+  constructor(code, fields = {}) {
+    const entry = ERROR_CATALOG[code] || ERROR_CATALOG[ErrorCode.INTERNAL_ERROR];
+    const { error = entry.message, ...rest } = fields;
+    super(error);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = entry.status;
+    this.retryable = entry.retryable;
+    this.fields = rest;
+  }
+}
+
+/**
+ * Maps a SpotifyApiError type to its catalogue code
+ * @param {string} type - SpotifyErrorType value
+ * @returns {string} ErrorCode value
+ */
+function getSpotifyErrorCode(type) {
+  return SPOTIFY_ERROR_CODES[type] || ErrorCode.UPSTREAM_REQUEST_FAILED;
+}
+
+/**
+ * Builds the JSON body for a code
+ * @param {string} code - ErrorCode value
+ * @param {Object} [fields] - Extra fields; `error` overrides the catalogue message
+ * @returns {{error: string, code: string, retryable: boolean, hint: string}} Response body
+ */
+function toErrorBody(code, fields = {}) {
+  const entry = ERROR_CATALOG[code] || ERROR_CATALOG[ErrorCode.INTERNAL_ERROR];
+  return {
+    error: entry.message,
+    code,
+    retryable: entry.retryable,
+    hint: entry.hint,
+    ...fields,
+  };
+}
+
+module.exports = {
+  ErrorCode,
+  ERROR_CATALOG,
+  ApiError,
+  getSpotifyErrorCode,
+  toErrorBody
+};
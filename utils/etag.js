@@ -0,0 +1,54 @@
+/**
+ * Now-Playing ETags
+ *
+ * Widgets poll every few seconds, and most polls return the same track in
+ * the same state. The ETag covers what a widget renders - the track, the
+ * play state and the last played fallback - plus the playback position in
+ * coarse buckets, so an unchanged response can be answered with 304 and the
+ * widget keeps interpolating progress locally. Seeks within a bucket aren't
+ * reported until the next bucket.
+ */
+
+const crypto = require('crypto');
+
+const PROGRESS_BUCKET_MS = 15 * 1000;
+
+/**
+ * Computes the weak ETag of a now-playing response
+ * @param {Object} nowPlaying - Normalized now-playing response
+ * @returns {string} ETag, e.g. W/"3f2a..."
+ */
+function getNowPlayingEtag(nowPlaying) {
+  const item = nowPlaying.item;
+  const parts = [
+    nowPlaying.is_playing ? 'playing' : 'paused',
+    item ? item.id || item.external_urls?.spotify || item.name : '',
+    nowPlaying.is_playing ? Math.floor((nowPlaying.progress_ms || 0) / PROGRESS_BUCKET_MS) : '',
+    nowPlaying.last_played?.played_at || '',
+  ];
+
+  const hash = crypto.createHash('sha1').update(parts.join('|')).digest('base64url');
+  return `W/"${hash.slice(0, 16)}"`;
+}
+
+/**
+ * Checks an If-None-Match header against an ETag (weak comparison)
+ * @param {string|string[]} [header] - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} Whether the client's copy is current
+ */
+function matchesIfNoneMatch(header, etag) {
+  if (!header) {
+    return false;
+  }
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  const tags = (Array.isArray(header) ? header.join(',') : header).split(',');
+  return tags.some((tag) => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+module.exports = {
+  PROGRESS_BUCKET_MS,
+  getNowPlayingEtag,
+  matchesIfNoneMatch
+};
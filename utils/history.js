@@ -0,0 +1,187 @@
+/**
+ * Listening History Recorder
+ *
+ * Builds a listening log from the now-playing responses the API observes.
+ * The track being listened to is kept as an open "current" entry that is
+ * extended on every poll; once a different track is seen (or the same one
+ * after a long gap) it is closed and pushed onto the history list.
+ *
+ * Only tracks are recorded, and only while something polls the API, so
+ * gaps in polling are gaps in the history.
+ */
+
+const { getItemKey } = require('./playbackState');
+const { getStore } = require('./storage');
+
+const CURRENT_KEY = 'history:current';
+const ENTRIES_KEY = 'history:entries';
+
+// Oldest entries are dropped beyond this (roughly a month of heavy listening)
+const DEFAULT_MAX_ENTRIES = 5000;
+
+// Seeing the same track again after this long counts as a new listen
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Jumping back to the start from this close to the end is a repeat, not a seek
+const REPEAT_THRESHOLD_MS = 15 * 1000;
+
+// Entries are read from the store in pages of this size when querying
+const SCAN_PAGE_SIZE = 200;
+
+/**
+ * Strips bookkeeping fields from an entry before it is stored or returned
+ */
+function toHistoryEntry({ last_progress_ms, ...entry }) {
+  return entry;
+}
+
+class HistoryRecorder {
+  /**
+   * @param {Object} [options] - Recorder options
+   * @param {Object} [options.store] - Store (see utils/storage.js); defaults to the shared store
+   * @param {number} [options.maxEntries=5000] - History length cap
+   */
+  constructor({ store = getStore(), maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Creates a recorder on the store selected by STORAGE_BACKEND
+   * @param {Object} [env] - Environment (defaults to process.env)
+   * @returns {HistoryRecorder|null} Recorder, or null if the store is misconfigured
+   */
+  static fromEnv(env = process.env) {
+    try {
+      return new HistoryRecorder({ store: getStore(env) });
+    } catch (error) {
+      console.error('History store unavailable; history disabled:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Records a now-playing response
+   *
+   * Never throws: history failures must not break the API response.
+   *
+   * @param {import('../types/spotify').NowPlayingResponse} nowPlaying - Normalized now-playing response
+   * @param {number} [now] - Observation time (Unix ms)
+   */
+  async recordNowPlaying(nowPlaying, now = Date.now()) {
+    try {
+      // Paused, or something other than a track: keep the open entry as is
+      if (!nowPlaying.is_playing || nowPlaying.item?.type !== 'track') {
+        return;
+      }
+
+      const item = nowPlaying.item;
+      const progressMs = nowPlaying.progress_ms || 0;
+      const current = await this.store.get(CURRENT_KEY);
+
+      if (current) {
+        const lastSeenAt = new Date(current.last_seen_at).getTime();
+        const elapsedMs = now - lastSeenAt;
+        const restarted =
+          progressMs < current.last_progress_ms &&
+          current.last_progress_ms >= current.duration_ms - REPEAT_THRESHOLD_MS;
+
+        if (
+          getItemKey({ item }) === getItemKey({ item: current }) &&
+          elapsedMs <= SESSION_GAP_MS &&
+          !restarted
+        ) {
+          // Count forward progress, but never more than the time that passed
+          const progressDelta = progressMs - current.last_progress_ms;
+          const listenedMs = Math.min(Math.max(progressDelta, 0), elapsedMs);
+
+          await this.store.set(CURRENT_KEY, {
+            ...current,
+            last_seen_at: new Date(now).toISOString(),
+            listened_ms: Math.min(current.listened_ms + listenedMs, current.duration_ms),
+            last_progress_ms: progressMs,
+          });
+          return;
+        }
+
+        await this.store.listPush(ENTRIES_KEY, toHistoryEntry(current), {
+          maxLength: this.maxEntries,
+        });
+      }
+
+      await this.store.set(CURRENT_KEY, {
+        id: item.id || null,
+        name: item.name,
+        artists: item.artists || [],
+        album: item.album,
+        duration_ms: item.duration_ms,
+        external_urls: item.external_urls,
+        first_seen_at: new Date(now).toISOString(),
+        last_seen_at: new Date(now).toISOString(),
+        // Whatever was already played before we noticed the track
+        listened_ms: Math.min(progressMs, item.duration_ms || progressMs),
+        last_progress_ms: progressMs,
+      });
+    } catch (error) {
+      console.error('History recording failed:', error.message);
+    }
+  }
+
+  /**
+   * Returns history entries, newest first, including the open entry
+   * @param {Object} [options] - Query options
+   * @param {number} [options.since] - Unix ms; only entries first seen at or after this
+   * @param {number} [options.until] - Unix ms; only entries first seen before this
+   * @param {number} [options.limit=50] - Maximum number of entries
+   * @returns {Promise<import('../types/spotify').HistoryResponse>} Entries and the cursor for the next page
+   */
+  async getHistory({ since, until, limit = 50 } = {}) {
+    const items = [];
+    let hasMore = false;
+
+    const consider = (entry, inProgress) => {
+      const firstSeenAt = new Date(entry.first_seen_at).getTime();
+      if (until !== undefined && firstSeenAt >= until) {
+        return true;
+      }
+      if (since !== undefined && firstSeenAt < since) {
+        // Entries are ordered, so everything after this is older still
+        return false;
+      }
+      if (items.length === limit) {
+        hasMore = true;
+        return false;
+      }
+      items.push(inProgress ? { ...toHistoryEntry(entry), in_progress: true } : entry);
+      return true;
+    };
+
+    const current = await this.store.get(CURRENT_KEY);
+    let scanning = current ? consider(current, true) : true;
+
+    for (let start = 0; scanning; start += SCAN_PAGE_SIZE) {
+      const page = await this.store.listRange(ENTRIES_KEY, start, start + SCAN_PAGE_SIZE - 1);
+      for (const entry of page) {
+        if (!(scanning = consider(entry, false))) {
+          break;
+        }
+      }
+      if (page.length < SCAN_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const oldest = items[items.length - 1];
+    return {
+      items,
+      cursors: hasMore && oldest
+        ? { until: new Date(oldest.first_seen_at).getTime() }
+        : null,
+    };
+  }
+}
+
+module.exports = {
+  HistoryRecorder,
+  SESSION_GAP_MS
+};
@@ -0,0 +1,345 @@
+/**
+ * Handler Middleware
+ *
+ * compose() turns a list of middlewares plus a route handler into a Vercel
+ * handler, so routes only contain their own logic:
+ *
+ *   module.exports = compose(
+ *     requestId(),
+ *     timing(),
+ *     securityHeaders(),
+ *     cors(),
+ *     allowMethods("GET"),
+ *     mapErrors({ fallback: "Failed to fetch now playing" }),
+ *     requireEnv("SPOTIFY_CLIENT_ID", "SPOTIFY_CLIENT_SECRET"),
+ *     async (req, res) => res.status(200).json(...),
+ *   );
+ *
+ * A middleware is `(req, res, next) => Promise<void>`; it either responds or
+ * awaits `next()`. Anything thrown below mapErrors() becomes a JSON error
+ * response with a code from utils/errorCatalog.js; handlers throw ApiError
+ * to pick the code.
+ * envValidationMiddleware (utils/envMiddleware.js) can be used in the chain
+ * to run the full validateEnvironment() check.
+ */
+
+const crypto = require('crypto');
+const { handleCors } = require('./cors-debug');
+const { ConfigurationError } = require('./validateEnvironment');
+const { SpotifyApiError, SpotifyErrorType } = require('./spotifyClient');
+const { TokenEncryptionError } = require('./tokenCrypto');
+const { ApiKeyRegistry, isApiKeyRequired, readApiKey } = require('./apiKeys');
+const {
+  ApiError,
+  ErrorCode,
+  ERROR_CATALOG,
+  getSpotifyErrorCode,
+  toErrorBody
+} = require('./errorCatalog');
+const {
+  TokenBucketLimiter,
+  getClientId,
+  getRouteLimits,
+  isRateLimitEnabled
+} = require('./rateLimit');
+
+/**
+ * (req, res, next) => Promise<void>; the route handler is the last one
+ * @typedef {function(*, *, function(): Promise<void>): any} Middleware
+ */
+
+/**
+ * Combines middlewares and a final handler into one Vercel handler
+ * @param {...Middleware} middlewares - Middlewares, the last one being the route handler
+ * @returns {function(Object, Object): Promise<void>} Handler
+ */
+function compose(...middlewares) {
+  return async (req, res) => {
+    const dispatch = async (index) => {
+      const middleware = middlewares[index];
+      if (middleware) {
+        await middleware(req, res, () => dispatch(index + 1));
+      }
+    };
+    await dispatch(0);
+  };
+}
+
+/**
+ * Sets the security headers every API response carries
+ * @param {Object<string, string>} [headers] - Extra or overriding headers
+ * @returns {Middleware} Middleware
+ */
+function securityHeaders(headers = {}) {
+  const all = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'X-XSS-Protection': '1; mode=block',
+    ...headers,
+  };
+
+  return async (req, res, next) => {
+    for (const [name, value] of Object.entries(all)) {
+      res.setHeader(name, value);
+    }
+    await next();
+  };
+}
+
+/**
+ * Applies a CORS policy (see utils/cors-debug.js), answering preflights
+ * and rejecting origins that aren't allowed
+ * @param {Object} [policy] - Route policy
+ * @returns {Middleware} Middleware
+ */
+function cors(policy) {
+  return async (req, res, next) => {
+    if (!handleCors(req, res, policy)) {
+      await next();
+    }
+  };
+}
+
+/**
+ * Rejects other methods with 405 (run after cors() so OPTIONS is handled)
+ * @param {...string} methods - Allowed methods
+ * @returns {Middleware} Middleware
+ */
+function allowMethods(...methods) {
+  return async (req, res, next) => {
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+      return res.status(405).json(toErrorBody(ErrorCode.METHOD_NOT_ALLOWED));
+    }
+    await next();
+  };
+}
+
+/**
+ * Fails with 500 "Server configuration error" when variables are missing
+ * @param {...string} names - Required environment variables
+ * @returns {Middleware} Middleware
+ */
+function requireEnv(...names) {
+  return async (req, res, next) => {
+    const missing = names.filter((name) => !process.env[name]);
+    if (missing.length > 0) {
+      console.error(`Missing environment variables: ${missing.join(', ')}`);
+      throw new ApiError(ErrorCode.CONFIG_MISSING);
+    }
+    await next();
+  };
+}
+
+/**
+ * Checks the client's API key (see utils/apiKeys.js) and counts the request
+ * against its daily quota. Requests without a key pass unless
+ * REQUIRE_API_KEY is set. Run after mapErrors() so rejections become JSON.
+ * @param {Object} [options] - Options
+ * @param {ApiKeyRegistry} [options.registry] - Key registry (defaults to one on the shared store)
+ * @returns {Middleware} Middleware
+ */
+function apiKeyAuth({ registry } = {}) {
+  return async (req, res, next) => {
+    const key = readApiKey(req);
+    if (!key) {
+      if (isApiKeyRequired()) {
+        throw new ApiError(ErrorCode.API_KEY_REQUIRED);
+      }
+      return next();
+    }
+
+    const usage = await (registry || new ApiKeyRegistry()).consume(key);
+    if (!usage) {
+      throw new ApiError(ErrorCode.API_KEY_INVALID);
+    }
+
+    res.setHeader('X-Quota-Limit', String(usage.limit));
+    res.setHeader('X-Quota-Remaining', String(usage.remaining));
+    res.setHeader('X-Quota-Reset', String(usage.resetSeconds));
+
+    if (!usage.allowed) {
+      res.setHeader('Retry-After', String(usage.resetSeconds));
+      throw new ApiError(ErrorCode.QUOTA_EXCEEDED, {
+        message: `Daily quota of ${usage.limit} requests reached`,
+        retryAfter: usage.resetSeconds,
+      });
+    }
+
+    // A shared cache would answer later requests without counting them
+    const setHeader = res.setHeader;
+    res.setHeader = function (name, value) {
+      if (String(name).toLowerCase() === 'cache-control') {
+        return setHeader.call(this, name, 'private, no-store');
+      }
+      return setHeader.call(this, name, value);
+    };
+
+    req.apiKey = { id: usage.id, name: usage.name };
+    await next();
+  };
+}
+
+/**
+ * Token-bucket rate limiting per API key or IP (see utils/rateLimit.js),
+ * with RateLimit-* headers. Run after apiKeyAuth() so keyed clients get
+ * their own bucket. Store errors let the request through.
+ * @param {Object} options - Limits for this route (RATE_LIMITS can override them)
+ * @param {string} options.name - Bucket namespace, e.g. "now-playing"
+ * @param {number} options.burst - Requests allowed at once
+ * @param {number} options.refillPerSecond - Requests regained per second
+ * @returns {Middleware} Middleware
+ */
+function rateLimit({ name, burst, refillPerSecond }) {
+  return async (req, res, next) => {
+    if (!isRateLimitEnabled()) {
+      return next();
+    }
+
+    let limiter;
+    let result;
+    try {
+      const limits = getRouteLimits(name, { burst, refillPerSecond });
+      limiter = new TokenBucketLimiter({ name, ...limits });
+      result = await limiter.take(getClientId(req));
+    } catch (error) {
+      console.error(`Rate limiter unavailable${req.id ? ` [${req.id}]` : ''}:`, error.message);
+      return next();
+    }
+
+    res.setHeader('RateLimit-Policy', limiter.policy);
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(result.retryAfter));
+      throw new ApiError(ErrorCode.RATE_LIMITED, { retryAfter: result.retryAfter });
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Gives each request an ID (from X-Request-Id or Vercel's X-Vercel-Id when
+ * present) as `req.id` and in the X-Request-Id response header
+ * @returns {Middleware} Middleware
+ */
+function requestId() {
+  return async (req, res, next) => {
+    const incoming = req.headers['x-request-id'] || req.headers['x-vercel-id'];
+    req.id = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    await next();
+  };
+}
+
+/**
+ * Reports how long the handler took in a Server-Timing header
+ * @returns {Middleware} Middleware
+ */
+function timing() {
+  return async (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const elapsed = () => (Number(process.hrtime.bigint() - start) / 1e6).toFixed(1);
+
+    // Headers are written on the first write/end, so add the header then
+    if (typeof res.writeHead === 'function') {
+      const writeHead = res.writeHead;
+      res.writeHead = function (...args) {
+        if (!res.headersSent) {
+          res.setHeader('Server-Timing', `app;dur=${elapsed()}`);
+        }
+        return writeHead.apply(this, args);
+      };
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Turns errors thrown by later middlewares into JSON responses
+ * @param {Object} [options] - Options
+ * @param {string} [options.fallback="Internal server error"] - `error` for unexpected errors
+ * @param {Object} [options.body] - Fields added to every error response, e.g. { is_playing: false }
+ * @param {function(Error): (Object|undefined)} [options.extend] - Extra fields for a given error
+ * @returns {Middleware} Middleware
+ */
+function mapErrors({ fallback = 'Internal server error', body = {}, extend } = {}) {
+  return async (req, res, next) => {
+    try {
+      await next();
+    } catch (error) {
+      const { status, fields } = describeError(error, fallback);
+      const tag = req.id ? ` [${req.id}]` : '';
+
+      if (error instanceof SpotifyApiError) {
+        console.error(`Spotify API error (${error.type})${tag}:`, error.message);
+      } else if (!(error instanceof ApiError)) {
+        // ApiErrors are expected; whoever throws one logs what went wrong
+        console.error(`${fallback}${tag}:`, error.message);
+      }
+
+      if (res.headersSent) {
+        // Streaming responses can't switch to an error status any more
+        res.end();
+        return;
+      }
+
+      if (fields.retryAfter) {
+        res.setHeader('Retry-After', String(fields.retryAfter));
+      }
+      res.status(status).json({ ...fields, ...(extend?.(error) || {}), ...body });
+    }
+  };
+}
+
+/**
+ * Picks the status and public fields (see utils/errorCatalog.js) for an error
+ * @param {Error} error - Thrown error
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {{status: number, fields: Object}} Response description
+ */
+function describeError(error, fallback) {
+  if (error instanceof ApiError) {
+    return {
+      status: error.status,
+      fields: toErrorBody(error.code, { error: error.message, ...error.fields }),
+    };
+  }
+  if (error instanceof SpotifyApiError) {
+    const code = getSpotifyErrorCode(error.type);
+    const retryAfter = error.type === SpotifyErrorType.RATE_LIMITED ? error.retryAfter : undefined;
+    return {
+      status: ERROR_CATALOG[code].status,
+      fields: toErrorBody(code, retryAfter ? { retryAfter } : {}),
+    };
+  }
+  if (error instanceof ConfigurationError) {
+    const code = error.message.startsWith('Missing') ? ErrorCode.CONFIG_MISSING : ErrorCode.CONFIG_INVALID;
+    return { status: 500, fields: toErrorBody(code) };
+  }
+  if (error instanceof TokenEncryptionError) {
+    return { status: 500, fields: toErrorBody(ErrorCode.CONFIG_INVALID) };
+  }
+  return { status: 500, fields: toErrorBody(ErrorCode.INTERNAL_ERROR, { error: fallback }) };
+}
+
+module.exports = {
+  ApiError,
+  ErrorCode,
+  compose,
+  securityHeaders,
+  cors,
+  allowMethods,
+  requireEnv,
+  apiKeyAuth,
+  rateLimit,
+  requestId,
+  timing,
+  mapErrors
+};
@@ -0,0 +1,74 @@
+/**
+ * Now-Playing Response Cache
+ *
+ * The response cache (utils/responseCache.js) behind /api/spotify/now-playing
+ * and its SSE stream. Both read the same `<account>:<variant>` keys, so
+ * polling widgets and open streams share one Spotify call per TTL instead of
+ * each stream polling Spotify on its own.
+ *
+ * Responses fetched for the default account are also passed to the webhooks
+ * and recorded in the listening history, whichever route fetched them.
+ */
+
+const { WebhookDispatcher } = require('./webhooks');
+const { HistoryRecorder } = require('./history');
+const { ResponseCache, advanceProgress, getNowPlayingTtl } = require('./responseCache');
+
+// Created once so the last-seen state survives warm invocations
+const webhooks = WebhookDispatcher.fromEnv();
+const history = HistoryRecorder.fromEnv();
+const cache = new ResponseCache({
+  namespace: 'now-playing',
+  ttl: getNowPlayingTtl,
+});
+
+/**
+ * Returns the now-playing state from the cache, or fetches it when stale.
+ * Concurrent misses share one Spotify call.
+ * @param {import('./spotifyClient').SpotifyClient} client - Client for the account
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - Registered user (defaults to the default account)
+ * @param {boolean} [options.includeLastPlayed=false] - Add the last played track when nothing is playing
+ * @returns {Promise<{nowPlaying: Object, hit: boolean}>} State, with cached progress moved forward by its age
+ */
+async function getCachedNowPlaying(client, { userId, includeLastPlayed = false } = {}) {
+  const account = userId ? `user:${userId}` : 'default';
+  const variant = includeLastPlayed ? 'last-played' : 'current';
+
+  const { value, hit, ageMs } = await cache.get(`${account}:${variant}`, async () => {
+    // Access token is cached across invocations
+    const nowPlaying = await client.getNowPlaying();
+
+    // Notify webhooks when a track starts, pauses or resumes (default
+    // account only, like the history below)
+    if (webhooks && !userId) {
+      await webhooks.processNowPlaying(nowPlaying);
+    }
+
+    // Add to the listening history (/api/spotify/history)
+    if (history && !userId) {
+      await history.recordNowPlaying(nowPlaying);
+    }
+
+    if (!nowPlaying.is_playing && includeLastPlayed) {
+      try {
+        const lastPlayed = await client.getLastPlayed();
+        if (lastPlayed) {
+          nowPlaying.last_played = lastPlayed;
+        }
+      } catch (error) {
+        // Not fatal - tokens issued before the recently-played scope was
+        // requested get a 403 here
+        console.warn('Could not fetch last played track:', error.message);
+      }
+    }
+
+    return nowPlaying;
+  });
+
+  return { nowPlaying: advanceProgress(value, ageMs), hit };
+}
+
+module.exports = {
+  getCachedNowPlaying
+};
@@ -0,0 +1,250 @@
+/**
+ * Hosted OAuth
+ *
+ * Authorization-code flow with PKCE for /api/auth/login and
+ * /api/auth/callback, so people can connect their Spotify account from a
+ * browser instead of running `npm run auth`. Each login gets a random
+ * `state` that is kept in the store (and a cookie) for a few minutes along
+ * with its PKCE code verifier; the callback consumes it exactly once.
+ *
+ * Only the Spotify accounts listed in AUTH_ALLOWED_SPOTIFY_IDS (comma-
+ * separated Spotify user IDs, or * for any account) can connect; without it
+ * the hosted login is off.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { getApiBaseUrl, getAuthorizeEndpoint, getTokenEndpoint } = require('./spotifyEndpoints');
+
+const SCOPES = 'user-read-currently-playing user-read-playback-state user-read-recently-played user-top-read';
+const CALLBACK_PATH = '/api/auth/callback';
+const STATE_KEY_PREFIX = 'oauth:state:';
+const STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'spotify_oauth_state';
+
+/**
+ * Error raised while completing the authorization flow. `message` is safe
+ * to show to the person connecting their account.
+ */
+class OAuthError extends Error {
+  /**
+   * @param {string} message - Public error message
+   * @param {number} [status] - HTTP status for the callback response
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OAuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Encodes bytes as unpadded base64url
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Encoded string
+ */
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Creates a PKCE code verifier and its S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string}} PKCE pair
+ */
+function createPkcePair() {
+  const codeVerifier = base64Url(crypto.randomBytes(64));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Works out the redirect URI registered with Spotify: SPOTIFY_REDIRECT_URI
+ * if set, otherwise the callback route on the host that served the request
+ * @param {Object} req - Incoming request
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Redirect URI
+ */
+function getRedirectUri(req, env = process.env) {
+  if (env.SPOTIFY_REDIRECT_URI) {
+    return env.SPOTIFY_REDIRECT_URI;
+  }
+
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  const forwardedProto = String(req.headers['x-forwarded-proto'] || '').split(',')[0];
+  const protocol = forwardedProto || (/^(localhost|127\.0\.0\.1)(:|$)/.test(host) ? 'http' : 'https');
+  return `${protocol}://${host}${CALLBACK_PATH}`;
+}
+
+/**
+ * Reads a cookie from the request
+ * @param {Object} req - Incoming request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+function readCookie(req, name) {
+  if (req.cookies && name in req.cookies) {
+    return req.cookies[name];
+  }
+
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Builds the Set-Cookie header that binds a login to the browser
+ * @param {string} value - Cookie value (empty to clear it)
+ * @param {string} redirectUri - Redirect URI, to decide on the Secure flag
+ * @returns {string} Set-Cookie header value
+ */
+function stateCookie(value, redirectUri) {
+  const maxAge = value ? Math.floor(STATE_TTL_MS / 1000) : 0;
+  const secure = redirectUri.startsWith('https:') ? '; Secure' : '';
+  return `${STATE_COOKIE}=${value}; Path=/api/auth; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+/**
+ * Starts a login: stores a fresh state and PKCE verifier and returns the
+ * Spotify authorize URL to redirect to
+ * @param {Object} options - Login options
+ * @param {string} options.clientId - Spotify client ID
+ * @param {string} options.redirectUri - Redirect URI registered with Spotify
+ * @param {string} [options.displayName] - Name to show in widgets instead of the Spotify profile name
+ * @param {Object} [options.store] - Store (defaults to the shared store)
+ * @returns {Promise<{state: string, url: string}>} State and authorize URL
+ */
+async function beginAuthorization({ clientId, redirectUri, displayName, store = getStore() }) {
+  const state = base64Url(crypto.randomBytes(24));
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  await store.set(
+    STATE_KEY_PREFIX + state,
+    { codeVerifier, redirectUri, displayName: displayName || null },
+    { ttlMs: STATE_TTL_MS }
+  );
+
+  const url = `${getAuthorizeEndpoint()}?${new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    scope: SCOPES,
+    redirect_uri: redirectUri,
+    state,
+    code_challenge_method: 'S256',
+    code_challenge: codeChallenge,
+    show_dialog: 'true'
+  })}`;
+
+  return { state, url };
+}
+
+/**
+ * Looks up and deletes a pending login, so each state works only once
+ * @param {string} state - State returned by Spotify
+ * @param {Object} [store] - Store (defaults to the shared store)
+ * @returns {Promise<{codeVerifier: string, redirectUri: string, displayName: string|null}|null>} Pending login, or null if unknown or expired
+ */
+async function consumeAuthorizationState(state, store = getStore()) {
+  if (typeof state !== 'string' || !state) {
+    return null;
+  }
+  const key = STATE_KEY_PREFIX + state;
+  const pending = await store.get(key);
+  if (pending) {
+    await store.delete(key);
+  }
+  return pending || null;
+}
+
+/**
+ * Exchanges an authorization code (plus PKCE verifier) for tokens
+ * @param {Object} options - Exchange options
+ * @param {string} options.code - Authorization code
+ * @param {string} options.codeVerifier - PKCE code verifier from the login
+ * @param {string} options.redirectUri - Redirect URI used for the login
+ * @param {string} options.clientId - Spotify client ID
+ * @param {string} options.clientSecret - Spotify client secret
+ * @returns {Promise<Object>} Spotify token response
+ */
+async function exchangeAuthorizationCode({ code, codeVerifier, redirectUri, clientId, clientSecret }) {
+  // The client secret is sent as well so the refresh token can be renewed
+  // by utils/tokenManager.js like any other
+  const response = await fetch(getTokenEndpoint(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.refresh_token) {
+    console.error('Authorization code exchange failed:', response.status, data.error || '');
+    throw new OAuthError('Spotify did not accept the authorization. Please try again.', 502);
+  }
+  return data;
+}
+
+/**
+ * Fetches the profile of the account that just authorized
+ * @param {string} accessToken - Access token from the code exchange
+ * @returns {Promise<{id: string, display_name: string|null}>} Spotify profile
+ */
+async function fetchProfile(accessToken) {
+  const response = await fetch(`${getApiBaseUrl()}/me`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!response.ok) {
+    console.error('Profile lookup failed:', response.status);
+    throw new OAuthError('Could not read your Spotify profile. Please try again.', 502);
+  }
+  return response.json();
+}
+
+/**
+ * Checks whether a Spotify account may connect (AUTH_ALLOWED_SPOTIFY_IDS)
+ * @param {string} spotifyId - Spotify user ID
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {boolean} Whether the account is allowed
+ */
+function isAllowedSpotifyId(spotifyId, env = process.env) {
+  const allowed = (env.AUTH_ALLOWED_SPOTIFY_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  return allowed.includes('*') || allowed.includes(String(spotifyId));
+}
+
+/**
+ * Turns a Spotify user ID into a registry user ID (see utils/userRegistry.js)
+ * @param {string} spotifyId - Spotify user ID
+ * @returns {string} User ID
+ */
+function toUserId(spotifyId) {
+  return String(spotifyId).replace(/[^a-zA-Z0-9_-]/g, '-').slice(0, 64);
+}
+
+module.exports = {
+  OAuthError,
+  SCOPES,
+  STATE_COOKIE,
+  createPkcePair,
+  getRedirectUri,
+  readCookie,
+  stateCookie,
+  beginAuthorization,
+  consumeAuthorizationState,
+  exchangeAuthorizationCode,
+  fetchProfile,
+  isAllowedSpotifyId,
+  toUserId
+};
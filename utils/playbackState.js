@@ -0,0 +1,89 @@
+/**
+ * Playback State Change Detection
+ *
+ * Compares two normalized now-playing responses (see SpotifyClient#getNowPlaying)
+ * to decide whether anything a listener would notice has changed. Progress
+ * advancing normally is not a change; only a jump away from the expected
+ * position (a seek) is.
+ */
+
+// Allowed drift between the expected and reported position before a jump
+// counts as a seek (covers polling jitter and Spotify's own reporting lag)
+const SEEK_TOLERANCE_MS = 3000;
+
+const PlaybackChange = {
+  STARTED: 'started',
+  TRACK_CHANGED: 'track_changed',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  SEEKED: 'seeked',
+};
+
+/**
+ * Identifies the playing item; falls back to the name for local files,
+ * which have no Spotify ID
+ * @param {import('../types/spotify').NowPlayingResponse|null} state - Now playing state
+ * @returns {string|null} Item key
+ */
+function getItemKey(state) {
+  const item = state?.item;
+  if (!item) {
+    return null;
+  }
+  return item.id || `${item.type || 'track'}:${item.name}`;
+}
+
+/**
+ * Detects what changed between two polls
+ *
+ * Paused responses carry no item, so a resume can only be told apart from a
+ * new start if the caller keeps the last playing item on `previous`.
+ *
+ * @param {import('../types/spotify').NowPlayingResponse|null} previous - Last seen state (null if none)
+ * @param {import('../types/spotify').NowPlayingResponse} current - Newly fetched state
+ * @param {number} elapsedMs - Time between the two fetches
+ * @returns {string|null} A PlaybackChange value, or null if nothing changed
+ */
+function detectPlaybackChange(previous, current, elapsedMs) {
+  const wasPlaying = !!previous?.is_playing;
+  const isPlaying = !!current.is_playing;
+
+  if (!previous) {
+    return isPlaying ? PlaybackChange.STARTED : null;
+  }
+
+  if (!wasPlaying && !isPlaying) {
+    return null;
+  }
+
+  if (wasPlaying && !isPlaying) {
+    return PlaybackChange.PAUSED;
+  }
+
+  const previousKey = getItemKey(previous);
+  const currentKey = getItemKey(current);
+
+  if (!wasPlaying) {
+    return currentKey && currentKey === previousKey
+      ? PlaybackChange.RESUMED
+      : PlaybackChange.STARTED;
+  }
+
+  if (currentKey !== previousKey) {
+    return PlaybackChange.TRACK_CHANGED;
+  }
+
+  const expectedProgress = (previous.progress_ms || 0) + elapsedMs;
+  if (Math.abs((current.progress_ms || 0) - expectedProgress) > SEEK_TOLERANCE_MS) {
+    return PlaybackChange.SEEKED;
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectPlaybackChange,
+  getItemKey,
+  PlaybackChange,
+  SEEK_TOLERANCE_MS
+};
@@ -0,0 +1,140 @@
+/**
+ * Rate Limiting
+ *
+ * Token buckets kept in the store (utils/storage.js): each client starts with
+ * `burst` tokens, every request takes one, and tokens come back at
+ * `refillPerSecond`. Clients are identified by API key when they sent one
+ * (see utils/apiKeys.js), otherwise by IP address.
+ *
+ * Buckets are read and written without a lock, so with a shared backend two
+ * instances can occasionally both spend the same token. That's fine for
+ * abuse protection; API key quotas are the exact count.
+ *
+ * Routes choose their own limits; RATE_LIMITS overrides them per route name,
+ * e.g. {"now-playing":{"burst":120,"refillPerSecond":2}}. Set
+ * RATE_LIMIT_ENABLED=false to turn rate limiting off.
+ */
+
+const { getStore } = require('./storage');
+
+const BUCKET_KEY_PREFIX = 'ratelimit:';
+
+/**
+ * Whether rate limiting is on (RATE_LIMIT_ENABLED, default true)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {boolean} Whether requests are rate limited
+ */
+function isRateLimitEnabled(env = process.env) {
+  return !['false', '0'].includes(env.RATE_LIMIT_ENABLED);
+}
+
+/**
+ * Applies RATE_LIMITS overrides to a route's limits
+ * @param {string} name - Route name
+ * @param {{burst: number, refillPerSecond: number}} defaults - Limits set by the route
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {{burst: number, refillPerSecond: number}} Limits to use
+ */
+function getRouteLimits(name, defaults, env = process.env) {
+  if (!env.RATE_LIMITS) {
+    return defaults;
+  }
+  try {
+    const override = JSON.parse(env.RATE_LIMITS)[name] || {};
+    return {
+      burst: override.burst ?? defaults.burst,
+      refillPerSecond: override.refillPerSecond ?? defaults.refillPerSecond,
+    };
+  } catch (error) {
+    console.error('RATE_LIMITS is not valid JSON; using route defaults');
+    return defaults;
+  }
+}
+
+/**
+ * Identifies the client a request counts against
+ * @param {Object} req - Request (with `apiKey` when utils/middleware.js apiKeyAuth() accepted one)
+ * @returns {string} `key:<id>` or `ip:<address>`
+ */
+function getClientId(req) {
+  if (req.apiKey?.id) {
+    return `key:${req.apiKey.id}`;
+  }
+
+  // Vercel sets X-Forwarded-For itself; the first entry is the client
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const ip =
+    (typeof forwarded === 'string' && forwarded.split(',')[0].trim()) ||
+    req.headers?.['x-real-ip'] ||
+    req.socket?.remoteAddress ||
+    'unknown';
+  return `ip:${ip}`;
+}
+
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {string} options.name - Bucket namespace, e.g. the route name
+   * @param {number} options.burst - Bucket size (requests allowed at once)
+   * @param {number} options.refillPerSecond - Tokens added back per second
+   * @param {Object} [options.store] - Store (defaults to the shared store)
+   */
+  constructor({ name, burst, refillPerSecond, store }) {
+    if (!(burst >= 1) || !(refillPerSecond > 0)) {
+      throw new Error('Rate limits need burst >= 1 and refillPerSecond > 0');
+    }
+    this.name = name;
+    this.burst = burst;
+    this.refillPerSecond = refillPerSecond;
+    this.store = store;
+  }
+
+  /**
+   * Takes a token for a client
+   * @param {string} clientId - Client (see getClientId)
+   * @param {number} [now] - Current timestamp
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfter: number}>} Outcome
+   */
+  async take(clientId, now = Date.now()) {
+    const store = this.store || getStore();
+    const key = `${BUCKET_KEY_PREFIX}${this.name}:${clientId}`;
+    const bucket = await store.get(key);
+
+    const elapsedSeconds = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+    let tokens = bucket
+      ? Math.min(this.burst, bucket.tokens + elapsedSeconds * this.refillPerSecond)
+      : this.burst;
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+
+    // A bucket that would be full again carries no information
+    const secondsToFull = (this.burst - tokens) / this.refillPerSecond;
+    await store.set(key, { tokens, updatedAt: now }, { ttlMs: Math.ceil(secondsToFull * 1000) + 1000 });
+
+    return {
+      allowed,
+      limit: this.burst,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil(secondsToFull),
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / this.refillPerSecond),
+    };
+  }
+
+  /**
+   * RateLimit-Policy value: the burst and the seconds it takes to refill
+   * @returns {string} Policy
+   */
+  get policy() {
+    return `${this.burst};w=${Math.ceil(this.burst / this.refillPerSecond)}`;
+  }
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  getClientId,
+  getRouteLimits,
+  isRateLimitEnabled
+};
@@ -0,0 +1,161 @@
+/**
+ * Response Cache
+ *
+ * Server-side cache of normalized Spotify responses, so a CDN miss doesn't
+ * always mean a Spotify call. Entries live in the store (utils/storage.js),
+ * shared between instances on the file and redis backends, and concurrent
+ * misses for the same key within an instance share one upstream call
+ * (single-flight).
+ *
+ * Now-playing TTLs:
+ * - API_CACHE_DURATION: seconds a paused/idle response is reused (default 60)
+ * - API_CACHE_PLAYING_DURATION: seconds a playing response is reused
+ *   (default 5), never past the end of the current track
+ *
+ * Set either to 0 to stop caching that state.
+ */
+
+const { getStore } = require('./storage');
+
+const CACHE_KEY_PREFIX = 'cache:';
+const DEFAULT_PAUSED_SECONDS = 60;
+const DEFAULT_PLAYING_SECONDS = 5;
+
+/**
+ * Reads a duration in seconds from the environment
+ * @param {string} [value] - Raw variable
+ * @param {number} fallback - Default in seconds
+ * @returns {number} Duration in milliseconds
+ */
+function parseSeconds(value, fallback) {
+  const seconds = value === undefined || value === '' ? NaN : Number(value);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : fallback) * 1000;
+}
+
+/**
+ * Reads the now-playing cache TTLs
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {{playingMs: number, pausedMs: number}} TTLs
+ */
+function getNowPlayingCacheTtls(env = process.env) {
+  return {
+    playingMs: parseSeconds(env.API_CACHE_PLAYING_DURATION, DEFAULT_PLAYING_SECONDS),
+    pausedMs: parseSeconds(env.API_CACHE_DURATION, DEFAULT_PAUSED_SECONDS),
+  };
+}
+
+/**
+ * How long a now-playing response may be reused
+ * @param {Object} nowPlaying - Normalized now-playing response
+ * @param {{playingMs: number, pausedMs: number}} [ttls] - TTLs (defaults to the environment's)
+ * @returns {number} TTL in milliseconds
+ */
+function getNowPlayingTtl(nowPlaying, ttls = getNowPlayingCacheTtls()) {
+  if (!nowPlaying.is_playing) {
+    return ttls.pausedMs;
+  }
+
+  // Don't keep serving a track after it should have ended
+  const duration = nowPlaying.item?.duration_ms;
+  if (duration) {
+    return Math.max(0, Math.min(ttls.playingMs, duration - (nowPlaying.progress_ms || 0)));
+  }
+  return ttls.playingMs;
+}
+
+/**
+ * Moves a cached playing response's progress forward by its age, so clients
+ * don't see the position jump back
+ * @param {Object} nowPlaying - Cached response
+ * @param {number} ageMs - Time since it was fetched
+ * @returns {Object} Response with updated progress_ms
+ */
+function advanceProgress(nowPlaying, ageMs) {
+  if (!nowPlaying.is_playing || typeof nowPlaying.progress_ms !== 'number' || ageMs <= 0) {
+    return nowPlaying;
+  }
+  const progress = nowPlaying.progress_ms + ageMs;
+  const duration = nowPlaying.item?.duration_ms;
+  return { ...nowPlaying, progress_ms: duration ? Math.min(progress, duration) : progress };
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.namespace - Key namespace, e.g. "now-playing"
+   * @param {function(Object): number} options.ttl - TTL in ms for a loaded value (0 = don't cache)
+   * @param {Object} [options.store] - Store (defaults to the shared store)
+   */
+  constructor({ namespace, ttl, store }) {
+    this.namespace = namespace;
+    this.ttl = ttl;
+    this.store = store;
+    // In-flight loads by key (single-flight)
+    this.pending = new Map();
+  }
+
+  /**
+   * Returns the cached value for a key, or loads and caches it. Concurrent
+   * calls for a key that isn't cached share one load.
+   * @param {string} key - Cache key
+   * @param {function(): Promise<Object>} load - Fetches a fresh value
+   * @returns {Promise<{value: Object, hit: boolean, ageMs: number}>} Value and whether it came from the cache
+   */
+  async get(key, load) {
+    const store = this.store || getStore();
+    const storeKey = `${CACHE_KEY_PREFIX}${this.namespace}:${key}`;
+
+    try {
+      const entry = await store.get(storeKey);
+      if (entry) {
+        return { value: entry.value, hit: true, ageMs: Math.max(0, Date.now() - entry.cachedAt) };
+      }
+    } catch (error) {
+      // The cache is an optimization; fall through to Spotify
+      console.error('Response cache unavailable:', error.message);
+    }
+
+    if (!this.pending.has(storeKey)) {
+      const loading = this.load(store, storeKey, load).finally(() => {
+        this.pending.delete(storeKey);
+      });
+      this.pending.set(storeKey, loading);
+    }
+
+    const value = await this.pending.get(storeKey);
+    return { value, hit: false, ageMs: 0 };
+  }
+
+  /**
+   * Loads a value and stores it for its TTL
+   * @private
+   */
+  async load(store, storeKey, load) {
+    const value = await load();
+    const ttlMs = this.ttl(value);
+
+    if (ttlMs > 0) {
+      try {
+        await store.set(storeKey, { value, cachedAt: Date.now() }, { ttlMs });
+      } catch (error) {
+        console.error('Could not cache response:', error.message);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Drops a cached value
+   * @param {string} key - Cache key
+   */
+  async invalidate(key) {
+    await (this.store || getStore()).delete(`${CACHE_KEY_PREFIX}${this.namespace}:${key}`);
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  advanceProgress,
+  getNowPlayingCacheTtls,
+  getNowPlayingTtl
+};
@@ -0,0 +1,489 @@
+/**
+ * Spotify Web API Client
+ *
+ * Single place for talking to Spotify: access tokens come from the shared
+ * token cache, failures are classified into SpotifyApiError types, transient
+ * failures are retried with exponential backoff and currently-playing
+ * responses are normalised into the shape our API returns.
+ */
+
+const {
+  fetchWithAccessToken,
+  getAccessToken,
+  invalidateAccessToken,
+  TokenRefreshError,
+} = require('./tokenManager');
+const { getEnvRefreshToken } = require('./tokenCrypto');
+const { ERROR_CATALOG, getSpotifyErrorCode } = require('./errorCatalog');
+const { getApiBaseUrl } = require('./spotifyEndpoints');
+
+// Default Web API base URL; SPOTIFY_API_BASE_URL overrides it per request
+const API_BASE_URL = getApiBaseUrl({});
+
+// Maximum length of the episode description excerpt in responses
+const DESCRIPTION_EXCERPT_LENGTH = 160;
+
+const SpotifyErrorType = {
+  INVALID_REFRESH_TOKEN: 'invalid_refresh_token',
+  INVALID_CLIENT: 'invalid_client',
+  TOKEN_REFRESH_FAILED: 'token_refresh_failed',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  RATE_LIMITED: 'rate_limited',
+  CLIENT_ERROR: 'client_error',
+  SERVER_ERROR: 'server_error',
+  NETWORK_ERROR: 'network_error',
+};
+
+// Failures worth retrying within the same invocation. Rate limits are not
+// retried here; callers pass Retry-After on to their own clients instead.
+const RETRYABLE_TYPES = [
+  SpotifyErrorType.SERVER_ERROR,
+  SpotifyErrorType.NETWORK_ERROR,
+];
+
+class SpotifyApiError extends Error {
+  constructor(message, { type, status, retryAfter, details } = {}) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    this.retryable = RETRYABLE_TYPES.includes(type);
+    // Stable code for API responses (utils/errorCatalog.js)
+    this.code = getSpotifyErrorCode(type);
+  }
+}
+
+/**
+ * Checks whether an error is fetch failing to reach the network
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for network errors
+ */
+function isNetworkError(error) {
+  return (
+    error instanceof Error &&
+    error.name === 'TypeError' &&
+    error.message.includes('fetch')
+  );
+}
+
+/**
+ * Converts a token refresh failure into a SpotifyApiError
+ * @param {TokenRefreshError} error - Token manager error
+ * @returns {SpotifyApiError} Classified error
+ */
+function classifyTokenError(error) {
+  const { status, details } = error;
+
+  if (status === 400) {
+    return new SpotifyApiError(
+      'Invalid refresh token - please re-authorize your Spotify account',
+      { type: SpotifyErrorType.INVALID_REFRESH_TOKEN, status, details }
+    );
+  }
+
+  if (status === 401) {
+    return new SpotifyApiError(
+      'Invalid client credentials - check your Spotify app configuration',
+      { type: SpotifyErrorType.INVALID_CLIENT, status, details }
+    );
+  }
+
+  if (status >= 500) {
+    return new SpotifyApiError('Spotify token service temporarily unavailable', {
+      type: SpotifyErrorType.SERVER_ERROR,
+      status,
+      details,
+    });
+  }
+
+  return new SpotifyApiError(error.message, {
+    type: SpotifyErrorType.TOKEN_REFRESH_FAILED,
+    status,
+    details,
+  });
+}
+
+/**
+ * Converts an unsuccessful Web API response into a SpotifyApiError
+ * @param {Response} response - Spotify response with a 4xx/5xx status
+ * @returns {Promise<SpotifyApiError>} Classified error
+ */
+async function classifyResponseError(response) {
+  const { status } = response;
+  const details = await response.json().catch(() => ({}));
+
+  if (status === 401) {
+    return new SpotifyApiError('Spotify access token expired - authentication issue', {
+      type: SpotifyErrorType.UNAUTHORIZED,
+      status,
+      details,
+    });
+  }
+
+  if (status === 403) {
+    return new SpotifyApiError('Insufficient Spotify permissions - check app scopes', {
+      type: SpotifyErrorType.FORBIDDEN,
+      status,
+      details,
+    });
+  }
+
+  if (status === 429) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 60;
+    return new SpotifyApiError(
+      `Spotify rate limit exceeded - retry after ${retryAfter}s`,
+      { type: SpotifyErrorType.RATE_LIMITED, status, retryAfter, details }
+    );
+  }
+
+  if (status >= 500) {
+    return new SpotifyApiError('Spotify API temporarily unavailable', {
+      type: SpotifyErrorType.SERVER_ERROR,
+      status,
+      details,
+    });
+  }
+
+  return new SpotifyApiError(`Spotify API client error: ${status}`, {
+    type: SpotifyErrorType.CLIENT_ERROR,
+    status,
+    details,
+  });
+}
+
+/**
+ * Converts errors thrown while calling Spotify into SpotifyApiErrors
+ * @param {Error} error - Original error
+ * @returns {Error} Classified error, or the original if it is unexpected
+ */
+function toSpotifyApiError(error) {
+  if (error instanceof SpotifyApiError) {
+    return error;
+  }
+
+  if (error instanceof TokenRefreshError) {
+    return classifyTokenError(error);
+  }
+
+  if (isNetworkError(error)) {
+    return new SpotifyApiError('Unable to connect to Spotify - network error', {
+      type: SpotifyErrorType.NETWORK_ERROR,
+      details: { cause: error.message },
+    });
+  }
+
+  return error;
+}
+
+/**
+ * Maps a classified Spotify failure to the message returned to API clients
+ * @param {SpotifyApiError} error - Classified error
+ * @returns {string} Public error message
+ */
+function getPublicErrorMessage(error) {
+  return ERROR_CATALOG[getSpotifyErrorCode(error.type)].message;
+}
+
+/**
+ * Shortens an episode description to a single-paragraph excerpt
+ * @param {string} description - Full episode description
+ * @param {number} [maxLength] - Maximum excerpt length in characters
+ * @returns {string} Excerpt, ending in an ellipsis if shortened
+ */
+function createExcerpt(description, maxLength = DESCRIPTION_EXCERPT_LENGTH) {
+  const text = (description || '').replace(/\s+/g, ' ').trim();
+
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  // Cut at the last word boundary that fits
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:]+$/, '')}…`;
+}
+
+/**
+ * Normalises a track item
+ * @param {import('../types/spotify').SpotifyTrack} track - Spotify track
+ * @returns {import('../types/spotify').NowPlayingTrackItem} Track item
+ */
+function normalizeTrack(track) {
+  return {
+    name: track.name || 'Unknown Track',
+    artists: track.artists?.map((artist) => artist.name) || ['Unknown Artist'],
+    duration_ms: track.duration_ms || 0,
+    album: {
+      name: track.album?.name || 'Unknown Album',
+      images: track.album?.images || [],
+    },
+    external_urls: track.external_urls || {},
+    id: track.id || null,
+    type: 'track',
+  };
+}
+
+/**
+ * Normalises an artist from the top artists endpoint
+ * @param {Object} artist - Spotify artist object
+ * @returns {import('../types/spotify').TopArtistItem} Artist item
+ */
+function normalizeArtist(artist) {
+  return {
+    name: artist.name || 'Unknown Artist',
+    genres: artist.genres || [],
+    images: artist.images || [],
+    external_urls: artist.external_urls || {},
+    id: artist.id || null,
+    type: 'artist',
+  };
+}
+
+/**
+ * Normalises a podcast episode item
+ * @param {import('../types/spotify').SpotifyEpisode} episode - Spotify episode
+ * @returns {import('../types/spotify').NowPlayingEpisodeItem} Episode item
+ */
+function normalizeEpisode(episode) {
+  const showImages = episode.show?.images || [];
+
+  return {
+    name: episode.name || 'Unknown Episode',
+    description: createExcerpt(episode.description),
+    duration_ms: episode.duration_ms || 0,
+    // Episodes without their own artwork use the show's
+    images: episode.images?.length ? episode.images : showImages,
+    show: {
+      name: episode.show?.name || 'Unknown Show',
+      publisher: episode.show?.publisher || 'Unknown Publisher',
+      images: showImages,
+      external_urls: episode.show?.external_urls || {},
+    },
+    external_urls: episode.external_urls || {},
+    id: episode.id || null,
+    type: 'episode',
+  };
+}
+
+/**
+ * Normalises a currently-playing response into our API response
+ * @param {import('../types/spotify').SpotifyCurrentlyPlayingResponse|null} data - Spotify response (null for 204)
+ * @returns {import('../types/spotify').NowPlayingResponse} Now playing response
+ */
+function normalizeCurrentlyPlaying(data) {
+  // Nothing playing, or paused
+  if (!data || !data.is_playing) {
+    return { is_playing: false };
+  }
+
+  if (!data.item) {
+    // Ads never carry item data; anything else is unexpected
+    if (data.currently_playing_type !== 'ad') {
+      console.warn('Spotify API returned playing=true but no item data');
+    }
+    return { is_playing: false };
+  }
+
+  let item;
+  if (data.item.type === 'track') {
+    item = normalizeTrack(data.item);
+  } else if (data.item.type === 'episode') {
+    item = normalizeEpisode(data.item);
+  } else {
+    return { is_playing: false };
+  }
+
+  return {
+    is_playing: true,
+    progress_ms: data.progress_ms || 0,
+    currently_playing_type: data.currently_playing_type || item.type,
+    item,
+  };
+}
+
+class SpotifyClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.clientId - Spotify application client ID
+   * @param {string} options.clientSecret - Spotify application client secret
+   * @param {string} options.refreshToken - Long-lived refresh token
+   * @param {function(string, string): Promise<void>} [options.onRefreshTokenRotated] - Persists a rotated refresh token (see utils/tokenRotation.js)
+   * @param {number} [options.maxRetries=2] - Retries for transient failures
+   * @param {number} [options.retryDelay=1000] - Base backoff delay in ms
+   */
+  constructor({
+    clientId,
+    clientSecret,
+    refreshToken,
+    onRefreshTokenRotated,
+    maxRetries = 2,
+    retryDelay = 1000,
+  }) {
+    this.credentials = { clientId, clientSecret, refreshToken, onRefreshTokenRotated };
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+  }
+
+  /**
+   * Creates a client from SPOTIFY_* environment variables
+   * @param {Object} [env] - Environment (defaults to process.env)
+   * @returns {SpotifyClient} Client
+   */
+  static fromEnv(env = process.env) {
+    return new SpotifyClient({
+      clientId: env.SPOTIFY_CLIENT_ID,
+      clientSecret: env.SPOTIFY_CLIENT_SECRET,
+      refreshToken: getEnvRefreshToken(env),
+    });
+  }
+
+  /**
+   * Returns a cached or freshly refreshed access token
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.forceRefresh=false] - Ignore any cached token
+   * @returns {Promise<string>} Access token
+   * @throws {SpotifyApiError} If the refresh fails
+   */
+  async getAccessToken(options) {
+    try {
+      return await getAccessToken(this.credentials, options);
+    } catch (error) {
+      throw toSpotifyApiError(error);
+    }
+  }
+
+  /**
+   * Performs a GET against the Web API, retrying transient failures
+   * @param {string} path - Path relative to the Web API base URL
+   * @returns {Promise<Object|null>} Parsed JSON body, or null for 204
+   * @throws {SpotifyApiError} If the request ultimately fails
+   */
+  async request(path) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendRequest(path);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        console.log(
+          `${error.message}, retrying... (${attempt + 1}/${this.maxRetries})`
+        );
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.retryDelay * Math.pow(2, attempt))
+        );
+      }
+    }
+  }
+
+  /**
+   * Performs a single Web API request
+   * @param {string} path - Path relative to the Web API base URL
+   * @returns {Promise<Object|null>} Parsed JSON body, or null for 204
+   * @throws {SpotifyApiError} If the request fails
+   */
+  async sendRequest(path) {
+    let response;
+    try {
+      response = await fetchWithAccessToken(this.credentials, `${getApiBaseUrl()}${path}`);
+    } catch (error) {
+      throw toSpotifyApiError(error);
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    if (!response.ok) {
+      // Don't keep reusing a token Spotify has rejected
+      if (response.status === 401) {
+        invalidateAccessToken(this.credentials);
+      }
+      throw await classifyResponseError(response);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetches the raw currently-playing state (tracks and podcast episodes)
+   * @returns {Promise<import('../types/spotify').SpotifyCurrentlyPlayingResponse|null>} Spotify response, or null when nothing is playing
+   */
+  async getCurrentlyPlaying() {
+    return this.request('/me/player/currently-playing?additional_types=episode');
+  }
+
+  /**
+   * Fetches recently played tracks in our API response shape
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=20] - Number of items (1-50)
+   * @param {number} [options.before] - Unix ms cursor; items played before it
+   * @param {number} [options.after] - Unix ms cursor; items played after it
+   * @returns {Promise<import('../types/spotify').RecentlyPlayedResponse>} Recently played tracks
+   */
+  async getRecentlyPlayed({ limit = 20, before, after } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (before !== undefined) params.set('before', String(before));
+    if (after !== undefined) params.set('after', String(after));
+
+    /** @type {import('../types/spotify').SpotifyRecentlyPlayedResponse|null} */
+    const data = await this.request(`/me/player/recently-played?${params}`);
+
+    return {
+      items: (data?.items || []).map((entry) => ({
+        played_at: entry.played_at,
+        item: normalizeTrack(entry.track),
+      })),
+      cursors: data?.cursors || null,
+    };
+  }
+
+  /**
+   * Fetches the most recently played track
+   * @returns {Promise<import('../types/spotify').LastPlayedTrack|null>} Last played track, or null if there is none
+   */
+  async getLastPlayed() {
+    const { items } = await this.getRecentlyPlayed({ limit: 1 });
+    return items[0] || null;
+  }
+
+  /**
+   * Fetches the user's top tracks or artists
+   * @param {'tracks'|'artists'} type - Item type
+   * @param {Object} [options] - Query options
+   * @param {'short_term'|'medium_term'|'long_term'} [options.timeRange='medium_term'] - ~4 weeks, ~6 months or ~1 year
+   * @param {number} [options.limit=20] - Number of items (1-50)
+   * @returns {Promise<Array<import('../types/spotify').NowPlayingTrackItem|import('../types/spotify').TopArtistItem>>} Top items, highest ranked first
+   */
+  async getTopItems(type, { timeRange = 'medium_term', limit = 20 } = {}) {
+    const params = new URLSearchParams({ time_range: timeRange, limit: String(limit) });
+    const data = await this.request(`/me/top/${type}?${params}`);
+    const normalize = type === 'artists' ? normalizeArtist : normalizeTrack;
+    return (data?.items || []).map(normalize);
+  }
+
+  /**
+   * Fetches the currently-playing state in our API response shape
+   * @returns {Promise<import('../types/spotify').NowPlayingResponse>} Now playing response
+   */
+  async getNowPlaying() {
+    return normalizeCurrentlyPlaying(await this.getCurrentlyPlaying());
+  }
+}
+
+module.exports = {
+  SpotifyClient,
+  SpotifyApiError,
+  SpotifyErrorType,
+  getPublicErrorMessage,
+  normalizeCurrentlyPlaying,
+  normalizeTrack,
+  normalizeEpisode,
+  normalizeArtist,
+  isNetworkError,
+  API_BASE_URL
+};
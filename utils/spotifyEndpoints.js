@@ -0,0 +1,67 @@
+/**
+ * Spotify Endpoints
+ *
+ * Base URLs for Spotify's accounts service and Web API. Both default to
+ * Spotify and are read on every call, so they can be pointed at the local
+ * mock server (tests/mocks/spotify-server.js) to run the stack offline:
+ *
+ *   SPOTIFY_ACCOUNTS_URL=http://localhost:4010
+ *   SPOTIFY_API_BASE_URL=http://localhost:4010/v1
+ */
+
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.spotify.com';
+const DEFAULT_API_BASE_URL = 'https://api.spotify.com/v1';
+
+/**
+ * Strips trailing slashes so paths can be appended
+ * @param {string} url - Base URL
+ * @returns {string} URL without a trailing slash
+ */
+function trimSlashes(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Base URL of the accounts service (SPOTIFY_ACCOUNTS_URL)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Accounts base URL
+ */
+function getAccountsUrl(env = process.env) {
+  return trimSlashes(env.SPOTIFY_ACCOUNTS_URL || DEFAULT_ACCOUNTS_URL);
+}
+
+/**
+ * Base URL of the Web API, including the version (SPOTIFY_API_BASE_URL)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Web API base URL
+ */
+function getApiBaseUrl(env = process.env) {
+  return trimSlashes(env.SPOTIFY_API_BASE_URL || DEFAULT_API_BASE_URL);
+}
+
+/**
+ * Token endpoint for the refresh_token and authorization_code grants
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Token endpoint URL
+ */
+function getTokenEndpoint(env = process.env) {
+  return `${getAccountsUrl(env)}/api/token`;
+}
+
+/**
+ * Page people are sent to for authorizing the app
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Authorize endpoint URL
+ */
+function getAuthorizeEndpoint(env = process.env) {
+  return `${getAccountsUrl(env)}/authorize`;
+}
+
+module.exports = {
+  DEFAULT_ACCOUNTS_URL,
+  DEFAULT_API_BASE_URL,
+  getAccountsUrl,
+  getApiBaseUrl,
+  getTokenEndpoint,
+  getAuthorizeEndpoint
+};
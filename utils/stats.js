@@ -0,0 +1,233 @@
+/**
+ * Listening Stats
+ *
+ * Aggregates the recorded listening history (utils/history.js) into top
+ * tracks, artists and albums, total minutes and an hour-of-week heatmap.
+ * Until the history has enough entries, the top lists are topped up with
+ * Spotify's own /me/top/* rankings, which carry no play counts or minutes.
+ */
+
+const StatsWindow = {
+  WEEK: '7d',
+  MONTH: '30d',
+  ALL: 'all',
+};
+
+// Spotify's closest top-items time range for each window
+const WINDOW_CONFIG = {
+  [StatsWindow.WEEK]: { days: 7, timeRange: 'short_term' },
+  [StatsWindow.MONTH]: { days: 30, timeRange: 'short_term' },
+  [StatsWindow.ALL]: { days: null, timeRange: 'long_term' },
+};
+
+const DEFAULT_TOP_LIMIT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Rounds milliseconds to minutes with one decimal
+ */
+function toMinutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+/**
+ * Creates a function mapping a timestamp to [weekday (0 = Sunday), hour]
+ * in the given time zone
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @throws {RangeError} If the time zone is unknown
+ */
+function createDayHourResolver(timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23',
+  });
+
+  return (timestamp) => {
+    const parts = format.formatToParts(new Date(timestamp));
+    const weekday = parts.find((part) => part.type === 'weekday')?.value;
+    const hour = Number(parts.find((part) => part.type === 'hour')?.value);
+    return [WEEKDAYS.indexOf(weekday), hour % 24];
+  };
+}
+
+/**
+ * Adds a play to a ranking map
+ */
+function addPlay(ranking, key, details, listenedMs) {
+  const entry = ranking.get(key) || { ...details, plays: 0, listened_ms: 0 };
+  entry.plays += 1;
+  entry.listened_ms += listenedMs;
+  ranking.set(key, entry);
+}
+
+/**
+ * Sorts a ranking by time listened (then plays) and formats it
+ */
+function toTopList(ranking, limit) {
+  return [...ranking.values()]
+    .sort((a, b) => b.listened_ms - a.listened_ms || b.plays - a.plays)
+    .slice(0, limit)
+    .map(({ listened_ms, ...item }) => ({
+      ...item,
+      minutes: toMinutes(listened_ms),
+      source: 'history',
+    }));
+}
+
+/**
+ * Appends Spotify-ranked items that aren't in the list yet, up to the limit
+ */
+function fillFromSeed(list, seedItems, getKey, limit) {
+  const seen = new Set(list.map(getKey));
+  for (const item of seedItems) {
+    if (list.length >= limit) break;
+    if (seen.has(getKey(item))) continue;
+    seen.add(getKey(item));
+    list.push({ ...item, plays: null, minutes: null, source: 'spotify' });
+  }
+  return list;
+}
+
+const trackKey = (track) => track.id || `${track.name}:${track.artists?.join(',')}`;
+const artistKey = (artist) => artist.name.toLowerCase();
+const albumKey = (album) => `${album.name}:${album.artists?.[0] || ''}`.toLowerCase();
+
+/**
+ * Aggregates history entries
+ * @param {import('../types/spotify').HistoryEntry[]} entries - History entries
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone='UTC'] - Time zone for the heatmap
+ * @param {number} [options.limit=10] - Length of each top list
+ * @returns {Object} Stats without Spotify seeding
+ */
+function computeListeningStats(entries, { timeZone = 'UTC', limit = DEFAULT_TOP_LIMIT } = {}) {
+  const resolveDayHour = createDayHourResolver(timeZone);
+  const tracks = new Map();
+  const artists = new Map();
+  const albums = new Map();
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  let totalMs = 0;
+
+  for (const entry of entries) {
+    const listenedMs = entry.listened_ms || 0;
+    totalMs += listenedMs;
+
+    addPlay(tracks, trackKey(entry), {
+      id: entry.id,
+      name: entry.name,
+      artists: entry.artists,
+      album: entry.album,
+      external_urls: entry.external_urls,
+    }, listenedMs);
+
+    // Every credited artist gets the full listen
+    for (const name of entry.artists || []) {
+      addPlay(artists, artistKey({ name }), { name }, listenedMs);
+    }
+
+    if (entry.album?.name) {
+      const album = {
+        name: entry.album.name,
+        artists: entry.artists,
+        images: entry.album.images || [],
+      };
+      addPlay(albums, albumKey(album), album, listenedMs);
+    }
+
+    const [day, hour] = resolveDayHour(entry.first_seen_at);
+    if (day >= 0) {
+      heatmap[day][hour] += listenedMs;
+    }
+  }
+
+  return {
+    total_minutes: toMinutes(totalMs),
+    plays: entries.length,
+    top_tracks: toTopList(tracks, limit),
+    top_artists: toTopList(artists, limit),
+    top_albums: toTopList(albums, limit),
+    heatmap: {
+      time_zone: timeZone,
+      days: WEEKDAYS,
+      minutes: heatmap.map((hours) => hours.map(toMinutes)),
+    },
+  };
+}
+
+/**
+ * Builds the stats response for a window
+ * @param {Object} options - Options
+ * @param {import('./history').HistoryRecorder} options.history - History recorder
+ * @param {import('./spotifyClient').SpotifyClient} [options.client] - Client used to seed from /me/top/*
+ * @param {string} [options.window='7d'] - StatsWindow value
+ * @param {string} [options.timeZone='UTC'] - Time zone for the heatmap
+ * @param {number} [options.limit=10] - Length of each top list
+ * @param {number} [options.now] - Current time (Unix ms)
+ * @returns {Promise<import('../types/spotify').StatsResponse>} Stats
+ */
+async function getListeningStats({
+  history,
+  client,
+  window = StatsWindow.WEEK,
+  timeZone = 'UTC',
+  limit = DEFAULT_TOP_LIMIT,
+  now = Date.now(),
+}) {
+  const { days, timeRange } = WINDOW_CONFIG[window];
+  const since = days ? now - days * DAY_MS : undefined;
+
+  const { items } = await history.getHistory({ since, limit: history.maxEntries + 1 });
+  const stats = computeListeningStats(items, { timeZone, limit });
+
+  // Top up short lists with Spotify's rankings
+  let seeded = false;
+  const needsSeed = [stats.top_tracks, stats.top_artists, stats.top_albums]
+    .some((list) => list.length < limit);
+
+  if (client && needsSeed) {
+    try {
+      const [topTracks, topArtists] = await Promise.all([
+        client.getTopItems('tracks', { timeRange, limit }),
+        client.getTopItems('artists', { timeRange, limit }),
+      ]);
+
+      fillFromSeed(stats.top_tracks, topTracks.map((track) => ({
+        id: track.id,
+        name: track.name,
+        artists: track.artists,
+        album: track.album,
+        external_urls: track.external_urls,
+      })), trackKey, limit);
+      fillFromSeed(stats.top_artists, topArtists.map((artist) => ({
+        name: artist.name,
+        images: artist.images,
+        external_urls: artist.external_urls,
+      })), artistKey, limit);
+      fillFromSeed(stats.top_albums, topTracks.map((track) => ({
+        name: track.album.name,
+        artists: track.artists,
+        images: track.album.images,
+      })), albumKey, limit);
+      seeded = true;
+    } catch (error) {
+      // Tokens issued before the user-top-read scope was requested get a 403
+      console.warn('Could not seed stats from Spotify top items:', error.message);
+    }
+  }
+
+  return {
+    window,
+    since: since ? new Date(since).toISOString() : null,
+    ...stats,
+    seeded_from_spotify: seeded,
+  };
+}
+
+module.exports = {
+  getListeningStats,
+  computeListeningStats,
+  StatsWindow
+};
@@ -0,0 +1,531 @@
+/**
+ * Pluggable Persistence Layer
+ *
+ * Small key-value interface shared by features that need state beyond a
+ * single invocation (change detection, webhooks, history). Three backends:
+ *
+ * - memory: module-level Map, lost when the instance is recycled (default)
+ * - file:   JSON file on disk, for local development and single servers
+ * - redis:  any server speaking the Redis protocol (Redis, Valkey, Upstash…)
+ *
+ * The backend is selected with STORAGE_BACKEND. Values must be JSON
+ * serializable; every backend returns copies, never the stored object.
+ *
+ * Interface (all methods async):
+ *   get(key) → value | null
+ *   set(key, value, { ttlMs }?)
+ *   delete(key)
+ *   increment(key, amount = 1, { ttlMs }?) → new value
+ *   listPush(key, value, { maxLength }?)   newest first
+ *   listRange(key, start = 0, stop = -1)   inclusive, like LRANGE
+ *   close()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const { ConfigurationError } = require('./validateEnvironment');
+
+const StorageBackend = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  REDIS: 'redis',
+};
+
+// Vercel only allows writes under /tmp
+const DEFAULT_FILE_PATH = process.env.VERCEL
+  ? '/tmp/now-playing-store.json'
+  : path.join(process.cwd(), '.data', 'store.json');
+
+const DEFAULT_KEY_PREFIX = 'now-playing:';
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * Copies a JSON value so callers can't mutate stored state
+ */
+function cloneValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Converts LRANGE-style indexes (negative counts from the end) to slice bounds
+ */
+function toSliceBounds(length, start, stop) {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, to + 1];
+}
+
+class MemoryStore {
+  constructor() {
+    // key -> { value, expiresAt }
+    this.entries = new Map();
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? cloneValue(entry.value) : null;
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    this.entries.set(key, {
+      value: cloneValue(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, amount = 1, { ttlMs } = {}) {
+    const entry = this.getEntry(key);
+    const value = (Number(entry?.value) || 0) + amount;
+
+    // Like Redis INCR + PEXPIRE on creation: the TTL starts with the first hit
+    this.entries.set(key, {
+      value,
+      expiresAt: entry ? entry.expiresAt : ttlMs ? Date.now() + ttlMs : null,
+    });
+    return value;
+  }
+
+  async listPush(key, value, { maxLength } = {}) {
+    const entry = this.getEntry(key);
+    const list = Array.isArray(entry?.value) ? entry.value : [];
+
+    list.unshift(cloneValue(value));
+    if (maxLength && list.length > maxLength) {
+      list.length = maxLength;
+    }
+
+    this.entries.set(key, { value: list, expiresAt: entry?.expiresAt || null });
+  }
+
+  async listRange(key, start = 0, stop = -1) {
+    const list = this.getEntry(key)?.value;
+    if (!Array.isArray(list)) {
+      return [];
+    }
+    return cloneValue(list.slice(...toSliceBounds(list.length, start, stop)));
+  }
+
+  async close() {}
+}
+
+/**
+ * Memory store that is loaded from and flushed to a JSON file. Writes are
+ * serialized and go through a temp file + rename so a crash can't leave a
+ * half-written file behind. Not safe for several processes sharing a file.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.filePath] - JSON file location
+   */
+  constructor({ filePath = DEFAULT_FILE_PATH } = {}) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises
+        .readFile(this.filePath, 'utf8')
+        .then((contents) => {
+          this.entries = new Map(Object.entries(JSON.parse(contents)));
+        })
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.error(`Could not read store file ${this.filePath}:`, error.message);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify(Object.fromEntries(this.entries))
+      );
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  async get(key) {
+    await this.load();
+    return super.get(key);
+  }
+
+  async set(key, value, options) {
+    await this.load();
+    await super.set(key, value, options);
+    await this.persist();
+  }
+
+  async delete(key) {
+    await this.load();
+    await super.delete(key);
+    await this.persist();
+  }
+
+  async increment(key, amount, options) {
+    await this.load();
+    const value = await super.increment(key, amount, options);
+    await this.persist();
+    return value;
+  }
+
+  async listPush(key, value, options) {
+    await this.load();
+    await super.listPush(key, value, options);
+    await this.persist();
+  }
+
+  async listRange(key, start, stop) {
+    await this.load();
+    return super.listRange(key, start, stop);
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * Encodes a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * Parses one RESP reply from a buffer
+ * @returns {{value: *, offset: number}|null} Reply and the offset after it, or null if incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+/**
+ * Minimal Redis protocol (RESP2) client: one lazily opened connection with
+ * pipelined commands, reconnecting on the next command after a failure
+ */
+class RedisConnection {
+  /**
+   * @param {string} url - redis:// or rediss:// URL (password and /db optional)
+   */
+  constructor(url) {
+    const parsed = new URL(url);
+    this.options = {
+      host: parsed.hostname || '127.0.0.1',
+      port: Number(parsed.port) || 6379,
+      tls: parsed.protocol === 'rediss:',
+      username: decodeURIComponent(parsed.username),
+      password: decodeURIComponent(parsed.password),
+      db: Number(parsed.pathname.slice(1)) || 0,
+    };
+    this.socket = null;
+    this.ready = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.ready) {
+      return this.ready;
+    }
+
+    this.ready = new Promise((resolve, reject) => {
+      const { host, port } = this.options;
+      const socket = this.options.tls
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+      const connectEvent = this.options.tls ? 'secureConnect' : 'connect';
+
+      socket.setTimeout(REDIS_CONNECT_TIMEOUT_MS, () => {
+        socket.destroy(new RedisError(`Connection to ${host}:${port} timed out`));
+      });
+      socket.once(connectEvent, () => {
+        socket.setTimeout(0);
+        resolve();
+      });
+      socket.on('data', (chunk) => this.handleData(chunk));
+      socket.on('error', (error) => {
+        reject(error);
+        this.reset(error);
+      });
+      socket.on('close', () => this.reset(new RedisError('Connection closed')));
+
+      this.socket = socket;
+    })
+      .then(() => this.handshake())
+      .catch((error) => {
+        this.socket?.destroy();
+        this.reset(error);
+        throw error;
+      });
+
+    return this.ready;
+  }
+
+  async handshake() {
+    const { username, password, db } = this.options;
+    if (password) {
+      await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+    }
+    if (db) {
+      await this.send(['SELECT', db]);
+    }
+  }
+
+  reset(error) {
+    this.socket = null;
+    this.ready = null;
+    this.buffer = Buffer.alloc(0);
+    for (const { reject } of this.pending.splice(0)) {
+      reject(error);
+    }
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.buffer.length > 0 && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject } = this.pending.shift() || {};
+      if (reply.value instanceof RedisError) {
+        reject?.(reply.value);
+      } else {
+        resolve?.(reply.value);
+      }
+    }
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new RedisError('Not connected'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Runs a command, connecting first if needed
+   * @param {...(string|number)} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async close() {
+    if (this.socket) {
+      await this.command('QUIT').catch(() => {});
+      this.socket?.destroy();
+    }
+  }
+}
+
+class RedisStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis URL
+   * @param {string} [options.keyPrefix] - Namespace for all keys
+   */
+  constructor({ url, keyPrefix = DEFAULT_KEY_PREFIX }) {
+    this.connection = new RedisConnection(url);
+    this.keyPrefix = keyPrefix;
+  }
+
+  async get(key) {
+    const value = await this.connection.command('GET', this.keyPrefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value ?? null)];
+    if (ttlMs) {
+      args.push('PX', Math.ceil(ttlMs));
+    }
+    await this.connection.command(...args);
+  }
+
+  async delete(key) {
+    await this.connection.command('DEL', this.keyPrefix + key);
+  }
+
+  async increment(key, amount = 1, { ttlMs } = {}) {
+    const value = await this.connection.command('INCRBY', this.keyPrefix + key, amount);
+    if (ttlMs && value === amount) {
+      await this.connection.command('PEXPIRE', this.keyPrefix + key, Math.ceil(ttlMs));
+    }
+    return value;
+  }
+
+  async listPush(key, value, { maxLength } = {}) {
+    await this.connection.command('LPUSH', this.keyPrefix + key, JSON.stringify(value));
+    if (maxLength) {
+      await this.connection.command('LTRIM', this.keyPrefix + key, 0, maxLength - 1);
+    }
+  }
+
+  async listRange(key, start = 0, stop = -1) {
+    const values = await this.connection.command('LRANGE', this.keyPrefix + key, start, stop);
+    return values.map((value) => JSON.parse(value));
+  }
+
+  async close() {
+    await this.connection.close();
+  }
+}
+
+/**
+ * Creates a store for the given backend
+ * @param {Object} [options] - Store options
+ * @param {string} [options.backend='memory'] - StorageBackend value
+ * @param {string} [options.filePath] - JSON file location (file backend)
+ * @param {string} [options.redisUrl] - Redis URL (redis backend)
+ * @returns {MemoryStore|FileStore|RedisStore} Store
+ * @throws {ConfigurationError} If the backend is unknown or misconfigured
+ */
+function createStore({ backend = StorageBackend.MEMORY, filePath, redisUrl } = {}) {
+  switch (backend) {
+    case StorageBackend.MEMORY:
+      return new MemoryStore();
+    case StorageBackend.FILE:
+      return new FileStore({ filePath });
+    case StorageBackend.REDIS:
+      if (!redisUrl) {
+        throw new ConfigurationError('REDIS_URL is required when STORAGE_BACKEND=redis', {
+          instructions: 'Set REDIS_URL, e.g. redis://:password@localhost:6379/0',
+        });
+      }
+      return new RedisStore({ url: redisUrl });
+    default:
+      throw new ConfigurationError(`Unknown STORAGE_BACKEND "${backend}"`, {
+        expected: Object.values(StorageBackend).join(', '),
+      });
+  }
+}
+
+// Shared store for the process, created on first use
+let sharedStore = null;
+
+/**
+ * Returns the store configured through STORAGE_BACKEND
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {MemoryStore|FileStore|RedisStore} Store
+ * @throws {ConfigurationError} If the backend is unknown or misconfigured
+ */
+function getStore(env = process.env) {
+  if (!sharedStore) {
+    sharedStore = createStore({
+      backend: env.STORAGE_BACKEND || StorageBackend.MEMORY,
+      filePath: env.STORAGE_FILE_PATH,
+      redisUrl: env.REDIS_URL,
+    });
+  }
+  return sharedStore;
+}
+
+/**
+ * Closes and forgets the shared store (useful for testing)
+ */
+async function resetStore() {
+  const store = sharedStore;
+  sharedStore = null;
+  await store?.close();
+}
+
+module.exports = {
+  createStore,
+  getStore,
+  resetStore,
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  RedisError,
+  StorageBackend
+};
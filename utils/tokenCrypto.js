@@ -0,0 +1,246 @@
+/**
+ * Refresh Token Encryption
+ *
+ * Encrypts Spotify refresh tokens at rest with AES-256-GCM. Keys come from
+ * the environment and carry a version, which is written into every
+ * ciphertext so old tokens stay readable while keys are rotated:
+ *
+ * - TOKEN_ENCRYPTION_KEY: current key, "v<version>:<32 bytes as base64 or hex>"
+ *   (the "v1:" prefix is optional)
+ * - TOKEN_ENCRYPTION_PREVIOUS_KEYS: comma-separated older keys in the same
+ *   format, only used for decrypting
+ *
+ * Encrypted values look like "enc:v2:<iv>:<tag>:<ciphertext>" (base64url).
+ * Values without the "enc:" prefix are plaintext tokens and are passed
+ * through unchanged, so deployments without a key keep working.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Error raised for missing or invalid keys and undecryptable tokens
+ */
+class TokenEncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenEncryptionError';
+  }
+}
+
+/**
+ * Parses a versioned key
+ * @param {string} value - "v<version>:<key>" or a bare key (version 1)
+ * @returns {{version: number, key: Buffer}} Parsed key
+ */
+function parseKey(value) {
+  const match = /^(?:v(\d+):)?(.+)$/.exec(String(value).trim());
+  const version = match?.[1] ? parseInt(match[1], 10) : 1;
+  const material = match?.[2] || '';
+  const key = /^[0-9a-fA-F]{64}$/.test(material)
+    ? Buffer.from(material, 'hex')
+    : Buffer.from(material, 'base64');
+
+  if (version < 1 || key.length !== KEY_BYTES) {
+    throw new TokenEncryptionError(
+      'Encryption keys must be "v<version>:" followed by 32 bytes as base64 or hex'
+    );
+  }
+  return { version, key };
+}
+
+/**
+ * Generates a new random key
+ * @param {number} [version=1] - Key version
+ * @returns {string} Key in TOKEN_ENCRYPTION_KEY format
+ */
+function generateKey(version = 1) {
+  return `v${version}:${crypto.randomBytes(KEY_BYTES).toString('base64')}`;
+}
+
+/**
+ * Checks whether a stored value is an encrypted token
+ * @param {string} value - Stored value
+ * @returns {boolean} Whether the value is encrypted
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Reads the key version an encrypted value was written with
+ * @param {string} value - Stored value
+ * @returns {number|null} Key version, or null for plaintext
+ */
+function getKeyVersion(value) {
+  if (!isEncrypted(value)) {
+    return null;
+  }
+  const match = /^enc:v(\d+):/.exec(value);
+  return match?.[1] ? parseInt(match[1], 10) : null;
+}
+
+class TokenCipher {
+  /**
+   * @param {Object} options - Cipher options
+   * @param {string} options.currentKey - Key used for encrypting
+   * @param {string[]} [options.previousKeys] - Older keys, only used for decrypting
+   */
+  constructor({ currentKey, previousKeys = [] }) {
+    const current = parseKey(currentKey);
+    this.version = current.version;
+    this.keys = new Map([[current.version, current.key]]);
+
+    for (const value of previousKeys) {
+      const { version, key } = parseKey(value);
+      if (!this.keys.has(version)) {
+        this.keys.set(version, key);
+      }
+    }
+  }
+
+  /**
+   * Creates a cipher from TOKEN_ENCRYPTION_* variables
+   * @param {Object} [env] - Environment (defaults to process.env)
+   * @returns {TokenCipher|null} Cipher, or null if no key is configured
+   * @throws {TokenEncryptionError} If a configured key is invalid
+   */
+  static fromEnv(env = process.env) {
+    if (!env.TOKEN_ENCRYPTION_KEY) {
+      return null;
+    }
+    return new TokenCipher({
+      currentKey: env.TOKEN_ENCRYPTION_KEY,
+      previousKeys: (env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+        .split(',')
+        .map((key) => key.trim())
+        .filter(Boolean),
+    });
+  }
+
+  /**
+   * Encrypts a token with the current key
+   * @param {string} plaintext - Token
+   * @returns {string} Encrypted value
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.version), iv);
+    // The version tag is authenticated so it can't be swapped for another key's
+    cipher.setAAD(Buffer.from(`v${this.version}`));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [
+      PREFIX,
+      `v${this.version}`,
+      iv.toString('base64url'),
+      cipher.getAuthTag().toString('base64url'),
+      ciphertext.toString('base64url'),
+    ].join(':');
+  }
+
+  /**
+   * Decrypts a value written by encrypt()
+   * @param {string} value - Encrypted value
+   * @returns {string} Token
+   * @throws {TokenEncryptionError} If the key version is unknown or the value was tampered with
+   */
+  decrypt(value) {
+    const [prefix, versionTag, iv, tag, ciphertext] = String(value).split(':');
+    const version = /^v\d+$/.test(versionTag || '') ? parseInt(versionTag.slice(1), 10) : NaN;
+    const key = this.keys.get(version);
+
+    if (prefix !== PREFIX || !iv || !tag || ciphertext === undefined) {
+      throw new TokenEncryptionError('Malformed encrypted token');
+    }
+    if (!key) {
+      throw new TokenEncryptionError(
+        `No key for version v${version}; add it to TOKEN_ENCRYPTION_PREVIOUS_KEYS`
+      );
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+      decipher.setAAD(Buffer.from(versionTag));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64url')),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch (error) {
+      throw new TokenEncryptionError(`Could not decrypt token with key v${version}`);
+    }
+  }
+}
+
+/**
+ * Prepares a token for storage: encrypted when TOKEN_ENCRYPTION_KEY is set,
+ * plaintext otherwise
+ * @param {string} token - Refresh token
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Value to store
+ */
+function encryptToken(token, env = process.env) {
+  const cipher = TokenCipher.fromEnv(env);
+  return cipher && !isEncrypted(token) ? cipher.encrypt(token) : token;
+}
+
+/**
+ * Reads a stored token, decrypting it if needed
+ * @param {string} value - Stored value (encrypted or plaintext)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Refresh token
+ * @throws {TokenEncryptionError} If the value is encrypted but can't be decrypted
+ */
+function decryptToken(value, env = process.env) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  const cipher = TokenCipher.fromEnv(env);
+  if (!cipher) {
+    throw new TokenEncryptionError('Token is encrypted but TOKEN_ENCRYPTION_KEY is not set');
+  }
+  return cipher.decrypt(value);
+}
+
+/**
+ * Re-encrypts a stored token with the current key if it isn't already
+ * @param {string} value - Stored value (encrypted or plaintext)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string} Value encrypted with the current key
+ */
+function reencryptToken(value, env = process.env) {
+  const cipher = TokenCipher.fromEnv(env);
+  if (!cipher) {
+    throw new TokenEncryptionError('TOKEN_ENCRYPTION_KEY is not set');
+  }
+  if (getKeyVersion(value) === cipher.version) {
+    return value;
+  }
+  return cipher.encrypt(decryptToken(value, env));
+}
+
+/**
+ * Reads SPOTIFY_REFRESH_TOKEN, decrypting it if needed
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string|undefined} Refresh token
+ */
+function getEnvRefreshToken(env = process.env) {
+  return env.SPOTIFY_REFRESH_TOKEN && decryptToken(env.SPOTIFY_REFRESH_TOKEN, env);
+}
+
+module.exports = {
+  TokenCipher,
+  TokenEncryptionError,
+  generateKey,
+  isEncrypted,
+  getKeyVersion,
+  encryptToken,
+  decryptToken,
+  reencryptToken,
+  getEnvRefreshToken
+};
@@ -0,0 +1,241 @@
+/**
+ * Spotify Access Token Manager
+ *
+ * Caches access tokens obtained through the refresh_token grant at module
+ * scope, so warm serverless invocations reuse them instead of hitting the
+ * accounts endpoint on every request. Tokens are refreshed shortly before
+ * they expire and concurrent refreshes for the same credentials share a
+ * single request.
+ *
+ * Spotify may answer a refresh with a new refresh token (rotation). The new
+ * token is used for later refreshes of the same credentials in this process
+ * and handed to `credentials.onRefreshTokenRotated` so it can be persisted
+ * (see utils/tokenRotation.js).
+ */
+
+const { getTokenEndpoint } = require('./spotifyEndpoints');
+
+// Default token endpoint; SPOTIFY_ACCOUNTS_URL overrides it per request
+const TOKEN_ENDPOINT = getTokenEndpoint({});
+
+// Refresh this long before Spotify's reported expiry to absorb clock skew
+// and request latency
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Spotify currently issues one-hour tokens; used if expires_in is missing
+const DEFAULT_EXPIRES_IN = 3600;
+
+class TokenRefreshError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'TokenRefreshError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Cached tokens, in-flight refreshes and rotated refresh tokens, keyed by
+// the credentials the caller started with
+const tokenCache = new Map();
+const pendingRefreshes = new Map();
+const rotatedRefreshTokens = new Map();
+
+/**
+ * Builds the cache key for a set of credentials
+ * @param {Object} credentials - Spotify credentials
+ * @returns {string} Cache key
+ */
+function getCacheKey({ clientId, refreshToken }) {
+  return `${clientId}:${refreshToken}`;
+}
+
+/**
+ * Requests a new access token from Spotify
+ * @param {Object} credentials - Spotify credentials
+ * @param {string} credentials.clientId - Spotify application client ID
+ * @param {string} credentials.clientSecret - Spotify application client secret
+ * @param {string} credentials.refreshToken - Long-lived refresh token
+ * @returns {Promise<import('../types/spotify').SpotifyTokenResponse>} Token response
+ * @throws {TokenRefreshError} If Spotify rejects the refresh
+ */
+async function requestAccessToken({ clientId, clientSecret, refreshToken }) {
+  const authHeader = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+  const response = await fetch(getTokenEndpoint(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${authHeader}`,
+    },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    }),
+  });
+
+  if (!response.ok) {
+    const details = await response.json().catch(() => ({}));
+    throw new TokenRefreshError(
+      `Token refresh failed with status ${response.status}`,
+      response.status,
+      details
+    );
+  }
+
+  const tokenData = await response.json();
+
+  if (!tokenData.access_token) {
+    throw new TokenRefreshError('No access token received', response.status);
+  }
+
+  return tokenData;
+}
+
+/**
+ * Passes a rotated refresh token to the credentials' sink. Failures are
+ * logged, not thrown: the new token is still used in this process.
+ * @param {Object} credentials - Spotify credentials
+ * @param {string} refreshToken - New refresh token
+ * @param {string} previousRefreshToken - Token it replaces
+ */
+async function handleRotatedRefreshToken(credentials, refreshToken, previousRefreshToken) {
+  if (!credentials.onRefreshTokenRotated) {
+    console.warn('Spotify rotated the refresh token, but no sink is configured to persist it');
+    return;
+  }
+
+  try {
+    await credentials.onRefreshTokenRotated(refreshToken, previousRefreshToken);
+    console.log('Spotify rotated the refresh token; the new token was persisted');
+  } catch (error) {
+    console.error('Failed to persist rotated refresh token:', error.message);
+  }
+}
+
+/**
+ * Returns a valid access token, refreshing it only when needed
+ * @param {Object} credentials - Spotify credentials
+ * @param {string} credentials.clientId - Spotify application client ID
+ * @param {string} credentials.clientSecret - Spotify application client secret
+ * @param {string} credentials.refreshToken - Long-lived refresh token
+ * @param {function(string, string): Promise<void>} [credentials.onRefreshTokenRotated] - Receives (newToken, previousToken) when Spotify rotates the refresh token
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.forceRefresh=false] - Ignore any cached token
+ * @returns {Promise<string>} Access token
+ * @throws {TokenRefreshError} If Spotify rejects the refresh
+ */
+async function getAccessToken(credentials, { forceRefresh = false } = {}) {
+  const cacheKey = getCacheKey(credentials);
+  const cached = tokenCache.get(cacheKey);
+
+  if (!forceRefresh && cached && Date.now() < cached.expiresAt - EXPIRY_MARGIN_MS) {
+    return cached.accessToken;
+  }
+
+  // Join a refresh that is already in progress for these credentials
+  if (pendingRefreshes.has(cacheKey)) {
+    return pendingRefreshes.get(cacheKey);
+  }
+
+  const refreshToken = rotatedRefreshTokens.get(cacheKey) || credentials.refreshToken;
+
+  const refreshPromise = requestAccessToken({ ...credentials, refreshToken })
+    .then(async (tokenData) => {
+      const expiresIn = Number(tokenData.expires_in) || DEFAULT_EXPIRES_IN;
+      tokenCache.set(cacheKey, {
+        accessToken: tokenData.access_token,
+        expiresAt: Date.now() + expiresIn * 1000,
+      });
+
+      if (tokenData.refresh_token && tokenData.refresh_token !== refreshToken) {
+        rotatedRefreshTokens.set(cacheKey, tokenData.refresh_token);
+        await handleRotatedRefreshToken(credentials, tokenData.refresh_token, refreshToken);
+      }
+
+      return tokenData.access_token;
+    })
+    .finally(() => {
+      pendingRefreshes.delete(cacheKey);
+    });
+
+  pendingRefreshes.set(cacheKey, refreshPromise);
+  return refreshPromise;
+}
+
+/**
+ * Drops the cached access token, e.g. after Spotify rejects it with a 401
+ * @param {Object} credentials - Spotify credentials
+ */
+function invalidateAccessToken(credentials) {
+  tokenCache.delete(getCacheKey(credentials));
+}
+
+/**
+ * Calls a Spotify Web API endpoint with a cached access token
+ *
+ * A cached token can be revoked before it expires, so a 401 response
+ * triggers one retry with a freshly refreshed token.
+ *
+ * @param {Object} credentials - Spotify credentials
+ * @param {string} url - Web API URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} Spotify response
+ * @throws {TokenRefreshError} If Spotify rejects the refresh
+ */
+async function fetchWithAccessToken(credentials, url, options = {}) {
+  const request = (accessToken) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+  const response = await request(await getAccessToken(credentials));
+
+  if (response.status !== 401) {
+    return response;
+  }
+
+  invalidateAccessToken(credentials);
+  return request(await getAccessToken(credentials, { forceRefresh: true }));
+}
+
+/**
+ * Describes the cached token without exposing it (for debug endpoints)
+ * @param {Object} credentials - Spotify credentials
+ * @returns {Object} Cache state
+ */
+function getTokenCacheInfo(credentials) {
+  const cached = tokenCache.get(getCacheKey(credentials));
+
+  if (!cached) {
+    return { cached: false };
+  }
+
+  return {
+    cached: true,
+    expires_in_ms: Math.max(0, cached.expiresAt - Date.now()),
+    refresh_due: Date.now() >= cached.expiresAt - EXPIRY_MARGIN_MS,
+  };
+}
+
+/**
+ * Reset token cache (useful for testing)
+ */
+function resetTokenCache() {
+  tokenCache.clear();
+  pendingRefreshes.clear();
+  rotatedRefreshTokens.clear();
+}
+
+module.exports = {
+  getAccessToken,
+  invalidateAccessToken,
+  fetchWithAccessToken,
+  getTokenCacheInfo,
+  resetTokenCache,
+  TokenRefreshError,
+  TOKEN_ENDPOINT
+};
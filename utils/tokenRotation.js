@@ -0,0 +1,168 @@
+/**
+ * Refresh Token Rotation Sinks
+ *
+ * When Spotify returns a new refresh token, utils/tokenManager.js hands it
+ * to the client's `onRefreshTokenRotated` callback. This module builds those
+ * callbacks ("sinks"):
+ *
+ * - store: saves the default account's token in the store (utils/storage.js);
+ *   getDefaultRefreshToken() prefers it over SPOTIFY_REFRESH_TOKEN
+ * - env-file: rewrites SPOTIFY_REFRESH_TOKEN in .env.local (local development)
+ * - none: keep the new token in memory only
+ * - any function (newToken, previousToken) => Promise<void>
+ *
+ * Pick the default account's sink with REFRESH_TOKEN_SINK. Tokens of
+ * registered users are always saved back to the user registry. Tokens are
+ * encrypted when TOKEN_ENCRYPTION_KEY is set.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { writeEnvFileValue } = require('./envFile');
+const {
+  encryptToken,
+  decryptToken,
+  reencryptToken,
+  getEnvRefreshToken
+} = require('./tokenCrypto');
+
+const DEFAULT_TOKEN_KEY = 'tokens:default';
+
+const RefreshTokenSinkType = {
+  STORE: 'store',
+  ENV_FILE: 'env-file',
+  NONE: 'none',
+};
+
+/**
+ * Fingerprints a token so the store can tell which env token it replaced
+ * without keeping that token. Pass the decrypted token: re-encrypting
+ * SPOTIFY_REFRESH_TOKEN (npm run rotate-key) changes its ciphertext, not the
+ * token.
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprint(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Sink that saves the default account's token in the store
+ * @param {Object} [options] - Sink options
+ * @param {Object} [options.store] - Store (defaults to the shared store)
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {function(string): Promise<void>} Sink
+ */
+function createStoreSink({ store, env = process.env } = {}) {
+  return async (refreshToken) => {
+    await (store || getStore(env)).set(DEFAULT_TOKEN_KEY, {
+      refreshToken: encryptToken(refreshToken, env),
+      // The SPOTIFY_REFRESH_TOKEN value this rotation chain started from
+      replaces: fingerprint(getEnvRefreshToken(env)),
+      rotated_at: Date.now(),
+    });
+  };
+}
+
+/**
+ * Sink that rewrites SPOTIFY_REFRESH_TOKEN in an env file
+ * @param {Object} [options] - Sink options
+ * @param {string} [options.envFile='.env.local'] - Env file to update
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {function(string): Promise<void>} Sink
+ */
+function createEnvFileSink({ envFile = '.env.local', env = process.env } = {}) {
+  return async (refreshToken) => {
+    writeEnvFileValue('SPOTIFY_REFRESH_TOKEN', encryptToken(refreshToken, env), envFile);
+  };
+}
+
+/**
+ * Sink that saves a registered user's token back to the user registry
+ * @param {import('./userRegistry').UserRegistry} registry - User registry
+ * @param {{id: string, displayName: string}} user - User the token belongs to
+ * @returns {function(string): Promise<void>} Sink
+ */
+function createUserSink(registry, user) {
+  return async (refreshToken) => {
+    await registry.saveUser({ id: user.id, displayName: user.displayName, refreshToken });
+  };
+}
+
+/**
+ * Builds the default account's sink from REFRESH_TOKEN_SINK
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {(function(string): Promise<void>)|undefined} Sink, or undefined for "none"
+ */
+function createRefreshTokenSink(env = process.env) {
+  switch (env.REFRESH_TOKEN_SINK || RefreshTokenSinkType.STORE) {
+    case RefreshTokenSinkType.STORE:
+      return createStoreSink({ env });
+    case RefreshTokenSinkType.ENV_FILE:
+      return createEnvFileSink({ env });
+    case RefreshTokenSinkType.NONE:
+      return undefined;
+    default:
+      console.error(`Unknown REFRESH_TOKEN_SINK "${env.REFRESH_TOKEN_SINK}"; rotated tokens won't be persisted`);
+      return undefined;
+  }
+}
+
+/**
+ * Returns the default account's refresh token: the latest rotated token in
+ * the store if it descends from the current SPOTIFY_REFRESH_TOKEN, otherwise
+ * SPOTIFY_REFRESH_TOKEN itself (so re-authorizing always takes effect)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.store] - Store (defaults to the shared store)
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {Promise<string|undefined>} Refresh token
+ */
+async function getDefaultRefreshToken({ store, env = process.env } = {}) {
+  const envToken = getEnvRefreshToken(env);
+  if (!envToken || (env.REFRESH_TOKEN_SINK || RefreshTokenSinkType.STORE) !== RefreshTokenSinkType.STORE) {
+    return envToken;
+  }
+
+  try {
+    const stored = await (store || getStore(env)).get(DEFAULT_TOKEN_KEY);
+    if (stored && stored.replaces === fingerprint(envToken)) {
+      return decryptToken(stored.refreshToken, env);
+    }
+  } catch (error) {
+    console.error('Could not read rotated refresh token:', error.message);
+  }
+  return envToken;
+}
+
+/**
+ * Re-encrypts the default account's stored token with the current key, e.g.
+ * after rotating TOKEN_ENCRYPTION_KEY (see scripts/rotate-key.js)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.store] - Store (defaults to the shared store)
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {Promise<boolean>} Whether the stored token was rewritten
+ */
+async function reencryptDefaultToken({ store, env = process.env } = {}) {
+  const target = store || getStore(env);
+  const stored = await target.get(DEFAULT_TOKEN_KEY);
+  if (!stored?.refreshToken) {
+    return false;
+  }
+
+  const refreshToken = reencryptToken(stored.refreshToken, env);
+  if (refreshToken === stored.refreshToken) {
+    return false;
+  }
+  await target.set(DEFAULT_TOKEN_KEY, { ...stored, refreshToken });
+  return true;
+}
+
+module.exports = {
+  RefreshTokenSinkType,
+  createStoreSink,
+  createEnvFileSink,
+  createUserSink,
+  createRefreshTokenSink,
+  getDefaultRefreshToken,
+  reencryptDefaultToken
+};
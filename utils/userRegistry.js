@@ -0,0 +1,199 @@
+/**
+ * User Registry
+ *
+ * Maps user IDs to a display name and Spotify refresh token so one
+ * deployment can serve several accounts. Users come from two places:
+ *
+ * - SPOTIFY_USERS: JSON object, e.g. {"alice":{"name":"Alice","refreshToken":"AQ..."}}
+ * - the store (utils/storage.js), for users added at runtime
+ *
+ * Stored users win over SPOTIFY_USERS entries with the same ID, which is how
+ * their rotated tokens are kept; the hosted login (api/auth/callback.js)
+ * never claims those IDs. Refresh
+ * tokens never leave this module through listUsers(), and are encrypted in
+ * the store when TOKEN_ENCRYPTION_KEY is set (see utils/tokenCrypto.js).
+ */
+
+const { getStore } = require('./storage');
+const { encryptToken, decryptToken, reencryptToken } = require('./tokenCrypto');
+
+const USER_KEY_PREFIX = 'users:';
+const INDEX_KEY = 'users:index';
+const USER_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Checks whether a string can be used as a user ID
+ * @param {string} id - Candidate ID
+ * @returns {boolean} Whether the ID is valid
+ */
+function isValidUserId(id) {
+  return typeof id === 'string' && USER_ID_PATTERN.test(id);
+}
+
+// Last parsed SPOTIFY_USERS value, so warnings are logged once per instance
+let parsedEnvUsers = { value: undefined, users: new Map() };
+
+/**
+ * Parses SPOTIFY_USERS
+ * @param {string} [value] - Raw variable
+ * @returns {Map<string, {id: string, displayName: string, refreshToken: string}>} Users by ID
+ */
+function parseEnvUsers(value) {
+  if (value === parsedEnvUsers.value) {
+    return parsedEnvUsers.users;
+  }
+
+  const users = new Map();
+  parsedEnvUsers = { value, users };
+  if (!value) {
+    return users;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    console.error('SPOTIFY_USERS is not valid JSON; ignoring it');
+    return users;
+  }
+
+  for (const [id, config] of Object.entries(parsed || {})) {
+    if (!isValidUserId(id) || !config?.refreshToken) {
+      console.warn(`Ignoring SPOTIFY_USERS entry "${id}" (invalid ID or missing refreshToken)`);
+      continue;
+    }
+    users.set(id, {
+      id,
+      displayName: config.name || id,
+      refreshToken: config.refreshToken,
+    });
+  }
+
+  return users;
+}
+
+class UserRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {Object} [options.store] - Store (see utils/storage.js); defaults to the shared store
+   * @param {Object} [options.env] - Environment (defaults to process.env)
+   */
+  constructor({ store = getStore(), env = process.env } = {}) {
+    this.store = store;
+    this.env = env;
+    this.envUsers = parseEnvUsers(env.SPOTIFY_USERS);
+  }
+
+  /**
+   * Looks up a user, including their decrypted refresh token
+   * @param {string} id - User ID
+   * @returns {Promise<{id: string, displayName: string, refreshToken: string}|null>} User, or null if unknown
+   * @throws {TokenEncryptionError} If the stored token can't be decrypted
+   */
+  async getUser(id) {
+    if (!isValidUserId(id)) {
+      return null;
+    }
+    const user = (await this.store.get(USER_KEY_PREFIX + id)) || this.envUsers.get(id);
+    if (!user) {
+      return null;
+    }
+    return { ...user, refreshToken: decryptToken(user.refreshToken, this.env) };
+  }
+
+  /**
+   * Checks whether SPOTIFY_USERS defines a user
+   * @param {string} id - User ID
+   * @returns {boolean} Whether the ID comes from SPOTIFY_USERS
+   */
+  isEnvUser(id) {
+    return this.envUsers.has(id);
+  }
+
+  /**
+   * Lists registered users without their tokens
+   * @returns {Promise<Array<{id: string, displayName: string}>>} Users, SPOTIFY_USERS first
+   */
+  async listUsers() {
+    const storedIds = (await this.store.get(INDEX_KEY)) || [];
+    const ids = [...new Set([...this.envUsers.keys(), ...storedIds])];
+
+    const users = await Promise.all(
+      ids.map(async (id) => (await this.store.get(USER_KEY_PREFIX + id)) || this.envUsers.get(id))
+    );
+    return users
+      .filter(Boolean)
+      .map(({ id, displayName }) => ({ id, displayName }));
+  }
+
+  /**
+   * Adds or updates a user in the store
+   * @param {Object} user - User
+   * @param {string} user.id - User ID (letters, digits, - and _)
+   * @param {string} [user.displayName] - Name shown in widgets
+   * @param {string} user.refreshToken - Spotify refresh token
+   * @returns {Promise<{id: string, displayName: string}>} Saved user without the token
+   */
+  async saveUser({ id, displayName, refreshToken }) {
+    if (!isValidUserId(id)) {
+      throw new Error(`Invalid user ID "${id}"`);
+    }
+    if (!refreshToken) {
+      throw new Error('A refresh token is required');
+    }
+
+    const user = {
+      id,
+      displayName: displayName || id,
+      refreshToken: encryptToken(refreshToken, this.env),
+    };
+    await this.store.set(USER_KEY_PREFIX + id, user);
+
+    const storedIds = (await this.store.get(INDEX_KEY)) || [];
+    if (!storedIds.includes(id)) {
+      await this.store.set(INDEX_KEY, [...storedIds, id]);
+    }
+
+    return { id, displayName: user.displayName };
+  }
+
+  /**
+   * Re-encrypts every stored refresh token with the current key, e.g. after
+   * rotating TOKEN_ENCRYPTION_KEY (SPOTIFY_USERS entries are left alone)
+   * @returns {Promise<number>} Number of users whose token was rewritten
+   */
+  async reencryptTokens() {
+    const storedIds = (await this.store.get(INDEX_KEY)) || [];
+    let updated = 0;
+
+    for (const id of storedIds) {
+      const user = await this.store.get(USER_KEY_PREFIX + id);
+      if (!user) {
+        continue;
+      }
+      const refreshToken = reencryptToken(user.refreshToken, this.env);
+      if (refreshToken !== user.refreshToken) {
+        await this.store.set(USER_KEY_PREFIX + id, { ...user, refreshToken });
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Removes a stored user (SPOTIFY_USERS entries can only be removed there)
+   * @param {string} id - User ID
+   */
+  async removeUser(id) {
+    await this.store.delete(USER_KEY_PREFIX + id);
+    const storedIds = (await this.store.get(INDEX_KEY)) || [];
+    await this.store.set(INDEX_KEY, storedIds.filter((storedId) => storedId !== id));
+  }
+}
+
+module.exports = {
+  UserRegistry,
+  isValidUserId,
+  parseEnvUsers
+};
@@ -5,6 +5,9 @@
  * with detailed error messages and setup instructions.
  */
 
+const { TokenCipher, isEncrypted } = require('./tokenCrypto');
+const { parseAllowedOrigins, isValidOriginPattern } = require('./cors-debug');
+
 class ConfigurationError extends Error {
   constructor(message, details = {}) {
     super(message);
@@ -191,7 +194,42 @@ function validateEnvironment() {
     },
     API_CACHE_DURATION: {
       default: '60',
-      description: 'API response cache duration in seconds'
+      description: 'API response cache duration in seconds (paused or idle)'
+    },
+    API_CACHE_PLAYING_DURATION: {
+      default: '5',
+      description: 'API response cache duration in seconds while playing'
+    },
+    STORAGE_BACKEND: {
+      default: 'memory',
+      description: 'Persistence backend for play state and history',
+      allowed: ['memory', 'file', 'redis']
+    },
+    ALLOWED_ORIGINS: {
+      default: '*',
+      description: 'Origins allowed to call the API (CORS)'
+    },
+    REQUIRE_API_KEY: {
+      default: 'false',
+      description: 'Reject requests without an API key',
+      allowed: ['true', 'false', '1', '0']
+    },
+    API_KEY_DAILY_QUOTA: {
+      default: '1000',
+      description: 'Daily request quota for new API keys'
+    },
+    RATE_LIMIT_ENABLED: {
+      default: 'true',
+      description: 'Rate limit clients per API key or IP',
+      allowed: ['true', 'false', '1', '0']
+    },
+    SPOTIFY_ACCOUNTS_URL: {
+      default: 'https://accounts.spotify.com',
+      description: 'Spotify accounts service base URL'
+    },
+    SPOTIFY_API_BASE_URL: {
+      default: 'https://api.spotify.com/v1',
+      description: 'Spotify Web API base URL'
     }
   };
 
@@ -202,11 +240,92 @@ function validateEnvironment() {
         `Optional variable ${key} not set. Using default: ${config.default}`
       );
       results.optional[key] = config.default;
+    } else if (config.allowed && !config.allowed.includes(value)) {
+      throw new ConfigurationError(`Invalid ${key} value`, {
+        message: `${config.description} must be one of: ${config.allowed.join(', ')}`,
+        received: value
+      });
     } else {
       results.optional[key] = value;
     }
   }
 
+  // The Redis backend can't work without a server to talk to
+  if (results.optional.STORAGE_BACKEND === 'redis' && !process.env.REDIS_URL) {
+    throw new ConfigurationError('Missing REDIS_URL', {
+      message: 'REDIS_URL is required when STORAGE_BACKEND=redis',
+      instructions: 'Set REDIS_URL, e.g. redis://:password@localhost:6379/0'
+    });
+  }
+
+  if (process.env.API_KEY_DAILY_QUOTA && !/^[1-9]\d*$/.test(process.env.API_KEY_DAILY_QUOTA)) {
+    throw new ConfigurationError('Invalid API_KEY_DAILY_QUOTA value', {
+      message: 'API_KEY_DAILY_QUOTA must be a positive integer',
+      received: process.env.API_KEY_DAILY_QUOTA
+    });
+  }
+
+  // Overridden base URLs (e.g. the mock server) must be http(s) URLs
+  for (const key of ['SPOTIFY_ACCOUNTS_URL', 'SPOTIFY_API_BASE_URL']) {
+    if (process.env[key] && !/^https?:\/\/[^/\s]+/.test(process.env[key])) {
+      throw new ConfigurationError(`Invalid ${key} value`, {
+        message: `${key} must be an http(s) URL`,
+        received: process.env[key]
+      });
+    }
+  }
+
+  // RATE_LIMITS maps route names to { burst, refillPerSecond }
+  if (process.env.RATE_LIMITS) {
+    let limits;
+    try {
+      limits = JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+      limits = null;
+    }
+    const valid = limits && typeof limits === 'object' && Object.values(limits).every(limit =>
+      limit && (limit.burst === undefined || limit.burst >= 1) &&
+      (limit.refillPerSecond === undefined || limit.refillPerSecond > 0)
+    );
+    if (!valid) {
+      throw new ConfigurationError('Invalid RATE_LIMITS value', {
+        message: 'RATE_LIMITS must be JSON like {"now-playing":{"burst":120,"refillPerSecond":2}}',
+        received: process.env.RATE_LIMITS
+      });
+    }
+  }
+
+  // Each ALLOWED_ORIGINS entry must be an origin, a wildcard subdomain or *
+  const invalidOrigins = parseAllowedOrigins(process.env.ALLOWED_ORIGINS)
+    .filter(origin => !isValidOriginPattern(origin));
+  if (invalidOrigins.length > 0) {
+    throw new ConfigurationError('Invalid ALLOWED_ORIGINS value', {
+      message: 'Use comma-separated origins such as https://myframer.site, wildcard subdomains such as https://*.framer.app, or *',
+      received: invalidOrigins.join(', ')
+    });
+  }
+
+  // Encrypted refresh tokens need a valid key to be read
+  const refreshToken = process.env.SPOTIFY_REFRESH_TOKEN;
+  let cipher;
+  try {
+    cipher = TokenCipher.fromEnv();
+    if (cipher && isEncrypted(refreshToken)) {
+      cipher.decrypt(refreshToken);
+    }
+  } catch (error) {
+    throw new ConfigurationError('Invalid TOKEN_ENCRYPTION_KEY', {
+      message: error.message,
+      instructions: 'Generate a key with: npm run rotate-key -- --generate'
+    });
+  }
+  if (!cipher && isEncrypted(refreshToken)) {
+    throw new ConfigurationError('Missing TOKEN_ENCRYPTION_KEY', {
+      message: 'SPOTIFY_REFRESH_TOKEN is encrypted but TOKEN_ENCRYPTION_KEY is not set',
+      instructions: 'Set TOKEN_ENCRYPTION_KEY to the key used when the token was saved'
+    });
+  }
+
   return results;
 }
 
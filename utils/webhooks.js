@@ -0,0 +1,208 @@
+/**
+ * Track-Change Webhooks
+ *
+ * Compares each normalized now-playing response with the last state seen
+ * and POSTs a signed JSON event to every configured URL when a track
+ * starts, pauses or resumes. Seeks and normal progress are not reported.
+ *
+ * Payloads are signed with HMAC-SHA256 over `${timestamp}.${body}`; the
+ * hex digest is sent as `X-Webhook-Signature: sha256=<digest>` alongside
+ * `X-Webhook-Timestamp`, so receivers can reject replays.
+ */
+
+const crypto = require('crypto');
+const { detectPlaybackChange, PlaybackChange } = require('./playbackState');
+const { getStore, MemoryStore } = require('./storage');
+
+const WebhookEvent = {
+  TRACK_STARTED: 'track.started',
+  PLAYBACK_PAUSED: 'playback.paused',
+  PLAYBACK_RESUMED: 'playback.resumed',
+};
+
+// Playback changes that trigger a webhook (seeks are ignored)
+const EVENT_FOR_CHANGE = {
+  [PlaybackChange.STARTED]: WebhookEvent.TRACK_STARTED,
+  [PlaybackChange.TRACK_CHANGED]: WebhookEvent.TRACK_STARTED,
+  [PlaybackChange.PAUSED]: WebhookEvent.PLAYBACK_PAUSED,
+  [PlaybackChange.RESUMED]: WebhookEvent.PLAYBACK_RESUMED,
+};
+
+const STATE_KEY = 'webhooks:last-state';
+const DELIVERY_TIMEOUT_MS = 5000;
+
+/**
+ * Computes the signature header value for a payload
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} `sha256=<hex digest>`
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verifies a received webhook (for receivers written in Node)
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - X-Webhook-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Webhook-Signature header
+ * @returns {boolean} Whether the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {string[]} options.urls - Target URLs
+   * @param {string} options.secret - HMAC secret shared with the receivers
+   * @param {Object} [options.store] - Last-seen state store (see utils/storage.js)
+   * @param {number} [options.timeoutMs=5000] - Per-delivery timeout
+   */
+  constructor({ urls, secret, store = new MemoryStore(), timeoutMs = DELIVERY_TIMEOUT_MS }) {
+    this.urls = urls;
+    this.secret = secret;
+    this.store = store;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Creates a dispatcher from WEBHOOK_URLS / WEBHOOK_SECRET, keeping the
+   * last-seen state in the store selected by STORAGE_BACKEND
+   * @param {Object} [env] - Environment (defaults to process.env)
+   * @param {Object} [options] - Extra constructor options
+   * @returns {WebhookDispatcher|null} Dispatcher, or null if webhooks are not configured
+   */
+  static fromEnv(env = process.env, options = {}) {
+    const urls = (env.WEBHOOK_URLS || '')
+      .split(',')
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+    if (urls.length === 0) {
+      return null;
+    }
+
+    if (!env.WEBHOOK_SECRET) {
+      console.error('WEBHOOK_URLS is set but WEBHOOK_SECRET is missing; webhooks disabled');
+      return null;
+    }
+
+    let store;
+    try {
+      store = getStore(env);
+    } catch (error) {
+      console.error('Webhook store unavailable; webhooks disabled:', error.message);
+      return null;
+    }
+
+    return new WebhookDispatcher({ urls, secret: env.WEBHOOK_SECRET, store, ...options });
+  }
+
+  /**
+   * Records a now-playing response and dispatches an event if it changed
+   *
+   * Never throws: webhook failures must not break the API response.
+   *
+   * @param {import('../types/spotify').NowPlayingResponse} nowPlaying - Normalized now-playing response
+   * @returns {Promise<string|null>} Dispatched event name, or null
+   */
+  async processNowPlaying(nowPlaying) {
+    try {
+      const now = Date.now();
+      const previous = await this.store.get(STATE_KEY);
+      const change = detectPlaybackChange(
+        previous,
+        nowPlaying,
+        previous ? now - previous.seen_at : 0
+      );
+
+      // Paused responses have no item; keep the last one to detect resumes
+      await this.store.set(STATE_KEY, {
+        is_playing: nowPlaying.is_playing,
+        progress_ms: nowPlaying.progress_ms,
+        item: nowPlaying.item || previous?.item || null,
+        seen_at: now,
+      });
+
+      const event = change && EVENT_FOR_CHANGE[change];
+      if (!event) {
+        return null;
+      }
+
+      await this.dispatch(event, {
+        ...nowPlaying,
+        item: nowPlaying.item || previous?.item || null,
+      });
+      return event;
+    } catch (error) {
+      console.error('Webhook processing failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sends an event to every target URL
+   * @param {string} event - WebhookEvent value
+   * @param {Object} data - Event data
+   * @returns {Promise<Array<{url: string, ok: boolean, status?: number, error?: string}>>} Delivery results
+   */
+  async dispatch(event, data) {
+    const body = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      data,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(this.secret, timestamp, body);
+
+    const results = await Promise.all(
+      this.urls.map(async (url) => {
+        try {
+          const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'spotify-now-playing-webhooks',
+              'X-Webhook-Event': event,
+              'X-Webhook-Timestamp': String(timestamp),
+              'X-Webhook-Signature': signature,
+            },
+            body,
+            signal: AbortSignal.timeout(this.timeoutMs),
+          });
+
+          if (!response.ok) {
+            console.warn(`Webhook ${event} to ${url} failed with status ${response.status}`);
+          }
+          return { url, ok: response.ok, status: response.status };
+        } catch (error) {
+          console.warn(`Webhook ${event} to ${url} failed:`, error.message);
+          return { url, ok: false, error: error.message };
+        }
+      })
+    );
+
+    return results;
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WebhookEvent,
+  signPayload,
+  verifySignature
+};
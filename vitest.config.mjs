@@ -0,0 +1,20 @@
+import { configDefaults, defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.{js,ts,tsx}'],
+    // Manual smoke scripts against the real Spotify API (npm run test:api,
+    // test:auth, test:improved-api), not part of the suite
+    exclude: [...configDefaults.exclude, 'tests/api.test.js', 'tests/auth.test.js', 'tests/improved-api.test.js'],
+    // Component tests opt into jsdom with a `// @vitest-environment jsdom` comment
+    environment: 'node',
+    unstubEnvs: true,
+    unstubGlobals: true,
+    restoreMocks: true,
+    coverage: {
+      provider: 'v8',
+      include: ['api/**/*.{js,ts}', 'utils/**/*.{js,ts}', 'components/**/*.{ts,tsx,jsx}'],
+      reporter: ['text', 'html', 'lcov'],
+    },
+  },
+});